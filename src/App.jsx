@@ -1,17 +1,43 @@
 import { useState, useEffect } from 'react';
 import GameController from './components/GameController';
-import GameModes, { GAME_MODES } from './components/GameModes';
+import GameModes, { GAME_MODES, getGameModeById, getModeSignature } from './components/GameModes';
 import PlayerProfile from './components/PlayerProfile';
 import Leaderboard from './components/Leaderboard';
+import Replay from './components/Replay';
 import Settings from './components/Settings';
+import LevelEditor from './components/LevelEditor';
+import Campaign from './components/Campaign';
+import NBackGame from './components/NBackGame';
 import PerformanceMonitor from './components/PerformanceMonitor';
 import { useTheme } from './components/ThemeProvider';
-import { getHighScores, getPlayerProfile, getGameSettings } from './utils/storage';
+import {
+  getHighScores,
+  getPlayerProfile,
+  getGameSettings,
+  getGameProgress,
+  clearGameProgress,
+  getCampaignProgress,
+  saveCampaignProgress,
+  savePlayerProfile
+} from './utils/storage';
 import { initAudio, playSound, playMusic, setVolume, setMute } from './utils/audioManager';
 import { createParticleEffect, createScreenTransition } from './utils/visualEffects';
 import { initPerformanceMonitoring, getPerformanceMode } from './utils/performanceOptimizer';
 import { detectBrowserCapabilities, applyBrowserFixes, addOfflineIndicator, registerServiceWorker } from './utils/browserCompatibility';
 import FEATURE_FLAGS, { isFeatureEnabled } from './utils/featureFlags';
+import { parseSeed } from './utils/random';
+import { getProgressionTable } from './utils/progression';
+import { getPackLevels } from './utils/patternPacks';
+import { DAILY_LEVELS, getDailyDate, getDailySeed, startDailyChallenge } from './utils/dailyChallenge';
+import {
+  MAX_STAGE_STARS,
+  createStageMode,
+  getStageLevels,
+  getStageStars,
+  addStageResult,
+  describeStageGoal
+} from './utils/campaign';
+import { addSpanRecord } from './utils/staircase';
 import { clearCachesAndReload } from './utils/devUtils';
 import './styles/App.css';
 
@@ -25,6 +51,24 @@ if (isFeatureEnabled('AI_FRAMEWORK_ENABLED')) {
   AI_PERSONALITY = aiPlayer.AI_PERSONALITY;
 }
 
+/**
+ * Load the saved game, discarding it if its mode no longer exists or its
+ * rules changed since it was saved
+ * @returns {Object|null} - Saved game progress or null
+ */
+const loadSavedGame = () => {
+  const progress = getGameProgress();
+  if (!progress) return null;
+
+  const mode = getGameModeById(progress.gameMode);
+  if (!mode || progress.modeSignature !== getModeSignature(mode)) {
+    clearGameProgress();
+    return null;
+  }
+
+  return progress;
+};
+
 function App() {
   const { currentTheme } = useTheme();
   const [gameStarted, setGameStarted] = useState(false);
@@ -35,6 +79,15 @@ function App() {
   const [showProfile, setShowProfile] = useState(false);
   const [showLeaderboard, setShowLeaderboard] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
+  const [showEditor, setShowEditor] = useState(false);
+  const [showCampaign, setShowCampaign] = useState(false);
+  // Stars earned by the last game of a campaign stage
+  const [stageStars, setStageStars] = useState(null);
+  const [replayToWatch, setReplayToWatch] = useState(null);
+  const [savedGame, setSavedGame] = useState(() => loadSavedGame());
+  const [continuedGame, setContinuedGame] = useState(null);
+  // Daily challenge being played, as { date, scored }
+  const [dailyRun, setDailyRun] = useState(null);
   const [showAIMode, setShowAIMode] = useState(false);
   const [playerProfile, setPlayerProfile] = useState({ name: 'Player' });
   const [gameSettings, setGameSettings] = useState({
@@ -43,7 +96,9 @@ function App() {
     musicEnabled: true,
     soundEffectsEnabled: true,
     volume: 0.7,
-    showPerformanceMonitor: false
+    showPerformanceMonitor: false,
+    difficulty: 'normal',
+    customProgression: null
   });
   // Set default AI game config with fallbacks if AI framework is disabled
   const [aiGameConfig, setAiGameConfig] = useState({
@@ -59,6 +114,8 @@ function App() {
     capabilities: {}
   });
   const [isAudioInitialized, setIsAudioInitialized] = useState(false);
+  // Optional ?seed= URL parameter to reproduce a reported game
+  const [gameSeed] = useState(() => parseSeed(new URLSearchParams(window.location.search).get('seed')));
 
   // Redirect to main menu if AI mode is enabled but the feature is disabled
   useEffect(() => {
@@ -140,16 +197,48 @@ function App() {
         musicEnabled: settings.musicEnabled !== undefined ? settings.musicEnabled : true,
         soundEffectsEnabled: settings.soundEffectsEnabled !== undefined ? settings.soundEffectsEnabled : true,
         volume: settings.volume || 0.7,
-        showPerformanceMonitor: settings.showPerformanceMonitor || false
+        showPerformanceMonitor: settings.showPerformanceMonitor || false,
+        difficulty: settings.difficulty || 'normal',
+        customProgression: settings.customProgression || null
       }));
     }
   }, []);
 
-  // Handle game completion
-  const handleGameComplete = (finalScore) => {
+  // Pick up the difficulty chosen in the settings
+  const handleSettingsClose = () => {
+    setShowSettings(false);
+
+    const settings = getGameSettings();
+    setGameSettings(prevSettings => ({
+      ...prevSettings,
+      difficulty: settings.difficulty || 'normal',
+      customProgression: settings.customProgression || null
+    }));
+  };
+
+  // Handle game completion. A campaign stage also records the stars the game
+  // earned, and a Zen game adds its span estimates to the player's profile
+  // (the AI controller passes the AI's score instead of a result).
+  const handleGameComplete = (finalScore, result) => {
     if (finalScore > highScore) {
       setHighScore(finalScore);
     }
+
+    if (selectedMode.stage && !isAIMode) {
+      const stars = getStageStars(selectedMode.stage, result);
+      const progress = addStageResult(getCampaignProgress(playerProfile.name), selectedMode.stage.id, stars, finalScore);
+      saveCampaignProgress(playerProfile.name, progress);
+      setStageStars(stars);
+    }
+
+    if (!isAIMode && result && result.spanEstimates && Object.keys(result.spanEstimates).length > 0) {
+      const profile = {
+        ...playerProfile,
+        spanHistory: addSpanRecord(playerProfile.spanHistory, result.spanEstimates, new Date().toISOString())
+      };
+      savePlayerProfile(profile);
+      setPlayerProfile(profile);
+    }
   };
 
   // Handle score changes during gameplay
@@ -157,12 +246,39 @@ function App() {
     setCurrentScore(newScore);
   };
 
+  // Start a game in the selected mode. A daily challenge keeps the date it was
+  // started on, so a game running past midnight plays the same rounds.
+  const handleStart = () => {
+    if (selectedMode.id === GAME_MODES.DAILY.id) {
+      const date = getDailyDate();
+      setDailyRun({ date, scored: startDailyChallenge(date) });
+    }
+    setGameStarted(true);
+    setIsAIMode(false);
+  };
+
   // Handle mode selection
   const handleModeSelect = (mode) => {
     setSelectedMode(mode);
     setShowModes(false);
   };
 
+  // Play a stage picked on the campaign screen
+  const handlePlayStage = (stage) => {
+    setSelectedMode(createStageMode(stage));
+    setShowCampaign(false);
+    setGameStarted(true);
+    setIsAIMode(false);
+  };
+
+  // Close the level editor, picking up any changes to the selected pattern pack
+  const handleEditorClose = () => {
+    setShowEditor(false);
+    if (selectedMode.pack) {
+      setSelectedMode(getGameModeById(selectedMode.id) || GAME_MODES.STANDARD);
+    }
+  };
+
   // Handle profile save
   const handleProfileSave = (profile) => {
     setPlayerProfile(profile);
@@ -173,8 +289,40 @@ function App() {
     setGameStarted(false);
     setCurrentScore(0);
     setIsAIMode(false);
+    setContinuedGame(null);
+    setDailyRun(null);
+    setSavedGame(loadSavedGame());
+    // Campaign games return to the stage select, to show the stars earned
+    setShowCampaign(Boolean(selectedMode.stage) && !isAIMode);
+    setStageStars(null);
   };
 
+  // Continue the saved game in its mode
+  const handleContinue = () => {
+    setSelectedMode({
+      ...getGameModeById(savedGame.gameMode),
+      ...savedGame.modeSettings
+    });
+    setContinuedGame(savedGame);
+    setGameStarted(true);
+    setIsAIMode(false);
+  };
+
+  // Practice and Zen keep their own settings, pattern packs, campaign stages and the
+  // daily challenge play their own rounds, and the other modes advance through the difficulty's
+  // progression table (a continued game keeps its difficulty)
+  const difficulty = (continuedGame && continuedGame.difficulty) || gameSettings.difficulty;
+  let progressionTable = null;
+  if (selectedMode.pack) {
+    progressionTable = getPackLevels(selectedMode.pack);
+  } else if (selectedMode.stage) {
+    progressionTable = getStageLevels(selectedMode.stage);
+  } else if (selectedMode.id === GAME_MODES.DAILY.id) {
+    progressionTable = DAILY_LEVELS;
+  } else if (selectedMode.id !== GAME_MODES.PRACTICE.id && !selectedMode.staircase) {
+    progressionTable = getProgressionTable(selectedMode.id, difficulty, gameSettings.customProgression);
+  }
+
   return (
     <div className="app">
       <header className="app-header">
@@ -196,7 +344,7 @@ function App() {
               the pattern. Each level increases in complexity.
             </p>
 
-            {!showModes && !showAIMode ? (
+            {!showModes && !showAIMode && !showEditor && !showCampaign ? (
               <>
                 <div className="instructions">
                   <strong>How to play:</strong>
@@ -210,12 +358,18 @@ function App() {
                 </div>
 
                 <div className="welcome-actions">
+                  {savedGame && (
+                    <button
+                      className="continue-button"
+                      onClick={handleContinue}
+                    >
+                      Continue {getGameModeById(savedGame.gameMode).name} - Level {savedGame.level}
+                    </button>
+                  )}
+
                   <button
                     className="start-button"
-                    onClick={() => {
-                      setGameStarted(true);
-                      setIsAIMode(false);
-                    }}
+                    onClick={handleStart}
                   >
                     Begin
                   </button>
@@ -228,6 +382,13 @@ function App() {
                       Game Modes
                     </button>
 
+                    <button
+                      className="secondary-button"
+                      onClick={() => setShowCampaign(true)}
+                    >
+                      Campaign
+                    </button>
+
                     <button
                       className="secondary-button"
                       onClick={() => setShowProfile(true)}
@@ -249,6 +410,13 @@ function App() {
                       Settings
                     </button>
 
+                    <button
+                      className="secondary-button"
+                      onClick={() => setShowEditor(true)}
+                    >
+                      Level Editor
+                    </button>
+
                     {isFeatureEnabled('AI_FRAMEWORK_ENABLED') && (
                       <button
                         className="secondary-button ai-button"
@@ -260,6 +428,17 @@ function App() {
                   </div>
                 </div>
               </>
+            ) : showEditor ? (
+              <LevelEditor
+                onClose={handleEditorClose}
+                playerName={playerProfile.name}
+                highContrast={gameSettings.highContrastMode}
+              />
+            ) : showCampaign ? (
+              <Campaign
+                playerName={playerProfile.name}
+                onPlayStage={handlePlayStage}
+              />
             ) : showModes ? (
               <GameModes
                 onSelectMode={handleModeSelect}
@@ -288,12 +467,13 @@ function App() {
               </div>
             )}
 
-            {(showModes || showAIMode) && (
+            {(showModes || showAIMode || showCampaign) && (
               <button
                 className="back-button"
                 onClick={() => {
                   setShowModes(false);
                   setShowAIMode(false);
+                  setShowCampaign(false);
                 }}
               >
                 Back
@@ -308,6 +488,11 @@ function App() {
                   <>
                     <h3>{selectedMode.name}</h3>
                     <p>Player: {playerProfile.name}</p>
+                    {dailyRun && (
+                      <p className="daily-run">
+                        {dailyRun.date}{dailyRun.scored ? '' : ' - practice run, only your first attempt of the day is scored'}
+                      </p>
+                    )}
                   </>
                 ) : (
                   <>
@@ -318,11 +503,34 @@ function App() {
               </div>
             </div>
 
-            {!isAIMode ? (
+            {!isAIMode && selectedMode.nBack ? (
+              <NBackGame
+                gridSize={selectedMode.initialGridSize}
+                patternLength={selectedMode.initialPatternLength}
+                displayTime={selectedMode.patternDisplayTime}
+                nBack={selectedMode.nBack}
+                playerName={playerProfile.name}
+                gameMode={selectedMode.id}
+                highContrast={gameSettings.highContrastMode}
+                seed={gameSeed}
+                onGameComplete={handleGameComplete}
+                onScoreChange={handleScoreChange}
+              />
+            ) : !isAIMode ? (
               <GameController
                 initialGridSize={selectedMode.initialGridSize}
+                board={selectedMode.board || null}
                 initialPatternLength={selectedMode.initialPatternLength}
+                countdownSeconds={selectedMode.countdownSeconds}
                 patternDisplayTime={selectedMode.patternDisplayTime}
+                retentionTime={selectedMode.retentionTime}
+                inputTimeLimit={selectedMode.inputTimeLimit}
+                ordered={Boolean(selectedMode.ordered)}
+                partialCredit={Boolean(selectedMode.partialCredit)}
+                colors={selectedMode.colors || 0}
+                distractors={selectedMode.distractors || 0}
+                transforms={selectedMode.transforms || null}
+                maxLevel={selectedMode.maxLevel || null}
                 onGameComplete={handleGameComplete}
                 onScoreChange={handleScoreChange}
                 playerName={playerProfile.name}
@@ -330,6 +538,14 @@ function App() {
                 lives={selectedMode.lives}
                 gameMode={selectedMode.id}
                 highContrast={gameSettings.highContrastMode}
+                seed={dailyRun ? getDailySeed(dailyRun.date) : gameSeed}
+                savedProgress={continuedGame}
+                modeSignature={getModeSignature(getGameModeById(selectedMode.id) || selectedMode)}
+                progressionTable={progressionTable}
+                difficulty={difficulty}
+                saveResults={!dailyRun || dailyRun.scored}
+                dailyDate={dailyRun && dailyRun.scored ? dailyRun.date : null}
+                staircase={selectedMode.staircase || null}
               />
             ) : isFeatureEnabled('AI_FRAMEWORK_ENABLED') ? (
               <AIGameController
@@ -343,6 +559,7 @@ function App() {
                 rounds={aiGameConfig.rounds}
                 highContrast={gameSettings.highContrastMode}
                 soundEnabled={gameSettings.soundEffectsEnabled}
+                seed={gameSeed}
               />
             ) : (
               <div className="feature-disabled">
@@ -352,6 +569,14 @@ function App() {
               </div>
             )}
 
+            {stageStars !== null && (
+              <p className="stage-result" role="status">
+                {stageStars > 0
+                  ? `Stage cleared: ${stageStars} of ${MAX_STAGE_STARS} stars`
+                  : `Stage not cleared. ${describeStageGoal(selectedMode.stage)} to earn a star.`}
+              </p>
+            )}
+
             <button
               className="reset-button"
               onClick={handleBackToMenu}
@@ -387,11 +612,23 @@ function App() {
       <Leaderboard
         isOpen={showLeaderboard}
         onClose={() => setShowLeaderboard(false)}
+        onWatchReplay={(replay) => {
+          setShowLeaderboard(false);
+          setReplayToWatch(replay);
+        }}
       />
 
+      {replayToWatch && (
+        <Replay
+          replay={replayToWatch}
+          onClose={() => setReplayToWatch(null)}
+          highContrast={gameSettings.highContrastMode}
+        />
+      )}
+
       <Settings
         isOpen={showSettings}
-        onClose={() => setShowSettings(false)}
+        onClose={handleSettingsClose}
       />
 
       {/* Performance Monitor */}
@@ -1,23 +1,53 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 import Grid from './Grid';
 import AIInsights from './AIInsights';
-import { generatePattern } from '../utils/patternGenerator';
+import { useGameEngine, useGameEngineEvent } from '../hooks/useGameEngine';
+import { GAME_STATES, GAME_EVENTS, getPatternTypeForLevel } from '../utils/gameEngine';
 import { AIPlayer, AI_DIFFICULTY, AI_PERSONALITY } from '../utils/aiPlayer';
-import {
-  calculateScore,
-  calculateTimeBonus,
-  calculateComboMultiplier
-} from '../utils/scoreManager';
+import { createRandom } from '../utils/random';
+import { scoreRound, describeScoreBreakdown } from '../utils/scoreManager';
+import { describeBoard, getEquivalentGridSize } from '../utils/board';
 import { saveHighScore } from '../utils/storage';
 import { playSound } from '../utils/audioManager';
 import { createParticleEffect } from '../utils/visualEffects';
 import '../styles/AIGameController.css';
 
+/**
+ * Round progression for AI vs. Player mode: patterns grow every second round
+ * and the display time shrinks every third round
+ * @param {number} level - Current level (unused, rounds drive difficulty here)
+ * @param {Object} state - Engine state for the round about to start
+ * @returns {Object} - Round parameters
+ */
+const aiRoundProgression = (level, { round, board, patternLength, displayTime }) => {
+  const finishedRound = round - 1;
+
+  return {
+    patternLength: finishedRound % 2 === 0 && patternLength < board.tiles.length * 0.75
+      ? patternLength + 1
+      : patternLength,
+    displayTime: finishedRound % 3 === 0 ? Math.max(displayTime - 100, 500) : displayTime,
+    patternType: getPatternTypeForLevel(round)
+  };
+};
+
+/**
+ * Create empty player stats
+ * @returns {Object} - Player stats
+ */
+const createPlayerStats = () => ({
+  averageResponseTime: 0,
+  totalPatterns: 0,
+  correctPatterns: 0,
+  successRate: 0
+});
+
 /**
  * AIGameController component for AI vs. Player mode
  * @param {Object} props - Component props
  * @param {number} props.initialGridSize - Initial grid size
+ * @param {Object} props.board - Board spec, e.g. { rows: 3, cols: 5 } or { layout: 'ring' } (null for a square grid)
  * @param {number} props.initialPatternLength - Initial pattern length
  * @param {number} props.patternDisplayTime - Pattern display time in ms
  * @param {Function} props.onGameComplete - Callback when game is completed
@@ -27,9 +57,11 @@ import '../styles/AIGameController.css';
  * @param {number} props.rounds - Number of rounds to play
  * @param {boolean} props.highContrast - Whether to use high contrast mode
  * @param {boolean} props.soundEnabled - Whether sound is enabled
+ * @param {number} props.seed - Seed for reproducible patterns and AI play (null for a new seed each game)
  */
 const AIGameController = ({
   initialGridSize = 3,
+  board = null,
   initialPatternLength = 3,
   patternDisplayTime = 1000,
   onGameComplete = () => {},
@@ -38,252 +70,191 @@ const AIGameController = ({
   aiPersonality = AI_PERSONALITY.BALANCED,
   rounds = 5,
   highContrast = false,
-  soundEnabled = true
+  soundEnabled = true,
+  seed = null
 }) => {
-  // Game configuration
-  const [gridSize, setGridSize] = useState(initialGridSize);
-  const [patternLength, setPatternLength] = useState(initialPatternLength);
-  const [displayTime, setDisplayTime] = useState(patternDisplayTime);
-
-  // Game state
-  const [gameState, setGameState] = useState('idle'); // idle, countdown, pattern, playerTurn, aiTurn, roundResult, gameOver
-  const [currentPattern, setCurrentPattern] = useState([]);
-  const [playerSelections, setPlayerSelections] = useState([]);
+  // Player rounds, timers and scoring live in the engine; the AI turn runs between rounds
+  const [game, engine] = useGameEngine({
+    gridSize: initialGridSize,
+    board,
+    patternLength: initialPatternLength,
+    displayTime: patternDisplayTime,
+    lives: Infinity,
+    maxRounds: rounds,
+    autoAdvance: false,
+    retryOnFailure: false,
+    applyPenalty: false,
+    submitOnPatternLength: true,
+    progression: aiRoundProgression,
+    seed
+  });
+
+  const {
+    gridSize,
+    board: gameBoard,
+    patternLength,
+    pattern: currentPattern,
+    selections: playerSelections,
+    score: playerScore,
+    round: currentRound,
+    countdown,
+    comboMultiplier: playerCombo,
+    timeBonus: playerTimeBonus
+  } = game;
+
+  // AI turn state
+  const [aiPhase, setAiPhase] = useState(null); // null, aiTurn, roundResult
   const [aiSelections, setAiSelections] = useState([]);
-  const [playerScore, setPlayerScore] = useState(0);
   const [aiScore, setAiScore] = useState(0);
-  const [currentRound, setCurrentRound] = useState(1);
-  const [countdown, setCountdown] = useState(3);
-  const [playerTimeBonus, setPlayerTimeBonus] = useState(0);
-  const [playerCombo, setPlayerCombo] = useState(1);
   const [aiCombo, setAiCombo] = useState(1);
-  const [playerConsecutiveCorrect, setPlayerConsecutiveCorrect] = useState(0);
   const [roundWinner, setRoundWinner] = useState(null); // 'player', 'ai', 'tie'
   const [turnMessage, setTurnMessage] = useState('');
   const [showInsights, setShowInsights] = useState(false);
   const [playerResponseTime, setPlayerResponseTime] = useState(0);
   const [aiResponseTime, setAiResponseTime] = useState(0);
-  const [playerStats, setPlayerStats] = useState({
-    averageResponseTime: 0,
-    totalPatterns: 0,
-    correctPatterns: 0,
-    successRate: 0
-  });
+
+  // Player stats fed to the adaptive AI
+  const playerStatsRef = useRef(createPlayerStats());
 
   // AI player
   const aiPlayerRef = useRef(new AIPlayer(aiDifficulty, aiPersonality));
 
-  // Refs for timing
-  const patternStartTime = useRef(null);
-  const playerInputStartTime = useRef(null);
-
-  // Generate a new pattern
-  const generateNewPattern = useCallback(() => {
-    // Use different pattern types as rounds progress
-    const patternType = currentRound < 3 ? 'random' :
-                        currentRound < 6 ? 'sequential' : 'shape';
+  // Player's result for the current round, read when the AI turn is evaluated
+  const playerCorrectRef = useRef(false);
 
-    const pattern = generatePattern(gridSize, patternLength, patternType);
-    setCurrentPattern(pattern);
-  }, [gridSize, patternLength, currentRound]);
+  // Map engine and AI turn state onto the screens of this mode
+  const gameState = game.gameState === GAME_STATES.IDLE ? 'idle' :
+                    game.gameState === GAME_STATES.GAMEOVER ? 'gameOver' :
+                    aiPhase ? aiPhase :
+                    game.gameState === GAME_STATES.COUNTDOWN ? 'countdown' :
+                    game.gameState === GAME_STATES.PATTERN ? 'pattern' : 'playerTurn';
 
   // Start a new game
-  const startGame = useCallback(() => {
-    // Reset game state
-    setGameState('countdown');
-    setCountdown(3);
-    setPlayerSelections([]);
+  const startGame = () => {
+    setAiPhase(null);
     setAiSelections([]);
-    setPlayerScore(0);
     setAiScore(0);
-    setCurrentRound(1);
-    setPlayerTimeBonus(0);
-    setPlayerCombo(1);
     setAiCombo(1);
-    setPlayerConsecutiveCorrect(0);
     setRoundWinner(null);
     setPlayerResponseTime(0);
     setAiResponseTime(0);
-    setPlayerStats({
-      averageResponseTime: 0,
-      totalPatterns: 0,
-      correctPatterns: 0,
-      successRate: 0
-    });
-
-    // Reset AI player
-    aiPlayerRef.current = new AIPlayer(aiDifficulty, aiPersonality);
+    playerStatsRef.current = createPlayerStats();
 
     // Play sound
     if (soundEnabled) {
       playSound('level_up');
     }
 
-    // Generate first pattern
-    generateNewPattern();
-  }, [generateNewPattern, aiDifficulty, aiPersonality, soundEnabled]);
+    engine.start();
 
-  // Start a new round
-  const startNextRound = useCallback(() => {
-    setGameState('countdown');
-    setCountdown(3);
-    setPlayerSelections([]);
+    // Reset AI player with its own stream derived from the game seed
+    aiPlayerRef.current = new AIPlayer(aiDifficulty, aiPersonality, {
+      random: createRandom(`${engine.getState().seed}:ai`)
+    });
+  };
+
+  // Reset the round display when a new round starts
+  useGameEngineEvent(engine, GAME_EVENTS.ROUND_START, () => {
     setAiSelections([]);
     setRoundWinner(null);
+    setTurnMessage('Memorize the pattern!');
+  });
 
-    // Increase difficulty slightly for each round
-    if (currentRound % 2 === 0 && patternLength < gridSize * gridSize * 0.75) {
-      setPatternLength(prev => prev + 1);
-    }
+  useGameEngineEvent(engine, GAME_EVENTS.INPUT_START, () => {
+    setTurnMessage(`${playerName}'s turn - Reproduce the pattern`);
+  });
 
-    if (currentRound % 3 === 0 && displayTime > 500) {
-      setDisplayTime(prev => Math.max(prev - 100, 500));
-    }
+  // Handle the player's result and hand over to the AI
+  const handlePlayerResult = (round, isCorrect) => {
+    const { responseTime, pattern, selections } = round;
+    setPlayerResponseTime(responseTime);
+    playerCorrectRef.current = isCorrect;
+
+    // Update player stats
+    const prev = playerStatsRef.current;
+    const totalPatterns = prev.totalPatterns + 1;
+    const correctPatterns = isCorrect ? prev.correctPatterns + 1 : prev.correctPatterns;
+    const totalResponseTime = prev.averageResponseTime * prev.totalPatterns + responseTime;
+
+    playerStatsRef.current = {
+      totalPatterns,
+      correctPatterns,
+      averageResponseTime: totalResponseTime / totalPatterns,
+      successRate: correctPatterns / totalPatterns
+    };
 
-    generateNewPattern();
-  }, [currentRound, generateNewPattern, gridSize, patternLength, displayTime]);
+    if (isCorrect) {
+      // Play success sound
+      if (soundEnabled) {
+        playSound('correct');
+      }
 
-  // Handle countdown before showing pattern
-  useEffect(() => {
-    if (gameState === 'countdown' && countdown > 0) {
-      const timer = setTimeout(() => {
-        setCountdown(countdown - 1);
-      }, 1000);
+      // Create particle effect
+      const gridElement = document.querySelector('.grid-container');
+      if (gridElement) {
+        const rect = gridElement.getBoundingClientRect();
+        createParticleEffect(
+          rect.left + rect.width / 2,
+          rect.top + rect.height / 2,
+          { color: '#4caf50', count: 30, duration: 1000 }
+        );
+      }
 
-      return () => clearTimeout(timer);
-    } else if (gameState === 'countdown' && countdown === 0) {
-      setGameState('pattern');
-      patternStartTime.current = Date.now();
-      setTurnMessage('Memorize the pattern!');
+      setTurnMessage(`Correct! ${describeScoreBreakdown(round.breakdown)} points`);
+    } else {
+      // Play failure sound
+      if (soundEnabled) {
+        playSound('incorrect');
+      }
+
+      setTurnMessage('Incorrect pattern!');
     }
-  }, [gameState, countdown]);
 
-  // Handle pattern display
-  useEffect(() => {
-    if (gameState === 'pattern') {
-      const timer = setTimeout(() => {
-        setGameState('playerTurn');
-        playerInputStartTime.current = Date.now();
-        setTurnMessage(`${playerName}'s turn - Reproduce the pattern`);
-      }, displayTime);
+    // Record player's result for AI learning with metadata
+    aiPlayerRef.current.recordResult(isCorrect, pattern, selections, {
+      gridSize: round.gridSize,
+      responseTime,
+      level: round.round,
+      grade: round.grade,
+      shape: round.shape
+    });
 
-      return () => clearTimeout(timer);
-    }
-  }, [gameState, displayTime, playerName]);
+    // After a short delay, switch to AI's turn
+    setTimeout(() => {
+      setAiPhase('aiTurn');
+      setTurnMessage(`AI's turn - Watching AI reproduce the pattern`);
+
+      // AI attempts to memorize the pattern with player's response time
+      const aiAttempt = aiPlayerRef.current.memorizePattern(
+        pattern,
+        round.gridSize,
+        round.round,
+        responseTime,
+        round.board
+      );
+
+      // Show AI's attempt gradually
+      showAIAttempt(aiAttempt, round);
+    }, 1500);
+  };
+
+  useGameEngineEvent(engine, GAME_EVENTS.ROUND_SUCCESS, round => handlePlayerResult(round, true));
+  useGameEngineEvent(engine, GAME_EVENTS.ROUND_FAILURE, round => handlePlayerResult(round, false));
 
   // Handle player tile click
   const handlePlayerTileClick = (index, selections) => {
-    if (gameState !== 'playerTurn') return;
+    if (game.gameState !== GAME_STATES.INPUT) return;
 
     // Play sound effect
     if (soundEnabled) {
       playSound('tile_select');
     }
 
-    setPlayerSelections(selections);
-
-    // Check if the player has selected the correct number of tiles
-    if (selections.length === currentPattern.length) {
-      // Compare selections with the pattern
-      const isCorrect = currentPattern.every(patternIndex =>
-        selections.includes(patternIndex)
-      ) && selections.every(selectionIndex =>
-        currentPattern.includes(selectionIndex)
-      );
-
-      // Calculate response time and time bonus
-      const responseTime = Date.now() - playerInputStartTime.current;
-      setPlayerResponseTime(responseTime);
-
-      const maxResponseTime = displayTime * 3; // Allow 3x the display time for response
-      const timeBonus = calculateTimeBonus(responseTime, maxResponseTime);
-      setPlayerTimeBonus(timeBonus);
-
-      // Update player stats
-      setPlayerStats(prev => {
-        const totalPatterns = prev.totalPatterns + 1;
-        const correctPatterns = isCorrect ? prev.correctPatterns + 1 : prev.correctPatterns;
-        const totalResponseTime = prev.averageResponseTime * prev.totalPatterns + responseTime;
-        const averageResponseTime = totalResponseTime / totalPatterns;
-
-        return {
-          totalPatterns,
-          correctPatterns,
-          averageResponseTime,
-          successRate: correctPatterns / totalPatterns
-        };
-      });
-
-      // Update consecutive correct count and combo multiplier
-      let newConsecutiveCorrect = playerConsecutiveCorrect;
-      let newCombo = playerCombo;
-
-      if (isCorrect) {
-        // Play success sound
-        if (soundEnabled) {
-          playSound('correct');
-        }
-
-        // Create particle effect
-        const gridElement = document.querySelector('.grid-container');
-        if (gridElement) {
-          const rect = gridElement.getBoundingClientRect();
-          createParticleEffect(
-            rect.left + rect.width / 2,
-            rect.top + rect.height / 2,
-            { color: '#4caf50', count: 30, duration: 1000 }
-          );
-        }
-
-        newConsecutiveCorrect = playerConsecutiveCorrect + 1;
-        setPlayerConsecutiveCorrect(newConsecutiveCorrect);
-        newCombo = calculateComboMultiplier(newConsecutiveCorrect);
-        setPlayerCombo(newCombo);
-
-        // Calculate score
-        const roundScore = calculateScore(gridSize, patternLength, timeBonus, newCombo);
-        setPlayerScore(prev => prev + roundScore);
-
-        setTurnMessage(`Correct! +${roundScore} points`);
-      } else {
-        // Play failure sound
-        if (soundEnabled) {
-          playSound('incorrect');
-        }
-
-        setPlayerConsecutiveCorrect(0);
-        setPlayerCombo(1);
-        setTurnMessage('Incorrect pattern!');
-      }
-
-      // Record player's result for AI learning with metadata
-      aiPlayerRef.current.recordResult(isCorrect, currentPattern, selections, {
-        gridSize,
-        responseTime,
-        level: currentRound
-      });
-
-      // After a short delay, switch to AI's turn
-      setTimeout(() => {
-        setGameState('aiTurn');
-        setTurnMessage(`AI's turn - Watching AI reproduce the pattern`);
-
-        // AI attempts to memorize the pattern with player's response time
-        const aiAttempt = aiPlayerRef.current.memorizePattern(
-          currentPattern,
-          gridSize,
-          currentRound,
-          responseTime
-        );
-
-        // Show AI's attempt gradually
-        showAIAttempt(aiAttempt);
-      }, 1500);
-    }
+    engine.selectTiles(selections);
   };
 
   // Show AI's attempt with a delay between each tile
-  const showAIAttempt = (attempt) => {
+  const showAIAttempt = (attempt, round) => {
     setAiSelections([]);
 
     // Show each tile with a delay
@@ -293,42 +264,46 @@ const AIGameController = ({
 
         // After showing all tiles, evaluate AI's performance
         if (index === attempt.length - 1) {
-          setTimeout(() => evaluateAIAttempt(attempt), 1000);
+          setTimeout(() => evaluateAIAttempt(attempt, round), 1000);
         }
       }, index * 500); // 500ms delay between each tile
     });
   };
 
   // Evaluate AI's attempt and update scores
-  const evaluateAIAttempt = (attempt) => {
+  const evaluateAIAttempt = (attempt, round) => {
+    const { pattern } = round;
+
     // Calculate AI response time (simulated)
-    const aiResponseTime = Math.random() * 1000 + 500; // Between 500-1500ms
+    const aiResponseTime = aiPlayerRef.current.random() * 1000 + 500; // Between 500-1500ms
     setAiResponseTime(aiResponseTime);
 
     // Compare AI's attempt with the pattern
-    const isCorrect = currentPattern.every(patternIndex =>
+    const isCorrect = pattern.every(patternIndex =>
       attempt.includes(patternIndex)
     ) && attempt.every(selectionIndex =>
-      currentPattern.includes(selectionIndex)
+      pattern.includes(selectionIndex)
     );
 
-    // Update AI's combo
-    let newAiCombo = aiCombo;
-
     if (isCorrect) {
       // Play success sound
       if (soundEnabled) {
         playSound('correct');
       }
 
-      newAiCombo = calculateComboMultiplier(aiPlayerRef.current.consecutiveCorrect);
-      setAiCombo(newAiCombo);
-
-      // Calculate AI score
-      const aiRoundScore = calculateScore(gridSize, patternLength, 0.5, newAiCombo);
-      setAiScore(prev => prev + aiRoundScore);
+      // Score the AI with the same rules as the player
+      const { displayTime } = engine.getState();
+      const breakdown = scoreRound(engine.config.scoring, {
+        gridSize: getEquivalentGridSize(round.board),
+        patternLength: round.patternLength,
+        responseTime: aiResponseTime,
+        maxTime: displayTime * 3,
+        consecutiveCorrect: aiPlayerRef.current.consecutiveCorrect
+      });
+      setAiCombo(breakdown.comboMultiplier);
+      setAiScore(prev => prev + breakdown.total);
 
-      setTurnMessage(`AI got it right! +${aiRoundScore} points`);
+      setTurnMessage(`AI got it right! ${describeScoreBreakdown(breakdown)} points`);
     } else {
       // Play failure sound
       if (soundEnabled) {
@@ -340,16 +315,16 @@ const AIGameController = ({
     }
 
     // Adjust AI difficulty based on player performance
+    const playerStats = playerStatsRef.current;
     aiPlayerRef.current.adjustDifficulty(playerStats.successRate, {
       averageResponseTime: playerStats.averageResponseTime,
-      level: currentRound,
-      consecutiveCorrect: playerConsecutiveCorrect
+      level: round.round,
+      consecutiveCorrect: engine.getState().consecutiveCorrect
     });
 
     // Determine round winner
     let winner = null;
-    const playerCorrect = playerSelections.every(tile => currentPattern.includes(tile)) &&
-                         playerSelections.length === currentPattern.length;
+    const playerCorrect = playerCorrectRef.current;
 
     if (playerCorrect && isCorrect) {
       winner = 'tie';
@@ -363,40 +338,34 @@ const AIGameController = ({
 
     // After a short delay, show round result
     setTimeout(() => {
-      setGameState('roundResult');
+      setAiPhase('roundResult');
     }, 1500);
   };
 
-  // Handle round completion
+  // Handle round completion: the engine ends the game after the final round
   useEffect(() => {
-    if (gameState === 'roundResult') {
-      // Check if this was the final round
-      if (currentRound >= rounds) {
-        // Game over, determine winner
-        setTimeout(() => {
-          setGameState('gameOver');
-
-          // Save high score
-          saveHighScore({
-            score: playerScore,
-            playerName,
-            level: currentRound,
-            gridSize,
-            gameMode: 'ai_vs_player'
-          });
-
-          // Notify parent component
-          onGameComplete(playerScore, aiScore);
-        }, 2000);
-      } else {
-        // Start next round after a delay
-        setTimeout(() => {
-          setCurrentRound(prev => prev + 1);
-          startNextRound();
-        }, 2000);
-      }
+    if (aiPhase === 'roundResult') {
+      const timer = setTimeout(() => {
+        setAiPhase(null);
+        engine.nextRound();
+      }, 2000);
+
+      return () => clearTimeout(timer);
     }
-  }, [gameState, currentRound, rounds, startNextRound, playerScore, aiScore, playerName, gridSize, onGameComplete]);
+  }, [aiPhase, engine]);
+
+  // Save high score and notify parent when the game ends
+  useGameEngineEvent(engine, GAME_EVENTS.GAME_OVER, (result) => {
+    saveHighScore({
+      score: result.score,
+      playerName,
+      level: result.round,
+      gridSize: result.gridSize,
+      gameMode: 'ai_vs_player'
+    });
+
+    onGameComplete(result.score, aiScore);
+  });
 
   // Format score with commas
   const formatScore = (score) => {
@@ -412,7 +381,7 @@ const AIGameController = ({
             <h2>AI vs. Player Mode</h2>
             <p>Compete against an AI opponent in a memory challenge!</p>
             <div className="game-info">
-              <p>Grid Size: {gridSize}x{gridSize}</p>
+              <p>Board: {describeBoard(gameBoard)}</p>
               <p>Pattern Length: {patternLength}</p>
               <p>Rounds: {rounds}</p>
               <p>AI Difficulty: {aiDifficulty}</p>
@@ -467,10 +436,11 @@ const AIGameController = ({
             <div className="grid-container">
               <Grid
                 size={gridSize}
+                board={gameBoard}
                 activePattern={currentPattern}
                 showPattern={gameState === 'pattern' || gameState === 'aiTurn'}
                 onTileClick={handlePlayerTileClick}
-                disabled={gameState !== 'playerTurn'}
+                disabled={game.gameState !== GAME_STATES.INPUT}
                 highContrast={highContrast}
               />
 
@@ -581,6 +551,8 @@ const AIGameController = ({
               )}
             </div>
 
+            <p className="final-seed">Seed: {game.seed}</p>
+
             <div className="ai-stats">
               <h3>AI Performance</h3>
               <p>Accuracy: {Math.round(aiPlayerRef.current.memoryAccuracy * 100)}%</p>
@@ -628,6 +600,7 @@ const AIGameController = ({
 
 AIGameController.propTypes = {
   initialGridSize: PropTypes.number,
+  board: PropTypes.object,
   initialPatternLength: PropTypes.number,
   patternDisplayTime: PropTypes.number,
   onGameComplete: PropTypes.func,
@@ -636,7 +609,8 @@ AIGameController.propTypes = {
   aiPersonality: PropTypes.string,
   rounds: PropTypes.number,
   highContrast: PropTypes.bool,
-  soundEnabled: PropTypes.bool
+  soundEnabled: PropTypes.bool,
+  seed: PropTypes.number
 };
 
 export default AIGameController;
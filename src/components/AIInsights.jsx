@@ -153,6 +153,29 @@ const AIInsights = ({ aiPlayer, isOpen, onClose }) => {
               </div>
             ))}
           </div>
+
+          {Object.keys(insights.playerPerformance.byShape).length > 0 && (
+            <>
+              <h4>Shape Performance</h4>
+              <div className="performance-grid">
+                {Object.entries(insights.playerPerformance.byShape).map(([shapeId, data]) => (
+                  <div key={shapeId} className="performance-item">
+                    <div className="performance-label">{data.name}</div>
+                    <div className="performance-bar">
+                      <div
+                        className="performance-fill"
+                        style={{
+                          width: `${data.rate * 100}%`,
+                          backgroundColor: getPerformanceColor(data.rate)
+                        }}
+                      ></div>
+                    </div>
+                    <div className="performance-value">{formatPercent(data.rate)}</div>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
         </div>
         
         <div className="insight-card">
@@ -0,0 +1,87 @@
+import PropTypes from 'prop-types';
+import {
+  CAMPAIGN_WORLDS,
+  MAX_STAGE_STARS,
+  getCampaignStages,
+  describeStageGoal,
+  isStageUnlocked,
+  getTotalStars
+} from '../utils/campaign';
+import { getCampaignProgress } from '../utils/storage';
+import '../styles/Campaign.css';
+
+/**
+ * Show stars earned out of the most a stage can give
+ * @param {number} stars - Stars earned
+ * @returns {JSX.Element} - Filled and empty stars
+ */
+const renderStars = (stars) => (
+  <span className="stage-stars" aria-label={`${stars} of ${MAX_STAGE_STARS} stars`}>
+    {'★'.repeat(stars)}{'☆'.repeat(MAX_STAGE_STARS - stars)}
+  </span>
+);
+
+/**
+ * Stage-select screen of the campaign, with the stars the player earned on
+ * each stage. Locked stages can't be picked until the stage before them has a star.
+ * @param {Object} props - Component props
+ * @param {string} props.playerName - Player whose campaign progress is shown
+ * @param {Function} props.onPlayStage - Callback with the stage picked to play
+ */
+const Campaign = ({ playerName, onPlayStage }) => {
+  // Read on every render, so stars earned in the last game show right away
+  const progress = getCampaignProgress(playerName);
+  const stages = getCampaignStages();
+
+  return (
+    <div className="campaign">
+      <h2>Campaign</h2>
+      <p className="campaign-total">
+        {playerName}: {getTotalStars(progress)} of {stages.length * MAX_STAGE_STARS} stars
+      </p>
+
+      {CAMPAIGN_WORLDS.map((world, worldIndex) => (
+        <section key={world.id} className="campaign-world">
+          <h3>World {worldIndex + 1}: {world.name}</h3>
+
+          <div className="campaign-stages">
+            {world.stages.map(({ id }) => {
+              const stage = stages.find(candidate => candidate.id === id);
+              const unlocked = isStageUnlocked(id, progress);
+              const stageProgress = progress[id];
+
+              return (
+                <button
+                  key={id}
+                  className={`campaign-stage ${unlocked ? '' : 'locked'}`}
+                  onClick={() => onPlayStage(stage)}
+                  disabled={!unlocked}
+                >
+                  <span className="stage-name">{id} {stage.name}</span>
+                  <span className="stage-goal">{describeStageGoal(stage)}</span>
+                  {unlocked ? (
+                    <>
+                      {renderStars(stageProgress ? stageProgress.stars : 0)}
+                      {stageProgress && stageProgress.bestScore > 0 && (
+                        <span className="stage-best">Best: {stageProgress.bestScore}</span>
+                      )}
+                    </>
+                  ) : (
+                    <span className="stage-locked">🔒 Locked</span>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+Campaign.propTypes = {
+  playerName: PropTypes.string.isRequired,
+  onPlayStage: PropTypes.func.isRequired
+};
+
+export default Campaign;
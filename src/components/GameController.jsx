@@ -1,18 +1,27 @@
-import React, { useState, useEffect, useCallback, useRef, Suspense } from 'react';
+import React, { useState, useEffect, useRef, Suspense } from 'react';
 import PropTypes from 'prop-types';
 import Grid from './Grid';
-import { generatePattern } from '../utils/patternGenerator';
+import Replay from './Replay';
+import { useGameEngine, useGameEngineEvent } from '../hooks/useGameEngine';
+import { GAME_EVENTS, ACHIEVEMENTS, defaultProgression } from '../utils/gameEngine';
+import { saveHighScore, saveGameProgress, clearGameProgress, saveReplay, saveDailyResult } from '../utils/storage';
+import { createReplayRecorder } from '../utils/replay';
+import { getScoringRules, describeScoreBreakdown } from '../utils/scoreManager';
+import { getProgressionRow, createTableProgression } from '../utils/progression';
 import {
-  calculateComboMultiplier,
-  calculatePenalty,
-  calculateGridSize,
-  calculatePatternLength,
-  calculatePatternDisplayTime
-} from '../utils/scoreManager';
-import { saveHighScore, saveGameProgress } from '../utils/storage';
+  createStaircases,
+  getStaircaseRound,
+  getStaircaseRoundCount,
+  recordStaircaseResult,
+  getSpanEstimates
+} from '../utils/staircase';
+import { describeShape } from '../utils/shapes';
+import { describeTransform } from '../utils/patternGenerator';
+import { describeBoard } from '../utils/board';
 import { isFeatureEnabled } from '../utils/featureFlags';
 import { playSound } from '../utils/audioManager';
 import { createParticleEffect } from '../utils/visualEffects';
+import { onVisibilityChange, offVisibilityChange } from '../utils/performanceOptimizer';
 import '../styles/GameController.css';
 
 // Lazy load the ModelTraining component
@@ -45,244 +54,211 @@ const addTrainingData = (data) => {
  * GameController component that manages the game state and logic
  * @param {Object} props - Component props
  * @param {number} props.initialGridSize - Initial grid size (e.g., 3 for a 3x3 grid)
+ * @param {Object} props.board - Board spec for every level, e.g. { rows: 3, cols: 5 } or { layout: 'ring' } (null for square grids)
  * @param {number} props.initialPatternLength - Initial number of tiles in the pattern
- * @param {number} props.patternDisplayTime - Time in ms to display the pattern
- * @param {Function} props.onGameComplete - Callback when game is completed
+ * @param {number} props.countdownSeconds - Get-ready countdown before each pattern in seconds
+ * @param {number} props.patternDisplayTime - Time in ms the pattern flashes at level 1
+ * @param {number} props.retentionTime - Blank interval in ms between the flash and the input at level 1
+ * @param {number} props.inputTimeLimit - Time in ms to reproduce the pattern at level 1 (null for no limit)
+ * @param {boolean} props.ordered - Whether tiles light up one by one and must be repeated in order
+ * @param {boolean} props.partialCredit - Whether a failed pattern earns points for its correct tiles
+ * @param {number} props.colors - Number of tile colors in a pattern (0 for plain on/off tiles)
+ * @param {number} props.distractors - Decoy tiles flashed with each pattern, which the player must ignore
+ * @param {Array} props.transforms - Rotations and mirrors the pattern must be entered under, one per round (null to enter it as shown)
+ * @param {number} props.maxLevel - Last level, after which the game is complete (null for no limit)
+ * @param {Function} props.onGameComplete - Callback with the final score and the game over result when the game ends
  * @param {Function} props.onScoreChange - Callback when score changes
  * @param {string} props.playerName - Player name for high score
  * @param {number} props.timeLimit - Time limit in ms (null for no limit)
  * @param {number} props.lives - Number of lives (Infinity for unlimited)
  * @param {string} props.gameMode - Current game mode
  * @param {boolean} props.highContrast - Whether to use high contrast mode
+ * @param {number} props.seed - Seed for reproducible patterns (null for a new seed each game)
+ * @param {Object} props.savedProgress - Saved game to continue right away (from getGameProgress)
+ * @param {string} props.modeSignature - Signature of the game mode rules, stored with saved games
+ * @param {Array} props.progressionTable - Level rows to advance through (null for the formula progression)
+ * @param {string} props.difficulty - Difficulty preset of the progression table, stored with saved games
+ * @param {boolean} props.saveResults - Whether to save progress, high scores and replays (off for playtests)
+ * @param {string} props.dailyDate - Date of the daily challenge being scored (null for other games); its
+ *   result goes to the daily results instead of the high scores, and it can't be continued later
+ * @param {Object} props.staircase - Staircase settings (see utils/staircase.js) that set the board size and
+ *   pattern length of every round, for a fixed number of rounds (null for the progression). Failed
+ *   patterns aren't retried or penalized, the game can't be continued later, and the span estimates are
+ *   passed to onGameComplete with the result as spanEstimates.
  */
 const GameController = ({
   initialGridSize = 3,
+  board = null,
   initialPatternLength = 3,
+  countdownSeconds = 3,
   patternDisplayTime = 1000,
+  retentionTime = 0,
+  inputTimeLimit = 5000,
+  ordered = false,
+  partialCredit = false,
+  colors = 0,
+  distractors = 0,
+  transforms = null,
+  maxLevel = null,
   onGameComplete = () => {},
   onScoreChange = () => {},
   playerName = 'Player',
   timeLimit = null,
   lives = 3,
   gameMode = 'standard',
-  highContrast = false
+  highContrast = false,
+  seed = null,
+  savedProgress = null,
+  modeSignature = '',
+  progressionTable = null,
+  difficulty = 'normal',
+  saveResults = true,
+  dailyDate = null,
+  staircase = null
 }) => {
-  // Game configuration
-  const [gridSize, setGridSize] = useState(initialGridSize);
-  const [patternLength, setPatternLength] = useState(initialPatternLength);
-  const [displayTime, setDisplayTime] = useState(patternDisplayTime);
-
-  // Game state
-  const [gameState, setGameState] = useState('idle'); // idle, countdown, pattern, input, success, failure, gameover
-  const [currentPattern, setCurrentPattern] = useState([]);
-  const [playerSelections, setPlayerSelections] = useState([]);
-  const [score, setScore] = useState(0);
-  const [level, setLevel] = useState(1);
-  const [countdown, setCountdown] = useState(3);
-  const [remainingLives, setRemainingLives] = useState(lives);
-  const [consecutiveCorrect, setConsecutiveCorrect] = useState(0);
-  const [comboMultiplier, setComboMultiplier] = useState(1);
-  const [timeBonus, setTimeBonus] = useState(0);
-  const [remainingTime, setRemainingTime] = useState(timeLimit);
-  const [achievements, setAchievements] = useState([]);
   const [showModelTraining, setShowModelTraining] = useState(false);
-  const [turnTimer, setTurnTimer] = useState(5); // 5-second timer for each turn
-
-  // Refs for timing
-  const patternStartTime = useRef(null);
-  const inputStartTime = useRef(null);
-  const gameTimer = useRef(null);
-
-  // Generate a new pattern
-  const generateNewPattern = useCallback(() => {
-    // Use the pattern type based on level
-    const patternType = level < 3 ? 'random' :
-                        level < 6 ? 'sequential' : 'shape';
-
-    const pattern = generatePattern(gridSize, patternLength, patternType);
-    setCurrentPattern(pattern);
-  }, [gridSize, patternLength, level]);
-
-  // Start a new game
-  const startGame = useCallback(() => {
-    setGameState('countdown');
-    setCountdown(3);
-    setPlayerSelections([]);
-    setRemainingLives(lives);
-    setScore(0);
-    setLevel(1);
-    setGridSize(initialGridSize);
-    setPatternLength(initialPatternLength);
-    setDisplayTime(patternDisplayTime);
-    setConsecutiveCorrect(0);
-    setComboMultiplier(1);
-    setTimeBonus(0);
-    setRemainingTime(timeLimit);
-    setAchievements([]);
-    generateNewPattern();
-
-    // Start game timer if there's a time limit
-    if (timeLimit) {
-      startGameTimer();
+  const [lastReplay, setLastReplay] = useState(null);
+  const [showReplay, setShowReplay] = useState(false);
+  const [gameOverReason, setGameOverReason] = useState(null);
+
+  // Recorder for the game in progress
+  const recorderRef = useRef(null);
+
+  // Staircases of a Zen game, by grid size
+  const staircasesRef = useRef(staircase ? createStaircases(staircase) : null);
+  const [spanEstimates, setSpanEstimates] = useState(null);
+
+  // A progression table sets the first level too, instead of the mode's initial settings
+  const firstLevel = progressionTable ? getProgressionRow(progressionTable, 1) : null;
+  // and so does a staircase
+  const firstRound = firstLevel || (staircase ? getStaircaseRound(staircasesRef.current, 1, staircase) : null);
+
+  // Pick the progression for rounds after the first
+  const getProgression = () => {
+    if (staircase) {
+      return (level, state) => getStaircaseRound(staircasesRef.current, state.round, staircase);
     }
-  }, [generateNewPattern, initialGridSize, initialPatternLength, patternDisplayTime, lives, timeLimit]);
-
-  // Start a new level
-  const startNextLevel = useCallback(() => {
-    setGameState('countdown');
-    setCountdown(3);
-    setPlayerSelections([]);
-    generateNewPattern();
-  }, [generateNewPattern]);
-
-  // Start game timer for time-limited modes
-  const startGameTimer = useCallback(() => {
-    if (gameTimer.current) {
-      clearInterval(gameTimer.current);
-    }
-
-    gameTimer.current = setInterval(() => {
-      setRemainingTime(prev => {
-        if (prev <= 1000) {
-          clearInterval(gameTimer.current);
-          handleTimeUp();
-          return 0;
-        }
-        return prev - 1000;
-      });
-    }, 1000);
-  }, []);
+    return progressionTable ? createTableProgression(progressionTable) : defaultProgression;
+  };
 
-  // Handle time up in time-limited modes
-  const handleTimeUp = () => {
-    setGameState('gameover');
-
-    // Save high score
-    saveHighScore({
-      score,
-      playerName,
-      level,
-      gridSize,
-      gameMode
-    });
+  // Game rules, timers and scoring live in the engine
+  const [game, engine] = useGameEngine({
+    gridSize: firstRound ? firstRound.gridSize : initialGridSize,
+    board: firstLevel && firstLevel.board ? firstLevel.board : board,
+    patternLength: firstRound ? firstRound.patternLength : initialPatternLength,
+    countdownSeconds,
+    displayTime: firstLevel ? firstLevel.displayTime : patternDisplayTime,
+    retentionTime: firstLevel && firstLevel.retentionTime !== undefined ? firstLevel.retentionTime : retentionTime,
+    inputTimeLimit: firstLevel ? firstLevel.inputTimeLimit : inputTimeLimit,
+    initialPatternType: firstLevel ? firstLevel.patternType : null,
+    initialPatternTiles: firstLevel && firstLevel.pattern ? firstLevel.pattern : null,
+    initialPatternConstraints: firstLevel && firstLevel.constraints ? firstLevel.constraints : null,
+    progression: getProgression(),
+    ordered,
+    partialCredit,
+    colors,
+    distractors,
+    transforms,
+    maxLevel,
+    maxRounds: staircase ? getStaircaseRoundCount(staircase) : null,
+    retryOnFailure: !staircase,
+    applyPenalty: !staircase,
+    timeLimit,
+    lives,
+    scoring: getScoringRules(gameMode),
+    seed
+  });
+
+  const {
+    gameState,
+    paused,
+    gridSize,
+    board: gameBoard,
+    patternLength,
+    pattern: currentPattern,
+    transform,
+    expectedPattern,
+    distractorTiles,
+    patternColors,
+    patternShape,
+    selections: playerSelections,
+    selectionColors,
+    score,
+    level,
+    countdown,
+    remainingLives,
+    comboMultiplier,
+    lastRoundScore,
+    lastScoreBreakdown,
+    lastGrade,
+    remainingTime,
+    achievements,
+    constraintError
+  } = game;
+  const turnTimer = Math.ceil((game.inputTimeRemaining || 0) / 1000);
+  const turnTimerTotal = Math.ceil((game.inputTimeLimit || 0) / 1000);
+  const turnFraction = game.inputTimeLimit ? game.inputTimeRemaining / game.inputTimeLimit : 0;
+
+  // In ordered patterns a tile is only right if it was picked at its own step,
+  // and in transformed patterns it is right if it is in the transformed pattern
+  const wrongSelections = playerSelections.filter((index, step) => {
+    return ordered ? expectedPattern[step] !== index : !expectedPattern.includes(index);
+  });
+
+  // Start a new game, or continue saved progress, and record it for the replay viewer
+  const startGame = (overrides = {}, progress = null) => {
+    if (recorderRef.current) {
+      recorderRef.current.stop();
+    }
+    recorderRef.current = createReplayRecorder(engine, { playerName, gameMode });
+    setLastReplay(null);
+    setShowReplay(false);
+    if (staircase) {
+      staircasesRef.current = createStaircases(staircase);
+      setSpanEstimates(null);
+    }
 
-    // Notify parent component
-    onGameComplete(score);
+    engine.start(overrides, progress);
   };
 
-  // Handle countdown with pattern display, then clear grid for input
+  // Continue the saved game chosen on the welcome screen
   useEffect(() => {
-    if (gameState === 'countdown' && countdown > 0) {
-      // Generate pattern immediately when countdown starts
-      if (countdown === 3 && currentPattern.length === 0) {
-        generateNewPattern();
-      }
-
-      const timer = setTimeout(() => {
-        setCountdown(countdown - 1);
-      }, 1000);
-
-      return () => clearTimeout(timer);
-    } else if (gameState === 'countdown' && countdown === 0) {
-      // Move to input phase and clear the grid (hide pattern)
-      setGameState('input');
-      setTurnTimer(5); // Reset turn timer to 5 seconds
-      setPlayerSelections([]); // Clear any previous selections
-      inputStartTime.current = Date.now();
-      patternStartTime.current = Date.now();
-
-      // Start turn timer countdown
-      const turnTimerInterval = setInterval(() => {
-        setTurnTimer(prevTime => {
-          if (prevTime <= 1) {
-            clearInterval(turnTimerInterval);
-            // Time's up - handle as failure
-            handleFailure();
-            return 0;
-          }
-          return prevTime - 1;
-        });
-      }, 1000);
-
-      return () => clearInterval(turnTimerInterval);
+    if (savedProgress) {
+      startGame({}, savedProgress);
+      onScoreChange(savedProgress.score);
     }
-  }, [gameState, countdown, currentPattern.length, generateNewPattern]);
+  }, []);
+
+  // Pause automatically when the player switches away from the tab
+  useEffect(() => {
+    const handleVisibility = (hidden) => {
+      if (hidden) {
+        engine.pause();
+      }
+    };
 
-  // We no longer need this effect since we're showing the pattern during countdown
-  // and moving directly to input phase
+    onVisibilityChange(handleVisibility);
+    return () => offVisibilityChange(handleVisibility);
+  }, [engine]);
 
-  // Clean up timers on unmount
+  // Stop recording if the game is left before it ends
   useEffect(() => {
     return () => {
-      if (gameTimer.current) {
-        clearInterval(gameTimer.current);
+      if (recorderRef.current) {
+        recorderRef.current.stop();
       }
     };
   }, []);
 
-  // Save game progress when level changes
-  useEffect(() => {
-    if (level > 1) {
-      saveGameProgress({
-        score,
-        level,
-        gridSize,
-        patternLength,
-        remainingLives,
-        gameMode
-      });
-    }
-  }, [level, score, gridSize, patternLength, remainingLives, gameMode]);
-
-  // Handle tile click during input phase
-  const handleTileClick = (_, selections) => {
-    if (gameState !== 'input') return;
-
-    // Update player selections
-    setPlayerSelections(selections);
-
-    // Check if all correct tiles are selected (and no incorrect ones)
-    const correctSelections = selections.filter(idx => currentPattern.includes(idx));
-    const incorrectSelections = selections.filter(idx => !currentPattern.includes(idx));
-
-    // If player has selected all correct tiles and no incorrect ones, proceed automatically
-    if (correctSelections.length === currentPattern.length && incorrectSelections.length === 0) {
-      handleSuccess();
-    }
-  };
-
-  // Handle submit button click
-  const handleSubmit = () => {
-    if (gameState !== 'input') return;
-
-    // Check if the selections match the pattern
-    const correctSelections = playerSelections.filter(idx => currentPattern.includes(idx));
-    const incorrectSelections = playerSelections.filter(idx => !currentPattern.includes(idx));
-
-    // If all correct and no incorrect, handle as success
-    if (correctSelections.length === currentPattern.length && incorrectSelections.length === 0) {
-      handleSuccess();
-    } else {
-      // Handle as failure
-      handleFailure();
-    }
-  };
-
   // Handle successful pattern match
-  const handleSuccess = () => {
-    setGameState('success');
-
-    // Calculate response time and time bonus
-    const currentResponseTime = Date.now() - inputStartTime.current;
-
-    // Calculate time bonus based on remaining turn timer (0-5 seconds)
-    // Higher remaining time = higher bonus
-    const newTimeBonus = turnTimer / 5; // 0-1 range based on remaining time
-    setTimeBonus(newTimeBonus);
-
+  useGameEngineEvent(engine, GAME_EVENTS.ROUND_SUCCESS, (round) => {
     // Play success sound
     playSound('correct');
 
+    if (staircase) {
+      staircasesRef.current = recordStaircaseResult(staircasesRef.current, round.gridSize, true, staircase);
+    }
+
     // Create particle effect
     const gridElement = document.querySelector('.grid-container');
     if (gridElement) {
@@ -294,151 +270,126 @@ const GameController = ({
       );
     }
 
-    // Update consecutive correct count and combo multiplier
-    const newConsecutiveCorrect = consecutiveCorrect + 1;
-    setConsecutiveCorrect(newConsecutiveCorrect);
-    const newComboMultiplier = calculateComboMultiplier(newConsecutiveCorrect);
-    setComboMultiplier(newComboMultiplier);
-
-    // Calculate score based on grid size, pattern length, time bonus, and combo
-    // Enhanced scoring formula: (grid size^2 * pattern length * time bonus * combo multiplier)
-    const baseScore = gridSize * gridSize * patternLength; // Base score from grid size and pattern length
-    const timeMultiplier = 1 + newTimeBonus; // Time bonus (1.0 - 2.0 multiplier)
-    const roundScore = Math.round(baseScore * timeMultiplier * newComboMultiplier);
-
-    const newScore = score + roundScore;
-    setScore(newScore);
-    onScoreChange(newScore);
+    onScoreChange(round.score);
 
     // Add data to TensorFlow model if enabled
     if (isFeatureEnabled('TENSORFLOW_ENABLED')) {
       addTrainingData({
-        gridSize,
-        patternLength,
-        responseTime: currentResponseTime,
-        level,
-        success: true
+        gridSize: round.gridSize,
+        patternLength: round.patternLength,
+        responseTime: round.responseTime,
+        level: round.level,
+        success: true,
+        accuracy: round.grade.accuracy
       });
     }
-
-    // Check for achievements
-    checkAchievements(newScore, newConsecutiveCorrect);
-
-    // Increase difficulty for next level
-    const newLevel = level + 1;
-    setLevel(newLevel);
-
-    // Update grid size based on level
-    const newGridSize = calculateGridSize(newLevel);
-    if (newGridSize !== gridSize) {
-      setGridSize(newGridSize);
-    }
-
-    // Update pattern length based on level and grid size
-    const newPatternLength = calculatePatternLength(newLevel, newGridSize);
-    setPatternLength(newPatternLength);
-
-    // Update pattern display time based on level
-    const newDisplayTime = calculatePatternDisplayTime(newLevel);
-    setDisplayTime(newDisplayTime);
-
-    // Start next level after a short delay
-    setTimeout(() => {
-      startNextLevel();
-    }, 1500);
-  };
+  });
 
   // Handle failed pattern match
-  const handleFailure = () => {
-    setGameState('failure');
-
-    // Calculate response time
-    const currentResponseTime = Date.now() - inputStartTime.current;
-
+  useGameEngineEvent(engine, GAME_EVENTS.ROUND_FAILURE, (round) => {
     // Play failure sound
     playSound('incorrect');
 
-    // Reset consecutive correct count and combo multiplier
-    setConsecutiveCorrect(0);
-    setComboMultiplier(1);
+    if (staircase) {
+      staircasesRef.current = recordStaircaseResult(staircasesRef.current, round.gridSize, false, staircase);
+    }
+
+    onScoreChange(round.score);
 
     // Add data to TensorFlow model if enabled
     if (isFeatureEnabled('TENSORFLOW_ENABLED')) {
       addTrainingData({
-        gridSize,
-        patternLength,
-        responseTime: currentResponseTime,
-        level,
-        success: false
+        gridSize: round.gridSize,
+        patternLength: round.patternLength,
+        responseTime: round.responseTime,
+        level: round.level,
+        success: false,
+        accuracy: round.grade.accuracy
       });
     }
+  });
 
-    // Apply score penalty
-    const newScore = calculatePenalty(score);
-    setScore(newScore);
-    onScoreChange(newScore);
+  // Save high score and notify parent when the game ends
+  useGameEngineEvent(engine, GAME_EVENTS.GAME_OVER, (result) => {
+    setGameOverReason(result.reason);
 
-    // Reduce lives
-    const newLives = remainingLives - 1;
-    setRemainingLives(newLives);
+    const replay = recorderRef.current ? recorderRef.current.finish(result) : null;
+    recorderRef.current = null;
+    if (replay) {
+      setLastReplay(replay);
+    }
 
-    if (newLives <= 0) {
-      // Game over if no lives left
-      setTimeout(() => {
-        setGameState('gameover');
+    if (saveResults) {
+      if (replay) {
+        saveReplay(replay);
+      }
 
-        // Save high score
-        saveHighScore({
-          score: newScore,
+      if (dailyDate) {
+        saveDailyResult({
+          date: dailyDate,
+          score: result.score,
+          level: result.level,
           playerName,
-          level,
-          gridSize,
-          gameMode
+          replayId: replay ? replay.id : undefined
         });
+      } else {
+        clearGameProgress();
 
-        // Notify parent component
-        onGameComplete(newScore);
-      }, 1500);
-    } else {
-      // Try again with same pattern if lives remaining
-      setTimeout(() => {
-        setGameState('countdown');
-        setCountdown(3);
-        setPlayerSelections([]);
-      }, 1500);
-    }
-  };
-
-  // Check for achievements
-  const checkAchievements = (currentScore, consecutiveCorrect) => {
-    const newAchievements = [...achievements];
-
-    // Score-based achievements
-    if (currentScore >= 1000 && !achievements.includes('score_1000')) {
-      newAchievements.push('score_1000');
+        saveHighScore({
+          score: result.score,
+          playerName,
+          level: result.level,
+          gridSize: result.gridSize,
+          gameMode,
+          replayId: replay ? replay.id : undefined
+        });
+      }
     }
 
-    if (currentScore >= 5000 && !achievements.includes('score_5000')) {
-      newAchievements.push('score_5000');
+    if (staircase) {
+      const spans = getSpanEstimates(staircasesRef.current, staircase);
+      setSpanEstimates(spans);
+      onGameComplete(result.score, { ...result, spanEstimates: spans });
+      return;
     }
 
-    // Combo-based achievements
-    if (consecutiveCorrect >= 5 && !achievements.includes('combo_5')) {
-      newAchievements.push('combo_5');
-    }
+    onGameComplete(result.score, result);
+  });
+
+  // Save progress so the game can be continued from the welcome screen
+  const saveProgress = () => {
+    if (!saveResults || dailyDate || staircase) return;
+
+    const progress = engine.getProgress();
+    if (!progress || progress.round <= 1) return;
+
+    saveGameProgress({
+      ...progress,
+      gameMode,
+      modeSignature,
+      difficulty,
+      modeSettings: {
+        initialGridSize,
+        board,
+        initialPatternLength,
+        patternDisplayTime
+      },
+      savedAt: new Date().toISOString()
+    });
+  };
 
-    if (consecutiveCorrect >= 10 && !achievements.includes('combo_10')) {
-      newAchievements.push('combo_10');
-    }
+  // Save at the start of each round, and when pausing to keep the time-attack clock
+  useGameEngineEvent(engine, GAME_EVENTS.ROUND_START, saveProgress);
+  useGameEngineEvent(engine, GAME_EVENTS.PAUSE, saveProgress);
 
-    // Level-based achievements
-    if (level >= 10 && !achievements.includes('level_10')) {
-      newAchievements.push('level_10');
-    }
+  // Handle tile click during input phase
+  const handleTileClick = (_, selections, tileColors) => {
+    engine.selectTiles(selections, tileColors);
+  };
 
-    if (newAchievements.length > achievements.length) {
-      setAchievements(newAchievements);
-    }
+  // Handle submit button click
+  const handleSubmit = () => {
+    engine.submit();
   };
 
   // Format time for display (mm:ss)
@@ -452,16 +403,30 @@ const GameController = ({
 
   // Render game UI based on current state
   const renderGameContent = () => {
+    // The board stays hidden while paused so the pattern can't be studied
+    if (paused) {
+      return (
+        <div className="game-paused">
+          <h2>Paused</h2>
+          <p>Level {level} - Score: {score}</p>
+          <p>The board is hidden while the game is paused.</p>
+          <button className="resume-button" onClick={() => engine.resume()}>
+            Resume
+          </button>
+        </div>
+      );
+    }
+
     switch (gameState) {
       case 'idle':
         return (
           <div className="game-start">
             <h2>Ready to Play?</h2>
-            <p>Grid Size: {gridSize}x{gridSize}</p>
+            <p>Board: {describeBoard(gameBoard)}</p>
             <p>Pattern Length: {patternLength}</p>
             {lives !== Infinity && <p>Lives: {lives}</p>}
             {timeLimit && <p>Time Limit: {formatTime(timeLimit)}</p>}
-            <button className="start-button" onClick={startGame}>
+            <button className="start-button" onClick={() => startGame()}>
               Start Game
             </button>
           </div>
@@ -491,12 +456,14 @@ const GameController = ({
 
             <Grid
               size={gridSize}
+              board={gameBoard}
               activePattern={currentPattern}
-              showPattern={true}
+              showPattern={false}
               onTileClick={() => {}}
               disabled={true}
               highContrast={highContrast}
               countdown={countdown}
+              countdownTotal={countdownSeconds}
               showCountdown={true}
               incorrectSelections={[]}
             />
@@ -504,6 +471,7 @@ const GameController = ({
         );
 
       case 'pattern':
+      case 'retention':
       case 'input':
       case 'success':
       case 'failure':
@@ -539,28 +507,80 @@ const GameController = ({
             </div>
 
             <div className="game-status">
-              {gameState === 'countdown' && <div className="status-message">Memorize the pattern!</div>}
-              {gameState === 'pattern' && <div className="status-message">Memorize the pattern!</div>}
-              {gameState === 'input' && <div className="status-message">Reproduce the pattern</div>}
+              {constraintError && (
+                <div className="constraint-warning" role="alert">
+                  This round&apos;s pattern constraints couldn&apos;t be met ({constraintError.unmet.join(', ')}),
+                  so it plays an ordinary pattern: {constraintError.message}
+                </div>
+              )}
+              {gameState === 'pattern' && (
+                <div className="status-message">
+                  {ordered ? 'Watch the sequence!' : 'Memorize the pattern!'}
+                  {distractorTiles.length > 0 && <span className="distractor-hint">Ignore the striped decoys</span>}
+                </div>
+              )}
+              {gameState === 'retention' && (
+                <div className="status-message">
+                  {transform ? `Now picture it ${describeTransform(transform)}...` : 'Keep it in mind...'}
+                </div>
+              )}
+              {gameState === 'input' && (
+                <div className="status-message">
+                  {transform
+                    ? `Enter the ${ordered ? 'sequence in order' : 'pattern'} ${describeTransform(transform)}`
+                    : ordered ? 'Repeat the sequence in order' : 'Reproduce the pattern'}
+                  {patternColors.length > 0 && <span className="color-hint">Click a tile again to change its color</span>}
+                </div>
+              )}
               {gameState === 'success' && (
                 <div className="status-message success">
-                  Correct! +{Math.round((gridSize * gridSize * patternLength) * (1 + timeBonus) * comboMultiplier)} points
-                  {timeBonus > 0 && <span className="bonus">Time Bonus: {Math.round(timeBonus * 100)}%</span>}
+                  Correct! +{lastRoundScore} points
+                  {lastScoreBreakdown && (
+                    <span className="bonus">{describeScoreBreakdown(lastScoreBreakdown)}</span>
+                  )}
+                  {patternShape && <span className="shape-name">Shape: {describeShape(patternShape)}</span>}
+                </div>
+              )}
+              {gameState === 'failure' && (
+                <div className="status-message failure">
+                  {ordered ? 'Wrong order!' : 'Incorrect pattern!'}
+                  {lastGrade && (
+                    <span className="grade">
+                      {lastGrade.hits} of {currentPattern.length} tiles, {lastGrade.falseAlarms} wrong
+                      {lastGrade.distractorsSelected > 0 &&
+                        ` (${lastGrade.distractorsSelected === 1 ? '1 of them a decoy' : `${lastGrade.distractorsSelected} of them decoys`})`}
+                      {lastGrade.colorErrors > 0 && `, ${lastGrade.colorErrors} in the wrong color`}
+                      {lastRoundScore > 0 && ` (+${lastRoundScore} points)`}
+                    </span>
+                  )}
+                  {patternShape && <span className="shape-name">Shape: {describeShape(patternShape)}</span>}
+                  {transform && (
+                    <span className="transform-hint">
+                      Lit: the pattern shown. Outlined: the pattern {describeTransform(transform)}.
+                    </span>
+                  )}
                 </div>
               )}
-              {gameState === 'failure' && <div className="status-message failure">Incorrect pattern!</div>}
             </div>
 
             <Grid
               size={gridSize}
+              board={gameBoard}
               activePattern={currentPattern}
-              showPattern={gameState === 'countdown' || gameState === 'pattern' || gameState === 'success' || gameState === 'failure'}
+              showPattern={gameState === 'pattern' || gameState === 'success' || gameState === 'failure'}
+              distractors={distractorTiles}
               onTileClick={handleTileClick}
               disabled={gameState !== 'input'}
               highContrast={highContrast}
-              countdown={gameState === 'countdown' ? countdown : turnTimer}
-              showCountdown={gameState === 'countdown'}
-              incorrectSelections={gameState === 'failure' ? playerSelections.filter(index => !currentPattern.includes(index)) : []}
+              countdown={turnTimer}
+              countdownTotal={gameState === 'input' ? turnTimerTotal : 0}
+              incorrectSelections={gameState === 'failure' ? wrongSelections : []}
+              expectedPattern={gameState === 'failure' && transform ? expectedPattern : null}
+              sequenceStep={ordered && gameState === 'pattern' ? game.playbackStep : null}
+              showOrder={ordered}
+              colors={patternColors.length > 0 ? colors : 0}
+              patternColors={patternColors}
+              selectionColors={gameState === 'input' ? null : selectionColors}
             />
 
             {gameState === 'input' && (
@@ -569,27 +589,29 @@ const GameController = ({
                   {/* Show correct and incorrect selections */}
                   <div className="selection-counts">
                     <span className="correct-count">
-                      Correct: {playerSelections.filter(idx => currentPattern.includes(idx)).length} / {currentPattern.length}
+                      Correct: {playerSelections.length - wrongSelections.length} / {currentPattern.length}
                     </span>
                     <span className="incorrect-count">
-                      Incorrect: {playerSelections.filter(idx => !currentPattern.includes(idx)).length}
+                      Incorrect: {wrongSelections.length}
                     </span>
                   </div>
                 </div>
 
-                <div className="turn-timer-container">
-                  <div className="turn-timer-label">Time Remaining:</div>
-                  <div className="turn-timer-value">{turnTimer}s</div>
-                  <div className="turn-timer-bar">
-                    <div
-                      className="turn-timer-progress"
-                      style={{
-                        width: `${(turnTimer / 5) * 100}%`,
-                        backgroundColor: turnTimer <= 2 ? '#ff4d4d' : turnTimer <= 3 ? '#ffcc00' : '#4caf50'
-                      }}
-                    ></div>
+                {game.inputTimeLimit > 0 && (
+                  <div className="turn-timer-container">
+                    <div className="turn-timer-label">Time Remaining:</div>
+                    <div className="turn-timer-value">{turnTimer}s</div>
+                    <div className="turn-timer-bar">
+                      <div
+                        className="turn-timer-progress"
+                        style={{
+                          width: `${turnFraction * 100}%`,
+                          backgroundColor: turnFraction <= 0.4 ? '#ff4d4d' : turnFraction <= 0.6 ? '#ffcc00' : '#4caf50'
+                        }}
+                      ></div>
+                    </div>
                   </div>
-                </div>
+                )}
 
                 <button
                   className="submit-button"
@@ -605,27 +627,52 @@ const GameController = ({
       case 'gameover':
         return (
           <div className="game-over">
-            <h2>Game Over</h2>
+            <h2>{gameOverReason === 'complete' || spanEstimates ? 'All Rounds Complete!' : 'Game Over'}</h2>
             <div className="final-score">Final Score: {score}</div>
-            <div className="final-level">Level Reached: {level}</div>
+            {!spanEstimates && <div className="final-level">Level Reached: {level}</div>}
+            <div className="final-seed">Seed: {game.seed}</div>
+
+            {spanEstimates && (
+              <div className="span-estimates">
+                <h3>Estimated Memory Span</h3>
+                <ul>
+                  {Object.entries(spanEstimates).map(([size, span]) => (
+                    <li key={size}>{size}x{size} board: {span} {span === 1 ? 'tile' : 'tiles'}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
 
             {achievements.length > 0 && (
               <div className="achievements">
                 <h3>Achievements</h3>
                 <ul>
-                  {achievements.includes('score_1000') && <li>Score Master: Reach 1,000 points</li>}
-                  {achievements.includes('score_5000') && <li>Score Legend: Reach 5,000 points</li>}
-                  {achievements.includes('combo_5') && <li>Combo Starter: 5 consecutive correct patterns</li>}
-                  {achievements.includes('combo_10') && <li>Combo Master: 10 consecutive correct patterns</li>}
-                  {achievements.includes('level_10') && <li>Level Master: Reach level 10</li>}
+                  {achievements.map(achievement => (
+                    <li key={achievement}>{ACHIEVEMENTS[achievement]}</li>
+                  ))}
                 </ul>
               </div>
             )}
 
+            {dailyDate && (
+              <p className="daily-attempt-note">
+                That was today&apos;s scored attempt. Start the Daily Challenge again from the menu to practice its rounds.
+              </p>
+            )}
+
             <div className="game-actions">
-              <button className="restart-button" onClick={startGame}>
-                Play Again
-              </button>
+              {/* A scored daily challenge has one attempt, so it can't be restarted here */}
+              {!dailyDate && (
+                <button className="restart-button" onClick={() => startGame()}>
+                  Play Again
+                </button>
+              )}
+
+              {lastReplay && (
+                <button className="replay-button" onClick={() => setShowReplay(true)}>
+                  Watch Replay
+                </button>
+              )}
 
               {isFeatureEnabled('TENSORFLOW_ENABLED') && (
                 <button
@@ -647,22 +694,36 @@ const GameController = ({
   // Handle optimal parameters from ModelTraining
   const handleOptimalParameters = (params) => {
     if (params) {
-      setGridSize(params.gridSize);
-      setPatternLength(params.patternLength);
-      setLevel(params.level);
       setShowModelTraining(false);
 
       // Start a new game with these parameters
       setTimeout(() => {
-        startGame();
+        startGame({
+          gridSize: params.gridSize,
+          patternLength: params.patternLength
+        });
       }, 500);
     }
   };
 
   return (
     <div className="game-controller">
+      {gameState !== 'idle' && gameState !== 'gameover' && !paused && (
+        <button className="pause-button" onClick={() => engine.pause()}>
+          Pause
+        </button>
+      )}
+
       {renderGameContent()}
 
+      {showReplay && lastReplay && (
+        <Replay
+          replay={lastReplay}
+          onClose={() => setShowReplay(false)}
+          highContrast={highContrast}
+        />
+      )}
+
       {/* TensorFlow.js Model Training Modal */}
       {isFeatureEnabled('TENSORFLOW_ENABLED') ? (
         <Suspense fallback={<div>Loading...</div>}>
@@ -692,15 +753,40 @@ const GameController = ({
 
 GameController.propTypes = {
   initialGridSize: PropTypes.number,
+  board: PropTypes.object,
   initialPatternLength: PropTypes.number,
+  countdownSeconds: PropTypes.number,
   patternDisplayTime: PropTypes.number,
+  retentionTime: PropTypes.number,
+  inputTimeLimit: PropTypes.number,
+  ordered: PropTypes.bool,
+  partialCredit: PropTypes.bool,
+  colors: PropTypes.number,
+  distractors: PropTypes.number,
+  transforms: PropTypes.arrayOf(PropTypes.string),
+  maxLevel: PropTypes.number,
   onGameComplete: PropTypes.func,
   onScoreChange: PropTypes.func,
   playerName: PropTypes.string,
   timeLimit: PropTypes.number,
   lives: PropTypes.number,
   gameMode: PropTypes.string,
-  highContrast: PropTypes.bool
+  highContrast: PropTypes.bool,
+  seed: PropTypes.number,
+  savedProgress: PropTypes.object,
+  modeSignature: PropTypes.string,
+  progressionTable: PropTypes.arrayOf(PropTypes.object),
+  difficulty: PropTypes.string,
+  saveResults: PropTypes.bool,
+  dailyDate: PropTypes.string,
+  staircase: PropTypes.shape({
+    gridSizes: PropTypes.arrayOf(PropTypes.number),
+    roundsPerSize: PropTypes.number,
+    startLength: PropTypes.number,
+    targetRate: PropTypes.number,
+    stepUp: PropTypes.number,
+    discardReversals: PropTypes.number
+  })
 };
 
 export default GameController;
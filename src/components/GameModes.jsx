@@ -1,9 +1,39 @@
-import { useState } from 'react';
+import { useState, useMemo, useRef } from 'react';
 import PropTypes from 'prop-types';
+import { createBoard, describeBoard, BOARD_LAYOUTS, BOARD_TYPES, MAX_BOARD_SIZE } from '../utils/board';
+import {
+  validatePatternPack,
+  parsePatternPack,
+  serializePatternPack,
+  createPackMode,
+  getPackModeId,
+  isPackModeId
+} from '../utils/patternPacks';
+import { getPatternPacks, savePatternPack, deletePatternPack, getDailyResult, getDailyStreak } from '../utils/storage';
+import { hashSeed } from '../utils/random';
+import { PATTERN_TRANSFORMS } from '../utils/patternGenerator';
+import { DAILY_LEVELS, getDailyDate, getCurrentStreak } from '../utils/dailyChallenge';
+import { getCampaignStage, createStageMode, isStageModeId, STAGE_MODE_PREFIX } from '../utils/campaign';
+import { getStaircaseRoundCount } from '../utils/staircase';
 import '../styles/GameModes.css';
 
 /**
- * Game modes configuration
+ * Game modes configuration. Each round follows the mode's timeline at level 1:
+ * get-ready countdown (s), pattern flash, blank retention interval and input
+ * window (ms), scaled for higher levels by calculateRoundTimeline in scoreManager.
+ * In ordered modes the flash time is how long each tile of the sequence stays lit.
+ * Modes with partialCredit award points for the correct part of a failed pattern.
+ * Modes with a board spec (see utils/board.js) play on rectangular, holed or hex boards.
+ * Modes with colors give every lit tile one of that many colors (see utils/tileColors.js).
+ * Modes with distractors flash that many decoy tiles with each pattern, which the player must ignore.
+ * Modes with transforms ask for each pattern rotated or mirrored (see transformPattern in utils/patternGenerator.js).
+ * Modes with nBack settings play the n-back task instead of rounds (see utils/nBack.js).
+ * Modes with staircase settings pick each round's board size and pattern length with an adaptive staircase
+ * and estimate the player's memory span (see utils/staircase.js).
+ * The daily challenge plays the same rounds for everyone on a day, ignoring the difficulty setting
+ * (see utils/dailyChallenge.js); its initial settings match the first of its levels.
+ * Imported pattern packs are played as extra modes (see utils/patternPacks.js), and so are the stages of
+ * the campaign (see utils/campaign.js).
  */
 export const GAME_MODES = {
   STANDARD: {
@@ -12,7 +42,10 @@ export const GAME_MODES = {
     description: 'Progressive difficulty with increasing grid size and pattern complexity.',
     initialGridSize: 3,
     initialPatternLength: 3,
+    countdownSeconds: 3,
     patternDisplayTime: 1000,
+    retentionTime: 500,
+    inputTimeLimit: 5000,
     timeLimit: null,
     lives: 3
   },
@@ -22,9 +55,13 @@ export const GAME_MODES = {
     description: 'Customize settings and practice without pressure.',
     initialGridSize: 3,
     initialPatternLength: 3,
+    countdownSeconds: 3,
     patternDisplayTime: 1500,
+    retentionTime: 0,
+    inputTimeLimit: null,
     timeLimit: null,
-    lives: Infinity
+    lives: Infinity,
+    partialCredit: true
   },
   TIME_ATTACK: {
     id: 'time_attack',
@@ -32,9 +69,13 @@ export const GAME_MODES = {
     description: 'Complete as many patterns as possible within the time limit.',
     initialGridSize: 4,
     initialPatternLength: 4,
+    countdownSeconds: 1,
     patternDisplayTime: 800,
+    retentionTime: 0,
+    inputTimeLimit: 4000,
     timeLimit: 60000, // 60 seconds
-    lives: Infinity
+    lives: Infinity,
+    partialCredit: true
   },
   ENDLESS: {
     id: 'endless',
@@ -42,12 +83,292 @@ export const GAME_MODES = {
     description: 'Play until you make a mistake. How far can you go?',
     initialGridSize: 3,
     initialPatternLength: 3,
+    countdownSeconds: 3,
     patternDisplayTime: 1000,
+    retentionTime: 1000,
+    inputTimeLimit: 5000,
     timeLimit: null,
     lives: 1
+  },
+  SEQUENCE: {
+    id: 'sequence',
+    name: 'Sequence Mode',
+    description: 'Tiles light up one after another. Repeat them in the same order.',
+    initialGridSize: 3,
+    initialPatternLength: 3,
+    countdownSeconds: 3,
+    patternDisplayTime: 600,
+    retentionTime: 0,
+    inputTimeLimit: 8000,
+    timeLimit: null,
+    lives: 3,
+    ordered: true
+  },
+  HEX: {
+    id: 'hex',
+    name: 'Hex Mode',
+    description: 'Hexagonal tiles with six neighbours each. A new spatial challenge for experienced players.',
+    initialGridSize: 4,
+    initialPatternLength: 4,
+    countdownSeconds: 3,
+    patternDisplayTime: 1000,
+    retentionTime: 500,
+    inputTimeLimit: 6000,
+    timeLimit: null,
+    lives: 3,
+    board: { type: BOARD_TYPES.HEX }
+  },
+  COLOR: {
+    id: 'color',
+    name: 'Color Mode',
+    description: 'Every lit tile has a color. Click a tile until it shows the right color.',
+    initialGridSize: 3,
+    initialPatternLength: 3,
+    countdownSeconds: 3,
+    patternDisplayTime: 1500,
+    retentionTime: 500,
+    inputTimeLimit: 10000,
+    timeLimit: null,
+    lives: 3,
+    partialCredit: true,
+    colors: 3
+  },
+  ROTATION: {
+    id: 'rotation',
+    name: 'Rotation Mode',
+    description: 'Memorize the pattern, then enter it rotated or mirrored as instructed.',
+    initialGridSize: 3,
+    initialPatternLength: 3,
+    countdownSeconds: 3,
+    patternDisplayTime: 1500,
+    retentionTime: 1000,
+    inputTimeLimit: 8000,
+    timeLimit: null,
+    lives: 3,
+    transforms: Object.values(PATTERN_TRANSFORMS)
+  },
+  FOCUS: {
+    id: 'focus',
+    name: 'Focus Mode',
+    description: 'Striped decoy tiles flash with the pattern. Ignore them and enter only the pattern.',
+    initialGridSize: 3,
+    initialPatternLength: 3,
+    countdownSeconds: 3,
+    patternDisplayTime: 1200,
+    retentionTime: 500,
+    inputTimeLimit: 6000,
+    timeLimit: null,
+    lives: 3,
+    partialCredit: true,
+    distractors: 3
+  },
+  DAILY: {
+    id: 'daily',
+    name: 'Daily Challenge',
+    description: 'The same rounds for every player, new each day. Only your first attempt of the day is scored.',
+    initialGridSize: DAILY_LEVELS[0].gridSize,
+    initialPatternLength: DAILY_LEVELS[0].patternLength,
+    countdownSeconds: 3,
+    patternDisplayTime: DAILY_LEVELS[0].displayTime,
+    retentionTime: DAILY_LEVELS[0].retentionTime,
+    inputTimeLimit: DAILY_LEVELS[0].inputTimeLimit,
+    timeLimit: null,
+    lives: 3,
+    maxLevel: DAILY_LEVELS.length
+  },
+  NBACK: {
+    id: 'nback',
+    name: 'N-Back Mode',
+    description: 'Patterns stream past one at a time. Say whether each matches the one N steps back. N adapts after every block.',
+    initialGridSize: 3,
+    initialPatternLength: 2,
+    countdownSeconds: 0,
+    patternDisplayTime: 1000,
+    retentionTime: 0,
+    inputTimeLimit: null,
+    timeLimit: null,
+    lives: Infinity,
+    nBack: { startN: 2, blocks: 5, trialsPerBlock: 20, matchRate: 0.3, trialTime: 2500 }
+  },
+  DUAL_NBACK: {
+    id: 'dual_nback',
+    name: 'Dual N-Back',
+    description: 'Each trial lights a tile and plays a tone. Spot position matches and sound matches N steps back, separately.',
+    initialGridSize: 3,
+    initialPatternLength: 1,
+    countdownSeconds: 0,
+    patternDisplayTime: 500,
+    retentionTime: 0,
+    inputTimeLimit: null,
+    timeLimit: null,
+    lives: Infinity,
+    nBack: {
+      startN: 2,
+      blocks: 5,
+      trialsPerBlock: 20,
+      matchRate: 0.3,
+      trialTime: 3000,
+      channels: ['position', 'sound']
+    }
+  },
+  ZEN: {
+    id: 'zen',
+    name: 'Zen Mode',
+    description: 'No lives and no timers. Patterns grow after a right answer and shrink after a wrong one, settling at your memory span on each board size.',
+    initialGridSize: 3,
+    initialPatternLength: 3,
+    countdownSeconds: 1,
+    patternDisplayTime: 1000,
+    retentionTime: 0,
+    inputTimeLimit: null,
+    timeLimit: null,
+    lives: Infinity,
+    staircase: {
+      gridSizes: [3, 4, 5],
+      roundsPerSize: 12,
+      startLength: 3,
+      targetRate: 0.75,
+      stepUp: 0.5
+    }
   }
 };
 
+/**
+ * Get a signature of the rules of a game mode. Saved games store it, so they
+ * can be discarded when the mode definition changes.
+ * @param {Object} mode - Game mode definition
+ * @returns {string} - Mode signature
+ */
+export const getModeSignature = (mode) => {
+  const {
+    id,
+    initialGridSize,
+    initialPatternLength,
+    countdownSeconds,
+    patternDisplayTime,
+    retentionTime,
+    inputTimeLimit,
+    timeLimit,
+    lives,
+    ordered = false,
+    partialCredit = false,
+    board = null,
+    colors = 0,
+    distractors = 0,
+    transforms = null,
+    maxLevel = null,
+    pack = null,
+    stage = null
+  } = mode;
+
+  return [
+    id,
+    initialGridSize,
+    initialPatternLength,
+    countdownSeconds,
+    patternDisplayTime,
+    retentionTime,
+    inputTimeLimit,
+    timeLimit,
+    lives,
+    ordered,
+    partialCredit,
+    JSON.stringify(board),
+    colors,
+    distractors,
+    (transforms || []).join(','),
+    maxLevel,
+    // A changed pack or stage is a different game, even with the same id
+    pack ? hashSeed(JSON.stringify(pack)) : '',
+    stage ? hashSeed(JSON.stringify(stage)) : ''
+  ].map(String).join('|');
+};
+
+/**
+ * Load the stored pattern packs, skipping any that are no longer valid
+ * @returns {Array} - Valid pattern packs
+ */
+export const loadPatternPacks = () => {
+  return getPatternPacks().filter(pack => {
+    try {
+      validatePatternPack(pack);
+      return true;
+    } catch (error) {
+      console.warn(`Skipping invalid pattern pack "${pack && pack.id}":`, error.message);
+      return false;
+    }
+  });
+};
+
+/**
+ * Find a game mode definition by id, including the modes of stored pattern
+ * packs and campaign stages
+ * @param {string} modeId - Game mode id
+ * @returns {Object|null} - Game mode definition or null if it doesn't exist
+ */
+export const getGameModeById = (modeId) => {
+  const mode = Object.values(GAME_MODES).find(builtIn => builtIn.id === modeId);
+  if (mode) return mode;
+
+  if (isPackModeId(modeId)) {
+    const pack = loadPatternPacks().find(stored => getPackModeId(stored.id) === modeId);
+    return pack ? createPackMode(pack) : null;
+  }
+  if (isStageModeId(modeId)) {
+    const stage = getCampaignStage(modeId.slice(STAGE_MODE_PREFIX.length));
+    return stage ? createStageMode(stage) : null;
+  }
+  return null;
+};
+
+/**
+ * Read a file chosen by the player as text
+ * @param {File} file - File from a file input
+ * @returns {Promise<string>} - File contents
+ */
+const readFileText = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+};
+
+/**
+ * Let the player download a pattern pack as a .json file
+ * @param {Object} pack - Pattern pack
+ */
+const downloadPatternPack = (pack) => {
+  const blob = new Blob([serializePatternPack(pack)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${pack.id}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Describe where the player stands with today's daily challenge
+ * @returns {string} - Today's score, or that the challenge is still to play
+ */
+const describeDailyStatus = () => {
+  const result = getDailyResult(getDailyDate());
+  if (!result) return "Today's challenge is waiting for you.";
+  if (result.score === null) return "Today's attempt was left unfinished. Further runs are practice.";
+  return `You scored ${result.score} today. Further runs are practice.`;
+};
+
+// Board shapes offered in practice mode, as board specs for a grid size
+const PRACTICE_BOARDS = {
+  square: () => null,
+  wide: (gridSize) => ({ rows: gridSize, cols: Math.min(gridSize + 2, MAX_BOARD_SIZE) }),
+  ring: () => ({ layout: BOARD_LAYOUTS.RING }),
+  cross: () => ({ layout: BOARD_LAYOUTS.CROSS }),
+  hex: () => ({ type: BOARD_TYPES.HEX })
+};
+
 /**
  * GameModes component for selecting different game modes
  * @param {Object} props - Component props
@@ -57,9 +378,16 @@ export const GAME_MODES = {
 const GameModes = ({ onSelectMode, currentMode = GAME_MODES.STANDARD.id }) => {
   const [practiceSettings, setPracticeSettings] = useState({
     gridSize: 3,
+    board: 'square',
     patternLength: 3,
     displayTime: 1500
   });
+  const [packs, setPacks] = useState(() => loadPatternPacks());
+  // Result of the last pack import, as { text, error }
+  const [packMessage, setPackMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const packModes = useMemo(() => packs.map(createPackMode), [packs]);
 
   // Handle mode selection
   const handleModeSelect = (modeId) => {
@@ -68,20 +396,47 @@ const GameModes = ({ onSelectMode, currentMode = GAME_MODES.STANDARD.id }) => {
       onSelectMode({
         ...GAME_MODES.PRACTICE,
         initialGridSize: practiceSettings.gridSize,
+        board: PRACTICE_BOARDS[practiceSettings.board](practiceSettings.gridSize),
         initialPatternLength: practiceSettings.patternLength,
         patternDisplayTime: practiceSettings.displayTime
       });
+    } else if (isPackModeId(modeId)) {
+      onSelectMode(packModes.find(mode => mode.id === modeId));
     } else {
       // For other modes, use predefined settings
       onSelectMode(GAME_MODES[modeId.toUpperCase()]);
     }
   };
 
+  // Validate and store a pack file chosen by the player
+  const handlePackImport = async (event) => {
+    const [file] = event.target.files;
+    // Clear the input so the same file can be chosen again after fixing it
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const pack = parsePatternPack(await readFileText(file));
+      savePatternPack(pack);
+      setPacks(loadPatternPacks());
+      setPackMessage({ text: `Imported "${pack.title}"`, error: false });
+    } catch (error) {
+      setPackMessage({ text: `Couldn't import ${file.name}: ${error.message}`, error: true });
+    }
+  };
+
+  // Remove a stored pack
+  const handlePackDelete = (pack) => {
+    deletePatternPack(pack.id);
+    setPacks(loadPatternPacks());
+    setPackMessage(null);
+  };
+
   // Handle practice settings change
   const handlePracticeSettingChange = (setting, value) => {
     setPracticeSettings({
       ...practiceSettings,
-      [setting]: parseInt(value, 10)
+      [setting]: setting === 'board' ? value : parseInt(value, 10)
     });
   };
 
@@ -90,7 +445,7 @@ const GameModes = ({ onSelectMode, currentMode = GAME_MODES.STANDARD.id }) => {
       <h2>Game Modes</h2>
       
       <div className="mode-cards">
-        {Object.values(GAME_MODES).map((mode) => (
+        {[...Object.values(GAME_MODES), ...packModes].map((mode) => (
           <div 
             key={mode.id}
             className={`mode-card ${currentMode === mode.id ? 'selected' : ''}`}
@@ -114,6 +469,21 @@ const GameModes = ({ onSelectMode, currentMode = GAME_MODES.STANDARD.id }) => {
                     <option value="6">6x6</option>
                   </select>
                 </div>
+
+                <div className="setting">
+                  <label htmlFor="boardShape">Board Shape:</label>
+                  <select
+                    id="boardShape"
+                    value={practiceSettings.board}
+                    onChange={(e) => handlePracticeSettingChange('board', e.target.value)}
+                  >
+                    <option value="square">Square</option>
+                    <option value="wide">Wide</option>
+                    <option value="ring">Ring</option>
+                    <option value="cross">Cross</option>
+                    <option value="hex">Hex</option>
+                  </select>
+                </div>
                 
                 <div className="setting">
                   <label htmlFor="patternLength">Pattern Length:</label>
@@ -144,15 +514,67 @@ const GameModes = ({ onSelectMode, currentMode = GAME_MODES.STANDARD.id }) => {
               </div>
             )}
             
+            {mode.id === GAME_MODES.DAILY.id && (
+              <p className="daily-status">{describeDailyStatus()}</p>
+            )}
+
             <div className="mode-stats">
-              <span>Grid: {mode.initialGridSize}x{mode.initialGridSize}</span>
+              <span>Grid: {describeBoard(createBoard(mode.board || null, mode.initialGridSize))}</span>
               <span>Pattern: {mode.initialPatternLength}</span>
+              <span>Flash: {mode.patternDisplayTime}ms{mode.ordered ? ' per tile' : ''}</span>
               {mode.timeLimit && <span>Time: {mode.timeLimit / 1000}s</span>}
+              {mode.distractors > 0 && <span>Decoys: {mode.distractors}</span>}
+              {mode.nBack && <span>Starts at {mode.nBack.startN}-back</span>}
+              {mode.staircase && <span>Rounds: {getStaircaseRoundCount(mode.staircase)}</span>}
+              {mode.maxLevel && <span>Rounds: {mode.maxLevel}</span>}
+              {mode.id === GAME_MODES.DAILY.id && <span>Streak: {getCurrentStreak(getDailyStreak())}</span>}
               <span>Lives: {mode.lives === Infinity ? '∞' : mode.lives}</span>
             </div>
+
+            {mode.pack && (
+              <div className="pack-actions">
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    downloadPatternPack(mode.pack);
+                  }}
+                >
+                  Export
+                </button>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handlePackDelete(mode.pack);
+                  }}
+                >
+                  Remove
+                </button>
+              </div>
+            )}
           </div>
         ))}
       </div>
+
+      <div className="pattern-packs">
+        <h3>Pattern Packs</h3>
+        <p>Play hand-made rounds from a pattern pack file, or share your own packs with Export.</p>
+        <button className="pack-import-button" onClick={() => fileInputRef.current.click()}>
+          Import Pack
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handlePackImport}
+          aria-label="Pattern pack file"
+          hidden
+        />
+        {packMessage && (
+          <p className={packMessage.error ? 'pack-error' : 'pack-message'} role={packMessage.error ? 'alert' : 'status'}>
+            {packMessage.text}
+          </p>
+        )}
+      </div>
     </div>
   );
 };
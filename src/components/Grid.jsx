@@ -1,42 +1,74 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { getGameSettings } from '../utils/storage';
+import { createBoard, describeBoard, getTileCell, getKeyDirection, isHexBoard, isPlayableTile, moveOnBoard } from '../utils/board';
+import { getNextColor, getTileColor } from '../utils/tileColors';
 import '../styles/Grid.css';
 
+// Default for a missing active pattern. It must be the same array on every
+// render, since a new pattern clears the selections.
+const NO_PATTERN = [];
+
 /**
  * Grid component that displays a configurable grid of tiles
  * @param {Object} props - Component props
  * @param {number} props.size - Grid size (e.g., 3 for a 3x3 grid)
+ * @param {Object} props.board - Board to draw instead of a square grid, e.g. rows × cols, with holes or hex tiles (see utils/board.js)
  * @param {Array} props.activePattern - Array of indices representing the active pattern
  * @param {boolean} props.showPattern - Whether to show the active pattern
+ * @param {Array} props.distractors - Decoy tiles that flash with the active pattern in their own style
  * @param {Function} props.onTileClick - Callback function when a tile is clicked
  * @param {boolean} props.disabled - Whether the grid is disabled for interaction
  * @param {boolean} props.highContrast - Whether to use high contrast mode
  * @param {number} props.countdown - Current countdown value to display over the grid
  * @param {boolean} props.showCountdown - Whether to show the countdown overlay
+ * @param {number} props.countdownTotal - Seconds the countdown started from, for the timer bar (0 hides the bar)
  * @param {Array} props.incorrectSelections - Array of indices representing incorrect selections
+ * @param {Array} props.expectedPattern - Tiles the player should have entered, outlined next to the lit pattern (e.g. the pattern rotated)
+ * @param {Array} props.selections - Selections to display instead of the player's own (e.g. in a replay)
+ * @param {number} props.sequenceStep - Step of an ordered pattern to light (null lights the whole pattern, -1 none)
+ * @param {boolean} props.showOrder - Whether to number the selected tiles in the order they were picked
+ * @param {number} props.colors - Number of tile colors; clicking cycles a tile through them (0 for plain on/off tiles)
+ * @param {Array} props.patternColors - Color of each tile of the active pattern
+ * @param {Array} props.selectionColors - Colors of the displayed selections (e.g. in a replay)
  */
 const Grid = ({
   size = 3,
-  activePattern = [],
+  board = null,
+  activePattern = NO_PATTERN,
   showPattern = false,
+  distractors = null,
   onTileClick = () => {},
   disabled = false,
   highContrast = false,
   countdown = 0,
   showCountdown = false,
-  incorrectSelections = []
+  countdownTotal = 0,
+  incorrectSelections = [],
+  expectedPattern = null,
+  selections = null,
+  sequenceStep = null,
+  showOrder = false,
+  colors = 0,
+  patternColors = [],
+  selectionColors = null
 }) => {
   const [selectedTiles, setSelectedTiles] = useState([]);
+  const [selectedColors, setSelectedColors] = useState([]);
   const [focusedTile, setFocusedTile] = useState(null);
   const [keyboardEnabled, setKeyboardEnabled] = useState(true);
   const gridRef = useRef(null);
   const tileRefs = useRef([]);
 
+  // Square grids are boards without holes
+  const gridBoard = useMemo(() => board || createBoard(size), [board, size]);
+  const { rows, cols } = gridBoard;
+  const hex = isHexBoard(gridBoard);
+
   // Initialize tile refs
   useEffect(() => {
-    tileRefs.current = Array(size * size).fill().map((_, i) => tileRefs.current[i] || null);
-  }, [size]);
+    tileRefs.current = Array(rows * cols).fill().map((_, i) => tileRefs.current[i] || null);
+  }, [rows, cols]);
 
   // Load keyboard settings
   useEffect(() => {
@@ -49,39 +81,35 @@ const Grid = ({
   // Reset selected tiles when active pattern changes
   useEffect(() => {
     setSelectedTiles([]);
+    setSelectedColors([]);
   }, [activePattern]);
 
-  // Calculate the total number of tiles
-  const totalTiles = size * size;
-
-  // Convert 1D index to 2D coordinates
-  const getCoordinates = (index) => {
-    const row = Math.floor(index / size);
-    const col = index % size;
-    return { row, col };
-  };
-
-  // Convert 2D coordinates to 1D index
-  const getIndex = (row, col) => {
-    return row * size + col;
-  };
+  // Calculate the number of cells, holes included
+  const totalTiles = rows * cols;
 
   // Handle tile click
   const handleTileClick = (index) => {
     if (disabled) return;
 
-    // Toggle selection
+    // Toggle selection, or with colors step through them before deselecting
     const newSelectedTiles = [...selectedTiles];
+    const newSelectedColors = [...selectedColors];
     const tileIndex = newSelectedTiles.indexOf(index);
+    const nextColor = colors > 0 ? getNextColor(tileIndex === -1 ? null : newSelectedColors[tileIndex], colors) : null;
 
     if (tileIndex === -1) {
       newSelectedTiles.push(index);
+      newSelectedColors.push(nextColor);
+    } else if (nextColor !== null) {
+      newSelectedColors[tileIndex] = nextColor;
     } else {
       newSelectedTiles.splice(tileIndex, 1);
+      newSelectedColors.splice(tileIndex, 1);
     }
 
     setSelectedTiles(newSelectedTiles);
-    onTileClick(index, newSelectedTiles);
+    setSelectedColors(newSelectedColors);
+    onTileClick(index, newSelectedTiles, colors > 0 ? newSelectedColors : []);
 
     // Update focused tile
     setFocusedTile(index);
@@ -93,43 +121,28 @@ const Grid = ({
 
     // If no tile is focused, focus the first one
     if (focusedTile === null) {
-      setFocusedTile(0);
-      tileRefs.current[0]?.focus();
+      const firstTile = gridBoard.tiles[0];
+      setFocusedTile(firstTile);
+      tileRefs.current[firstTile]?.focus();
       return;
     }
 
-    const { row, col } = getCoordinates(focusedTile);
-    let newRow = row;
-    let newCol = col;
-
-    // Handle arrow keys for navigation
-    switch (e.key) {
-      case 'ArrowUp':
-        newRow = Math.max(0, row - 1);
-        break;
-      case 'ArrowRight':
-        newCol = Math.min(size - 1, col + 1);
-        break;
-      case 'ArrowDown':
-        newRow = Math.min(size - 1, row + 1);
-        break;
-      case 'ArrowLeft':
-        newCol = Math.max(0, col - 1);
-        break;
-      case 'Enter':
-      case ' ': // Space
+    // Arrow keys (and Q/E/A/D/Z/C on hex boards) move to the next tile in
+    // that direction, jumping over holes
+    const direction = getKeyDirection(gridBoard, e.key);
+    if (!direction) {
+      if (e.key === 'Enter' || e.key === ' ') {
         e.preventDefault(); // Prevent scrolling with space
         handleTileClick(focusedTile);
-        return;
-      default:
-        return;
+      }
+      return;
     }
 
     // Calculate new index and focus that tile
-    const newIndex = getIndex(newRow, newCol);
+    const newIndex = moveOnBoard(gridBoard, focusedTile, direction);
     setFocusedTile(newIndex);
     tileRefs.current[newIndex]?.focus();
-  }, [focusedTile, size, disabled, keyboardEnabled, handleTileClick]);
+  }, [focusedTile, gridBoard, disabled, keyboardEnabled, handleTileClick]);
 
   // Add keyboard event listener
   useEffect(() => {
@@ -146,12 +159,42 @@ const Grid = ({
 
   // Determine if a tile is active (part of the pattern and should be shown)
   const isTileActive = (index) => {
-    return showPattern && activePattern.includes(index);
+    if (!showPattern) return false;
+
+    // Ordered patterns light a single step at a time
+    if (sequenceStep !== null) {
+      return activePattern[sequenceStep] === index;
+    }
+
+    return activePattern.includes(index);
+  };
+
+  // Determine if a tile is a decoy flashing with the pattern
+  const isTileDistractor = (index) => {
+    return showPattern && Boolean(distractors) && distractors.includes(index);
   };
 
   // Determine if a tile is selected by the user
   const isTileSelected = (index) => {
-    return selectedTiles.includes(index);
+    return (selections || selectedTiles).includes(index);
+  };
+
+  // Position of a selected tile in the pick order (1-based), or 0 if it isn't selected
+  const getSelectionOrder = (index) => {
+    return (selections || selectedTiles).indexOf(index) + 1;
+  };
+
+  // Palette color a tile shows: the pattern's color while the pattern is
+  // shown, otherwise the color it was given when selected
+  const getDisplayedColor = (index) => {
+    if (colors === 0 && patternColors.length === 0) return null;
+
+    if (isTileActive(index)) {
+      return getTileColor(patternColors[activePattern.indexOf(index)]);
+    }
+
+    const position = (selections || selectedTiles).indexOf(index);
+    return position === -1 ? null : getTileColor((selectionColors || selectedColors)[position]);
   };
 
   // Determine if a tile is focused
@@ -159,10 +202,30 @@ const Grid = ({
     return focusedTile === index;
   };
 
+  // Fraction of the countdown left, for the timer bar
+  const timerFraction = countdownTotal > 0 ? Math.max(0, Math.min(1, countdown / countdownTotal)) : 0;
+
+  // Hex tiles sit on a grid of half columns and quarter rows, so that odd
+  // rows shift by half a tile and neighbouring rows interlock
+  const getCellPlacement = (row, col) => {
+    if (!hex) return undefined;
+
+    return {
+      gridColumn: `${col * 2 + (row % 2) + 1} / span 2`,
+      gridRow: `${row * 3 + 1} / span 4`
+    };
+  };
+
   // Generate tile shape for high contrast mode
   const getTileShape = (index) => {
     if (!highContrast) return null;
 
+    // Each color has its own symbol, and uncolored tiles get none
+    if (colors > 0 || patternColors.length > 0) {
+      const color = getDisplayedColor(index);
+      return color ? color.symbol : null;
+    }
+
     // Use different shapes for tiles in high contrast mode
     const shapes = ['circle', 'square', 'diamond', 'triangle'];
     return shapes[index % shapes.length];
@@ -171,13 +234,15 @@ const Grid = ({
   return (
     <div
       ref={gridRef}
-      className={`grid-container ${highContrast ? 'high-contrast' : ''}`}
+      className={`grid-container ${hex ? 'hex' : ''} ${highContrast ? 'high-contrast' : ''}`}
       style={{
-        gridTemplateColumns: `repeat(${size}, 1fr)`,
-        gridTemplateRows: `repeat(${size}, 1fr)`,
+        gridTemplateColumns: hex ? `repeat(${cols * 2 + 1}, 1fr)` : `repeat(${cols}, 1fr)`,
+        gridTemplateRows: hex ? `repeat(${rows * 3 + 1}, 1fr)` : `repeat(${rows}, 1fr)`,
+        // A hex tile is 2 / √3 times as tall as it is wide
+        aspectRatio: hex ? `${cols + 0.5} / ${((rows * 3 + 1) / 4 * 2 / Math.sqrt(3)).toFixed(3)}` : `${cols} / ${rows}`,
         position: 'relative' // For absolute positioning of countdown overlay
       }}
-      aria-label={`${size}x${size} memory grid`}
+      aria-label={`${describeBoard(gridBoard)} memory grid`}
       tabIndex="-1" // Make div focusable but not in tab order
       role="grid"
     >
@@ -189,9 +254,27 @@ const Grid = ({
       )}
 
       {Array.from({ length: totalTiles }).map((_, index) => {
-        const { row, col } = getCoordinates(index);
+        const { row, col } = getTileCell(gridBoard, index);
+
+        // Holes keep their place in the layout but aren't tiles
+        if (!isPlayableTile(gridBoard, index)) {
+          return (
+            <div
+              key={index}
+              className="grid-hole"
+              style={getCellPlacement(row, col)}
+              aria-hidden="true"
+              data-row={row}
+              data-col={col}
+            />
+          );
+        }
+
         const shape = getTileShape(index);
+        const color = getDisplayedColor(index);
         const isIncorrect = incorrectSelections.includes(index);
+        const isExpected = Boolean(expectedPattern) && expectedPattern.includes(index);
+        const order = showOrder ? getSelectionOrder(index) : 0;
 
         return (
           <button
@@ -199,49 +282,73 @@ const Grid = ({
             key={index}
             className={`grid-tile
               ${isTileActive(index) ? 'active' : ''}
+              ${isTileActive(index) && sequenceStep !== null ? 'sequence-step' : ''}
+              ${isTileDistractor(index) ? 'distractor' : ''}
               ${isTileSelected(index) ? 'selected' : ''}
               ${isTileFocused(index) ? 'focused' : ''}
               ${isIncorrect ? 'incorrect' : ''}
+              ${isExpected ? 'expected' : ''}
+              ${color ? 'colored' : ''}
               ${shape ? `shape-${shape}` : ''}`
             }
+            style={color ? { ...getCellPlacement(row, col), '--tile-color': color.value } : getCellPlacement(row, col)}
             onClick={() => handleTileClick(index)}
             onFocus={() => setFocusedTile(index)}
             disabled={disabled}
-            aria-label={`Tile at row ${row + 1}, column ${col + 1}${isTileActive(index) ? ', active' : ''}${isTileSelected(index) ? ', selected' : ''}${isIncorrect ? ', incorrect' : ''}`}
+            aria-label={`Tile at row ${row + 1}, column ${col + 1}${isTileActive(index) ? ', active' : ''}${isTileDistractor(index) ? ', decoy' : ''}${isTileSelected(index) ? ', selected' : ''}${color ? `, ${color.name.toLowerCase()}` : ''}${order ? ` ${order}` : ''}${isExpected ? ', expected' : ''}${isIncorrect ? ', incorrect' : ''}`}
             aria-pressed={isTileSelected(index)}
             data-row={row}
             data-col={col}
             role="gridcell"
           >
             {highContrast && shape && <span className="visually-hidden">{shape}</span>}
+            {order > 0 && <span className="tile-order" aria-hidden="true">{order}</span>}
           </button>
         );
       })}
 
       {/* Visual timer indicator */}
-      <div className="timer-indicator-container">
-        <div
-          className="timer-indicator"
-          style={{
-            width: `${(countdown / 5) * 100}%`,
-            backgroundColor: countdown <= 2 ? '#ff4d4d' : countdown <= 3 ? '#ffcc00' : '#4caf50'
-          }}
-        ></div>
-      </div>
+      {countdownTotal > 0 && (
+        <div className="timer-indicator-container">
+          <div
+            className="timer-indicator"
+            style={{
+              width: `${timerFraction * 100}%`,
+              backgroundColor: timerFraction <= 0.4 ? '#ff4d4d' : timerFraction <= 0.6 ? '#ffcc00' : '#4caf50'
+            }}
+          ></div>
+        </div>
+      )}
     </div>
   );
 };
 
 Grid.propTypes = {
   size: PropTypes.number,
+  board: PropTypes.shape({
+    type: PropTypes.string,
+    rows: PropTypes.number.isRequired,
+    cols: PropTypes.number.isRequired,
+    holes: PropTypes.arrayOf(PropTypes.number).isRequired,
+    tiles: PropTypes.arrayOf(PropTypes.number).isRequired
+  }),
   activePattern: PropTypes.arrayOf(PropTypes.number),
   showPattern: PropTypes.bool,
+  distractors: PropTypes.arrayOf(PropTypes.number),
   onTileClick: PropTypes.func,
   disabled: PropTypes.bool,
   highContrast: PropTypes.bool,
   countdown: PropTypes.number,
   showCountdown: PropTypes.bool,
-  incorrectSelections: PropTypes.arrayOf(PropTypes.number)
+  countdownTotal: PropTypes.number,
+  incorrectSelections: PropTypes.arrayOf(PropTypes.number),
+  expectedPattern: PropTypes.arrayOf(PropTypes.number),
+  selections: PropTypes.arrayOf(PropTypes.number),
+  sequenceStep: PropTypes.number,
+  showOrder: PropTypes.bool,
+  colors: PropTypes.number,
+  patternColors: PropTypes.arrayOf(PropTypes.number),
+  selectionColors: PropTypes.arrayOf(PropTypes.number)
 };
 
 export default Grid;
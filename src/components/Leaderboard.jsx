@@ -1,23 +1,32 @@
 import { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { getHighScores } from '../utils/storage';
+import { getHighScores, getReplay, getDailyResults, getDailyStreak } from '../utils/storage';
+import { getDailyDate, getCurrentStreak } from '../utils/dailyChallenge';
 import '../styles/Leaderboard.css';
 
 /**
- * Leaderboard component for displaying high scores
+ * Leaderboard component for displaying high scores, with a separate section
+ * for daily challenge results
  * @param {Object} props - Component props
  * @param {boolean} props.isOpen - Whether the leaderboard modal is open
  * @param {Function} props.onClose - Callback when modal is closed
+ * @param {Function} props.onWatchReplay - Callback with the replay of a score to watch it
  */
-const Leaderboard = ({ isOpen, onClose }) => {
+const Leaderboard = ({ isOpen, onClose, onWatchReplay }) => {
   const [highScores, setHighScores] = useState([]);
   const [filter, setFilter] = useState('all');
+  const [dailyResults, setDailyResults] = useState([]);
+  const [dailyStreak, setDailyStreak] = useState(null);
+  // Section shown: 'all' for the high scores or 'daily' for the daily challenge
+  const [section, setSection] = useState('all');
 
   // Load high scores on mount and when isOpen changes
   useEffect(() => {
     if (isOpen) {
       const scores = getHighScores();
       setHighScores(scores);
+      setDailyResults(getDailyResults());
+      setDailyStreak(getDailyStreak());
     }
   }, [isOpen]);
 
@@ -38,61 +47,146 @@ const Leaderboard = ({ isOpen, onClose }) => {
     return highScores.filter(score => score.gridSize === gridSize);
   };
 
-  // If modal is not open, don't render anything
-  if (!isOpen) return null;
+  // Show a watch button for scores whose replay is still stored
+  const renderReplayButton = (score) => {
+    const replay = score.replayId ? getReplay(score.replayId) : null;
+    if (!replay) return '-';
 
-  return (
-    <div className="leaderboard-modal-overlay">
-      <div className="leaderboard-modal">
-        <button className="close-button" onClick={onClose}>×</button>
-        
-        <h2>Leaderboard</h2>
-        
-        <div className="filter-controls">
-          <label htmlFor="filter">Filter by Grid Size:</label>
-          <select
-            id="filter"
-            value={filter}
-            onChange={(e) => setFilter(e.target.value)}
-          >
-            <option value="all">All Sizes</option>
-            <option value="3">3x3</option>
-            <option value="4">4x4</option>
-            <option value="5">5x5</option>
-            <option value="6">6x6</option>
-          </select>
-        </div>
-        
-        {filteredScores().length > 0 ? (
+    return (
+      <button className="watch-replay-button" onClick={() => onWatchReplay(replay)}>
+        Watch
+      </button>
+    );
+  };
+
+  // Daily results, one row per day played
+  const renderDailySection = () => {
+    const today = getDailyDate();
+
+    return (
+      <>
+        {dailyStreak && (
+          <p className="daily-streak">
+            Current streak: {getCurrentStreak(dailyStreak, today)} days · Best: {dailyStreak.best} days
+          </p>
+        )}
+
+        {dailyResults.length > 0 ? (
           <table className="leaderboard-table">
             <thead>
               <tr>
-                <th>Rank</th>
+                <th>Day</th>
                 <th>Player</th>
                 <th>Score</th>
                 <th>Level</th>
-                <th>Grid</th>
-                <th>Date</th>
+                {onWatchReplay && <th>Replay</th>}
               </tr>
             </thead>
             <tbody>
-              {filteredScores().map((score, index) => (
-                <tr key={index} className={index < 3 ? 'top-score' : ''}>
-                  <td>{index + 1}</td>
-                  <td>{score.playerName || 'Anonymous'}</td>
-                  <td>{score.score}</td>
-                  <td>{score.level || '-'}</td>
-                  <td>{score.gridSize ? `${score.gridSize}x${score.gridSize}` : '-'}</td>
-                  <td>{score.date ? formatDate(score.date) : '-'}</td>
+              {dailyResults.map(result => (
+                <tr key={result.date} className={result.date === today ? 'today' : ''}>
+                  <td>{result.date === today ? 'Today' : result.date}</td>
+                  <td>{result.playerName || 'Anonymous'}</td>
+                  <td>{result.score === null ? 'Unfinished' : result.score}</td>
+                  <td>{result.level || '-'}</td>
+                  {onWatchReplay && (
+                    <td>{renderReplayButton(result)}</td>
+                  )}
                 </tr>
               ))}
             </tbody>
           </table>
         ) : (
           <div className="no-scores">
-            <p>No high scores yet. Start playing to set some records!</p>
+            <p>No daily challenges played yet. A new one starts every day!</p>
           </div>
         )}
+      </>
+    );
+  };
+
+  // If modal is not open, don't render anything
+  if (!isOpen) return null;
+
+  return (
+    <div className="leaderboard-modal-overlay">
+      <div className="leaderboard-modal">
+        <button className="close-button" onClick={onClose}>×</button>
+        
+        <h2>Leaderboard</h2>
+
+        <div className="leaderboard-sections" role="tablist">
+          <button
+            role="tab"
+            aria-selected={section === 'all'}
+            className={section === 'all' ? 'active' : ''}
+            onClick={() => setSection('all')}
+          >
+            High Scores
+          </button>
+          <button
+            role="tab"
+            aria-selected={section === 'daily'}
+            className={section === 'daily' ? 'active' : ''}
+            onClick={() => setSection('daily')}
+          >
+            Daily Challenge
+          </button>
+        </div>
+
+        {section === 'daily' ? renderDailySection() : (
+          <>
+            <div className="filter-controls">
+              <label htmlFor="filter">Filter by Grid Size:</label>
+              <select
+                id="filter"
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+              >
+                <option value="all">All Sizes</option>
+                <option value="3">3x3</option>
+                <option value="4">4x4</option>
+                <option value="5">5x5</option>
+                <option value="6">6x6</option>
+              </select>
+            </div>
+        
+            {filteredScores().length > 0 ? (
+              <table className="leaderboard-table">
+                <thead>
+                  <tr>
+                    <th>Rank</th>
+                    <th>Player</th>
+                    <th>Score</th>
+                    <th>Level</th>
+                    <th>Grid</th>
+                    <th>Date</th>
+                    {onWatchReplay && <th>Replay</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredScores().map((score, index) => (
+                    <tr key={index} className={index < 3 ? 'top-score' : ''}>
+                      <td>{index + 1}</td>
+                      <td>{score.playerName || 'Anonymous'}</td>
+                      <td>{score.score}</td>
+                      <td>{score.level || '-'}</td>
+                      <td>{score.gridSize ? `${score.gridSize}x${score.gridSize}` : '-'}</td>
+                      <td>{score.date ? formatDate(score.date) : '-'}</td>
+                      {onWatchReplay && (
+                        <td>{renderReplayButton(score)}</td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <div className="no-scores">
+                <p>No high scores yet. Start playing to set some records!</p>
+              </div>
+            )}
+          </>
+        )}
       </div>
     </div>
   );
@@ -100,7 +194,8 @@ const Leaderboard = ({ isOpen, onClose }) => {
 
 Leaderboard.propTypes = {
   isOpen: PropTypes.bool.isRequired,
-  onClose: PropTypes.func.isRequired
+  onClose: PropTypes.func.isRequired,
+  onWatchReplay: PropTypes.func
 };
 
 export default Leaderboard;
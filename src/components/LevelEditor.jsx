@@ -0,0 +1,420 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import Grid from './Grid';
+import GameController from './GameController';
+import { loadPatternPacks } from './GameModes';
+import { createBoard, describeBoard, getTileCell, getTileIndex, MIN_BOARD_SIZE, MAX_BOARD_SIZE } from '../utils/board';
+import {
+  PATTERN_PACK_VERSION,
+  DEFAULT_ROUND_TIMINGS,
+  validatePatternPack,
+  getRoundWarnings,
+  getPackLevels,
+  createPackId,
+  createPackMode
+} from '../utils/patternPacks';
+import { savePatternPack } from '../utils/storage';
+import '../styles/LevelEditor.css';
+
+// How a round gets its pattern: drawn tile by tile, or by one of the generators
+const PATTERN_SOURCES = {
+  drawn: 'Drawn tiles',
+  random: 'Random',
+  sequential: 'Sequential',
+  shape: 'Shape'
+};
+
+/**
+ * Create an empty round, with the board and timings of the round it follows
+ * @param {Object} previous - Round to copy the settings of (null for defaults)
+ * @returns {Object} - Pack round
+ */
+const createRound = (previous = null) => ({
+  gridSize: previous ? previous.gridSize : 4,
+  ...(previous && previous.board ? { board: previous.board } : {}),
+  pattern: [],
+  displayTime: previous ? previous.displayTime : DEFAULT_ROUND_TIMINGS.displayTime,
+  inputTimeLimit: previous ? previous.inputTimeLimit : DEFAULT_ROUND_TIMINGS.inputTimeLimit
+});
+
+/**
+ * Create a pack to start editing
+ * @returns {Object} - Pattern pack without an id, which is made from the title on save
+ */
+const createDraftPack = () => ({
+  version: PATTERN_PACK_VERSION,
+  title: 'My Pack',
+  rounds: [createRound()]
+});
+
+/**
+ * Build the board of a round for the editor grid
+ * @param {Object} round - Pack round
+ * @returns {Object|null} - Board, or null if the round's board spec is invalid
+ */
+const getRoundBoard = (round) => {
+  try {
+    return createBoard(round.board || null, round.gridSize);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Change the board size of a round. Drawn tiles keep their row and column,
+ * and tiles that no longer fit are dropped.
+ * @param {Object} round - Pack round
+ * @param {number} gridSize - New board size
+ * @returns {Object} - Resized round
+ */
+const resizeRound = (round, gridSize) => {
+  // Explicit rows, columns and holes belong to the old size; the board type and layout carry over
+  const { type, layout } = round.board || {};
+  const resized = { ...round, gridSize };
+  delete resized.board;
+  if (type || layout) {
+    resized.board = { ...(type ? { type } : {}), ...(layout ? { layout } : {}) };
+  }
+
+  if (!round.pattern) return resized;
+
+  const from = getRoundBoard(round);
+  const to = getRoundBoard(resized);
+  if (!from || !to) return resized;
+
+  return {
+    ...resized,
+    pattern: round.pattern
+      .map(index => {
+        const { row, col } = getTileCell(from, index);
+        return getTileIndex(to, row, col);
+      })
+      .filter(index => index !== -1)
+  };
+};
+
+/**
+ * Switch a round between drawn tiles and a generator
+ * @param {Object} round - Pack round
+ * @param {string} source - Key of PATTERN_SOURCES
+ * @returns {Object} - Round with its pattern or generator replaced
+ */
+const setPatternSource = (round, source) => {
+  const { pattern, generator, ...rest } = round;
+
+  if (source === 'drawn') {
+    return { ...rest, pattern: [] };
+  }
+
+  return {
+    ...rest,
+    generator: {
+      ...(generator || {}),
+      type: source,
+      length: generator ? generator.length : Math.max(pattern.length, 3)
+    }
+  };
+};
+
+/**
+ * Level editor for pattern packs: draw each round's pattern on the grid, set
+ * its board and timings, reorder rounds, playtest and save to local storage
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Callback when the editor is closed
+ * @param {string} props.playerName - Player name shown while playtesting
+ * @param {boolean} props.highContrast - Whether to use high contrast mode
+ */
+const LevelEditor = ({ onClose, playerName = 'Player', highContrast = false }) => {
+  const [packs, setPacks] = useState(() => loadPatternPacks());
+  const [pack, setPack] = useState(() => createDraftPack());
+  const [selectedRound, setSelectedRound] = useState(0);
+  // Result of the last save or playtest attempt, as { text, error }
+  const [message, setMessage] = useState(null);
+  // Game mode of the pack being playtested (null while editing)
+  const [playtestMode, setPlaytestMode] = useState(null);
+
+  const round = pack.rounds[selectedRound];
+  const roundBoard = getRoundBoard(round);
+  const roundWarnings = useMemo(() => pack.rounds.map(getRoundWarnings), [pack.rounds]);
+  const source = round.generator ? round.generator.type : 'drawn';
+
+  // Replace the rounds of the pack
+  const updateRounds = (rounds) => {
+    setPack({ ...pack, rounds });
+    setMessage(null);
+  };
+
+  // Replace the selected round
+  const updateRound = (changes) => {
+    updateRounds(pack.rounds.map((existing, index) => (index === selectedRound ? { ...existing, ...changes } : existing)));
+  };
+
+  // Open a stored pack, or start a new one
+  const handleOpen = (packId) => {
+    const stored = packs.find(saved => saved.id === packId);
+    // Edit a copy, so nothing changes in storage until the pack is saved
+    setPack(stored ? JSON.parse(JSON.stringify(stored)) : createDraftPack());
+    setSelectedRound(0);
+    setMessage(null);
+  };
+
+  // Toggle a tile in the drawn pattern
+  const handleTileClick = (index) => {
+    const pattern = round.pattern.includes(index)
+      ? round.pattern.filter(tile => tile !== index)
+      : [...round.pattern, index];
+    updateRound({ pattern });
+  };
+
+  // Swap a round with its neighbour, keeping it selected
+  const moveRound = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= pack.rounds.length) return;
+
+    const rounds = [...pack.rounds];
+    [rounds[index], rounds[target]] = [rounds[target], rounds[index]];
+    updateRounds(rounds);
+    setSelectedRound(target);
+  };
+
+  // Add a round after the selected one
+  const addRound = () => {
+    const rounds = [...pack.rounds];
+    rounds.splice(selectedRound + 1, 0, createRound(round));
+    updateRounds(rounds);
+    setSelectedRound(selectedRound + 1);
+  };
+
+  // Remove a round, keeping at least one
+  const removeRound = (index) => {
+    if (pack.rounds.length === 1) return;
+
+    updateRounds(pack.rounds.filter((_, roundIndex) => roundIndex !== index));
+    setSelectedRound(Math.min(index < selectedRound ? selectedRound - 1 : selectedRound, pack.rounds.length - 2));
+  };
+
+  // The pack as it would be saved, validated; reports the problem and returns null if invalid
+  const getValidPack = () => {
+    const id = pack.id || createPackId(pack.title, packs.map(saved => saved.id));
+
+    try {
+      return validatePatternPack({ ...pack, id });
+    } catch (error) {
+      setMessage({ text: `Can't use this pack yet: ${error.message}`, error: true });
+      return null;
+    }
+  };
+
+  // Store the pack, replacing the stored version when editing a saved pack
+  const handleSave = () => {
+    const valid = getValidPack();
+    if (!valid) return;
+
+    savePatternPack(valid);
+    setPacks(loadPatternPacks());
+    setPack(valid);
+    setMessage({ text: `Saved "${valid.title}"`, error: false });
+  };
+
+  // Play the pack as it is now, saved or not
+  const handlePlaytest = () => {
+    const valid = getValidPack();
+    if (valid) {
+      setPlaytestMode(createPackMode(valid, { playtest: true }));
+    }
+  };
+
+  if (playtestMode) {
+    return (
+      <div className="level-editor">
+        <h2>Playtest: {playtestMode.name}</h2>
+        <p className="editor-note">Playtests don&apos;t count towards high scores.</p>
+
+        <GameController
+          initialGridSize={playtestMode.initialGridSize}
+          board={playtestMode.board || null}
+          initialPatternLength={playtestMode.initialPatternLength}
+          countdownSeconds={playtestMode.countdownSeconds}
+          patternDisplayTime={playtestMode.patternDisplayTime}
+          retentionTime={playtestMode.retentionTime}
+          inputTimeLimit={playtestMode.inputTimeLimit}
+          maxLevel={playtestMode.maxLevel}
+          playerName={playerName}
+          lives={playtestMode.lives}
+          gameMode={playtestMode.id}
+          highContrast={highContrast}
+          progressionTable={getPackLevels(playtestMode.pack)}
+          saveResults={false}
+        />
+
+        <button className="back-button" onClick={() => setPlaytestMode(null)}>
+          Back to Editor
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="level-editor">
+      <h2>Level Editor</h2>
+
+      <div className="editor-pack">
+        <label>
+          Pack:
+          <select value={pack.id || ''} onChange={(e) => handleOpen(e.target.value)}>
+            <option value="">New pack</option>
+            {packs.map(saved => (
+              <option key={saved.id} value={saved.id}>{saved.title}</option>
+            ))}
+          </select>
+        </label>
+
+        <label>
+          Title:
+          <input
+            type="text"
+            value={pack.title}
+            onChange={(e) => {
+              setPack({ ...pack, title: e.target.value });
+              setMessage(null);
+            }}
+          />
+        </label>
+      </div>
+
+      <div className="editor-body">
+        <ol className="editor-rounds">
+          {pack.rounds.map((existing, index) => (
+            <li key={index} className={index === selectedRound ? 'selected' : ''}>
+              <button className="editor-round-select" onClick={() => setSelectedRound(index)}>
+                Round {index + 1}
+                {roundWarnings[index].length > 0 && (
+                  <span className="editor-warning-mark" aria-label={`${roundWarnings[index].length} warnings`}> ⚠</span>
+                )}
+              </button>
+              <button onClick={() => moveRound(index, -1)} disabled={index === 0} aria-label={`Move round ${index + 1} up`}>↑</button>
+              <button onClick={() => moveRound(index, 1)} disabled={index === pack.rounds.length - 1} aria-label={`Move round ${index + 1} down`}>↓</button>
+              <button onClick={() => removeRound(index)} disabled={pack.rounds.length === 1} aria-label={`Remove round ${index + 1}`}>×</button>
+            </li>
+          ))}
+          <li>
+            <button className="editor-add-round" onClick={addRound}>Add Round</button>
+          </li>
+        </ol>
+
+        <div className="editor-round">
+          <div className="editor-settings">
+            <label>
+              Board size:
+              <select value={round.gridSize} onChange={(e) => updateRounds(pack.rounds.map((existing, index) => (
+                index === selectedRound ? resizeRound(existing, parseInt(e.target.value, 10)) : existing
+              )))}>
+                {Array.from({ length: MAX_BOARD_SIZE - MIN_BOARD_SIZE + 1 }, (_, i) => MIN_BOARD_SIZE + i).map(size => (
+                  <option key={size} value={size}>{size}</option>
+                ))}
+              </select>
+            </label>
+
+            <label>
+              Pattern:
+              <select value={source} onChange={(e) => updateRounds(pack.rounds.map((existing, index) => (
+                index === selectedRound ? setPatternSource(existing, e.target.value) : existing
+              )))}>
+                {Object.entries(PATTERN_SOURCES).map(([value, name]) => (
+                  <option key={value} value={value}>{name}</option>
+                ))}
+              </select>
+            </label>
+
+            {round.generator && (
+              <label>
+                Tiles:
+                <input
+                  type="number"
+                  min="1"
+                  value={round.generator.length}
+                  onChange={(e) => updateRound({ generator: { ...round.generator, length: parseInt(e.target.value, 10) || 0 } })}
+                />
+              </label>
+            )}
+
+            <label>
+              Flash time (ms):
+              <input
+                type="number"
+                min="100"
+                step="100"
+                value={round.displayTime}
+                onChange={(e) => updateRound({ displayTime: Number(e.target.value) })}
+              />
+            </label>
+
+            <label>
+              Input window (ms):
+              <input
+                type="number"
+                min="100"
+                step="500"
+                value={round.inputTimeLimit === null ? '' : round.inputTimeLimit}
+                disabled={round.inputTimeLimit === null}
+                onChange={(e) => updateRound({ inputTimeLimit: Number(e.target.value) })}
+              />
+            </label>
+
+            <label>
+              <input
+                type="checkbox"
+                checked={round.inputTimeLimit === null}
+                onChange={(e) => updateRound({ inputTimeLimit: e.target.checked ? null : DEFAULT_ROUND_TIMINGS.inputTimeLimit })}
+              />
+              No time limit
+            </label>
+          </div>
+
+          <p className="editor-note">
+            {round.generator
+              ? `A new ${round.generator.type} pattern is made each time the round is played.`
+              : `Click tiles to add them to the pattern (${round.pattern.length} selected).`}
+            {roundBoard && ` ${describeBoard(roundBoard)} board.`}
+          </p>
+
+          {roundBoard && (
+            <Grid
+              board={roundBoard}
+              selections={round.pattern || []}
+              onTileClick={handleTileClick}
+              disabled={Boolean(round.generator)}
+              highContrast={highContrast}
+            />
+          )}
+
+          {roundWarnings[selectedRound].length > 0 && (
+            <ul className="editor-warnings">
+              {roundWarnings[selectedRound].map(warning => (
+                <li key={warning}>{warning}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {message && (
+        <p className={message.error ? 'editor-error' : 'editor-message'}>{message.text}</p>
+      )}
+
+      <div className="editor-actions">
+        <button className="secondary-button" onClick={handlePlaytest}>Playtest</button>
+        <button className="secondary-button" onClick={handleSave}>Save Pack</button>
+        <button className="back-button" onClick={onClose}>Back</button>
+      </div>
+    </div>
+  );
+};
+
+LevelEditor.propTypes = {
+  onClose: PropTypes.func.isRequired,
+  playerName: PropTypes.string,
+  highContrast: PropTypes.bool
+};
+
+export default LevelEditor;
@@ -0,0 +1,457 @@
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import Grid from './Grid';
+import {
+  NBACK_DEFAULTS,
+  NBACK_ADAPTATION,
+  NBACK_CHANNELS,
+  schedulePatternTrials,
+  scheduleToneTrials,
+  gradeNBackBlock,
+  combineNBackGrades,
+  scoreNBackBlock,
+  getNextN
+} from '../utils/nBack';
+import { TONE_FREQUENCIES, getToneName, initTones, playSound } from '../utils/audioManager';
+import { createRandom, generateSeed } from '../utils/random';
+import { saveHighScore } from '../utils/storage';
+import '../styles/NBackGame.css';
+
+// Keys that answer a trial of the single-channel task
+const ANSWER_KEYS = {
+  m: true,
+  n: false
+};
+
+// Keys that report a match on each channel of the dual task
+const CHANNEL_KEYS = {
+  a: NBACK_CHANNELS.POSITION,
+  l: NBACK_CHANNELS.SOUND
+};
+
+// How each channel is named to the player
+const CHANNEL_LABELS = {
+  [NBACK_CHANNELS.POSITION]: 'Position',
+  [NBACK_CHANNELS.SOUND]: 'Sound'
+};
+
+/**
+ * Describe an accuracy for the player
+ * @param {number} accuracy - Accuracy (0-1)
+ * @returns {string} - Percentage, e.g. "85%"
+ */
+const formatAccuracy = (accuracy) => `${Math.round(accuracy * 100)}%`;
+
+/**
+ * N-back game: a stream of patterns on the Grid, each answered "match" or
+ * "no match" against the pattern N steps earlier, in blocks after which N adapts.
+ * With the sound channel on, each trial also plays a tone, and the player
+ * reports position and sound matches separately (dual n-back).
+ * @param {Object} props - Component props
+ * @param {number} props.gridSize - Grid size
+ * @param {number} props.patternLength - Tiles in each pattern
+ * @param {number} props.displayTime - Time in ms each pattern is shown
+ * @param {Object} props.nBack - Task settings, any of NBACK_DEFAULTS (startN, blocks, trialsPerBlock, matchRate, trialTime, channels)
+ * @param {string} props.playerName - Player name for the high score
+ * @param {string} props.gameMode - Game mode id, stored with the high score
+ * @param {boolean} props.highContrast - Whether to use high contrast mode
+ * @param {number} props.seed - Seed for reproducible trials (null for a new seed each game)
+ * @param {Function} props.onGameComplete - Callback with the final score when the last block ends
+ * @param {Function} props.onScoreChange - Callback when the score changes
+ */
+const NBackGame = ({
+  gridSize = 3,
+  patternLength = 2,
+  displayTime = 1000,
+  nBack = {},
+  playerName = 'Player',
+  gameMode = 'nback',
+  highContrast = false,
+  seed = null,
+  onGameComplete = () => {},
+  onScoreChange = () => {}
+}) => {
+  const settings = { ...NBACK_DEFAULTS, ...nBack };
+  const { channels } = settings;
+  const isDual = channels.length > 1;
+  const hasSound = channels.includes(NBACK_CHANNELS.SOUND);
+  const randomRef = useRef(null);
+  // Answers of the block in progress, by channel and then by trial
+  const responsesRef = useRef({});
+
+  // 'intro', 'trials', 'block' (between blocks) or 'done'
+  const [phase, setPhase] = useState('intro');
+  const [n, setN] = useState(settings.startN);
+  // Trials of the block in progress, by channel
+  const [trials, setTrials] = useState({});
+  const [trialIndex, setTrialIndex] = useState(0);
+  const [showStimulus, setShowStimulus] = useState(false);
+  // Answers to the current trial, by channel
+  const [answers, setAnswers] = useState({});
+  // Results of the blocks played, as { n, grades (by channel), points, nextN }
+  const [blockResults, setBlockResults] = useState([]);
+  const [score, setScore] = useState(0);
+  const [soundWarning, setSoundWarning] = useState(false);
+
+  // Start a new game with a fresh seed, unless the game is seeded
+  const startGame = () => {
+    randomRef.current = createRandom(seed !== null ? seed : generateSeed());
+    setN(settings.startN);
+    setBlockResults([]);
+    setScore(0);
+    onScoreChange(0);
+    setPhase('intro');
+  };
+
+  // Schedule and start the next block at the current N
+  const startBlock = async () => {
+    if (!randomRef.current) {
+      randomRef.current = createRandom(seed !== null ? seed : generateSeed());
+    }
+    // The tones are synthesised on the first click, which lets the browser play them
+    if (hasSound) {
+      setSoundWarning(!(await initTones()));
+    }
+
+    const count = n + settings.trialsPerBlock;
+    const options = { matchRate: settings.matchRate, random: randomRef.current };
+    const schedulers = {
+      [NBACK_CHANNELS.POSITION]: () => schedulePatternTrials(count, n, { ...options, gridSize, patternLength }),
+      [NBACK_CHANNELS.SOUND]: () => scheduleToneTrials(count, n, { ...options, toneCount: TONE_FREQUENCIES.length })
+    };
+
+    setTrials(Object.fromEntries(channels.map(channel => [channel, schedulers[channel]()])));
+    responsesRef.current = Object.fromEntries(channels.map(channel => [channel, []]));
+    setTrialIndex(0);
+    setAnswers({});
+    setPhase('trials');
+  };
+
+  // Grade the block, adapt N and end the game after the last block
+  const finishBlock = () => {
+    const grades = Object.fromEntries(channels.map(channel => [
+      channel,
+      gradeNBackBlock(trials[channel], responsesRef.current[channel], n)
+    ]));
+    const points = channels.reduce((sum, channel) => sum + scoreNBackBlock(grades[channel], n), 0);
+    // N only goes up when every channel is good enough
+    const nextN = getNextN(n, Math.min(...channels.map(channel => grades[channel].accuracy)), settings);
+    const results = [...blockResults, { n, grades, points, nextN }];
+    const total = score + points;
+
+    setBlockResults(results);
+    setScore(total);
+    onScoreChange(total);
+    setN(nextN);
+
+    if (results.length < settings.blocks) {
+      setPhase('block');
+      return;
+    }
+
+    setPhase('done');
+    saveHighScore({
+      score: total,
+      playerName,
+      // The highest N played stands in for the level
+      level: Math.max(...results.map(result => result.n)),
+      gridSize,
+      gameMode
+    });
+    onGameComplete(total);
+  };
+
+  const trialCount = trials[channels[0]] ? trials[channels[0]].length : 0;
+
+  // Show each pattern for the display time and play its tone, then move on after the trial time
+  useEffect(() => {
+    if (phase !== 'trials') return undefined;
+
+    setShowStimulus(true);
+    if (hasSound) {
+      playSound(getToneName(trials[NBACK_CHANNELS.SOUND][trialIndex].stimulus));
+    }
+    const hideTimer = setTimeout(() => setShowStimulus(false), displayTime);
+    const nextTimer = setTimeout(() => {
+      if (trialIndex + 1 < trialCount) {
+        setTrialIndex(trialIndex + 1);
+        setAnswers({});
+      } else {
+        finishBlock();
+      }
+    }, settings.trialTime);
+
+    return () => {
+      clearTimeout(hideTimer);
+      clearTimeout(nextTimer);
+    };
+  }, [phase, trialIndex]);
+
+  // Answer the current trial on one channel; the N lead-in trials have nothing to compare with
+  const respond = (channel, isMatch) => {
+    const responses = responsesRef.current[channel];
+    if (phase !== 'trials' || trialIndex < n || !responses || responses[trialIndex] !== undefined) return;
+
+    responses[trialIndex] = isMatch;
+    setAnswers(current => ({ ...current, [channel]: isMatch }));
+  };
+
+  // Answer with the keyboard as well as the buttons
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const key = event.key.toLowerCase();
+      if (isDual) {
+        if (CHANNEL_KEYS[key]) {
+          respond(CHANNEL_KEYS[key], true);
+        }
+        return;
+      }
+      if (ANSWER_KEYS[key] !== undefined) {
+        respond(channels[0], ANSWER_KEYS[key]);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const lastResult = blockResults[blockResults.length - 1];
+  const canAnswer = (channel) => phase === 'trials' && trialIndex >= n && answers[channel] === undefined;
+  const answer = answers[channels[0]];
+  // Accuracy of each channel over the whole game
+  const channelTotals = Object.fromEntries(channels.map(channel => [
+    channel,
+    combineNBackGrades(blockResults.map(result => result.grades[channel]))
+  ]));
+
+  /**
+   * List the accuracy of each channel of a block
+   * @param {Object} grades - Block grades by channel
+   * @returns {string} - e.g. "Position 85% · Sound 70%"
+   */
+  const describeChannels = (grades) => {
+    return channels.map(channel => `${CHANNEL_LABELS[channel]} ${formatAccuracy(grades[channel].accuracy)}`).join(' · ');
+  };
+
+  return (
+    <div className="nback-game">
+      <div className="nback-status">
+        <span>{n}-back</span>
+        <span>Block {Math.min(blockResults.length + 1, settings.blocks)} of {settings.blocks}</span>
+        <span>Score: {score}</span>
+      </div>
+
+      {phase === 'intro' && (
+        <div className="nback-message">
+          {isDual ? (
+            <p>
+              Each trial lights a tile and plays a tone. Press <strong>Position match</strong> if the tile is
+              in the same place as {n} {n === 1 ? 'step' : 'steps'} earlier, and <strong>Sound match</strong> if
+              the tone is the same. Either, both or neither can match; not pressing counts as no match.
+            </p>
+          ) : (
+            <p>
+              Patterns appear one at a time. For each one, answer <strong>Match</strong> if it is the same
+              pattern as {n} {n === 1 ? 'step' : 'steps'} earlier, or <strong>No match</strong> if it isn't.
+              Not answering counts as no match.
+            </p>
+          )}
+          <p>
+            N goes up after a block with {formatAccuracy(NBACK_ADAPTATION.raiseAt)} accuracy or more, and down
+            after one below {formatAccuracy(NBACK_ADAPTATION.lowerBelow)}.
+          </p>
+          <button className="nback-start-button" onClick={startBlock}>Start Block</button>
+        </div>
+      )}
+
+      {phase === 'trials' && (
+        <>
+          <div className="nback-message" aria-live="polite">
+            Trial {trialIndex + 1} of {trialCount}
+            {trialIndex < n && ` - remember this one, answers start at trial ${n + 1}`}
+          </div>
+
+          {soundWarning && (
+            <div className="nback-warning" role="alert">
+              Sound is off or muted, so the tones can&apos;t be heard. Turn sound effects on in Settings.
+            </div>
+          )}
+
+          {trials[NBACK_CHANNELS.POSITION] && (
+            <Grid
+              size={gridSize}
+              activePattern={trials[NBACK_CHANNELS.POSITION][trialIndex].stimulus}
+              showPattern={showStimulus}
+              disabled
+              highContrast={highContrast}
+            />
+          )}
+
+          {isDual ? (
+            <div className="nback-controls">
+              {channels.map(channel => {
+                const key = Object.keys(CHANNEL_KEYS).find(candidate => CHANNEL_KEYS[candidate] === channel);
+                return (
+                  <button
+                    key={channel}
+                    className={`nback-answer match ${answers[channel] ? 'chosen' : ''}`}
+                    onClick={() => respond(channel, true)}
+                    disabled={!canAnswer(channel)}
+                    aria-pressed={answers[channel] === true}
+                  >
+                    {CHANNEL_LABELS[channel]} match ({key.toUpperCase()})
+                  </button>
+                );
+              })}
+            </div>
+          ) : (
+            <div className="nback-controls">
+              <button
+                className={`nback-answer match ${answer === true ? 'chosen' : ''}`}
+                onClick={() => respond(channels[0], true)}
+                disabled={!canAnswer(channels[0])}
+                aria-pressed={answer === true}
+              >
+                Match (M)
+              </button>
+              <button
+                className={`nback-answer no-match ${answer === false ? 'chosen' : ''}`}
+                onClick={() => respond(channels[0], false)}
+                disabled={!canAnswer(channels[0])}
+                aria-pressed={answer === false}
+              >
+                No match (N)
+              </button>
+            </div>
+          )}
+        </>
+      )}
+
+      {phase === 'block' && lastResult && isDual && (
+        <div className="nback-message">
+          <h3>Block {blockResults.length} done: {describeChannels(lastResult.grades)}</h3>
+          <p>+{lastResult.points} points</p>
+          <p>
+            {lastResult.nextN > lastResult.n && `Well done! Next block: ${lastResult.nextN}-back.`}
+            {lastResult.nextN < lastResult.n && `Next block drops to ${lastResult.nextN}-back.`}
+            {lastResult.nextN === lastResult.n && `Next block stays at ${lastResult.nextN}-back.`}
+          </p>
+          <button className="nback-start-button" onClick={startBlock}>Next Block</button>
+        </div>
+      )}
+
+      {phase === 'block' && lastResult && !isDual && (
+        <div className="nback-message">
+          <h3>Block {blockResults.length} done: {formatAccuracy(lastResult.grades[channels[0]].accuracy)} accuracy</h3>
+          <p>
+            Hits: {lastResult.grades[channels[0]].hits} · Missed matches: {lastResult.grades[channels[0]].misses} ·
+            False alarms: {lastResult.grades[channels[0]].falseAlarms} · +{lastResult.points} points
+          </p>
+          <p>
+            {lastResult.nextN > lastResult.n && `Well done! Next block: ${lastResult.nextN}-back.`}
+            {lastResult.nextN < lastResult.n && `Next block drops to ${lastResult.nextN}-back.`}
+            {lastResult.nextN === lastResult.n && `Next block stays at ${lastResult.nextN}-back.`}
+          </p>
+          <button className="nback-start-button" onClick={startBlock}>Next Block</button>
+        </div>
+      )}
+
+      {phase === 'done' && (
+        <div className="nback-results">
+          <h2>All Blocks Complete!</h2>
+          <div className="final-score">Final Score: {score}</div>
+
+          {isDual ? (
+            <>
+              <ul className="nback-channel-summary">
+                {channels.map(channel => (
+                  <li key={channel}>
+                    {CHANNEL_LABELS[channel]}: {formatAccuracy(channelTotals[channel].accuracy)} accuracy
+                    ({channelTotals[channel].hits} hits, {channelTotals[channel].misses} misses,
+                    {' '}{channelTotals[channel].falseAlarms} false alarms)
+                  </li>
+                ))}
+              </ul>
+
+              <table className="nback-table">
+                <thead>
+                  <tr>
+                    <th>Block</th>
+                    <th>N</th>
+                    {channels.map(channel => <th key={channel}>{CHANNEL_LABELS[channel]}</th>)}
+                    <th>Points</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {blockResults.map((result, index) => (
+                    <tr key={index}>
+                      <td>{index + 1}</td>
+                      <td>{result.n}</td>
+                      {channels.map(channel => (
+                        <td key={channel}>{formatAccuracy(result.grades[channel].accuracy)}</td>
+                      ))}
+                      <td>{result.points}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          ) : (
+            <table className="nback-table">
+              <thead>
+                <tr>
+                  <th>Block</th>
+                  <th>N</th>
+                  <th>Hits</th>
+                  <th>Misses</th>
+                  <th>False alarms</th>
+                  <th>Accuracy</th>
+                  <th>Points</th>
+                </tr>
+              </thead>
+              <tbody>
+                {blockResults.map((result, index) => (
+                  <tr key={index}>
+                    <td>{index + 1}</td>
+                    <td>{result.n}</td>
+                    <td>{result.grades[channels[0]].hits}</td>
+                    <td>{result.grades[channels[0]].misses}</td>
+                    <td>{result.grades[channels[0]].falseAlarms}</td>
+                    <td>{formatAccuracy(result.grades[channels[0]].accuracy)}</td>
+                    <td>{result.points}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <button className="restart-button" onClick={startGame}>Play Again</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+NBackGame.propTypes = {
+  gridSize: PropTypes.number,
+  patternLength: PropTypes.number,
+  displayTime: PropTypes.number,
+  nBack: PropTypes.shape({
+    startN: PropTypes.number,
+    minN: PropTypes.number,
+    maxN: PropTypes.number,
+    blocks: PropTypes.number,
+    trialsPerBlock: PropTypes.number,
+    matchRate: PropTypes.number,
+    trialTime: PropTypes.number,
+    channels: PropTypes.arrayOf(PropTypes.oneOf(Object.values(NBACK_CHANNELS)))
+  }),
+  playerName: PropTypes.string,
+  gameMode: PropTypes.string,
+  highContrast: PropTypes.bool,
+  seed: PropTypes.number,
+  onGameComplete: PropTypes.func,
+  onScoreChange: PropTypes.func
+};
+
+export default NBackGame;
@@ -1,8 +1,21 @@
 import { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { savePlayerProfile, getPlayerProfile } from '../utils/storage';
+import { summarizeSpanHistory } from '../utils/staircase';
 import '../styles/PlayerProfile.css';
 
+/**
+ * Describe how a span changed since the first Zen game on its board size
+ * @param {Object} summary - Board size summary from summarizeSpanHistory
+ * @returns {string} - e.g. "+0.8 since 2026-09-01", or "first game" for a single game
+ */
+const describeSpanChange = (summary) => {
+  if (summary.games < 2) return 'first game';
+
+  const change = Math.round((summary.latest - summary.first) * 10) / 10;
+  return `${change >= 0 ? '+' : ''}${change} since ${summary.firstDate.slice(0, 10)}`;
+};
+
 /**
  * PlayerProfile component for managing player information
  * @param {Object} props - Component props
@@ -19,13 +32,14 @@ const PlayerProfile = ({ onProfileSave, isOpen, onClose }) => {
     }
   });
 
-  // Load existing profile on mount
+  // Load the saved profile whenever the modal opens, so span estimates
+  // saved since it was last open are kept when the profile is saved
   useEffect(() => {
     const savedProfile = getPlayerProfile();
-    if (savedProfile) {
-      setProfile(savedProfile);
+    if (isOpen && savedProfile) {
+      setProfile(prev => ({ ...prev, ...savedProfile }));
     }
-  }, []);
+  }, [isOpen]);
 
   // Handle input changes
   const handleChange = (e) => {
@@ -80,6 +94,8 @@ const PlayerProfile = ({ onProfileSave, isOpen, onClose }) => {
   // If modal is not open, don't render anything
   if (!isOpen) return null;
 
+  const spanSummaries = summarizeSpanHistory(profile.spanHistory);
+
   return (
     <div className="profile-modal-overlay">
       <div className="profile-modal">
@@ -131,6 +147,22 @@ const PlayerProfile = ({ onProfileSave, isOpen, onClose }) => {
             </select>
           </div>
           
+          {spanSummaries.length > 0 && (
+            <div className="form-group span-history">
+              <label>Memory Span (Zen Mode):</label>
+              <ul>
+                {spanSummaries.map(summary => (
+                  <li key={summary.gridSize}>
+                    {summary.gridSize}x{summary.gridSize}: {summary.latest} tiles
+                    <span className="span-detail">
+                      {' '}(best {summary.best}, {describeSpanChange(summary)})
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           <div className="form-actions">
             <button type="button" className="cancel-button" onClick={onClose}>
               Cancel
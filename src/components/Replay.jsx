@@ -0,0 +1,212 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import Grid from './Grid';
+import { getReplayFrame, isReplaySupported, REPLAY_EVENTS } from '../utils/replay';
+import { describeShape } from '../utils/shapes';
+import { describeTransform } from '../utils/patternGenerator';
+import '../styles/Replay.css';
+
+// Playback speeds offered in the speed selector
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+
+// How often the playback position advances while playing (ms)
+const PLAYBACK_INTERVAL = 50;
+
+/**
+ * Format a replay position as MM:SS
+ * @param {number} timeMs - Time in ms
+ * @returns {string} - Formatted time
+ */
+const formatTime = (timeMs) => {
+  const totalSeconds = Math.floor(timeMs / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Describe the latest game event of a replay frame
+ * @param {Object} event - Replay event
+ * @returns {string} - Message for the event
+ */
+const describeEvent = (event) => {
+  if (!event) return '';
+
+  switch (event.type) {
+    case REPLAY_EVENTS.ROUND_START:
+      return `Round ${event.round} (level ${event.level})${event.retry ? ' - retry' : ''}${event.shape ? ` - ${describeShape(event.shape)}` : ''}${event.transform ? ` - enter it ${describeTransform(event.transform)}` : ''}`;
+    case REPLAY_EVENTS.ROUND_SUCCESS:
+      return `Correct! +${event.roundScore} points in ${(event.responseTime / 1000).toFixed(1)}s`;
+    case REPLAY_EVENTS.ROUND_FAILURE:
+      return `${event.reason === 'timeout' ? 'Time ran out' : 'Incorrect pattern'}${event.roundScore ? ` - +${event.roundScore} points` : ''}`;
+    case REPLAY_EVENTS.GAME_OVER:
+      return `Game over - final score ${event.score}`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Replay viewer that plays back a recorded game on the Grid
+ * @param {Object} props - Component props
+ * @param {Object} props.replay - Replay object (see utils/replay.js)
+ * @param {Function} props.onClose - Callback when the viewer is closed
+ * @param {boolean} props.highContrast - Whether to use high contrast mode
+ */
+const Replay = ({ replay, onClose, highContrast = false }) => {
+  const [position, setPosition] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  const supported = isReplaySupported(replay);
+  const duration = supported ? replay.duration : 0;
+
+  // Advance the playback position while playing
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    let lastTick = Date.now();
+    const interval = setInterval(() => {
+      const now = Date.now();
+      const elapsed = (now - lastTick) * speed;
+      lastTick = now;
+
+      setPosition(current => Math.min(duration, current + elapsed));
+    }, PLAYBACK_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [isPlaying, speed, duration]);
+
+  // Stop at the end of the replay
+  useEffect(() => {
+    if (isPlaying && position >= duration) {
+      setIsPlaying(false);
+    }
+  }, [isPlaying, position, duration]);
+
+  const frame = useMemo(() => {
+    return supported ? getReplayFrame(replay, position) : null;
+  }, [replay, position, supported]);
+
+  // Toggle playback, restarting from the beginning at the end of the replay
+  const togglePlayback = () => {
+    if (!isPlaying && position >= duration) {
+      setPosition(0);
+    }
+    setIsPlaying(!isPlaying);
+  };
+
+  const renderContent = () => {
+    if (!supported) {
+      return (
+        <div className="replay-unsupported">
+          <p>This replay was recorded with a different version of the game and can&apos;t be played.</p>
+        </div>
+      );
+    }
+
+    const { state } = frame;
+    const showPattern = state.gameState === 'pattern' ||
+      state.gameState === 'success' ||
+      state.gameState === 'failure' ||
+      (state.gameState === 'countdown' && replay.config.showPatternDuringCountdown);
+    const { ordered } = replay.config;
+    // Replays of transformed patterns are graded against the pattern the player had to enter
+    const expectedPattern = state.expectedPattern || state.pattern;
+    const incorrectSelections = state.gameState === 'failure'
+      ? state.selections.filter((index, step) => {
+        return ordered ? expectedPattern[step] !== index : !expectedPattern.includes(index);
+      })
+      : [];
+
+    return (
+      <>
+        <div className="replay-info">
+          <span>{replay.metadata.playerName || 'Player'}</span>
+          <span>Level: {state.level || 1}</span>
+          <span>Score: {state.score || 0}</span>
+          {state.remainingLives !== undefined && state.remainingLives !== null && (
+            <span>Lives: {state.remainingLives}</span>
+          )}
+          <span>Seed: {replay.seed}</span>
+        </div>
+
+        <div className="replay-event">
+          {state.paused ? 'Game paused' : describeEvent(frame.lastEvent)}
+        </div>
+
+        <Grid
+          size={state.gridSize}
+          board={state.board || null}
+          activePattern={state.pattern}
+          showPattern={showPattern}
+          distractors={state.distractorTiles || null}
+          selections={state.selections}
+          disabled={true}
+          highContrast={highContrast}
+          countdown={state.gameState === 'countdown' ? state.countdown : Math.ceil((state.inputTimeRemaining || 0) / 1000)}
+          countdownTotal={state.gameState === 'countdown'
+            ? replay.config.countdownSeconds
+            : state.gameState === 'input' ? Math.ceil((state.inputTimeLimit || 0) / 1000) : 0}
+          showCountdown={state.gameState === 'countdown'}
+          incorrectSelections={incorrectSelections}
+          expectedPattern={state.gameState === 'failure' && state.transform ? expectedPattern : null}
+          sequenceStep={ordered && state.gameState === 'pattern' ? state.playbackStep : null}
+          showOrder={Boolean(ordered)}
+          patternColors={state.patternColors || []}
+          selectionColors={state.selectionColors || []}
+        />
+
+        <div className="replay-controls">
+          <button className="replay-play-button" onClick={togglePlayback}>
+            {isPlaying ? 'Pause' : 'Play'}
+          </button>
+
+          <input
+            className="replay-scrubber"
+            type="range"
+            min="0"
+            max={duration}
+            step="10"
+            value={position}
+            onChange={(e) => setPosition(Number(e.target.value))}
+            aria-label="Replay position"
+          />
+
+          <span className="replay-time">
+            {formatTime(position)} / {formatTime(duration)}
+          </span>
+
+          <label className="replay-speed">
+            Speed:
+            <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+              {PLAYBACK_SPEEDS.map(option => (
+                <option key={option} value={option}>{option}x</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="replay-modal-overlay">
+      <div className="replay-modal">
+        <button className="close-button" onClick={onClose}>×</button>
+
+        <h2>Replay</h2>
+
+        {renderContent()}
+      </div>
+    </div>
+  );
+};
+
+Replay.propTypes = {
+  replay: PropTypes.object.isRequired,
+  onClose: PropTypes.func.isRequired,
+  highContrast: PropTypes.bool
+};
+
+export default Replay;
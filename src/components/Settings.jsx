@@ -4,6 +4,7 @@ import { useTheme } from './ThemeProvider';
 import { getGameSettings, saveGameSettings } from '../utils/storage';
 import { setVolume, setMute, playSound } from '../utils/audioManager';
 import { getPerformanceMode, setPerformanceMode } from '../utils/performanceOptimizer';
+import { DIFFICULTY_PRESETS, PROGRESSION_TABLES, parseProgressionTable } from '../utils/progression';
 import '../styles/Settings.css';
 
 /**
@@ -24,9 +25,14 @@ const Settings = ({ isOpen, onClose }) => {
     keyboardControls: true,
     highContrastMode: false,
     showPerformanceMonitor: false,
-    performanceMode: getPerformanceMode()
+    performanceMode: getPerformanceMode(),
+    customProgression: null
   });
 
+  // Custom progression table as edited JSON, and the reason it can't be used
+  const [customProgressionText, setCustomProgressionText] = useState('');
+  const [progressionError, setProgressionError] = useState(null);
+
   // Load settings on mount and when modal opens
   useEffect(() => {
     if (isOpen) {
@@ -35,6 +41,11 @@ const Settings = ({ isOpen, onClose }) => {
         ...prev,
         ...savedSettings
       }));
+
+      // Start a custom table from the normal one
+      const table = savedSettings.customProgression || PROGRESSION_TABLES[DIFFICULTY_PRESETS.NORMAL];
+      setCustomProgressionText(JSON.stringify(table, null, 2));
+      setProgressionError(null);
     }
   }, [isOpen]);
 
@@ -84,8 +95,18 @@ const Settings = ({ isOpen, onClose }) => {
   const handleSubmit = (e) => {
     e.preventDefault();
 
+    let customProgression = settings.customProgression;
+    if (settings.difficulty === DIFFICULTY_PRESETS.CUSTOM) {
+      try {
+        customProgression = parseProgressionTable(customProgressionText);
+      } catch (error) {
+        setProgressionError(error.message);
+        return;
+      }
+    }
+
     // Save settings
-    saveGameSettings(settings);
+    saveGameSettings({ ...settings, customProgression });
 
     // Close modal
     onClose();
@@ -201,13 +222,33 @@ const Settings = ({ isOpen, onClose }) => {
                 value={settings.difficulty}
                 onChange={handleChange}
               >
-                <option value="easy">Easy</option>
-                <option value="normal">Normal</option>
-                <option value="hard">Hard</option>
-                <option value="expert">Expert</option>
+                <option value={DIFFICULTY_PRESETS.EASY}>Easy</option>
+                <option value={DIFFICULTY_PRESETS.NORMAL}>Normal</option>
+                <option value={DIFFICULTY_PRESETS.HARD}>Hard</option>
+                <option value={DIFFICULTY_PRESETS.CUSTOM}>Custom</option>
               </select>
             </div>
 
+            {settings.difficulty === DIFFICULTY_PRESETS.CUSTOM && (
+              <div className="form-group">
+                <label htmlFor="customProgression">Progression table (JSON):</label>
+                <textarea
+                  id="customProgression"
+                  className="progression-editor"
+                  rows="10"
+                  value={customProgressionText}
+                  onChange={(e) => {
+                    setCustomProgressionText(e.target.value);
+                    setProgressionError(null);
+                  }}
+                  spellCheck="false"
+                />
+                {progressionError && (
+                  <p className="settings-error" role="alert">{progressionError}</p>
+                )}
+              </div>
+            )}
+
             <div className="form-group checkbox">
               <input
                 type="checkbox"
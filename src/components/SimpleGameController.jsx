@@ -1,35 +1,31 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
 import PropTypes from 'prop-types';
 import Grid from './Grid';
-import { generatePattern } from '../utils/patternGenerator';
-import {
-  calculateScore,
-  calculateTimeBonus,
-  calculateComboMultiplier,
-  calculatePenalty,
-  calculateGridSize,
-  calculatePatternLength,
-  calculatePatternDisplayTime
-} from '../utils/scoreManager';
+import { useGameEngine, useGameEngineEvent } from '../hooks/useGameEngine';
+import { GAME_EVENTS } from '../utils/gameEngine';
+import { getScoringRules, describeScoreBreakdown } from '../utils/scoreManager';
 import { saveHighScore, saveGameProgress } from '../utils/storage';
+import { describeBoard } from '../utils/board';
 import '../styles/GameController.css';
 
 /**
  * GameController component for managing the game state and logic
  * @param {Object} props - Component props
  * @param {number} props.initialGridSize - Initial grid size
+ * @param {Object} props.board - Board spec, e.g. { rows: 3, cols: 5 } or { layout: 'ring' } (null for square grids)
  * @param {number} props.initialPatternLength - Initial pattern length
  * @param {number} props.patternDisplayTime - Pattern display time in ms
  * @param {Function} props.onGameComplete - Callback when game is completed
  * @param {Function} props.onScoreChange - Callback when score changes
  * @param {string} props.playerName - Player name
- * @param {number} props.timeLimit - Time limit in seconds (0 for no limit)
+ * @param {number} props.timeLimit - Time limit in ms (0 for no limit)
  * @param {number} props.lives - Number of lives (0 for infinite)
  * @param {string} props.gameMode - Game mode identifier
  * @param {boolean} props.highContrast - Whether to use high contrast mode
+ * @param {number} props.seed - Seed for reproducible patterns (null for a new seed each game)
  */
 const SimpleGameController = ({
   initialGridSize = 3,
+  board = null,
   initialPatternLength = 3,
   patternDisplayTime = 1000,
   onGameComplete = () => {},
@@ -38,327 +34,81 @@ const SimpleGameController = ({
   timeLimit = 0,
   lives = 3,
   gameMode = 'standard',
-  highContrast = false
+  highContrast = false,
+  seed = null
 }) => {
-  // Game state
-  const [gameState, setGameState] = useState('idle'); // idle, countdown, pattern, input, success, failure, gameover
-  const [currentPattern, setCurrentPattern] = useState([]);
-  const [playerSelections, setPlayerSelections] = useState([]);
-  const [score, setScore] = useState(0);
-  const [level, setLevel] = useState(1);
-  const [countdown, setCountdown] = useState(3);
-  const [remainingLives, setRemainingLives] = useState(lives);
-  const [consecutiveCorrect, setConsecutiveCorrect] = useState(0);
-  const [comboMultiplier, setComboMultiplier] = useState(1);
-  const [timeBonus, setTimeBonus] = useState(0);
-  const [remainingTime, setRemainingTime] = useState(timeLimit);
-  const [achievements, setAchievements] = useState([]);
-  
-  // Dynamic game parameters
-  const [gridSize, setGridSize] = useState(initialGridSize);
-  const [patternLength, setPatternLength] = useState(initialPatternLength);
-  const [displayTime, setDisplayTime] = useState(patternDisplayTime);
-  
-  // Refs for timing
-  const timerRef = useRef(null);
-  const inputStartTime = useRef(null);
-  
-  // Generate a new pattern
-  const generateNewPattern = useCallback(() => {
-    const pattern = generatePattern(gridSize, patternLength);
-    setCurrentPattern(pattern);
-  }, [gridSize, patternLength]);
-  
-  // Start a new game
-  const startGame = useCallback(() => {
-    // Reset game state
-    setGameState('countdown');
-    setCountdown(3);
-    setPlayerSelections([]);
-    setScore(0);
-    setLevel(1);
-    setConsecutiveCorrect(0);
-    setComboMultiplier(1);
-    setTimeBonus(0);
-    setRemainingLives(lives);
-    setRemainingTime(timeLimit);
-    setAchievements([]);
-    
-    // Reset dynamic game parameters
-    setGridSize(initialGridSize);
-    setPatternLength(initialPatternLength);
-    setDisplayTime(patternDisplayTime);
-    
-    // Generate first pattern
-    generateNewPattern();
-    
-    // Clear any existing timers
-    if (timerRef.current) {
-      clearInterval(timerRef.current);
-      timerRef.current = null;
-    }
-    
-    // Start timer if time limit is set
-    if (timeLimit > 0) {
-      timerRef.current = setInterval(() => {
-        setRemainingTime(prev => {
-          if (prev <= 1) {
-            clearInterval(timerRef.current);
-            timerRef.current = null;
-            handleGameOver();
-            return 0;
-          }
-          return prev - 1;
-        });
-      }, 1000);
-    }
-  }, [
-    generateNewPattern,
-    initialGridSize,
-    initialPatternLength,
-    patternDisplayTime,
-    lives,
-    timeLimit
-  ]);
-  
-  // Start the next level
-  const startNextLevel = useCallback(() => {
-    // Increment level
-    const newLevel = level + 1;
-    setLevel(newLevel);
-    
-    // Update grid size based on level
-    const newGridSize = calculateGridSize(newLevel, initialGridSize);
-    setGridSize(newGridSize);
-    
-    // Update pattern length based on level
-    const newPatternLength = calculatePatternLength(newLevel, initialPatternLength);
-    setPatternLength(newPatternLength);
-    
-    // Update display time based on level
-    const newDisplayTime = calculatePatternDisplayTime(newLevel, patternDisplayTime);
-    setDisplayTime(newDisplayTime);
-    
-    // Reset for next level
-    setGameState('countdown');
-    setCountdown(3);
-    setPlayerSelections([]);
-    
-    // Generate new pattern
-    generateNewPattern();
-    
-    // Save game progress
-    saveGameProgress({
-      level: newLevel,
-      score,
-      gameMode
-    });
-  }, [
-    level,
-    score,
-    gameMode,
-    generateNewPattern,
-    initialGridSize,
-    initialPatternLength,
-    patternDisplayTime
-  ]);
-  
-  // Handle countdown before showing pattern
-  useEffect(() => {
-    if (gameState === 'countdown' && countdown > 0) {
-      const timer = setTimeout(() => {
-        setCountdown(countdown - 1);
-      }, 1000);
-      
-      return () => clearTimeout(timer);
-    } else if (gameState === 'countdown' && countdown === 0) {
-      setGameState('pattern');
-    }
-  }, [gameState, countdown]);
-  
-  // Handle pattern display
-  useEffect(() => {
-    if (gameState === 'pattern') {
-      const timer = setTimeout(() => {
-        setGameState('input');
-        inputStartTime.current = Date.now();
-      }, displayTime);
-      
-      return () => clearTimeout(timer);
-    }
-  }, [gameState, displayTime]);
-  
-  // Handle tile click
-  const handleTileClick = (index) => {
-    if (gameState !== 'input') return;
-    
-    // Add tile to selections if not already selected
-    if (!playerSelections.includes(index)) {
-      const newSelections = [...playerSelections, index];
-      setPlayerSelections(newSelections);
-      
-      // Check if the player has selected the correct number of tiles
-      if (newSelections.length === currentPattern.length) {
-        // Check if the selections match the pattern
-        const isCorrect = newSelections.every(
-          (selection, i) => selection === currentPattern[i]
-        );
-        
-        if (isCorrect) {
-          handleSuccess();
-        } else {
-          handleFailure();
-        }
-      }
-    }
-  };
-  
-  // Handle successful pattern match
-  const handleSuccess = () => {
-    setGameState('success');
-
-    // Calculate response time and time bonus
-    const responseTime = Date.now() - inputStartTime.current;
-    const maxResponseTime = displayTime * 3; // Allow 3x the display time for response
-    const newTimeBonus = calculateTimeBonus(responseTime, maxResponseTime);
-    setTimeBonus(newTimeBonus);
+  // Game rules, timers and scoring live in the engine
+  const [game, engine] = useGameEngine({
+    gridSize: initialGridSize,
+    board,
+    patternLength: initialPatternLength,
+    displayTime: patternDisplayTime,
+    timeLimit: timeLimit || null,
+    lives: lives > 0 ? lives : Infinity,
+    submitOnPatternLength: true,
+    scoring: getScoringRules(gameMode),
+    seed
+  });
 
-    // Update consecutive correct count and combo multiplier
-    const newConsecutiveCorrect = consecutiveCorrect + 1;
-    setConsecutiveCorrect(newConsecutiveCorrect);
-    const newComboMultiplier = calculateComboMultiplier(newConsecutiveCorrect);
-    setComboMultiplier(newComboMultiplier);
-
-    // Calculate score based on grid size, pattern length, time bonus, and combo
-    const roundScore = calculateScore(gridSize, patternLength, newTimeBonus, newComboMultiplier);
-    const newScore = score + roundScore;
-    setScore(newScore);
-    onScoreChange(newScore);
-
-    // Check for achievements
-    checkAchievements(newScore, newConsecutiveCorrect);
+  const {
+    gameState,
+    gridSize,
+    board: gameBoard,
+    patternLength,
+    pattern: currentPattern,
+    selections: playerSelections,
+    score,
+    level,
+    countdown,
+    remainingLives,
+    comboMultiplier,
+    timeBonus,
+    lastScoreBreakdown,
+    remainingTime,
+    achievements
+  } = game;
 
-    // Start next level after a short delay
-    setTimeout(() => {
-      startNextLevel();
-    }, 1500);
+  // Start a new game
+  const startGame = () => {
+    engine.start();
   };
-  
-  // Handle failed pattern match
-  const handleFailure = () => {
-    setGameState('failure');
-
-    // Reset consecutive correct count and combo multiplier
-    setConsecutiveCorrect(0);
-    setComboMultiplier(1);
 
-    // Apply score penalty
-    const newScore = calculatePenalty(score);
-    setScore(newScore);
-    onScoreChange(newScore);
+  // Report score changes after each round
+  useGameEngineEvent(engine, GAME_EVENTS.ROUND_SUCCESS, round => onScoreChange(round.score));
+  useGameEngineEvent(engine, GAME_EVENTS.ROUND_FAILURE, round => onScoreChange(round.score));
 
-    // Reduce lives
-    const newLives = remainingLives - 1;
-    setRemainingLives(newLives);
-
-    if (newLives <= 0) {
-      // Game over if no lives left
-      setTimeout(() => {
-        setGameState('gameover');
-
-        // Save high score
-        saveHighScore({
-          score: newScore,
-          playerName,
-          level,
-          gridSize,
-          gameMode
-        });
+  // Save game progress
+  useGameEngineEvent(engine, GAME_EVENTS.LEVEL_UP, ({ level: newLevel }) => {
+    saveGameProgress({
+      level: newLevel,
+      score: engine.getState().score,
+      gameMode
+    });
+  });
 
-        // Notify parent component
-        onGameComplete(newScore, level);
-      }, 1500);
-    } else {
-      // Start next level after a short delay
-      setTimeout(() => {
-        startNextLevel();
-      }, 1500);
-    }
-  };
-  
-  // Handle game over
-  const handleGameOver = () => {
-    setGameState('gameover');
-    
-    // Clear any existing timers
-    if (timerRef.current) {
-      clearInterval(timerRef.current);
-      timerRef.current = null;
-    }
-    
-    // Save high score
+  // Save high score and notify parent when the game ends
+  useGameEngineEvent(engine, GAME_EVENTS.GAME_OVER, (result) => {
     saveHighScore({
-      score,
+      score: result.score,
       playerName,
-      level,
-      gridSize,
+      level: result.level,
+      gridSize: result.gridSize,
       gameMode
     });
-    
-    // Notify parent component
-    onGameComplete(score, level);
-  };
-  
-  // Check for achievements
-  const checkAchievements = (newScore, newConsecutiveCorrect) => {
-    const newAchievements = [...achievements];
-    
-    // Score-based achievements
-    if (newScore >= 1000 && !achievements.includes('score_1000')) {
-      newAchievements.push('score_1000');
-    }
-    
-    if (newScore >= 5000 && !achievements.includes('score_5000')) {
-      newAchievements.push('score_5000');
-    }
-    
-    // Combo-based achievements
-    if (newConsecutiveCorrect >= 5 && !achievements.includes('combo_5')) {
-      newAchievements.push('combo_5');
-    }
-    
-    if (newConsecutiveCorrect >= 10 && !achievements.includes('combo_10')) {
-      newAchievements.push('combo_10');
-    }
-    
-    // Level-based achievements
-    if (level >= 10 && !achievements.includes('level_10')) {
-      newAchievements.push('level_10');
-    }
-    
-    if (level >= 20 && !achievements.includes('level_20')) {
-      newAchievements.push('level_20');
-    }
-    
-    // Update achievements if new ones were earned
-    if (newAchievements.length > achievements.length) {
-      setAchievements(newAchievements);
-    }
+
+    onGameComplete(result.score, result.level);
+  });
+
+  // Handle tile click
+  const handleTileClick = (_, selections) => {
+    engine.selectTiles(selections);
   };
-  
-  // Clean up timers on unmount
-  useEffect(() => {
-    return () => {
-      if (timerRef.current) {
-        clearInterval(timerRef.current);
-      }
-    };
-  }, []);
-  
+
   // Format time as MM:SS
-  const formatTime = (seconds) => {
-    const minutes = Math.floor(seconds / 60);
-    const remainingSeconds = seconds % 60;
+  const formatTime = (timeMs) => {
+    const totalSeconds = Math.floor(timeMs / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const remainingSeconds = totalSeconds % 60;
     return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
   };
   
@@ -371,9 +121,9 @@ const SimpleGameController = ({
             <h2>Memory Matrix Challenge</h2>
             <p>Test your memory by recreating patterns of increasing complexity.</p>
             <div className="game-info">
-              <p>Grid Size: {gridSize}x{gridSize}</p>
+              <p>Board: {describeBoard(gameBoard)}</p>
               <p>Pattern Length: {patternLength}</p>
-              {lives > 0 && <p>Lives: {lives}</p>}
+              {remainingLives !== Infinity && <p>Lives: {remainingLives}</p>}
               {timeLimit > 0 && <p>Time Limit: {formatTime(timeLimit)}</p>}
             </div>
             <button className="start-button" onClick={startGame}>
@@ -400,7 +150,7 @@ const SimpleGameController = ({
             <div className="game-header">
               <div className="level-info">Level {level}</div>
               <div className="score-info">Score: {score}</div>
-              {lives > 0 && (
+              {remainingLives !== Infinity && (
                 <div className="lives-info">
                   Lives: {remainingLives}
                 </div>
@@ -417,6 +167,7 @@ const SimpleGameController = ({
                 <h3>Correct!</h3>
                 <p>Time Bonus: {Math.round(timeBonus * 100)}%</p>
                 <p>Combo: x{comboMultiplier.toFixed(1)}</p>
+                {lastScoreBreakdown && <p>{describeScoreBreakdown(lastScoreBreakdown)}</p>}
               </div>
             )}
             
@@ -430,13 +181,13 @@ const SimpleGameController = ({
             <div className="grid-container">
               <Grid
                 size={gridSize}
-                activePattern={gameState === 'pattern' ? currentPattern : []}
-                selectedTiles={playerSelections}
+                board={gameBoard}
+                activePattern={currentPattern}
+                showPattern={gameState === 'pattern' || gameState === 'failure'}
                 onTileClick={handleTileClick}
                 disabled={gameState !== 'input'}
-                showCorrectPattern={gameState === 'failure'}
-                correctPattern={currentPattern}
                 highContrast={highContrast}
+                incorrectSelections={gameState === 'failure' ? playerSelections.filter(index => !currentPattern.includes(index)) : []}
               />
             </div>
             
@@ -456,6 +207,7 @@ const SimpleGameController = ({
             <div className="final-score">
               <p>Final Score: {score}</p>
               <p>Level Reached: {level}</p>
+              <p>Seed: {game.seed}</p>
             </div>
             
             {achievements.length > 0 && (
@@ -509,6 +261,7 @@ const SimpleGameController = ({
 
 SimpleGameController.propTypes = {
   initialGridSize: PropTypes.number,
+  board: PropTypes.object,
   initialPatternLength: PropTypes.number,
   patternDisplayTime: PropTypes.number,
   onGameComplete: PropTypes.func,
@@ -517,7 +270,8 @@ SimpleGameController.propTypes = {
   timeLimit: PropTypes.number,
   lives: PropTypes.number,
   gameMode: PropTypes.string,
-  highContrast: PropTypes.bool
+  highContrast: PropTypes.bool,
+  seed: PropTypes.number
 };
 
 export default SimpleGameController;
@@ -0,0 +1,46 @@
+import { useState, useEffect, useRef } from 'react';
+import { GameEngine, GAME_EVENTS } from '../utils/gameEngine';
+
+/**
+ * React binding for the GameEngine
+ * @param {Object} options - Engine configuration, read once on mount (pass changes to engine.start)
+ * @returns {Array} - [current state snapshot, engine instance]
+ */
+export const useGameEngine = (options) => {
+  const engineRef = useRef(null);
+  if (!engineRef.current) {
+    engineRef.current = new GameEngine(options);
+  }
+  const engine = engineRef.current;
+
+  const [state, setState] = useState(() => engine.getState());
+
+  // Mirror engine state into React state and stop timers on unmount
+  useEffect(() => {
+    const unsubscribe = engine.on(GAME_EVENTS.CHANGE, setState);
+    setState(engine.getState());
+
+    return () => {
+      unsubscribe();
+      engine.destroy();
+    };
+  }, [engine]);
+
+  return [state, engine];
+};
+
+/**
+ * Subscribe to a GameEngine event for the lifetime of a component
+ * @param {GameEngine} engine - Engine instance
+ * @param {string} event - Event name (see GAME_EVENTS)
+ * @param {Function} listener - Callback receiving the event payload
+ */
+export const useGameEngineEvent = (engine, event, listener) => {
+  // Keep the latest listener so callers don't need to memoize it
+  const listenerRef = useRef(listener);
+  listenerRef.current = listener;
+
+  useEffect(() => {
+    return engine.on(event, payload => listenerRef.current(payload));
+  }, [engine, event]);
+};
@@ -1,9 +1,11 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { render, screen, fireEvent, act } from '@testing-library/react';
 import GameController from '../components/GameController';
+import { getDailyResult } from '../utils/storage';
 
 // Mock the pattern generator to return predictable patterns
-vi.mock('../utils/patternGenerator', () => ({
+vi.mock('../utils/patternGenerator', async (importOriginal) => ({
+  ...await importOriginal(),
   generatePattern: vi.fn().mockImplementation((size, length) => {
     return Array.from({ length }, (_, i) => i);
   })
@@ -155,4 +157,30 @@ describe('GameController Component', () => {
     // Should have called onGameComplete
     expect(mockOnGameComplete).toHaveBeenCalled();
   });
+
+  it("doesn't offer to replay a scored daily challenge", () => {
+    const onGameComplete = vi.fn();
+    render(
+      <GameController
+        dailyDate="2024-03-10"
+        lives={1}
+        countdownSeconds={0}
+        inputTimeLimit={null}
+        onGameComplete={onGameComplete}
+      />
+    );
+
+    fireEvent.click(screen.getByText('Start Game'));
+    act(() => {
+      vi.advanceTimersByTime(1000);
+    });
+    fireEvent.click(screen.getByText('Submit Pattern'));
+    act(() => {
+      vi.advanceTimersByTime(2000);
+    });
+
+    expect(onGameComplete).toHaveBeenCalledTimes(1);
+    expect(getDailyResult('2024-03-10')).toMatchObject({ score: 0 });
+    expect(screen.queryByText('Play Again')).toBeNull();
+  });
 });
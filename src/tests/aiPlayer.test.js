@@ -1,5 +1,7 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { AIPlayer, AI_DIFFICULTY } from '../utils/aiPlayer';
+import { createBoard } from '../utils/board';
+import { createRandom } from '../utils/random';
 
 describe('AI Player', () => {
   let aiPlayer;
@@ -105,6 +107,44 @@ describe('AI Player', () => {
       expect(aiPlayer.playerMistakePatterns[6]).toBe(1); // Missed tile
       expect(aiPlayer.playerMistakePatterns[8]).toBe(1); // Incorrect tile
     });
+
+    it('keeps the accuracy of graded rounds', () => {
+      expect(aiPlayer.getStats().averageAccuracy).toBeNull();
+
+      aiPlayer.recordResult(false, [0, 3, 6], [0, 3, 8], { grade: { accuracy: 0.5, sensitivity: 1 } });
+      aiPlayer.recordResult(true, [0, 3, 6], [0, 3, 6], { grade: { accuracy: 1, sensitivity: 2.5 } });
+
+      expect(aiPlayer.getStats().averageAccuracy).toBeCloseTo(0.75);
+    });
+
+    it('only picks tiles of the board for its attempts', () => {
+      const ring = createBoard({ layout: 'ring' }, 3);
+      aiPlayer.memoryAccuracy = 0;
+
+      for (let i = 0; i < 10; i++) {
+        aiPlayer.memorizePattern([0, 1, 2], 3, 1, null, ring).forEach(index => {
+          expect(ring.tiles).toContain(index);
+        });
+      }
+    });
+
+    it('tracks the player performance by named shape', () => {
+      const shape = { id: 'l', name: 'L' };
+      aiPlayer.recordResult(true, [0, 3, 6, 7], [0, 3, 6, 7], { shape });
+      aiPlayer.recordResult(false, [0, 3, 6, 7], [0, 3, 6], { shape });
+
+      expect(aiPlayer.getStats(true).playerPerformance.byShape.l).toEqual({ name: 'L', correct: 1, total: 2, rate: 0.5 });
+    });
+
+    it('lowers adaptive accuracy less for a near miss', () => {
+      const nearMiss = new AIPlayer(AI_DIFFICULTY.ADAPTIVE);
+      const completeMiss = new AIPlayer(AI_DIFFICULTY.ADAPTIVE);
+
+      nearMiss.recordResult(false, [0, 3, 6], [0, 3, 8], { grade: { accuracy: 0.5, sensitivity: 1 } });
+      completeMiss.recordResult(false, [0, 3, 6], [1, 4, 8], { grade: { accuracy: 0, sensitivity: -1 } });
+
+      expect(nearMiss.memoryAccuracy).toBeGreaterThan(completeMiss.memoryAccuracy);
+    });
   });
   
   describe('Difficulty Adjustment', () => {
@@ -196,4 +236,17 @@ describe('AI Player', () => {
       expect(stats.successRate).toBeCloseTo(2/3, 2);
     });
   });
+
+  describe('Seeded Random Source', () => {
+    it('plays identically when created with the same seed', () => {
+      const first = new AIPlayer(AI_DIFFICULTY.MEDIUM, undefined, { random: createRandom('match') });
+      const second = new AIPlayer(AI_DIFFICULTY.MEDIUM, undefined, { random: createRandom('match') });
+      const pattern = [0, 4, 8, 2];
+
+      for (let level = 1; level <= 5; level++) {
+        expect(second.memorizePattern(pattern, 4, level)).toEqual(first.memorizePattern(pattern, 4, level));
+      }
+      expect(second.generateChallengePattern(5, 4)).toEqual(first.generateChallengePattern(5, 4));
+    });
+  });
 });
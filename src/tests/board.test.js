@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createBoard,
+  toBoard,
+  isSquareBoard,
+  getTileIndex,
+  getNeighbours,
+  moveOnBoard,
+  getEquivalentGridSize,
+  describeBoard,
+  getKeyDirection,
+  BOARD_TYPES,
+  BOARD_LAYOUTS,
+  BOARD_DIRECTIONS,
+  HEX_DIRECTIONS
+} from '../utils/board';
+
+describe('Boards', () => {
+  it('turns a grid size into a square board without holes', () => {
+    const board = toBoard(3);
+
+    expect(board).toMatchObject({ rows: 3, cols: 3, holes: [] });
+    expect(board.tiles).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(isSquareBoard(board)).toBe(true);
+    expect(describeBoard(board)).toBe('3x3');
+  });
+
+  it('numbers the tiles of a rectangular board row by row', () => {
+    const board = createBoard({ rows: 3, cols: 5 });
+
+    expect(board.tiles.length).toBe(15);
+    expect(getTileIndex(board, 1, 0)).toBe(5);
+    expect(getTileIndex(board, 0, 5)).toBe(-1);
+    expect(isSquareBoard(board)).toBe(false);
+    expect(describeBoard(board)).toBe('3x5');
+  });
+
+  it('cuts holes out of the board for layouts', () => {
+    const ring = createBoard({ layout: BOARD_LAYOUTS.RING }, 4);
+    const cross = createBoard({ layout: BOARD_LAYOUTS.CROSS }, 3);
+
+    expect(ring.holes).toEqual([5, 6, 9, 10]);
+    expect(ring.tiles.length).toBe(12);
+    expect(describeBoard(ring)).toBe('4x4 ring');
+    expect(cross.tiles).toEqual([1, 3, 4, 5, 7]);
+  });
+
+  it('adds extra holes and rejects boards without tiles', () => {
+    const board = createBoard({ rows: 2, cols: 3, holes: [0, 5] });
+
+    expect(board.tiles).toEqual([1, 2, 3, 4]);
+    expect(getTileIndex(board, 0, 0)).toBe(-1);
+    expect(describeBoard(board)).toBe('2x3 with 2 holes');
+    expect(() => createBoard({ rows: 2, cols: 2, holes: [0, 1, 2, 3] })).toThrow('at least one tile');
+    expect(() => createBoard({ rows: 1, cols: 4 })).toThrow('whole numbers');
+    expect(() => createBoard({ layout: 'star' })).toThrow('Unknown board layout');
+  });
+
+  it('finds neighbours without crossing the edge or a hole', () => {
+    const ring = createBoard({ layout: BOARD_LAYOUTS.RING }, 3);
+
+    expect(getNeighbours(toBoard(3), 2)).toEqual([5, 1]);
+    expect(getNeighbours(ring, 1)).toEqual([2, 0]);
+  });
+
+  it('moves over holes and stops at the edge of the board', () => {
+    const ring = createBoard({ layout: BOARD_LAYOUTS.RING }, 3);
+
+    expect(moveOnBoard(ring, 1, BOARD_DIRECTIONS.ArrowDown)).toBe(7);
+    expect(moveOnBoard(ring, 3, BOARD_DIRECTIONS.ArrowRight)).toBe(5);
+    expect(moveOnBoard(ring, 0, BOARD_DIRECTIONS.ArrowUp)).toBe(0);
+  });
+
+  it('scores a board like the square board with as many tiles', () => {
+    expect(getEquivalentGridSize(toBoard(4))).toBe(4);
+    expect(getEquivalentGridSize(createBoard({ rows: 2, cols: 8 }))).toBe(4);
+  });
+
+  it('gives hex tiles six neighbours, following the shifted odd rows', () => {
+    const hex = createBoard({ type: BOARD_TYPES.HEX }, 4);
+
+    expect(isSquareBoard(hex)).toBe(false);
+    expect(describeBoard(hex)).toBe('4x4 hex');
+    expect(getNeighbours(hex, 5)).toEqual([1, 2, 6, 10, 9, 4]);
+    expect(getNeighbours(hex, 9)).toEqual([4, 5, 10, 13, 12, 8]);
+    expect(getNeighbours(hex, 0)).toEqual([1, 4]);
+    expect(() => createBoard({ type: 'triangle' })).toThrow('Unknown board type');
+  });
+
+  it('moves along the six hex directions and maps keys to them', () => {
+    const hex = createBoard({ type: BOARD_TYPES.HEX, layout: BOARD_LAYOUTS.RING }, 4);
+
+    expect(moveOnBoard(hex, 13, HEX_DIRECTIONS.NORTH_EAST)).toBe(3);
+    expect(moveOnBoard(hex, 4, HEX_DIRECTIONS.EAST)).toBe(7);
+    expect(moveOnBoard(hex, 0, HEX_DIRECTIONS.NORTH_WEST)).toBe(0);
+    expect(getKeyDirection(hex, 'ArrowUp')).toBe(HEX_DIRECTIONS.NORTH_EAST);
+    expect(getKeyDirection(hex, 'Q')).toBe(HEX_DIRECTIONS.NORTH_WEST);
+    expect(getKeyDirection(toBoard(3), 'ArrowUp')).toBe(BOARD_DIRECTIONS.ArrowUp);
+    expect(getKeyDirection(toBoard(3), 'q')).toBe(null);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getCampaignStages,
+  getCampaignStage,
+  getStageModeId,
+  isStageModeId,
+  describeStageGoal,
+  getStageLevels,
+  createStageMode,
+  getStageStars,
+  addStageResult,
+  isStageUnlocked,
+  getTotalStars
+} from '../utils/campaign';
+import { validateProgressionTable } from '../utils/progression';
+import { getGameModeById } from '../components/GameModes';
+
+describe('Campaign', () => {
+  it('has playable stages with unique ids and rising star thresholds', () => {
+    const stages = getCampaignStages();
+    expect(new Set(stages.map(stage => stage.id)).size).toBe(stages.length);
+
+    stages.forEach(stage => {
+      expect(() => validateProgressionTable({ levels: getStageLevels(stage) })).not.toThrow();
+      expect(stage.starScores).toHaveLength(2);
+      expect(stage.starScores[0]).toBeLessThan(stage.starScores[1]);
+    });
+  });
+
+  it('describes the goal of a stage', () => {
+    expect(describeStageGoal(getCampaignStage('2-3'))).toBe('Clear 5 rounds on 5x5 with a 600ms flash');
+    expect(describeStageGoal(getCampaignStage('3-2'))).toContain('hex');
+  });
+
+  it('plays every round of a stage with its fixed settings', () => {
+    const stage = getCampaignStage('1-4');
+    const levels = getStageLevels(stage);
+
+    expect(levels).toHaveLength(stage.rounds);
+    expect(levels[stage.rounds - 1]).toEqual(levels[0]);
+    expect(levels[0]).toMatchObject({ gridSize: 4, patternLength: 5, patternType: 'shape', displayTime: 800 });
+  });
+
+  it('plays a stage as its own game mode', () => {
+    const mode = createStageMode(getCampaignStage('3-1'));
+
+    expect(mode).toMatchObject({ id: getStageModeId('3-1'), initialGridSize: 5, board: { layout: 'ring' }, maxLevel: 5 });
+    expect(isStageModeId(mode.id)).toBe(true);
+    expect(isStageModeId('standard')).toBe(false);
+    expect(getGameModeById(mode.id)).toEqual(mode);
+    expect(getGameModeById(getStageModeId('9-9'))).toBeNull();
+  });
+
+  it('awards a star for clearing a stage and more for reaching its thresholds', () => {
+    const stage = getCampaignStage('1-1');
+    const [twoStars, threeStars] = stage.starScores;
+
+    expect(getStageStars(stage, { score: threeStars, reason: 'lives' })).toBe(0);
+    expect(getStageStars(stage, { score: 0, reason: 'complete' })).toBe(1);
+    expect(getStageStars(stage, { score: twoStars, reason: 'complete' })).toBe(2);
+    expect(getStageStars(stage, { score: threeStars + 1, reason: 'complete' })).toBe(3);
+  });
+
+  it('keeps the best result of each stage', () => {
+    let progress = addStageResult({}, '1-1', 3, 1300);
+    progress = addStageResult(progress, '1-1', 1, 1400);
+    progress = addStageResult(progress, '1-2', 0, 200);
+
+    expect(progress).toEqual({
+      '1-1': { stars: 3, bestScore: 1400 },
+      '1-2': { stars: 0, bestScore: 200 }
+    });
+    expect(getTotalStars(progress)).toBe(3);
+  });
+
+  it('unlocks stages in order', () => {
+    const progress = { '1-1': { stars: 1, bestScore: 800 }, '1-2': { stars: 0, bestScore: 300 } };
+
+    expect(isStageUnlocked('1-1', {})).toBe(true);
+    expect(isStageUnlocked('1-2', {})).toBe(false);
+    expect(isStageUnlocked('1-2', progress)).toBe(true);
+    expect(isStageUnlocked('1-3', progress)).toBe(false);
+    expect(isStageUnlocked('9-9', progress)).toBe(false);
+  });
+});
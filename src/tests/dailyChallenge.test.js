@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  DAILY_LEVELS,
+  getDailyDate,
+  getDailySeed,
+  addDayToStreak,
+  getCurrentStreak,
+  hasPlayedDaily,
+  startDailyChallenge
+} from '../utils/dailyChallenge';
+import { getDailyResult, getDailyStreak } from '../utils/storage';
+import { validateProgressionTable, createTableProgression } from '../utils/progression';
+import { generatePattern } from '../utils/patternGenerator';
+import { createRandom } from '../utils/random';
+
+const NO_STREAK = { current: 0, best: 0, lastDate: null };
+
+describe('Daily challenge', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('uses the UTC date, so every time zone shares a challenge', () => {
+    expect(getDailyDate(new Date('2024-03-09T23:30:00-05:00'))).toBe('2024-03-10');
+    expect(getDailyDate(new Date('2024-03-10T00:00:00Z'))).toBe('2024-03-10');
+  });
+
+  it('plays the same patterns for everyone on a day', () => {
+    validateProgressionTable({ levels: DAILY_LEVELS });
+    expect(getDailySeed('2024-03-10')).toBe(getDailySeed('2024-03-10'));
+    expect(getDailySeed('2024-03-10')).not.toBe(getDailySeed('2024-03-11'));
+
+    const progression = createTableProgression(DAILY_LEVELS);
+    const playDay = (date) => {
+      const random = createRandom(getDailySeed(date));
+      return DAILY_LEVELS.map((_, index) => {
+        const { gridSize, patternLength, patternType } = progression(index + 1);
+        return generatePattern(gridSize, patternLength, patternType, { random });
+      });
+    };
+
+    expect(playDay('2024-03-10')).toEqual(playDay('2024-03-10'));
+    expect(playDay('2024-03-10')).not.toEqual(playDay('2024-03-11'));
+  });
+
+  it('counts days played in a row towards the streak', () => {
+    let streak = addDayToStreak(NO_STREAK, '2024-02-28');
+    streak = addDayToStreak(streak, '2024-02-29');
+    streak = addDayToStreak(streak, '2024-03-01');
+    expect(streak).toEqual({ current: 3, best: 3, lastDate: '2024-03-01' });
+
+    // Playing twice on a day doesn't count it twice
+    expect(addDayToStreak(streak, '2024-03-01')).toBe(streak);
+
+    // A missed day restarts the streak but keeps the best
+    expect(addDayToStreak(streak, '2024-03-03')).toEqual({ current: 1, best: 3, lastDate: '2024-03-03' });
+  });
+
+  it('keeps the streak alive until the next day is over', () => {
+    const streak = { current: 4, best: 6, lastDate: '2024-03-10' };
+
+    expect(getCurrentStreak(streak, '2024-03-10')).toBe(4);
+    expect(getCurrentStreak(streak, '2024-03-11')).toBe(4);
+    expect(getCurrentStreak(streak, '2024-03-12')).toBe(0);
+    expect(getCurrentStreak(NO_STREAK, '2024-03-12')).toBe(0);
+  });
+
+  it('scores only the first attempt of a day', () => {
+    expect(hasPlayedDaily('2024-03-10')).toBe(false);
+    expect(startDailyChallenge('2024-03-10')).toBe(true);
+
+    expect(getDailyResult('2024-03-10')).toEqual({ date: '2024-03-10', score: null, level: null });
+    expect(getDailyStreak()).toEqual({ current: 1, best: 1, lastDate: '2024-03-10' });
+
+    expect(startDailyChallenge('2024-03-10')).toBe(false);
+    expect(startDailyChallenge('2024-03-11')).toBe(true);
+    expect(getDailyStreak().current).toBe(2);
+  });
+});
@@ -0,0 +1,728 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { GameEngine, GAME_STATES, GAME_EVENTS, defaultProgression } from '../utils/gameEngine';
+import { generatePatternDetails } from '../utils/patternGenerator';
+import { SCORING_RULES } from '../utils/scoreManager';
+import { PatternConstraintError } from '../utils/patternConstraints';
+
+// Mock the pattern generator to return predictable patterns
+vi.mock('../utils/patternGenerator', async (importOriginal) => ({
+  ...(await importOriginal()),
+  generatePatternDetails: vi.fn().mockImplementation((size, length) => {
+    return { pattern: Array.from({ length }, (_, i) => i), shape: null };
+  })
+}));
+
+describe('GameEngine', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  // Run the countdown and pattern display so the engine waits for input
+  const advanceToInput = (engine) => {
+    vi.advanceTimersByTime(engine.config.countdownSeconds * 1000 + engine.state.displayTime);
+  };
+
+  it('starts in the idle state', () => {
+    const engine = new GameEngine();
+    expect(engine.getState().gameState).toBe(GAME_STATES.IDLE);
+    expect(engine.getState().level).toBe(1);
+  });
+
+  it('moves through countdown and pattern display to input', () => {
+    const engine = new GameEngine({ displayTime: 800 });
+    engine.start();
+
+    expect(engine.getState().gameState).toBe(GAME_STATES.COUNTDOWN);
+    expect(engine.getState().countdown).toBe(3);
+    expect(engine.getState().pattern).toEqual([0, 1, 2]);
+
+    vi.advanceTimersByTime(2000);
+    expect(engine.getState().countdown).toBe(1);
+
+    vi.advanceTimersByTime(1000);
+    expect(engine.getState().gameState).toBe(GAME_STATES.PATTERN);
+
+    vi.advanceTimersByTime(800);
+    expect(engine.getState().gameState).toBe(GAME_STATES.INPUT);
+  });
+
+  it('skips the pattern phase when the pattern is shown during the countdown', () => {
+    const engine = new GameEngine({ showPatternDuringCountdown: true });
+    engine.start();
+
+    vi.advanceTimersByTime(3000);
+    expect(engine.getState().gameState).toBe(GAME_STATES.INPUT);
+  });
+
+  it('scores a correct pattern and advances the level', () => {
+    const engine = new GameEngine();
+    const onSuccess = vi.fn();
+    const onLevelUp = vi.fn();
+    engine.on(GAME_EVENTS.ROUND_SUCCESS, onSuccess);
+    engine.on(GAME_EVENTS.LEVEL_UP, onLevelUp);
+
+    engine.start();
+    advanceToInput(engine);
+    engine.selectTiles([0, 1, 2]);
+
+    const state = engine.getState();
+    expect(state.gameState).toBe(GAME_STATES.SUCCESS);
+    expect(state.level).toBe(2);
+    expect(state.score).toBeGreaterThan(0);
+    expect(state.score).toBe(state.lastRoundScore);
+    expect(onSuccess).toHaveBeenCalledWith(expect.objectContaining({ level: 1, pattern: [0, 1, 2] }));
+    expect(onLevelUp).toHaveBeenCalledWith({ level: 2 });
+  });
+
+  it('applies the progression for the next level after a success', () => {
+    const engine = new GameEngine();
+    engine.start();
+    advanceToInput(engine);
+    engine.selectTiles([0, 1, 2]);
+
+    vi.advanceTimersByTime(1500);
+
+    const expected = defaultProgression(2);
+    expect(engine.getState().gameState).toBe(GAME_STATES.COUNTDOWN);
+    expect(engine.getState().patternLength).toBe(expected.patternLength);
+    expect(engine.getState().pattern.length).toBe(expected.patternLength);
+  });
+
+  it('does not evaluate partial selections until submitted', () => {
+    const engine = new GameEngine();
+    engine.start();
+    advanceToInput(engine);
+
+    engine.selectTiles([0, 1]);
+    expect(engine.getState().gameState).toBe(GAME_STATES.INPUT);
+
+    engine.submit();
+    expect(engine.getState().gameState).toBe(GAME_STATES.FAILURE);
+    expect(engine.getState().remainingLives).toBe(2);
+  });
+
+  it('evaluates as soon as enough tiles are selected when configured', () => {
+    const engine = new GameEngine({ submitOnPatternLength: true });
+    engine.start();
+    advanceToInput(engine);
+
+    engine.selectTiles([0, 1, 5]);
+    expect(engine.getState().gameState).toBe(GAME_STATES.FAILURE);
+  });
+
+  it('retries the same pattern after a failure', () => {
+    const engine = new GameEngine();
+    const onRoundStart = vi.fn();
+    engine.on(GAME_EVENTS.ROUND_START, onRoundStart);
+
+    engine.start();
+    advanceToInput(engine);
+    const { pattern } = engine.getState();
+    engine.submit();
+
+    vi.advanceTimersByTime(1500);
+    expect(engine.getState().gameState).toBe(GAME_STATES.COUNTDOWN);
+    expect(engine.getState().pattern).toBe(pattern);
+    expect(onRoundStart).toHaveBeenLastCalledWith(expect.objectContaining({ retry: true }));
+  });
+
+  it('fails the round when the turn timer runs out', () => {
+    const engine = new GameEngine({ inputTimeLimit: 5000 });
+    const onFailure = vi.fn();
+    engine.on(GAME_EVENTS.ROUND_FAILURE, onFailure);
+
+    engine.start();
+    advanceToInput(engine);
+
+    vi.advanceTimersByTime(4000);
+    expect(engine.getState().inputTimeRemaining).toBe(1000);
+
+    vi.advanceTimersByTime(1000);
+    expect(engine.getState().gameState).toBe(GAME_STATES.FAILURE);
+    expect(onFailure).toHaveBeenCalledWith(expect.objectContaining({ reason: 'timeout' }));
+  });
+
+  it('ends the game when the last life is lost', () => {
+    const engine = new GameEngine({ lives: 1 });
+    const onGameOver = vi.fn();
+    engine.on(GAME_EVENTS.GAME_OVER, onGameOver);
+
+    engine.start();
+    advanceToInput(engine);
+    engine.submit();
+
+    vi.advanceTimersByTime(1500);
+    expect(engine.getState().gameState).toBe(GAME_STATES.GAMEOVER);
+    expect(onGameOver).toHaveBeenCalledWith(expect.objectContaining({ reason: 'lives' }));
+  });
+
+  it('ends the game when the time limit runs out', () => {
+    const engine = new GameEngine({ timeLimit: 2000, lives: Infinity });
+    const onGameOver = vi.fn();
+    engine.on(GAME_EVENTS.GAME_OVER, onGameOver);
+
+    engine.start();
+    vi.advanceTimersByTime(2000);
+
+    expect(engine.getState().gameState).toBe(GAME_STATES.GAMEOVER);
+    expect(engine.getState().remainingTime).toBe(0);
+    expect(onGameOver).toHaveBeenCalledWith(expect.objectContaining({ reason: 'time' }));
+  });
+
+  it('waits for nextRound and ends after the last round when autoAdvance is off', () => {
+    const engine = new GameEngine({ autoAdvance: false, maxRounds: 2, retryOnFailure: false });
+    engine.start();
+    advanceToInput(engine);
+    engine.submit();
+
+    vi.advanceTimersByTime(5000);
+    expect(engine.getState().gameState).toBe(GAME_STATES.FAILURE);
+
+    engine.nextRound();
+    expect(engine.getState().round).toBe(2);
+    expect(engine.getState().gameState).toBe(GAME_STATES.COUNTDOWN);
+
+    advanceToInput(engine);
+    engine.selectTiles(engine.getState().pattern);
+    engine.nextRound();
+    expect(engine.getState().gameState).toBe(GAME_STATES.GAMEOVER);
+  });
+
+  it('stops notifying listeners after unsubscribing', () => {
+    const engine = new GameEngine();
+    const listener = vi.fn();
+    const unsubscribe = engine.on(GAME_EVENTS.CHANGE, listener);
+
+    engine.start();
+    expect(listener).toHaveBeenCalled();
+
+    listener.mockClear();
+    unsubscribe();
+    vi.advanceTimersByTime(1000);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('stops all timers when destroyed', () => {
+    const engine = new GameEngine();
+    engine.start();
+    engine.destroy();
+
+    vi.advanceTimersByTime(10000);
+    expect(engine.getState().gameState).toBe(GAME_STATES.COUNTDOWN);
+    expect(engine.getState().countdown).toBe(3);
+  });
+
+  it('generates patterns from a random source seeded by the game seed', () => {
+    const engine = new GameEngine({ seed: 1234 });
+    engine.start();
+
+    expect(engine.getState().seed).toBe(1234);
+    expect(generatePatternDetails).toHaveBeenLastCalledWith(engine.getState().board, 3, 'random', { random: engine.random });
+
+    const other = new GameEngine({ seed: 1234 });
+    other.start();
+    const draws = (source) => Array.from({ length: 5 }, () => source.random());
+    expect(draws(other)).toEqual(draws(engine));
+  });
+
+  it('picks a new seed for each game when none is configured', () => {
+    const engine = new GameEngine();
+    expect(engine.getState().seed).toBeNull();
+
+    engine.start();
+    expect(engine.getState().seed).toEqual(expect.any(Number));
+  });
+
+  it('freezes every timer while paused and restores the exact remaining time', () => {
+    const engine = new GameEngine({ inputTimeLimit: 5000, timeLimit: 60000 });
+    engine.start();
+    advanceToInput(engine);
+
+    vi.advanceTimersByTime(1400);
+    engine.pause();
+    expect(engine.getState().paused).toBe(true);
+
+    vi.advanceTimersByTime(30000);
+    expect(engine.getState().gameState).toBe(GAME_STATES.INPUT);
+    expect(engine.getState().inputTimeRemaining).toBe(4000);
+
+    engine.resume();
+    expect(engine.getState().paused).toBe(false);
+
+    // The turn timer still had 600ms left in its current second
+    vi.advanceTimersByTime(599);
+    expect(engine.getState().inputTimeRemaining).toBe(4000);
+    vi.advanceTimersByTime(1);
+    expect(engine.getState().inputTimeRemaining).toBe(3000);
+
+    vi.advanceTimersByTime(3000);
+    expect(engine.getState().gameState).toBe(GAME_STATES.FAILURE);
+  });
+
+  it('ignores input while paused and leaves out the paused time from the response time', () => {
+    const engine = new GameEngine();
+    engine.start();
+    advanceToInput(engine);
+
+    vi.advanceTimersByTime(500);
+    engine.pause();
+    engine.selectTiles([0, 1, 2]);
+    expect(engine.getState().gameState).toBe(GAME_STATES.INPUT);
+
+    vi.advanceTimersByTime(10000);
+    engine.resume();
+    vi.advanceTimersByTime(300);
+    engine.selectTiles([0, 1, 2]);
+
+    expect(engine.getState().gameState).toBe(GAME_STATES.SUCCESS);
+    expect(engine.getState().responseTime).toBe(800);
+  });
+
+  it('only pauses a game in progress', () => {
+    const engine = new GameEngine();
+    const onPause = vi.fn();
+    engine.on(GAME_EVENTS.PAUSE, onPause);
+
+    engine.pause();
+    expect(engine.getState().paused).toBe(false);
+
+    engine.start();
+    engine.pause();
+    engine.pause();
+    expect(onPause).toHaveBeenCalledTimes(1);
+  });
+
+  it('continues a game from saved progress', () => {
+    const engine = new GameEngine({ timeLimit: 60000, lives: Infinity });
+    engine.start();
+    advanceToInput(engine);
+    engine.selectTiles([0, 1, 2]);
+    vi.advanceTimersByTime(1500);
+    vi.advanceTimersByTime(500);
+
+    // Saved data goes through JSON, like localStorage
+    const progress = JSON.parse(JSON.stringify(engine.getProgress()));
+    expect(progress.level).toBe(2);
+    expect(progress.remainingLives).toBeNull();
+    expect(progress.remainingTime).toBe(engine.getState().remainingTime);
+
+    const restored = new GameEngine({ timeLimit: 60000, lives: Infinity });
+    restored.start({}, progress);
+
+    const state = restored.getState();
+    expect(state.gameState).toBe(GAME_STATES.COUNTDOWN);
+    expect(state.level).toBe(2);
+    expect(state.round).toBe(2);
+    expect(state.score).toBe(engine.getState().score);
+    expect(state.comboMultiplier).toBe(engine.getState().comboMultiplier);
+    expect(state.patternLength).toBe(engine.getState().patternLength);
+    expect(state.remainingLives).toBe(Infinity);
+    expect(state.remainingTime).toBe(progress.remainingTime);
+  });
+
+  it('saves the current round as it was when it started', () => {
+    const engine = new GameEngine();
+    expect(engine.getProgress()).toBeNull();
+
+    engine.start();
+    advanceToInput(engine);
+    engine.selectTiles([0, 1, 2]);
+
+    // The level already went up, but the next round hasn't started yet
+    expect(engine.getState().level).toBe(2);
+    expect(engine.getProgress().level).toBe(1);
+    expect(engine.getProgress().score).toBe(0);
+  });
+
+  it('hides the pattern for the retention interval before the input', () => {
+    const engine = new GameEngine({ displayTime: 800, retentionTime: 600 });
+    engine.start();
+
+    vi.advanceTimersByTime(3000 + 800);
+    expect(engine.getState().gameState).toBe(GAME_STATES.RETENTION);
+
+    vi.advanceTimersByTime(599);
+    expect(engine.getState().gameState).toBe(GAME_STATES.RETENTION);
+
+    vi.advanceTimersByTime(1);
+    expect(engine.getState().gameState).toBe(GAME_STATES.INPUT);
+  });
+
+  it('scales the round timeline with the level', () => {
+    const engine = new GameEngine({ displayTime: 1200, retentionTime: 500, inputTimeLimit: 4000 });
+    engine.start();
+    expect(engine.getState().inputTimeRemaining).toBe(4000);
+
+    vi.advanceTimersByTime(3000 + 1200 + 500);
+    engine.selectTiles([0, 1, 2]);
+    vi.advanceTimersByTime(1500);
+
+    const state = engine.getState();
+    expect(state.level).toBe(2);
+    expect(state.displayTime).toBe(1150);
+    expect(state.retentionTime).toBe(550);
+    expect(state.inputTimeLimit).toBe(4250);
+    expect(state.inputTimeRemaining).toBe(4250);
+  });
+
+  it('plays an ordered pattern back one tile at a time', () => {
+    const engine = new GameEngine({ ordered: true, displayTime: 500, stepGap: 200 });
+    engine.start();
+    expect(engine.getState().playback.duration).toBe(3 * 500 + 2 * 200);
+
+    vi.advanceTimersByTime(3000);
+    expect(engine.getState().gameState).toBe(GAME_STATES.PATTERN);
+    expect(engine.getState().playbackStep).toBe(0);
+
+    vi.advanceTimersByTime(500);
+    expect(engine.getState().playbackStep).toBe(-1);
+
+    vi.advanceTimersByTime(200);
+    expect(engine.getState().playbackStep).toBe(1);
+
+    vi.advanceTimersByTime(500 + 200 + 500);
+    expect(engine.getState().gameState).toBe(GAME_STATES.INPUT);
+    expect(engine.getState().playbackStep).toBe(-1);
+  });
+
+  it('fails an ordered pattern on the first wrong step', () => {
+    const onFailure = vi.fn();
+    const engine = new GameEngine({ ordered: true, displayTime: 500, stepGap: 200 });
+    engine.on(GAME_EVENTS.ROUND_FAILURE, onFailure);
+    engine.start();
+    vi.advanceTimersByTime(3000 + 1900);
+
+    engine.selectTiles([0]);
+    expect(engine.getState().gameState).toBe(GAME_STATES.INPUT);
+
+    engine.selectTiles([0, 2]);
+    expect(engine.getState().gameState).toBe(GAME_STATES.FAILURE);
+    expect(onFailure).toHaveBeenCalledWith(expect.objectContaining({ reason: 'incorrect' }));
+  });
+
+  it('only accepts an ordered pattern repeated in the same order', () => {
+    const engine = new GameEngine({ ordered: true, displayTime: 500, stepGap: 200 });
+    engine.start();
+    vi.advanceTimersByTime(3000 + 1900);
+
+    engine.selectTiles([0, 1, 2]);
+    expect(engine.getState().gameState).toBe(GAME_STATES.SUCCESS);
+  });
+
+  it('grades every round with hits, misses and false alarms', () => {
+    const onSuccess = vi.fn();
+    const onFailure = vi.fn();
+    const engine = new GameEngine();
+    engine.on(GAME_EVENTS.ROUND_SUCCESS, onSuccess);
+    engine.on(GAME_EVENTS.ROUND_FAILURE, onFailure);
+    engine.start();
+    advanceToInput(engine);
+
+    engine.selectTiles([0, 1, 5]);
+    engine.submit();
+    expect(onFailure.mock.calls[0][0].grade).toMatchObject({ hits: 2, misses: 1, falseAlarms: 1 });
+    expect(engine.getState().lastGrade.accuracy).toBeCloseTo(0.5);
+
+    vi.advanceTimersByTime(1500);
+    advanceToInput(engine);
+    engine.selectTiles([0, 1, 2]);
+    expect(onSuccess.mock.calls[0][0].grade).toMatchObject({ hits: 3, misses: 0, falseAlarms: 0, accuracy: 1 });
+  });
+
+  it('awards proportional points instead of a penalty with partial credit', () => {
+    const engine = new GameEngine({ partialCredit: true });
+    engine.start();
+    advanceToInput(engine);
+
+    engine.selectTiles([0, 1, 5]);
+    engine.submit();
+
+    // Half of the 270 base points for 3 tiles on a 3x3 grid
+    expect(engine.getState().lastRoundScore).toBe(135);
+    expect(engine.getState().score).toBe(135);
+  });
+
+  it('scores rounds with the configured scoring rules', () => {
+    const onSuccess = vi.fn();
+    const onLevelUp = vi.fn();
+    const scoring = {
+      ...SCORING_RULES.standard,
+      basePoints: () => 100,
+      levelUp: ({ consecutiveCorrect }) => consecutiveCorrect % 2 === 0
+    };
+    const engine = new GameEngine({ scoring, inputTimeLimit: 5000 });
+    engine.on(GAME_EVENTS.ROUND_SUCCESS, onSuccess);
+    engine.on(GAME_EVENTS.LEVEL_UP, onLevelUp);
+    engine.start();
+    advanceToInput(engine);
+
+    engine.selectTiles([0, 1, 2]);
+    const { breakdown } = onSuccess.mock.calls[0][0];
+    expect(breakdown.basePoints).toBe(100);
+    expect(engine.getState().lastScoreBreakdown).toBe(breakdown);
+    expect(engine.getState().score).toBe(breakdown.total);
+
+    // The rule only levels up after every second correct pattern
+    expect(engine.getState().level).toBe(1);
+    expect(onLevelUp).not.toHaveBeenCalled();
+  });
+
+  it('starts with the initial pattern type unless a pattern type is fixed', () => {
+    const engine = new GameEngine({ initialPatternType: 'shape' });
+    engine.start();
+    expect(engine.getState().patternType).toBe('shape');
+
+    engine.start({ patternType: 'sequential' });
+    expect(engine.getState().patternType).toBe('sequential');
+  });
+
+  it('keeps the shape of the pattern with the round', () => {
+    const shape = { id: 'l', name: 'L', rotation: 0, reflected: false };
+    generatePatternDetails.mockReturnValueOnce({ pattern: [0, 3, 6, 7], shape });
+    const onRoundStart = vi.fn();
+    const onSuccess = vi.fn();
+    const engine = new GameEngine({ patternLength: 4 });
+    engine.on(GAME_EVENTS.ROUND_START, onRoundStart);
+    engine.on(GAME_EVENTS.ROUND_SUCCESS, onSuccess);
+    engine.start();
+
+    expect(engine.getState().patternShape).toBe(shape);
+    expect(onRoundStart).toHaveBeenCalledWith(expect.objectContaining({ shape }));
+
+    advanceToInput(engine);
+    engine.selectTiles([0, 3, 6, 7]);
+    expect(onSuccess).toHaveBeenCalledWith(expect.objectContaining({ shape }));
+  });
+
+  it('generates patterns for the target difficulty and scales it with the level', () => {
+    const onRoundStart = vi.fn();
+    const engine = new GameEngine({ targetDifficulty: 3, seed: 5 });
+    engine.on(GAME_EVENTS.ROUND_START, onRoundStart);
+    engine.start();
+
+    const { pattern, patternLength, patternDifficulty } = engine.getState();
+    expect(patternLength).toBe(pattern.length);
+    expect(Math.abs(patternDifficulty - 3)).toBeLessThanOrEqual(0.5);
+    expect(onRoundStart).toHaveBeenCalledWith(expect.objectContaining({ difficulty: patternDifficulty }));
+
+    expect(defaultProgression(4, {}, { targetDifficulty: 3 }).targetDifficulty).toBe(6);
+    expect(defaultProgression(4, {}, {}).targetDifficulty).toBeNull();
+  });
+
+  it('plays on boards with holes and scores them by their number of tiles', () => {
+    const onSuccess = vi.fn();
+    const engine = new GameEngine({ board: { layout: 'ring' } });
+    engine.on(GAME_EVENTS.ROUND_SUCCESS, onSuccess);
+    engine.start();
+
+    expect(engine.getState().board.tiles.length).toBe(8);
+
+    advanceToInput(engine);
+    // The middle of the ring is a hole and can't be selected
+    engine.selectTiles([4, 0, 1]);
+    expect(engine.getState().selections).toEqual([0, 1]);
+
+    engine.selectTiles([0, 1, 2]);
+    expect(onSuccess).toHaveBeenCalledWith(expect.objectContaining({
+      board: expect.objectContaining({ layout: 'ring' }),
+      breakdown: expect.objectContaining({ basePoints: 8 * 3 * 10 })
+    }));
+    expect(onSuccess.mock.calls[0][0].grade.correctRejections).toBe(5);
+  });
+
+  it('takes the board from the progression and keeps patterns within its tiles', () => {
+    const progression = () => ({ gridSize: 3, patternLength: 8, board: { layout: 'cross' } });
+    const engine = new GameEngine({ progression });
+    engine.start();
+    advanceToInput(engine);
+    engine.selectTiles([0, 1, 2]);
+    vi.advanceTimersByTime(engine.config.resultDelay);
+
+    const { board, patternLength } = engine.getState();
+    expect(board.tiles).toEqual([1, 3, 4, 5, 7]);
+    expect(patternLength).toBe(3);
+  });
+
+  it('keeps hex tiles when the board grows with the grid size', () => {
+    const engine = new GameEngine({ board: { type: 'hex' } });
+    engine.start({}, { level: 6, gridSize: 5, patternLength: 6 });
+
+    expect(engine.getState().board).toMatchObject({ type: 'hex', rows: 5, cols: 5 });
+    expect(generatePatternDetails).toHaveBeenLastCalledWith(
+      expect.objectContaining({ type: 'hex' }), expect.any(Number), expect.any(String), expect.any(Object)
+    );
+  });
+
+  it('only accepts a color pattern when every tile has its color', () => {
+    const onSuccess = vi.fn();
+    const engine = new GameEngine({ colors: 3, seed: 7 });
+    engine.on(GAME_EVENTS.ROUND_SUCCESS, onSuccess);
+    engine.start();
+
+    const { pattern, patternColors } = engine.getState();
+    expect(patternColors.length).toBe(pattern.length);
+    patternColors.forEach(color => expect(color).toBeLessThan(3));
+
+    advanceToInput(engine);
+    const wrongColors = patternColors.map(color => (color + 1) % 3);
+    engine.selectTiles(pattern, wrongColors);
+    expect(engine.getState().gameState).toBe(GAME_STATES.INPUT);
+
+    engine.selectTiles(pattern, patternColors);
+    expect(onSuccess).toHaveBeenCalledWith(expect.objectContaining({
+      colors: patternColors,
+      breakdown: expect.objectContaining({ colorPoints: 135 })
+    }));
+  });
+
+  it('grades color mistakes apart and keeps the colors of a retried pattern', () => {
+    const onFailure = vi.fn();
+    const engine = new GameEngine({ colors: 2, partialCredit: true });
+    engine.on(GAME_EVENTS.ROUND_FAILURE, onFailure);
+    engine.start();
+    const { pattern, patternColors } = engine.getState();
+
+    advanceToInput(engine);
+    engine.selectTiles(pattern, patternColors.map(color => 1 - color));
+    engine.submit();
+
+    const { grade, roundScore } = onFailure.mock.calls[0][0];
+    expect(grade).toMatchObject({ hits: 3, colorErrors: 3, colorAccuracy: 0 });
+    expect(roundScore).toBe(135);
+
+    vi.advanceTimersByTime(engine.config.resultDelay);
+    expect(engine.getState().patternColors).toBe(patternColors);
+  });
+
+  it('plays authored patterns as they are and generates the levels without one', () => {
+    const progression = (level) => (level === 2
+      ? { gridSize: 4, patternLength: 2, patternTiles: [15, 5] }
+      : { gridSize: 4, patternLength: 3 });
+    const engine = new GameEngine({ initialPatternTiles: [8, 4, 0], progression });
+    engine.start();
+    expect(engine.getState().pattern).toEqual([8, 4, 0]);
+
+    const playRound = () => {
+      advanceToInput(engine);
+      engine.selectTiles(engine.getState().pattern);
+      vi.advanceTimersByTime(engine.config.resultDelay);
+    };
+
+    playRound();
+    expect(engine.getState()).toMatchObject({ level: 2, pattern: [15, 5], patternLength: 2 });
+
+    playRound();
+    expect(engine.getState().patternTiles).toBeNull();
+    expect(engine.getState().pattern).toEqual([0, 1, 2]);
+  });
+
+  it('passes pattern constraints to the generator and reports when they fail', () => {
+    const constraints = { quadrants: true, recent: { count: 2 } };
+    const onUnmet = vi.fn();
+    const engine = new GameEngine({ initialPatternConstraints: constraints });
+    engine.on(GAME_EVENTS.CONSTRAINTS_UNMET, onUnmet);
+    engine.start();
+
+    expect(generatePatternDetails).toHaveBeenLastCalledWith(expect.anything(), 3, 'random', expect.objectContaining({
+      constraints: { quadrants: true, recent: { count: 2, patterns: [] } }
+    }));
+    expect(engine.getState().constraintError).toBeNull();
+    expect(onUnmet).not.toHaveBeenCalled();
+
+    generatePatternDetails.mockImplementationOnce(() => {
+      throw new PatternConstraintError('No pattern', ['quadrants']);
+    });
+    engine.start();
+
+    // The round still gets a pattern, and says which constraints it breaks
+    expect(engine.getState().pattern).toEqual([0, 1, 2]);
+    expect(engine.getState().constraintError).toEqual({ message: 'No pattern', unmet: ['quadrants'] });
+    expect(onUnmet).toHaveBeenCalledWith({ round: 1, level: 1, message: 'No pattern', unmet: ['quadrants'] });
+  });
+
+  it('completes the game after passing the last level', () => {
+    const onGameOver = vi.fn();
+    const engine = new GameEngine({ maxLevel: 2 });
+    engine.on(GAME_EVENTS.GAME_OVER, onGameOver);
+    engine.start();
+
+    for (let round = 0; round < 2; round++) {
+      advanceToInput(engine);
+      engine.selectTiles(engine.getState().pattern);
+      vi.advanceTimersByTime(engine.config.resultDelay);
+    }
+
+    expect(engine.getState().gameState).toBe(GAME_STATES.GAMEOVER);
+    expect(onGameOver).toHaveBeenCalledWith(expect.objectContaining({ reason: 'complete', level: 3 }));
+  });
+
+  it('grades a transformed pattern against the pattern turned as instructed', () => {
+    const onFailure = vi.fn();
+    const onSuccess = vi.fn();
+    const engine = new GameEngine({ patternLength: 2, transforms: ['mirrorHorizontal'] });
+    engine.on(GAME_EVENTS.ROUND_FAILURE, onFailure);
+    engine.on(GAME_EVENTS.ROUND_SUCCESS, onSuccess);
+    engine.start();
+    advanceToInput(engine);
+
+    // Tiles 0 and 1 of the top row, mirrored left to right
+    expect(engine.getState()).toMatchObject({ pattern: [0, 1], transform: 'mirrorHorizontal', expectedPattern: [2, 1] });
+
+    engine.selectTiles([0, 1]);
+    engine.submit();
+    expect(onFailure).toHaveBeenCalledWith(expect.objectContaining({
+      transform: 'mirrorHorizontal',
+      expectedPattern: [2, 1],
+      grade: expect.objectContaining({ hits: 1, falseAlarms: 1 })
+    }));
+
+    // The retry asks for the same transform
+    vi.advanceTimersByTime(engine.config.resultDelay);
+    advanceToInput(engine);
+    expect(engine.getState().transform).toBe('mirrorHorizontal');
+    engine.selectTiles([2, 1]);
+    expect(onSuccess).toHaveBeenCalled();
+  });
+
+  it('only picks transforms that fit the board', () => {
+    const engine = new GameEngine({ board: { rows: 3, cols: 4 }, transforms: ['rotate90'] });
+    engine.start();
+
+    expect(engine.getState().transform).toBeNull();
+    expect(engine.getState().expectedPattern).toEqual(engine.getState().pattern);
+  });
+
+  it('flashes decoys away from the pattern and counts the ones picked', () => {
+    const onFailure = vi.fn();
+    const engine = new GameEngine({ distractors: 2 });
+    engine.on(GAME_EVENTS.ROUND_FAILURE, onFailure);
+    engine.start();
+
+    const { pattern, distractorTiles } = engine.getState();
+    expect(distractorTiles.length).toBe(2);
+    distractorTiles.forEach(index => expect(pattern).not.toContain(index));
+
+    advanceToInput(engine);
+    engine.selectTiles([...pattern, distractorTiles[0]]);
+    engine.submit();
+    expect(onFailure).toHaveBeenCalledWith(expect.objectContaining({
+      distractors: distractorTiles,
+      grade: expect.objectContaining({ falseAlarms: 1, distractorsSelected: 1 })
+    }));
+
+    // The retry flashes the same decoys
+    vi.advanceTimersByTime(engine.config.resultDelay);
+    expect(engine.getState().distractorTiles).toEqual(distractorTiles);
+  });
+
+  it('restores a square board for progress saved without one', () => {
+    const engine = new GameEngine({ board: null });
+    engine.start({}, { level: 4, gridSize: 4, patternLength: 5 });
+
+    expect(engine.getState().board).toMatchObject({ rows: 4, cols: 4, holes: [] });
+  });
+});
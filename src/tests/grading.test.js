@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { gradeRound, calculateSensitivity, inverseNormal } from '../utils/grading';
+
+describe('Grading', () => {
+  describe('inverseNormal', () => {
+    it('returns the z-score of a probability', () => {
+      expect(inverseNormal(0.5)).toBeCloseTo(0, 6);
+      expect(inverseNormal(0.975)).toBeCloseTo(1.96, 2);
+      expect(inverseNormal(0.01)).toBeCloseTo(-2.326, 2);
+    });
+  });
+
+  describe('calculateSensitivity', () => {
+    it('is zero when hits and false alarms are equally likely', () => {
+      expect(calculateSensitivity(2, 2, 2, 2)).toBeCloseTo(0, 6);
+    });
+
+    it('stays finite for a perfect round', () => {
+      const sensitivity = calculateSensitivity(3, 0, 0, 6);
+      expect(Number.isFinite(sensitivity)).toBe(true);
+      expect(sensitivity).toBeGreaterThan(1);
+    });
+  });
+
+  describe('gradeRound', () => {
+    it('counts hits, misses, false alarms and correct rejections', () => {
+      const grade = gradeRound([0, 3, 6], [0, 3, 8], { gridSize: 3 });
+
+      expect(grade).toMatchObject({ hits: 2, misses: 1, falseAlarms: 1, correctRejections: 5 });
+      expect(grade.accuracy).toBeCloseTo(0.5);
+    });
+
+    it('gives a perfect round full accuracy and a higher sensitivity', () => {
+      const perfect = gradeRound([0, 3, 6], [6, 0, 3], { gridSize: 3 });
+      const partial = gradeRound([0, 3, 6], [0, 3, 8], { gridSize: 3 });
+
+      expect(perfect.accuracy).toBe(1);
+      expect(perfect.sensitivity).toBeGreaterThan(partial.sensitivity);
+    });
+
+    it('grades an empty attempt as all misses', () => {
+      const grade = gradeRound([0, 3, 6], [], { gridSize: 3 });
+
+      expect(grade).toMatchObject({ hits: 0, misses: 3, falseAlarms: 0, correctRejections: 6, accuracy: 0 });
+    });
+
+    it('only counts tiles picked at their own step in ordered patterns', () => {
+      const grade = gradeRound([0, 3, 6], [0, 6, 3], { gridSize: 3, ordered: true });
+
+      expect(grade).toMatchObject({ hits: 1, misses: 2, falseAlarms: 2 });
+    });
+
+    it('counts the correct rejections on the tiles of the board', () => {
+      const grade = gradeRound([0, 1, 2], [0, 1, 2], { tileCount: 8 });
+
+      expect(grade.correctRejections).toBe(5);
+    });
+
+    it('counts color mistakes apart from position mistakes', () => {
+      const grade = gradeRound([0, 3, 6], [6, 0, 8], {
+        gridSize: 3,
+        patternColors: [0, 1, 2],
+        selectionColors: [2, 1, 0]
+      });
+
+      // 6 is in the right color, 0 is in the wrong one and 8 isn't in the pattern
+      expect(grade).toMatchObject({ hits: 2, falseAlarms: 1, colorErrors: 1, colorAccuracy: 0.5 });
+      expect(gradeRound([0, 3], [0, 3], { gridSize: 3 }).colorErrors).toBeUndefined();
+    });
+
+    it('compares colors step by step in ordered patterns', () => {
+      const grade = gradeRound([0, 3, 6], [0, 3, 6], {
+        gridSize: 3,
+        ordered: true,
+        patternColors: [0, 1, 2],
+        selectionColors: [0, 1, 1]
+      });
+
+      expect(grade).toMatchObject({ hits: 3, colorErrors: 1 });
+      expect(grade.accuracy).toBe(1);
+    });
+  });
+
+  describe('decoys', () => {
+    it('counts the decoys among the false alarms', () => {
+      const grade = gradeRound([0, 4], [0, 2, 7, 7], { gridSize: 3, distractors: [2, 7, 8] });
+
+      expect(grade).toMatchObject({ hits: 1, falseAlarms: 2, distractorsSelected: 2 });
+      expect(gradeRound([0, 4], [0, 4], { gridSize: 3 }).distractorsSelected).toBeUndefined();
+    });
+  });
+});
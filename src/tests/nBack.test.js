@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import {
+  NBACK_ADAPTATION,
+  scheduleNBackTrials,
+  schedulePatternTrials,
+  scheduleToneTrials,
+  gradeNBackBlock,
+  combineNBackGrades,
+  scoreNBackBlock,
+  getNextN
+} from '../utils/nBack';
+import { createRandom } from '../utils/random';
+import { TONE_FREQUENCIES, renderToneSamples } from '../utils/audioManager';
+
+const samePattern = (a, b) => a.length === b.length && a.every(index => b.includes(index));
+
+describe('N-back', () => {
+  it('schedules exactly the target share of matches', () => {
+    const trials = schedulePatternTrials(22, 2, { gridSize: 3, patternLength: 2, matchRate: 0.3, random: createRandom(4) });
+
+    expect(trials).toHaveLength(22);
+    expect(trials.slice(0, 2).every(trial => !trial.isMatch)).toBe(true);
+    expect(trials.filter(trial => trial.isMatch)).toHaveLength(6);
+
+    // Matches repeat the pattern two back, and nothing else does
+    trials.slice(2).forEach((trial, index) => {
+      expect(samePattern(trial.stimulus, trials[index].stimulus)).toBe(trial.isMatch);
+    });
+  });
+
+  it('schedules the same trials from the same seed', () => {
+    const schedule = () => schedulePatternTrials(12, 3, { gridSize: 4, patternLength: 3, random: createRandom(9) });
+
+    expect(schedule()).toEqual(schedule());
+  });
+
+  it('fails when every stimulus is the same as the one N back', () => {
+    expect(() => scheduleNBackTrials({
+      count: 4,
+      n: 1,
+      matchRate: 0,
+      nextStimulus: () => 'a',
+      isSameStimulus: (a, b) => a === b
+    })).toThrow("Couldn't draw a stimulus");
+  });
+
+  it('grades answers as hits, misses, false alarms and correct rejections', () => {
+    const trials = [false, false, true, true, false, false, true].map(isMatch => ({ stimulus: [0], isMatch }));
+    // Lead-in answers are ignored; no answer counts as "no match"
+    const responses = [true, true, true, false, true, false, undefined];
+
+    const grade = gradeNBackBlock(trials, responses, 2);
+
+    expect(grade).toMatchObject({ hits: 1, misses: 2, falseAlarms: 1, correctRejections: 1 });
+    expect(grade.accuracy).toBe(0.25);
+    expect(grade.sensitivity).toEqual(expect.any(Number));
+  });
+
+  it('scores hits minus false alarms, worth more at higher N', () => {
+    expect(scoreNBackBlock({ hits: 5, falseAlarms: 2 }, 1)).toBe(400);
+    expect(scoreNBackBlock({ hits: 5, falseAlarms: 2 }, 3)).toBe(1200);
+    expect(scoreNBackBlock({ hits: 0, falseAlarms: 4 }, 2)).toBe(0);
+  });
+
+  it('adapts N to the accuracy of the block', () => {
+    expect(getNextN(2, NBACK_ADAPTATION.raiseAt)).toBe(3);
+    expect(getNextN(2, 0.6)).toBe(2);
+    expect(getNextN(2, NBACK_ADAPTATION.lowerBelow - 0.01)).toBe(1);
+    expect(getNextN(1, 0)).toBe(1);
+    expect(getNextN(4, 1, { maxN: 4 })).toBe(4);
+  });
+});
+
+describe('Dual n-back', () => {
+  it('schedules tone trials from the tone set', () => {
+    const trials = scheduleToneTrials(23, 3, { toneCount: TONE_FREQUENCIES.length, matchRate: 0.3, random: createRandom(2) });
+
+    expect(trials.filter(trial => trial.isMatch)).toHaveLength(6);
+    trials.forEach(trial => {
+      expect(Number.isInteger(trial.stimulus)).toBe(true);
+      expect(trial.stimulus).toBeGreaterThanOrEqual(0);
+      expect(trial.stimulus).toBeLessThan(TONE_FREQUENCIES.length);
+    });
+    trials.slice(3).forEach((trial, index) => {
+      expect(trial.stimulus === trials[index].stimulus).toBe(trial.isMatch);
+    });
+  });
+
+  it('combines block grades into a channel total', () => {
+    const total = combineNBackGrades([
+      { hits: 4, misses: 2, falseAlarms: 0, correctRejections: 14 },
+      { hits: 5, misses: 0, falseAlarms: 1, correctRejections: 14 }
+    ]);
+
+    expect(total).toMatchObject({ hits: 9, misses: 2, falseAlarms: 1, correctRejections: 28 });
+    expect(total.accuracy).toBe(0.75);
+    expect(combineNBackGrades([]).accuracy).toBe(1);
+  });
+
+  it('synthesises tones that fade in and out', () => {
+    const samples = renderToneSamples(440, 8000);
+
+    expect(samples.length).toBeGreaterThan(0);
+    expect(samples[0]).toBe(0);
+    expect(samples[samples.length - 1]).toBeCloseTo(0);
+    expect(Math.max(...samples)).toBeLessThanOrEqual(1);
+    expect(Math.max(...samples)).toBeGreaterThan(0.4);
+  });
+});
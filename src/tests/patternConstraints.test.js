@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PatternConstraintError,
+  checkPatternConstraints,
+  measureSimilarity,
+  solvePatternConstraints
+} from '../utils/patternConstraints';
+import { generatePattern, generatePatternDetails, areTilesAdjacent } from '../utils/patternGenerator';
+import { createBoard } from '../utils/board';
+import { createRandom } from '../utils/random';
+
+/**
+ * Catch the error a call throws
+ * @param {Function} fn - Call expected to throw
+ * @returns {Error} - The thrown error
+ */
+const catchError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the call to throw');
+};
+
+describe('Pattern constraints', () => {
+  it('checks patterns against each constraint', () => {
+    // 4x4 board: 0 and 15 are opposite corners, 5 and 6 touch
+    expect(checkPatternConstraints([0, 15], 4, { minSpacing: 2 })).toEqual([]);
+    expect(checkPatternConstraints([5, 6], 4, { minSpacing: 2 })).toEqual(['minSpacing']);
+    expect(checkPatternConstraints([0, 3, 12, 15], 4, { quadrants: true })).toEqual([]);
+    expect(checkPatternConstraints([0, 1, 4, 5], 4, { quadrants: true })).toEqual(['quadrants']);
+    expect(checkPatternConstraints([0, 3], 4, { symmetry: 'left-right' })).toEqual([]);
+    expect(checkPatternConstraints([0, 15], 4, { symmetry: 'half-turn', include: [1] })).toEqual(['include']);
+  });
+
+  it('counts the centre lines of odd boards on both sides', () => {
+    // On a 3x3 board the middle tile touches every quadrant
+    expect(checkPatternConstraints([4], 3, { quadrants: true })).toEqual([]);
+  });
+
+  it('measures similarity as the share of shared tiles', () => {
+    expect(measureSimilarity([1, 2, 3, 4], [3, 4, 5])).toBe(0.5);
+    expect(measureSimilarity([], [1])).toBe(0);
+  });
+
+  it('generates patterns that meet every constraint', () => {
+    const constraints = { include: [0], minSpacing: 2, quadrants: true, symmetry: 'half-turn' };
+
+    for (let seed = 1; seed <= 10; seed++) {
+      const pattern = generatePattern(6, 4, 'random', { random: createRandom(seed), constraints });
+
+      expect(pattern.length).toBe(4);
+      expect(new Set(pattern).size).toBe(4);
+      expect(checkPatternConstraints(pattern, 6, constraints)).toEqual([]);
+    }
+  });
+
+  it('avoids patterns too similar to recent ones', () => {
+    const recentPatterns = [[0, 1, 2, 3], [4, 5, 6, 7], [8, 9, 10, 11]];
+    const constraints = { recent: { patterns: recentPatterns, count: 3, maxSimilarity: 0.25 } };
+
+    const pattern = generatePattern(4, 4, 'random', { random: createRandom(3), constraints });
+
+    recentPatterns.forEach(recent => expect(measureSimilarity(pattern, recent)).toBeLessThanOrEqual(0.25));
+  });
+
+  it('keeps sequential patterns a path of neighbours', () => {
+    const board = createBoard({ type: 'hex' }, 5);
+    const constraints = { include: [12], quadrants: true };
+    const pattern = generatePattern(board, 5, 'sequential', { random: createRandom(8), constraints });
+
+    expect(pattern).toContain(12);
+    pattern.slice(1).forEach((index, step) => expect(areTilesAdjacent(pattern[step], index, board)).toBe(true));
+  });
+
+  it('only uses shapes with exactly as many tiles as the pattern', () => {
+    const { pattern, shape } = generatePatternDetails(4, 4, 'shape', {
+      random: createRandom(2),
+      constraints: { symmetry: 'left-right' }
+    });
+
+    expect(['line', 'square']).toContain(shape.id);
+    expect(shape.size).toBe(4);
+    expect(checkPatternConstraints(pattern, 4, { symmetry: 'left-right' })).toEqual([]);
+  });
+
+  it('reports the constraints that cannot be met instead of padding', () => {
+    // Nine tiles can't be two tiles apart on a 4x4 board
+    const spacing = catchError(() => generatePattern(4, 9, 'random', { constraints: { minSpacing: 2 } }));
+    expect(spacing).toBeInstanceOf(PatternConstraintError);
+    expect(spacing.unmet).toEqual(['minSpacing']);
+
+    // Odd patterns have no left-right mirror on an even board
+    const symmetry = catchError(() => solvePatternConstraints(4, 5, 'random', { symmetry: 'left-right', quadrants: true }));
+    expect(symmetry.unmet).toEqual(['symmetry']);
+
+    // Neighbouring tiles are never two apart, so sequential patterns can't be spaced out
+    const path = catchError(() => generatePattern(5, 3, 'sequential', { constraints: { minSpacing: 2 } }));
+    expect(path.unmet).toEqual(['minSpacing']);
+  });
+
+  it('blames the combination when each constraint can be met alone', () => {
+    // Both corners of the top row can't be part of a 2-tile top-bottom mirror
+    const error = catchError(() => solvePatternConstraints(4, 2, 'random', { include: [0, 3], symmetry: 'top-bottom' }));
+
+    expect(error.unmet).toEqual(['include', 'symmetry']);
+    expect(error.message).toContain('all of');
+  });
+
+  it('rejects malformed constraints', () => {
+    expect(() => generatePattern(3, 3, 'random', { constraints: { include: [9] } })).toThrow(PatternConstraintError);
+    expect(() => generatePattern(3, 2, 'random', { constraints: { include: [0, 1, 2] } })).toThrow('more tiles');
+    expect(() => generatePattern(3, 3, 'random', { constraints: { symmetry: 'diagonal' } })).toThrow('symmetry');
+    expect(() => generatePattern(3, 3, 'random', { constraints: { colour: 'red' } })).toThrow('Unknown pattern constraint');
+  });
+
+  it('fails instead of padding when no path of the length exists', () => {
+    // The 3x3 cross is a plus sign: no path visits all five tiles
+    const cross = createBoard({ layout: 'cross' }, 3);
+    const error = catchError(() => generatePattern(cross, 5, 'sequential', { constraints: {} }));
+
+    expect(error.unmet).toEqual([]);
+    expect(error.message).toContain("Couldn't generate");
+    expect(generatePattern(cross, 3, 'sequential', { constraints: {} }).length).toBe(3);
+  });
+});
@@ -1,5 +1,19 @@
 import { describe, it, expect } from 'vitest';
-import { generatePattern } from '../utils/patternGenerator';
+import {
+  generatePattern,
+  generatePatternDetails,
+  createPlaybackSequence,
+  estimatePatternDifficulty,
+  generatePatternForDifficulty,
+  countChunks,
+  PATTERN_TRANSFORMS,
+  canTransformBoard,
+  transformPattern,
+  describeTransform,
+  generateDistractors
+} from '../utils/patternGenerator';
+import { createRandom } from '../utils/random';
+import { createBoard, getNeighbours, BOARD_TYPES, BOARD_LAYOUTS } from '../utils/board';
 
 describe('Pattern Generator', () => {
   it('generates a pattern with the correct length', () => {
@@ -69,4 +83,221 @@ describe('Pattern Generator', () => {
     const pattern = generatePattern(5, 5, 'shape');
     expect(pattern.length).toBe(5);
   });
+
+  it('returns the shape of shape patterns', () => {
+    const { pattern, shape } = generatePatternDetails(4, 5, 'shape', { random: createRandom(3) });
+
+    expect(pattern.length).toBe(5);
+    expect(shape).toEqual(expect.objectContaining({ id: expect.any(String), name: expect.any(String) }));
+    expect(generatePatternDetails(4, 5, 'random').shape).toBeNull();
+  });
+
+  it('only names a shape when the pattern is exactly that shape', () => {
+    const boards = [3, 4, 5, createBoard({ layout: 'ring' }, 5)];
+    boards.forEach(board => {
+      const tileCount = typeof board === 'number' ? board * board : board.tiles.length;
+      for (let length = 1; length <= tileCount; length++) {
+        const { pattern, shape } = generatePatternDetails(board, length, 'shape', { random: createRandom(length) });
+
+        expect(pattern).toHaveLength(length);
+        if (shape !== null) {
+          expect(shape.size).toBe(pattern.length);
+        }
+      }
+    });
+
+    // 3x3 has no two-tile shape, nor one of the whole board
+    expect(generatePatternDetails(3, 2, 'shape', { random: createRandom(1) }).shape).toBeNull();
+    expect(generatePatternDetails(3, 9, 'shape', { random: createRandom(1) }).shape).toBeNull();
+  });
+
+  it('picks shapes with as many tiles as the pattern on even grids', () => {
+    for (let seed = 0; seed < 20; seed++) {
+      const { pattern, shape } = generatePatternDetails(4, 5, 'shape', { random: createRandom(seed) });
+
+      expect(shape.size).toBe(5);
+      expect(new Set(pattern).size).toBe(5);
+    }
+  });
+
+  it('generates the same patterns from the same seed', () => {
+    ['random', 'sequential', 'shape'].forEach(type => {
+      const first = generatePattern(5, 5, type, { random: createRandom(42) });
+      const second = generatePattern(5, 5, type, { random: createRandom(42) });
+      expect(second).toEqual(first);
+    });
+  });
+
+  it('times the playback of an ordered pattern step by step', () => {
+    const playback = createPlaybackSequence([4, 0, 8], { stepTime: 500, gapTime: 200 });
+
+    expect(playback.steps).toEqual([
+      { index: 4, start: 0, end: 500 },
+      { index: 0, start: 700, end: 1200 },
+      { index: 8, start: 1400, end: 1900 }
+    ]);
+    expect(playback.duration).toBe(1900);
+  });
+
+  it('returns an empty playback for an empty pattern', () => {
+    expect(createPlaybackSequence([])).toEqual({ steps: [], duration: 0 });
+  });
+
+  it('only uses the tiles of a board with holes', () => {
+    const ring = createBoard({ layout: BOARD_LAYOUTS.RING }, 5);
+
+    ['random', 'sequential', 'shape'].forEach(patternType => {
+      for (let seed = 0; seed < 10; seed++) {
+        const pattern = generatePattern(ring, 6, patternType, { random: createRandom(seed) });
+
+        expect(pattern.length).toBe(6);
+        pattern.forEach(index => expect(ring.tiles).toContain(index));
+      }
+    });
+  });
+
+  it('walks sequential patterns across a rectangular board without wrapping', () => {
+    const board = createBoard({ rows: 2, cols: 6 });
+
+    for (let seed = 0; seed < 20; seed++) {
+      const pattern = generatePattern(board, 3, 'sequential', { random: createRandom(seed) });
+
+      pattern.slice(1).forEach((index, step) => {
+        const previous = pattern[step];
+        const sameRow = Math.floor(index / 6) === Math.floor(previous / 6) && Math.abs(index - previous) === 1;
+        expect(sameRow || Math.abs(index - previous) === 6).toBe(true);
+      });
+    }
+  });
+
+  it('limits pattern length to the tiles of the board', () => {
+    expect(generatePattern(createBoard({ layout: BOARD_LAYOUTS.CROSS }, 3), 9).length).toBe(5);
+  });
+
+  it('walks sequential and shape patterns along hex neighbours', () => {
+    const hex = createBoard({ type: BOARD_TYPES.HEX }, 5);
+
+    for (let seed = 0; seed < 10; seed++) {
+      const pattern = generatePattern(hex, 5, 'sequential', { random: createRandom(seed) });
+      pattern.slice(1).forEach((index, step) => {
+        expect(getNeighbours(hex, pattern[step])).toContain(index);
+      });
+
+      const { shape } = generatePatternDetails(hex, 4, 'shape', { random: createRandom(seed) });
+      expect(shape.category).toBe('hex');
+    }
+  });
+
+  it('picks decoys away from the pattern and stops when the board runs out of tiles', () => {
+    const ring = createBoard({ layout: BOARD_LAYOUTS.RING }, 3);
+
+    for (let seed = 0; seed < 10; seed++) {
+      const decoys = generateDistractors(ring, 3, { exclude: [0, 1], random: createRandom(seed) });
+      expect(decoys.length).toBe(3);
+      expect(new Set(decoys).size).toBe(3);
+      decoys.forEach(index => {
+        expect([0, 1, 4]).not.toContain(index);
+      });
+    }
+
+    expect(generateDistractors(3, 5, { exclude: [0, 1, 2, 3, 4, 5] }).sort()).toEqual([6, 7, 8]);
+  });
+
+  describe('pattern transforms', () => {
+    it('rotates and mirrors patterns on boards of any size, keeping the tile order', () => {
+      // 3x3: 0 1 2 / 3 4 5 / 6 7 8
+      expect(transformPattern([0, 1, 5], 3, PATTERN_TRANSFORMS.ROTATE_90)).toEqual([2, 5, 7]);
+      expect(transformPattern([0, 1, 5], 3, PATTERN_TRANSFORMS.ROTATE_180)).toEqual([8, 7, 3]);
+      expect(transformPattern([0, 1, 5], 3, PATTERN_TRANSFORMS.MIRROR_HORIZONTAL)).toEqual([2, 1, 3]);
+      expect(transformPattern([0, 1, 5], 3, PATTERN_TRANSFORMS.MIRROR_VERTICAL)).toEqual([6, 7, 5]);
+
+      // Four quarter turns are a full turn
+      for (let size = 2; size <= 7; size++) {
+        const pattern = generatePattern(size, size, 'random', { random: createRandom(size) });
+        let turned = pattern;
+        for (let turn = 0; turn < 4; turn++) {
+          turned = transformPattern(turned, size, PATTERN_TRANSFORMS.ROTATE_90);
+        }
+        expect(turned).toEqual(pattern);
+      }
+    });
+
+    it('only transforms boards that map onto themselves', () => {
+      const wide = createBoard({ rows: 3, cols: 5 });
+      expect(canTransformBoard(wide, PATTERN_TRANSFORMS.ROTATE_90)).toBe(false);
+      expect(transformPattern([0, 6], wide, PATTERN_TRANSFORMS.ROTATE_180)).toEqual([14, 8]);
+
+      expect(canTransformBoard(createBoard({ layout: BOARD_LAYOUTS.RING }, 4), PATTERN_TRANSFORMS.ROTATE_90)).toBe(true);
+      expect(canTransformBoard(createBoard({ holes: [0] }, 3), PATTERN_TRANSFORMS.MIRROR_VERTICAL)).toBe(false);
+      expect(canTransformBoard(createBoard({ type: BOARD_TYPES.HEX }, 4), PATTERN_TRANSFORMS.ROTATE_180)).toBe(false);
+      expect(canTransformBoard(3, 'diagonal')).toBe(false);
+      expect(() => transformPattern([0], wide, PATTERN_TRANSFORMS.ROTATE_90)).toThrow('rotate90');
+    });
+
+    it('describes transforms as instructions', () => {
+      expect(describeTransform(PATTERN_TRANSFORMS.ROTATE_90)).toBe('rotated 90° clockwise');
+      expect(describeTransform(PATTERN_TRANSFORMS.MIRROR_VERTICAL)).toBe('mirrored top to bottom');
+    });
+  });
+
+  describe('difficulty estimation', () => {
+    it('rates a line as easier than the same number of scattered tiles', () => {
+      const line = estimatePatternDifficulty([0, 1, 2, 3, 4, 5], 6);
+      const scattered = estimatePatternDifficulty([0, 8, 17, 19, 30, 35], 6);
+
+      expect(line.features).toMatchObject({ adjacency: 1, chunks: 1, symmetry: 1 });
+      expect(line.difficulty).toBeLessThan(4);
+      expect(scattered.difficulty).toBeGreaterThan(6);
+    });
+
+    it('does not join tiles across the grid edge', () => {
+      // 2 ends row 0 and 3 starts row 1 of a 3x3 grid
+      expect(countChunks([2, 3], 3)).toBe(2);
+      expect(countChunks([0, 4, 8], 3)).toBe(1);
+    });
+
+    it('joins tiles along the six hex directions only', () => {
+      const hex = createBoard({ type: BOARD_TYPES.HEX }, 4);
+
+      // 0 and 5 touch diagonally on a square grid but not on the hex board
+      expect(countChunks([0, 5], hex)).toBe(2);
+      expect(countChunks([0, 4, 9], hex)).toBe(1);
+      // A triangle pointing down is mirror symmetric once the odd row is shifted
+      expect(estimatePatternDifficulty([1, 2, 5], hex).features.symmetry).toBe(1);
+    });
+
+    it('rates a pattern harder when it overlaps a recent one', () => {
+      const pattern = [0, 5, 10, 15];
+      const fresh = estimatePatternDifficulty(pattern, 4);
+      const repeated = estimatePatternDifficulty(pattern, 4, { recentPatterns: [[0, 5, 10, 15]] });
+
+      expect(repeated.features.overlap).toBe(1);
+      expect(repeated.difficulty).toBeCloseTo(fresh.difficulty * 1.5, 1);
+    });
+
+    it('only counts ordered steps between neighbours as adjacent', () => {
+      expect(estimatePatternDifficulty([0, 8, 1, 7], 3, { ordered: true }).features.adjacency).toBe(0);
+      expect(estimatePatternDifficulty([0, 8, 1, 7], 3).features.adjacency).toBe(1);
+    });
+
+    it('generates patterns close to a target difficulty', () => {
+      [2, 4, 7].forEach(target => {
+        const { pattern, difficulty } = generatePatternForDifficulty(5, target, { random: createRandom(target) });
+
+        expect(Math.abs(difficulty - target)).toBeLessThanOrEqual(0.5);
+        expect(estimatePatternDifficulty(pattern, 5).difficulty).toBe(difficulty);
+      });
+    });
+
+    it('keeps a fixed pattern length and type when targeting a difficulty', () => {
+      const result = generatePatternForDifficulty(4, 3, {
+        random: createRandom(1),
+        patternLength: 5,
+        patternTypes: ['sequential']
+      });
+
+      expect(result.pattern.length).toBe(5);
+      expect(result.patternType).toBe('sequential');
+    });
+  });
 });
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PATTERN_PACK_VERSION,
+  validatePatternPack,
+  parsePatternPack,
+  serializePatternPack,
+  getPackLevels,
+  getPackModeId,
+  isPackModeId,
+  createPackScoringRules,
+  createPackMode,
+  getRoundWarnings,
+  createPackId
+} from '../utils/patternPacks';
+import { getScoringRules, SCORING_RULES } from '../utils/scoreManager';
+import { createTableProgression } from '../utils/progression';
+
+const createPack = (changes = {}) => ({
+  version: PATTERN_PACK_VERSION,
+  id: 'corners',
+  title: 'Corners',
+  rounds: [
+    { gridSize: 4, pattern: [0, 3, 12, 15], displayTime: 1200, inputTimeLimit: null },
+    { gridSize: 5, board: { layout: 'ring' }, generator: { type: 'sequential', length: 5, constraints: { include: [0] } } }
+  ],
+  ...changes
+});
+
+describe('Pattern packs', () => {
+  it('accepts a valid pack and round-trips it through JSON', () => {
+    const pack = createPack({ scoring: { pointsPerTile: 15, penalty: false } });
+
+    expect(validatePatternPack(pack)).toBe(pack);
+    expect(parsePatternPack(serializePatternPack(pack))).toEqual(pack);
+  });
+
+  it('turns rounds into level rows with default timings', () => {
+    const [authored, generated] = getPackLevels(createPack());
+
+    expect(authored).toMatchObject({ gridSize: 4, patternLength: 4, pattern: [0, 3, 12, 15], displayTime: 1200, inputTimeLimit: null });
+    expect(generated).toMatchObject({
+      patternLength: 5,
+      patternType: 'sequential',
+      constraints: { include: [0] },
+      displayTime: 1000,
+      retentionTime: 500,
+      inputTimeLimit: 5000
+    });
+
+    const progression = createTableProgression(getPackLevels(createPack()));
+    expect(progression(1).patternTiles).toEqual([0, 3, 12, 15]);
+    expect(progression(2).board).toEqual({ layout: 'ring' });
+  });
+
+  it('rejects invalid packs with a message naming the problem', () => {
+    expect(() => validatePatternPack(createPack({ version: 2 }))).toThrow('newer version');
+    expect(() => validatePatternPack(createPack({ version: undefined }))).toThrow('version must be 1');
+    expect(() => validatePatternPack(createPack({ id: 'no spaces' }))).toThrow('id must be');
+    expect(() => validatePatternPack(createPack({ title: ' ' }))).toThrow('title');
+    expect(() => validatePatternPack(createPack({ rounds: [] }))).toThrow('rounds');
+    expect(() => validatePatternPack(createPack({ lives: 0 }))).toThrow('lives');
+    expect(() => validatePatternPack(createPack({ scoring: { bonus: 2 } }))).toThrow('Unknown scoring override "bonus"');
+    expect(() => validatePatternPack(createPack({ scoring: { penalty: 'no' } }))).toThrow('scoring.penalty');
+    expect(() => parsePatternPack('{ "version": ')).toThrow('not valid JSON');
+  });
+
+  it('checks every round on load', () => {
+    const withRound = (round) => createPack({ rounds: [round] });
+
+    expect(() => validatePatternPack(withRound({ gridSize: 4 }))).toThrow('Round 1 needs either a pattern or a generator');
+    expect(() => validatePatternPack(withRound({ gridSize: 4, pattern: [0], generator: { type: 'random', length: 1 } })))
+      .toThrow('either a pattern or a generator');
+    expect(() => validatePatternPack(withRound({ gridSize: 4, pattern: [0, 16] }))).toThrow('Round 1: pattern tile 16');
+    expect(() => validatePatternPack(withRound({ gridSize: 4, generator: { type: 'spiral', length: 3 } })))
+      .toThrow('Round 1: generator type');
+    expect(() => validatePatternPack(withRound({ gridSize: 11, pattern: [0] }))).toThrow('Round 1: gridSize');
+  });
+
+  it('rejects generators whose constraints can never be met', () => {
+    const pack = createPack({
+      rounds: [{ gridSize: 4, generator: { type: 'random', length: 9, constraints: { minSpacing: 2 } } }]
+    });
+
+    expect(() => validatePatternPack(pack)).toThrow(/Round 1: .*minSpacing/);
+  });
+
+  it('warns about rounds that cannot be played', () => {
+    expect(getRoundWarnings({ gridSize: 4, pattern: [0, 5], displayTime: 1000, inputTimeLimit: 3000 })).toEqual([]);
+    expect(getRoundWarnings({ gridSize: 3, pattern: [] })).toEqual(['The pattern has no tiles']);
+    expect(getRoundWarnings({ gridSize: 3, board: { layout: 'ring' }, generator: { type: 'random', length: 9 } }))
+      .toEqual(['The pattern has 9 tiles but the board only has 8']);
+    expect(getRoundWarnings({ gridSize: 3, pattern: [4, 2], board: { layout: 'ring' } }))
+      .toEqual(['Pattern tiles 4 are not on the board']);
+    expect(getRoundWarnings({ gridSize: 3, pattern: [0], displayTime: 2000, inputTimeLimit: 1500 }))
+      .toEqual(['The input window (1500 ms) is shorter than the flash (2000 ms)']);
+    expect(getRoundWarnings({ gridSize: 3, pattern: [0], displayTime: 2000, inputTimeLimit: null })).toEqual([]);
+    expect(getRoundWarnings({ gridSize: 12, pattern: [0] })[0]).toContain('Board rows and columns');
+  });
+
+  it('makes pack ids from titles without replacing stored packs', () => {
+    expect(createPackId('Corner Drills!')).toBe('corner-drills');
+    expect(createPackId('Corner Drills', ['corner-drills', 'corner-drills-2'])).toBe('corner-drills-3');
+    expect(createPackId('???')).toBe('pack');
+  });
+
+  it('builds scoring rules from the overrides', () => {
+    const rules = createPackScoringRules(createPack({ scoring: { pointsPerTile: 20, maxCombo: 1.5, penalty: false } }));
+
+    expect(rules.id).toBe('pack:corners');
+    expect(rules.basePoints(3, 2)).toBe(360);
+    expect(rules.comboMultiplier(10)).toBe(1.5);
+    expect(rules.penalty(500)).toBe(500);
+    expect(rules.timeBonusWeight).toBe(SCORING_RULES.standard.timeBonusWeight);
+  });
+
+  it('plays a pack as its own game mode', () => {
+    const mode = createPackMode(createPack({ lives: null, scoring: { pointsPerTile: 20 } }));
+
+    expect(mode).toMatchObject({
+      id: getPackModeId('corners'),
+      name: 'Corners',
+      initialGridSize: 4,
+      initialPatternLength: 4,
+      patternDisplayTime: 1200,
+      inputTimeLimit: null,
+      lives: Infinity,
+      maxLevel: 2
+    });
+    expect(isPackModeId(mode.id)).toBe(true);
+    expect(isPackModeId('standard')).toBe(false);
+    expect(getScoringRules(mode.id).basePoints(3, 2)).toBe(360);
+  });
+
+  it("playtests a draft without changing the saved pack's scoring", () => {
+    createPackMode(createPack({ scoring: { pointsPerTile: 20 } }));
+    const playtest = createPackMode(createPack({ scoring: { pointsPerTile: 50 } }), { playtest: true });
+
+    expect(playtest.id).toBe('playtest:corners');
+    expect(isPackModeId(playtest.id)).toBe(false);
+    expect(getScoringRules(playtest.id).basePoints(3, 2)).toBe(900);
+    expect(getScoringRules(getPackModeId('corners')).basePoints(3, 2)).toBe(360);
+  });
+});
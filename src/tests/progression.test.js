@@ -0,0 +1,121 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DIFFICULTY_PRESETS,
+  PROGRESSION_TABLES,
+  validateProgressionTable,
+  parseProgressionTable,
+  getProgressionTable,
+  getProgressionRow,
+  createTableProgression
+} from '../utils/progression';
+import { defaultProgression } from '../utils/gameEngine';
+
+const row = (gridSize, patternLength) => ({
+  gridSize,
+  patternLength,
+  patternType: 'random',
+  displayTime: 1000,
+  inputTimeLimit: 5000
+});
+
+describe('Progression tables', () => {
+  it('ships valid tables for every built-in preset', () => {
+    [DIFFICULTY_PRESETS.EASY, DIFFICULTY_PRESETS.NORMAL, DIFFICULTY_PRESETS.HARD].forEach(preset => {
+      expect(() => validateProgressionTable(PROGRESSION_TABLES[preset])).not.toThrow();
+    });
+  });
+
+  it('matches the formula progression in the normal standard table', () => {
+    const levels = getProgressionTable('standard', DIFFICULTY_PRESETS.NORMAL);
+    const config = { displayTime: 1000, retentionTime: 500, inputTimeLimit: 5000 };
+
+    for (let level = 1; level <= 30; level++) {
+      expect(createTableProgression(levels)(level, {}, config)).toEqual(defaultProgression(level, {}, config));
+    }
+  });
+
+  it('uses the rows of the mode when the table has them', () => {
+    const table = PROGRESSION_TABLES[DIFFICULTY_PRESETS.NORMAL];
+
+    expect(getProgressionTable('time_attack', DIFFICULTY_PRESETS.NORMAL)).toBe(table.modes.time_attack);
+    expect(getProgressionTable('endless', DIFFICULTY_PRESETS.NORMAL)).toBe(table.levels);
+  });
+
+  it('uses a valid custom table and falls back to normal otherwise', () => {
+    const custom = { levels: [row(4, 2)] };
+    const normal = PROGRESSION_TABLES[DIFFICULTY_PRESETS.NORMAL].levels;
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(getProgressionTable('standard', DIFFICULTY_PRESETS.CUSTOM, custom)).toBe(custom.levels);
+    expect(getProgressionTable('standard', DIFFICULTY_PRESETS.CUSTOM, { levels: [] })).toBe(normal);
+    expect(getProgressionTable('standard', DIFFICULTY_PRESETS.CUSTOM, null)).toBe(normal);
+    expect(getProgressionTable('standard', 'expert')).toBe(normal);
+
+    warn.mockRestore();
+  });
+
+  it('repeats the last row past the end of the table', () => {
+    const levels = [row(3, 3), row(4, 5)];
+
+    expect(getProgressionRow(levels, 1)).toBe(levels[0]);
+    expect(getProgressionRow(levels, 2)).toBe(levels[1]);
+    expect(getProgressionRow(levels, 10)).toBe(levels[1]);
+  });
+
+  it('scales the mode retention time unless the row sets one', () => {
+    const progression = createTableProgression([row(3, 3), { ...row(3, 4), retentionTime: 200 }]);
+
+    expect(progression(1, {}, { retentionTime: 1000 }).retentionTime).toBe(1000);
+    expect(progression(2, {}, { retentionTime: 1000 }).retentionTime).toBe(200);
+  });
+
+  it('passes the target difficulty of a row to the engine', () => {
+    const progression = createTableProgression([{ ...row(4, 5), targetDifficulty: 4.5 }, row(4, 6)]);
+
+    expect(progression(1).targetDifficulty).toBe(4.5);
+    expect(progression(2).targetDifficulty).toBeNull();
+    expect(() => validateProgressionTable({ levels: [{ ...row(4, 5), targetDifficulty: -1 }] }))
+      .toThrow('levels level 1: targetDifficulty');
+  });
+
+  it('checks the board of a row and counts only its tiles', () => {
+    const ring = { ...row(3, 8), board: { layout: 'ring' } };
+
+    expect(createTableProgression([ring])(1).board).toEqual({ layout: 'ring' });
+    expect(() => validateProgressionTable({ levels: [ring] })).not.toThrow();
+    expect(() => validateProgressionTable({ levels: [{ ...ring, patternLength: 9 }] }))
+      .toThrow('levels level 1: patternLength');
+    expect(() => validateProgressionTable({ levels: [{ ...ring, board: { layout: 'star' } }] }))
+      .toThrow('levels level 1: Unknown board layout');
+  });
+
+  it('passes authored patterns and constraints of a row to the engine', () => {
+    const authored = { ...row(3, 2), pattern: [4, 0] };
+    const constrained = { ...row(4, 4), constraints: { quadrants: true } };
+    const progression = createTableProgression([authored, constrained]);
+
+    expect(progression(1).patternTiles).toEqual([4, 0]);
+    expect(progression(2).patternConstraints).toEqual({ quadrants: true });
+    expect(progression(2).patternTiles).toBeUndefined();
+    expect(() => validateProgressionTable({ levels: [authored, constrained] })).not.toThrow();
+    expect(() => validateProgressionTable({ levels: [{ ...authored, pattern: [4, 4] }] }))
+      .toThrow('levels level 1: pattern must');
+    expect(() => validateProgressionTable({ levels: [{ ...authored, pattern: [4, 9] }] }))
+      .toThrow('pattern tile 9 is not on the board');
+    expect(() => validateProgressionTable({ levels: [{ ...authored, board: { layout: 'ring' } }] }))
+      .toThrow('pattern tile 4 is not on the board');
+  });
+
+  it('rejects invalid rows with a message naming the level', () => {
+    expect(() => validateProgressionTable({ levels: [row(3, 3), row(3, 10)] })).toThrow(/level 2: patternLength/);
+    expect(() => validateProgressionTable({ levels: [{ ...row(3, 3), patternType: 'spiral' }] })).toThrow(/patternType/);
+    expect(() => validateProgressionTable({ levels: [row(3, 3)], modes: { endless: [row(1, 1)] } })).toThrow(/modes.endless level 1: gridSize/);
+  });
+
+  it('parses a table from JSON', () => {
+    const table = { levels: [row(3, 3)] };
+
+    expect(parseProgressionTable(JSON.stringify(table))).toEqual(table);
+    expect(() => parseProgressionTable('{ levels: ')).toThrow(/not valid JSON/);
+  });
+});
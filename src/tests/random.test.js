@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { hashSeed, createRandom, randomInt, shuffle, parseSeed } from '../utils/random';
+
+describe('Random', () => {
+  it('produces the same sequence from the same seed', () => {
+    const first = createRandom(42);
+    const second = createRandom(42);
+
+    for (let i = 0; i < 20; i++) {
+      expect(second()).toBe(first());
+    }
+  });
+
+  it('produces different sequences from different seeds', () => {
+    const first = createRandom(1);
+    const second = createRandom(2);
+    const a = Array.from({ length: 5 }, first);
+    const b = Array.from({ length: 5 }, second);
+    expect(a).not.toEqual(b);
+  });
+
+  it('returns values in [0, 1)', () => {
+    const random = createRandom('range');
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  it('hashes string seeds to stable 32-bit integers', () => {
+    expect(hashSeed('daily')).toBe(hashSeed('daily'));
+    expect(hashSeed('daily')).not.toBe(hashSeed('weekly'));
+    expect(hashSeed(-1)).toBe(0xFFFFFFFF);
+  });
+
+  it('picks integers within the bound', () => {
+    const random = createRandom(7);
+    for (let i = 0; i < 100; i++) {
+      const value = randomInt(4, random);
+      expect(Number.isInteger(value)).toBe(true);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(4);
+    }
+  });
+
+  it('shuffles deterministically and keeps every element', () => {
+    const first = shuffle([1, 2, 3, 4, 5, 6], createRandom(9));
+    const second = shuffle([1, 2, 3, 4, 5, 6], createRandom(9));
+
+    expect(second).toEqual(first);
+    expect([...first].sort()).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  it('parses seeds from user input', () => {
+    expect(parseSeed(null)).toBeNull();
+    expect(parseSeed('')).toBeNull();
+    expect(parseSeed('1234')).toBe(1234);
+    expect(parseSeed('abc')).toBe(hashSeed('abc'));
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { GameEngine, GAME_EVENTS } from '../utils/gameEngine';
+import {
+  createReplayRecorder,
+  getReplayFrame,
+  isReplaySupported,
+  REPLAY_EVENTS,
+  REPLAY_VERSION
+} from '../utils/replay';
+
+// Mock the pattern generator to return predictable patterns
+vi.mock('../utils/patternGenerator', async (importOriginal) => ({
+  ...(await importOriginal()),
+  generatePatternDetails: vi.fn().mockImplementation((size, length) => {
+    return { pattern: Array.from({ length }, (_, i) => i), shape: null };
+  })
+}));
+
+describe('Replay', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  // Play a short game: one correct round, then a turn that times out with the last life
+  const recordGame = () => {
+    const engine = new GameEngine({ lives: 1, inputTimeLimit: 5000, seed: 7 });
+    const recorder = createReplayRecorder(engine, { playerName: 'Tester' });
+    let replay = null;
+    engine.on(GAME_EVENTS.GAME_OVER, result => {
+      replay = recorder.finish(result);
+    });
+
+    engine.start();
+    vi.advanceTimersByTime(4000);
+    engine.selectTiles([0]);
+    vi.advanceTimersByTime(500);
+    engine.selectTiles([0, 1, 2]);
+    vi.advanceTimersByTime(1500);
+
+    // Second round: let the turn timer run out
+    vi.advanceTimersByTime(20000);
+    return replay;
+  };
+
+  it('records a versioned replay of the whole game', () => {
+    const replay = recordGame();
+
+    expect(replay.version).toBe(REPLAY_VERSION);
+    expect(replay.seed).toBe(7);
+    expect(replay.metadata.playerName).toBe('Tester');
+    expect(replay.config.inputTimeLimit).toBe(5000);
+    expect(replay.result).toEqual(expect.objectContaining({ reason: 'lives' }));
+    expect(replay.duration).toBe(replay.events[replay.events.length - 1].t);
+    expect(isReplaySupported(replay)).toBe(true);
+  });
+
+  it('records tile clicks and timer expiries with timestamps', () => {
+    const replay = recordGame();
+
+    const clicks = replay.events.filter(event => event.type === REPLAY_EVENTS.STATE && event.changes.selections);
+    expect(clicks.map(event => event.changes.selections)).toContainEqual([0]);
+    expect(clicks.map(event => event.changes.selections)).toContainEqual([0, 1, 2]);
+
+    const timeout = replay.events.find(event => event.type === REPLAY_EVENTS.ROUND_FAILURE);
+    expect(timeout.reason).toBe('timeout');
+    const inputStarts = replay.events.filter(event => event.type === REPLAY_EVENTS.STATE && event.changes.gameState === 'input');
+    // The input window is 250ms longer at level 2
+    expect(timeout.t - inputStarts[inputStarts.length - 1].t).toBe(5250);
+
+    const gameOver = replay.events[replay.events.length - 1];
+    expect(gameOver.type).toBe(REPLAY_EVENTS.GAME_OVER);
+  });
+
+  it('rebuilds the game state at any point of the replay', () => {
+    const replay = recordGame();
+
+    expect(getReplayFrame(replay, 1000).state.gameState).toBe('countdown');
+    expect(getReplayFrame(replay, 3500).state.gameState).toBe('pattern');
+
+    const afterClick = getReplayFrame(replay, 4200);
+    expect(afterClick.state.gameState).toBe('input');
+    expect(afterClick.state.selections).toEqual([0]);
+
+    const afterSuccess = getReplayFrame(replay, 4600);
+    expect(afterSuccess.state.gameState).toBe('success');
+    expect(afterSuccess.lastEvent.type).toBe(REPLAY_EVENTS.ROUND_SUCCESS);
+
+    const end = getReplayFrame(replay, replay.duration);
+    expect(end.state.gameState).toBe('gameover');
+    expect(end.state.remainingLives).toBe(0);
+  });
+
+  it('stops recording when stopped', () => {
+    const engine = new GameEngine();
+    const recorder = createReplayRecorder(engine);
+    recorder.stop();
+
+    engine.start();
+    expect(recorder.getReplay().events).toHaveLength(0);
+  });
+
+  it('rejects replays from another format version', () => {
+    expect(isReplaySupported({ version: REPLAY_VERSION + 1, events: [] })).toBe(false);
+    expect(isReplaySupported(null)).toBe(false);
+  });
+});
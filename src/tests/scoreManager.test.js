@@ -4,11 +4,21 @@ import {
   calculateTimeBonus,
   calculateComboMultiplier,
   calculatePenalty,
+  calculatePartialScore,
+  calculateColorBonus,
+  SCORING_RULES,
+  registerScoringRules,
+  getScoringRules,
+  scoreRound,
+  describeScoreBreakdown,
   calculateLevelThreshold,
   checkLevelUp,
   calculateGridSize,
   calculatePatternLength,
-  calculatePatternDisplayTime
+  calculatePatternDisplayTime,
+  calculateRetentionTime,
+  calculateInputTimeLimit,
+  calculateRoundTimeline
 } from '../utils/scoreManager';
 
 describe('Score Manager', () => {
@@ -150,5 +160,123 @@ describe('Score Manager', () => {
     it('has a minimum of 300ms', () => {
       expect(calculatePatternDisplayTime(20)).toBe(300);
     });
+
+    it('scales from a mode base time', () => {
+      expect(calculatePatternDisplayTime(1, 1500)).toBe(1500);
+      expect(calculatePatternDisplayTime(3, 1500)).toBe(1400);
+      expect(calculatePatternDisplayTime(5, 200)).toBe(200);
+    });
+  });
+
+  describe('calculateRetentionTime', () => {
+    it('starts at the base time and grows by 10% per level', () => {
+      expect(calculateRetentionTime(1, 500)).toBe(500);
+      expect(calculateRetentionTime(3, 500)).toBe(600);
+    });
+
+    it('caps at twice the base time', () => {
+      expect(calculateRetentionTime(30, 500)).toBe(1000);
+    });
+
+    it('stays at 0 without a retention interval', () => {
+      expect(calculateRetentionTime(10, 0)).toBe(0);
+    });
+  });
+
+  describe('calculateInputTimeLimit', () => {
+    it('adds 250ms per level up to twice the base time', () => {
+      expect(calculateInputTimeLimit(1, 5000)).toBe(5000);
+      expect(calculateInputTimeLimit(5, 5000)).toBe(6000);
+      expect(calculateInputTimeLimit(50, 5000)).toBe(10000);
+    });
+
+    it('keeps no limit as no limit', () => {
+      expect(calculateInputTimeLimit(5, null)).toBeNull();
+    });
+  });
+
+  describe('calculateRoundTimeline', () => {
+    it('scales every phase except the get-ready countdown', () => {
+      const timeline = { countdownSeconds: 2, displayTime: 1000, retentionTime: 500, inputTimeLimit: 5000 };
+
+      expect(calculateRoundTimeline(1, timeline)).toEqual(timeline);
+      expect(calculateRoundTimeline(3, timeline)).toEqual({
+        countdownSeconds: 2,
+        displayTime: 900,
+        retentionTime: 600,
+        inputTimeLimit: 5500
+      });
+    });
+  });
+
+  describe('calculatePartialScore', () => {
+    it('awards the share of the base score given by the accuracy', () => {
+      expect(calculatePartialScore(3, 3, 1)).toBe(270);
+      expect(calculatePartialScore(3, 3, 0.5)).toBe(135);
+      expect(calculatePartialScore(3, 3, 0)).toBe(0);
+    });
+
+    it('only takes half the credit of a tile placed in the wrong color', () => {
+      expect(calculatePartialScore(3, 3, 1, SCORING_RULES.standard, 1)).toBe(270);
+      expect(calculatePartialScore(3, 3, 1, SCORING_RULES.standard, 0)).toBe(135);
+      expect(calculatePartialScore(3, 3, 0.5, SCORING_RULES.standard, 0.5)).toBe(101);
+    });
+  });
+
+  describe('color bonus', () => {
+    it('adds a quarter of the base points per color beyond the first', () => {
+      expect(calculateColorBonus(0)).toBe(0);
+      expect(calculateColorBonus(3)).toBe(0.5);
+
+      const breakdown = scoreRound(SCORING_RULES.standard, {
+        gridSize: 3, patternLength: 3, responseTime: 5000, maxTime: 5000, colors: 3
+      });
+      expect(breakdown).toMatchObject({ basePoints: 270, colorPoints: 135, total: 405 });
+      expect(describeScoreBreakdown(breakdown)).toBe('270 base + 135 color bonus = 405');
+    });
+  });
+
+  describe('scoring rules', () => {
+    it('scores a round like calculateScore with the standard rules', () => {
+      const breakdown = scoreRound(SCORING_RULES.standard, {
+        gridSize: 3,
+        patternLength: 3,
+        responseTime: 1000,
+        maxTime: 5000,
+        consecutiveCorrect: 2
+      });
+
+      expect(breakdown).toMatchObject({ basePoints: 270, timeBonus: 0.8, timeBonusPoints: 108, comboMultiplier: 1.2 });
+      expect(breakdown.total).toBe(calculateScore(3, 3, 0.8, 1.2));
+      expect(breakdown.basePoints + breakdown.timeBonusPoints + breakdown.comboPoints).toBe(breakdown.total);
+    });
+
+    it('falls back to the standard rules for modes without their own', () => {
+      expect(getScoringRules('time_attack')).toBe(SCORING_RULES.time_attack);
+      expect(getScoringRules('unknown')).toBe(SCORING_RULES.standard);
+    });
+
+    it('registers rules on top of the standard rules', () => {
+      const rules = registerScoringRules({ id: 'test_double', basePoints: (gridSize, patternLength) => patternLength * 100 });
+
+      expect(getScoringRules('test_double')).toBe(rules);
+      expect(rules.penalty).toBe(SCORING_RULES.standard.penalty);
+      expect(scoreRound(rules, { gridSize: 3, patternLength: 4, responseTime: 5000, maxTime: 5000 }).total).toBe(400);
+
+      delete SCORING_RULES.test_double;
+    });
+
+    it('requires an id to register rules', () => {
+      expect(() => registerScoringRules({ basePoints: () => 1 })).toThrow();
+    });
+
+    it('describes how the points were calculated', () => {
+      expect(describeScoreBreakdown({ basePoints: 270, timeBonusPoints: 54, comboMultiplier: 1.1, total: 356 }))
+        .toBe('(270 base + 54 time bonus) × 1.1 combo = 356');
+      expect(describeScoreBreakdown({ basePoints: 270, timeBonusPoints: 0, comboMultiplier: 1.2, total: 324 }))
+        .toBe('270 base × 1.2 combo = 324');
+      expect(describeScoreBreakdown({ basePoints: 270, timeBonusPoints: 0, comboMultiplier: 1, total: 270 }))
+        .toBe('270 base = 270');
+    });
   });
 });
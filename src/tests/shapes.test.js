@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SHAPES,
+  HEX_SHAPES,
+  getShapeById,
+  rowsToCells,
+  rotateCells,
+  reflectCells,
+  rotateHexCells,
+  getShapeCells,
+  getFittingShapes,
+  placeShape,
+  getShapePlacements,
+  describeShape
+} from '../utils/shapes';
+import { createRandom } from '../utils/random';
+import { createBoard, getNeighbours, BOARD_TYPES, BOARD_LAYOUTS } from '../utils/board';
+
+describe('Shapes', () => {
+  it('has unique ids and at least one lit tile in every shape', () => {
+    const ids = SHAPES.map(shape => shape.id);
+    expect(new Set(ids).size).toBe(ids.length);
+
+    SHAPES.forEach(shape => {
+      expect(getShapeCells(shape, 6).length).toBeGreaterThan(0);
+    });
+  });
+
+  it('rotates cells clockwise by quarter turns', () => {
+    const cells = rowsToCells(['#.', '#.', '##']);
+
+    expect(rotateCells(cells, 1)).toEqual(rowsToCells(['###', '#..']));
+    expect(rotateCells(cells, 4)).toEqual(rowsToCells(['#.', '#.', '##']));
+  });
+
+  it('reflects cells left to right', () => {
+    expect(reflectCells(rowsToCells(['#.', '#.', '##']))).toEqual(rowsToCells(['.#', '.#', '##']));
+  });
+
+  it('only offers shapes that fit the grid', () => {
+    const small = getFittingShapes(3).map(shape => shape.id);
+    const large = getFittingShapes(5).map(shape => shape.id);
+
+    expect(small).toContain('plus');
+    expect(small).not.toContain('zigzag');
+    expect(small).not.toContain('digit_8');
+    expect(large).toContain('digit_8');
+  });
+
+  it('places shapes inside the grid on even and odd grid sizes', () => {
+    const random = createRandom(7);
+
+    [3, 4, 5, 6].forEach(gridSize => {
+      getFittingShapes(gridSize).forEach(shape => {
+        const { pattern, shape: placed } = placeShape(shape, gridSize, random);
+
+        expect(pattern.length).toBe(getShapeCells(shape, gridSize).length);
+        expect(new Set(pattern).size).toBe(pattern.length);
+        pattern.forEach(index => {
+          expect(index).toBeGreaterThanOrEqual(0);
+          expect(index).toBeLessThan(gridSize * gridSize);
+        });
+        expect(placed.id).toBe(shape.id);
+      });
+    });
+  });
+
+  it('places shapes on rectangular boards and around holes', () => {
+    const wide = createBoard({ rows: 3, cols: 6 });
+    const ring = createBoard({ layout: BOARD_LAYOUTS.RING }, 5);
+
+    expect(getFittingShapes(wide).map(shape => shape.id)).toContain('zigzag');
+    expect(getFittingShapes(ring).map(shape => shape.id)).not.toContain('plus');
+
+    const random = createRandom(3);
+    getFittingShapes(ring).forEach(shape => {
+      const { pattern } = placeShape(shape, ring, random);
+      pattern.forEach(index => expect(ring.tiles).toContain(index));
+    });
+  });
+
+  it('turns shapes so they fit a narrow board', () => {
+    const tall = createBoard({ rows: 5, cols: 2 });
+
+    for (let seed = 0; seed < 10; seed++) {
+      const { pattern, shape } = placeShape(getShapeById('zigzag'), tall, createRandom(seed));
+
+      expect(shape.rotation % 180).toBe(90);
+      pattern.forEach(index => expect(index).toBeLessThan(10));
+    }
+  });
+
+  it('places hex shapes as connected tiles on hex boards only', () => {
+    const hex = createBoard({ type: BOARD_TYPES.HEX }, 5);
+    const random = createRandom(4);
+
+    expect(getFittingShapes(hex)).toEqual(HEX_SHAPES);
+    expect(placeShape(getShapeById('plus'), hex, random)).toBe(null);
+    expect(placeShape(getShapeById('hex_line'), 5, random)).toBe(null);
+
+    HEX_SHAPES.forEach(shape => {
+      const { pattern } = placeShape(shape, hex, random);
+
+      expect(new Set(pattern).size).toBe(shape.cells.length);
+      pattern.forEach(index => {
+        expect(pattern.some(other => getNeighbours(hex, index).includes(other))).toBe(true);
+      });
+    });
+  });
+
+  it('rotates hex cells in sixths of a turn', () => {
+    const line = getShapeById('hex_line').cells;
+
+    expect(rotateHexCells(line, 6)).toEqual(line);
+    expect(rotateHexCells([{ q: 1, r: 1 }], 1)).toEqual([{ q: -1, r: 2 }]);
+    expect(rotateHexCells([{ q: 1, r: 1 }], 2)).toEqual([{ q: -2, r: 1 }]);
+  });
+
+  it('keeps letters and digits upright', () => {
+    const { pattern, shape } = placeShape(getShapeById('digit_7'), 5, createRandom(1));
+
+    expect(shape).toMatchObject({ rotation: 0, reflected: false });
+    expect(pattern.length).toBe(7);
+  });
+
+  it('lists every placement of a shape', () => {
+    // All 8 rotations and reflections are listed, even when they look alike,
+    // at each of the 9 spots a 2x2 square has on a 4x4 board
+    const placements = getShapePlacements(getShapeById('square'), 4);
+    expect(placements.length).toBe(8 * 9);
+    expect(placements.every(({ pattern, shape }) => pattern.length === 4 && shape.id === 'square')).toBe(true);
+
+    expect(getShapePlacements(getShapeById('digit_8'), 3)).toEqual([]);
+    expect(getShapePlacements(getShapeById('hex_line'), 4)).toEqual([]);
+  });
+
+  it('names a placed shape with its transformation', () => {
+    expect(describeShape({ name: 'L', rotation: 90, reflected: true })).toBe('L (rotated 90°, mirrored)');
+    expect(describeShape({ name: 'Ring', rotation: 0, reflected: false })).toBe('Ring');
+  });
+});
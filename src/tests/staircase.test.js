@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getStaircaseSteps,
+  createStaircase,
+  getStaircaseLength,
+  updateStaircase,
+  estimateSpan,
+  createStaircases,
+  getStaircaseRound,
+  getStaircaseRoundCount,
+  recordStaircaseResult,
+  getSpanEstimates,
+  addSpanRecord,
+  summarizeSpanHistory
+} from '../utils/staircase';
+import { createRandom } from '../utils/random';
+
+describe('Staircase', () => {
+  it('weights the steps so the target rate is where the length stops moving', () => {
+    const steps = getStaircaseSteps(0.75, 0.5);
+
+    expect(steps).toEqual({ up: 0.5, down: 1.5 });
+    expect(0.75 * steps.up - 0.25 * steps.down).toBe(0);
+  });
+
+  it('lengthens patterns after a right answer and shortens them after a wrong one', () => {
+    let staircase = createStaircase(3);
+    staircase = updateStaircase(staircase, true, 4);
+    staircase = updateStaircase(staircase, true, 4);
+
+    expect(getStaircaseLength(staircase, 4)).toBe(4);
+    expect(staircase.reversals).toEqual([]);
+
+    staircase = updateStaircase(staircase, false, 4);
+
+    expect(staircase.value).toBe(2.5);
+    expect(staircase.reversals).toEqual([4]);
+    expect(staircase.lengths).toEqual([3, 4, 4]);
+  });
+
+  it('only turns around when the played length changes direction', () => {
+    // Steps of 0.4 up and 0.6 down: a single step often leaves the played length as it was
+    const settings = { targetRate: 0.6, stepUp: 0.4 };
+    let staircase = createStaircase(3);
+    [true, false, true, true, false, true, true].forEach(correct => {
+      staircase = updateStaircase(staircase, correct, 5, settings);
+    });
+
+    expect(staircase.lengths).toEqual([3, 3, 3, 3, 4, 3, 3]);
+    expect(staircase.reversals).toEqual([4, 3]);
+    expect(getStaircaseLength(staircase, 5)).toBe(4);
+  });
+
+  it('keeps lengths within the board', () => {
+    let staircase = createStaircase(1);
+    staircase = updateStaircase(staircase, false, 3);
+    expect(getStaircaseLength(staircase, 3)).toBe(1);
+
+    staircase = createStaircase(6);
+    staircase = updateStaircase(staircase, true, 3);
+    expect(getStaircaseLength(staircase, 3)).toBe(6);
+  });
+
+  it('settles near the span of a simulated player', () => {
+    // Right every time up to 5 tiles, never above
+    const random = createRandom(11);
+    let staircase = createStaircase(3);
+    for (let round = 0; round < 40; round++) {
+      const length = getStaircaseLength(staircase, 5);
+      const correct = length <= 5 ? random() < 0.95 : false;
+      staircase = updateStaircase(staircase, correct, 5);
+    }
+
+    expect(estimateSpan(staircase)).toBeGreaterThan(4.5);
+    expect(estimateSpan(staircase)).toBeLessThan(6.5);
+  });
+
+  it('estimates from the later rounds while there are too few turning points', () => {
+    let staircase = createStaircase(3);
+    expect(estimateSpan(staircase)).toBeNull();
+
+    [true, true, true, true].forEach(correct => {
+      staircase = updateStaircase(staircase, correct, 5);
+    });
+
+    expect(estimateSpan(staircase)).toBe(4.5);
+  });
+
+  it('plays the board sizes in turn and estimates a span on each', () => {
+    const settings = { gridSizes: [3, 4], roundsPerSize: 5, startLength: 2 };
+    let staircases = createStaircases(settings);
+
+    expect(getStaircaseRoundCount(settings)).toBe(10);
+    expect(getStaircaseRound(staircases, 1, settings)).toEqual({ gridSize: 3, patternLength: 2 });
+    expect(getStaircaseRound(staircases, 4, settings)).toEqual({ gridSize: 4, patternLength: 2 });
+
+    staircases = recordStaircaseResult(staircases, 3, true, settings);
+    staircases = recordStaircaseResult(staircases, 9, true, settings);
+
+    expect(getStaircaseRound(staircases, 3, settings).patternLength).toBe(3);
+    expect(getSpanEstimates(staircases, settings)).toEqual({ 3: 2 });
+  });
+
+  it('keeps a span history and summarizes it by board size', () => {
+    let history = addSpanRecord(undefined, { 3: 4.5, 4: 5 }, '2026-09-01T10:00:00.000Z');
+    history = addSpanRecord(history, { 3: 5.2 }, '2026-09-20T10:00:00.000Z');
+    history = addSpanRecord(history, { 3: 4.9 }, '2026-10-10T10:00:00.000Z');
+
+    expect(summarizeSpanHistory(history)).toEqual([
+      { gridSize: 3, latest: 4.9, best: 5.2, first: 4.5, firstDate: '2026-09-01T10:00:00.000Z', games: 3 },
+      { gridSize: 4, latest: 5, best: 5, first: 5, firstDate: '2026-09-01T10:00:00.000Z', games: 1 }
+    ]);
+    expect(summarizeSpanHistory()).toEqual([]);
+  });
+});
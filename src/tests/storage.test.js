@@ -9,7 +9,22 @@ import {
   saveGameSettings,
   getGameSettings,
   saveGameProgress,
-  getGameProgress
+  getGameProgress,
+  clearGameProgress,
+  saveReplay,
+  getReplays,
+  getReplay,
+  savePatternPack,
+  getPatternPacks,
+  getPatternPack,
+  deletePatternPack,
+  saveDailyResult,
+  getDailyResults,
+  getDailyResult,
+  saveDailyStreak,
+  getDailyStreak,
+  saveCampaignProgress,
+  getCampaignProgress
 } from '../utils/storage';
 
 // Mock localStorage
@@ -171,5 +186,105 @@ describe('Storage Utilities', () => {
       
       expect(progress).toEqual(progressData);
     });
+
+    it('clears game progress', () => {
+      saveGameProgress({ level: 3, score: 200 });
+      clearGameProgress();
+
+      expect(getGameProgress()).toBeNull();
+    });
+  });
+
+  describe('Replays', () => {
+    it('saves and retrieves replays, newest first', () => {
+      saveReplay({ id: 'a', events: [] });
+      saveReplay({ id: 'b', events: [] });
+
+      expect(getReplays().map(replay => replay.id)).toEqual(['b', 'a']);
+      expect(getReplay('a')).toEqual({ id: 'a', events: [] });
+      expect(getReplay('missing')).toBeNull();
+    });
+
+    it('keeps replays of high scores when pruning old replays', () => {
+      saveReplay({ id: 'record', events: [] });
+      saveHighScore({ score: 5000, playerName: 'Champion', replayId: 'record' });
+
+      for (let i = 0; i < 10; i++) {
+        saveReplay({ id: `game_${i}`, events: [] });
+      }
+
+      const ids = getReplays().map(replay => replay.id);
+      expect(ids).toContain('record');
+      expect(ids).toContain('game_9');
+      expect(ids).not.toContain('game_0');
+      expect(ids).toHaveLength(6);
+    });
+  });
+
+  describe('Pattern packs', () => {
+    it('stores packs by id and removes them', () => {
+      savePatternPack({ id: 'a', title: 'A' });
+      savePatternPack({ id: 'b', title: 'B' });
+      savePatternPack({ id: 'a', title: 'A, second edition' });
+
+      expect(getPatternPacks().map(pack => pack.id)).toEqual(['b', 'a']);
+      expect(getPatternPack('a').title).toBe('A, second edition');
+
+      deletePatternPack('b');
+      expect(getPatternPacks().map(pack => pack.id)).toEqual(['a']);
+      expect(getPatternPack('b')).toBeNull();
+    });
+  });
+
+  describe('Daily challenge', () => {
+    it('keeps one result per day, newest first', () => {
+      saveDailyResult({ date: '2024-03-09', score: 800, level: 6 });
+      saveDailyResult({ date: '2024-03-10', score: null, level: null });
+      saveDailyResult({ date: '2024-03-10', score: 1200, level: 8 });
+
+      expect(getDailyResults().map(result => result.date)).toEqual(['2024-03-10', '2024-03-09']);
+      expect(getDailyResult('2024-03-10').score).toBe(1200);
+      expect(getDailyResult('2024-03-11')).toBeNull();
+      // Nothing is stored under the high scores
+      expect(getHighScores()).toEqual([]);
+    });
+
+    it("doesn't overwrite a day that already has a score", () => {
+      saveDailyResult({ date: '2024-03-10', score: null, level: null });
+      saveDailyResult({ date: '2024-03-10', score: 700, level: 5 });
+      saveDailyResult({ date: '2024-03-10', score: 1500, level: 9 });
+
+      expect(getDailyResults()).toHaveLength(1);
+      expect(getDailyResult('2024-03-10')).toMatchObject({ score: 700, level: 5 });
+    });
+
+    it('keeps replays of daily results when pruning old replays', () => {
+      saveReplay({ id: 'daily', events: [] });
+      saveDailyResult({ date: '2024-03-10', score: 900, level: 7, replayId: 'daily' });
+
+      for (let i = 0; i < 10; i++) {
+        saveReplay({ id: `game_${i}`, events: [] });
+      }
+
+      expect(getReplay('daily')).not.toBeNull();
+    });
+
+    it('stores the streak', () => {
+      expect(getDailyStreak()).toEqual({ current: 0, best: 0, lastDate: null });
+
+      saveDailyStreak({ current: 2, best: 5, lastDate: '2024-03-10' });
+      expect(getDailyStreak()).toEqual({ current: 2, best: 5, lastDate: '2024-03-10' });
+    });
+  });
+
+  describe('Campaign', () => {
+    it('keeps campaign progress per player', () => {
+      saveCampaignProgress('Ada', { '1-1': { stars: 2, bestScore: 1000 } });
+      saveCampaignProgress('Grace', { '1-1': { stars: 3, bestScore: 1300 } });
+
+      expect(getCampaignProgress('Ada')).toEqual({ '1-1': { stars: 2, bestScore: 1000 } });
+      expect(getCampaignProgress('Grace')['1-1'].stars).toBe(3);
+      expect(getCampaignProgress('Linus')).toEqual({});
+    });
   });
 });
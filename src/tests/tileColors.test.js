@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TILE_COLORS,
+  MAX_TILE_COLORS,
+  normalizeColorCount,
+  generatePatternColors,
+  getNextColor,
+  getTileColor
+} from '../utils/tileColors';
+import { createRandom } from '../utils/random';
+
+describe('Tile colors', () => {
+  it('gives every color its own symbol for high contrast mode', () => {
+    const symbols = TILE_COLORS.map(color => color.symbol);
+    expect(new Set(symbols).size).toBe(TILE_COLORS.length);
+  });
+
+  it('plays plain tiles with fewer than two colors and caps the palette', () => {
+    expect(normalizeColorCount(0)).toBe(0);
+    expect(normalizeColorCount(1)).toBe(0);
+    expect(normalizeColorCount(3)).toBe(3);
+    expect(normalizeColorCount(12)).toBe(MAX_TILE_COLORS);
+  });
+
+  it('picks a color in play for every pattern tile', () => {
+    const colors = generatePatternColors(20, 3, createRandom(5));
+
+    expect(colors.length).toBe(20);
+    colors.forEach(color => expect([0, 1, 2]).toContain(color));
+    expect(generatePatternColors(5, 0)).toEqual([]);
+    expect(generatePatternColors(6, 3, createRandom(9))).toEqual(generatePatternColors(6, 3, createRandom(9)));
+  });
+
+  it('cycles a tile through the colors and back to unselected', () => {
+    expect(getNextColor(null, 3)).toBe(0);
+    expect(getNextColor(0, 3)).toBe(1);
+    expect(getNextColor(2, 3)).toBe(null);
+    expect(getTileColor(1)).toBe(TILE_COLORS[1]);
+    expect(getTileColor(null)).toBe(null);
+  });
+});
@@ -1,6 +1,8 @@
 /**
  * AI Player utility for simulating an opponent in the memory game
  */
+import { randomInt, shuffle } from './random';
+import { toBoard } from './board';
 
 /**
  * Difficulty levels for the AI
@@ -27,7 +29,14 @@ export const AI_PERSONALITY = {
  * AI Player class that simulates an opponent
  */
 export class AIPlayer {
-  constructor(difficulty = AI_DIFFICULTY.MEDIUM, personality = AI_PERSONALITY.BALANCED) {
+  /**
+   * @param {string} difficulty - Difficulty level (see AI_DIFFICULTY)
+   * @param {string} personality - Personality type (see AI_PERSONALITY)
+   * @param {Object} options - Additional options
+   * @param {Function} options.random - Random source returning [0, 1) (defaults to Math.random)
+   */
+  constructor(difficulty = AI_DIFFICULTY.MEDIUM, personality = AI_PERSONALITY.BALANCED, options = {}) {
+    this.random = options.random || Math.random;
     this.difficulty = difficulty;
     this.personality = personality;
     this.memoryAccuracy = this._getBaseAccuracyForDifficulty(difficulty);
@@ -39,9 +48,11 @@ export class AIPlayer {
     this.totalAttempts = 0;
     this.correctAttempts = 0;
     this.responseTimeHistory = [];
+    this.gradeHistory = [];
     this.patternComplexityHistory = [];
     this.playerPerformanceByGridSize = {};
     this.playerPerformanceByPatternLength = {};
+    this.playerPerformanceByShape = {};
     this.personalityTraits = this._getPersonalityTraits(personality);
     this.adaptiveFactors = {
       patternRecognition: 1.0,
@@ -153,9 +164,10 @@ export class AIPlayer {
    * @param {number} gridSize - Size of the grid
    * @param {number} level - Current game level
    * @param {number} responseTime - Player's response time in ms (optional)
+   * @param {Object} board - Board the pattern is on, when it isn't a square grid (see utils/board.js)
    * @returns {Array} - Array of tile indices representing the AI's attempt
    */
-  memorizePattern(pattern, gridSize, level, responseTime = null) {
+  memorizePattern(pattern, gridSize, level, responseTime = null, board = null) {
     // Store the pattern in history
     this.patternHistory.push(pattern);
 
@@ -219,7 +231,7 @@ export class AIPlayer {
     const riskEffect = this.personalityTraits.riskTaking * 0.2;
     if (riskEffect !== 0) {
       // Add some randomness based on risk-taking
-      const riskFactor = (Math.random() - 0.5) * riskEffect;
+      const riskFactor = (this.random() - 0.5) * riskEffect;
       effectiveAccuracy += riskFactor;
     }
 
@@ -230,7 +242,7 @@ export class AIPlayer {
     this.learningProgress += learningBonus;
 
     // Generate AI's attempt based on effective accuracy
-    return this._generateAttempt(pattern, gridSize, effectiveAccuracy);
+    return this._generateAttempt(pattern, board || gridSize, effectiveAccuracy);
   }
 
   /**
@@ -261,18 +273,18 @@ export class AIPlayer {
   /**
    * Generate an attempt based on the pattern and accuracy
    * @param {Array} pattern - Target pattern
-   * @param {number} gridSize - Size of the grid
+   * @param {number|Object} gridSize - Size of the grid, or the board
    * @param {number} accuracy - Accuracy of the AI (0-1)
    * @returns {Array} - AI's attempt
    * @private
    */
   _generateAttempt(pattern, gridSize, accuracy) {
     const attempt = [];
-    const totalTiles = gridSize * gridSize;
+    const { tiles } = toBoard(gridSize);
 
     // For each tile in the pattern, decide whether to remember it correctly
     for (const tile of pattern) {
-      if (Math.random() < accuracy) {
+      if (this.random() < accuracy) {
         // Correctly remember this tile
         attempt.push(tile);
       }
@@ -285,10 +297,10 @@ export class AIPlayer {
       // and preferably not in the pattern (to simulate mistakes)
       let randomTile;
       do {
-        randomTile = Math.floor(Math.random() * totalTiles);
+        randomTile = tiles[randomInt(tiles.length, this.random)];
       } while (
         attempt.includes(randomTile) ||
-        (Math.random() < 0.7 && pattern.includes(randomTile))
+        (this.random() < 0.7 && pattern.includes(randomTile))
       );
 
       attempt.push(randomTile);
@@ -305,11 +317,7 @@ export class AIPlayer {
    * @private
    */
   _shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
-    }
-    return array;
+    return shuffle(array, this.random);
   }
 
   /**
@@ -321,12 +329,22 @@ export class AIPlayer {
    * @param {number} metadata.gridSize - Size of the grid
    * @param {number} metadata.responseTime - Player's response time in ms
    * @param {number} metadata.level - Current game level
+   * @param {Object} metadata.grade - Round grade from gradeRound (hits, misses, false alarms, accuracy, sensitivity)
+   * @param {Object} metadata.shape - Shape metadata of a shape pattern (see utils/shapes.js)
    */
   recordResult(isCorrect, pattern, playerAttempt, metadata = {}) {
     this.totalAttempts++;
 
     // Extract metadata
-    const { gridSize, responseTime, level } = metadata;
+    const { gridSize, responseTime, level, grade, shape } = metadata;
+
+    if (grade) {
+      this._recordGrade(grade);
+    }
+
+    if (shape) {
+      this._recordShapeResult(shape, isCorrect);
+    }
 
     if (isCorrect) {
       this.correctAttempts++;
@@ -431,9 +449,12 @@ export class AIPlayer {
         // Apply adaptation speed from personality
         const adaptationMultiplier = 1 + this.personalityTraits.adaptationSpeed;
 
+        // A near miss lowers the accuracy less than a completely wrong attempt
+        const missFactor = grade ? 1 - grade.accuracy / 2 : 1;
+
         this.memoryAccuracy = Math.max(
           0.3,
-          this.memoryAccuracy - (0.02 * adaptationMultiplier)
+          this.memoryAccuracy - (0.02 * adaptationMultiplier * missFactor)
         );
 
         // Update adaptive factors based on failure
@@ -442,6 +463,57 @@ export class AIPlayer {
     }
   }
 
+  /**
+   * Update the player's success rate for a named shape
+   * @param {Object} shape - Shape metadata of the pattern
+   * @param {boolean} isCorrect - Whether the attempt was correct
+   * @private
+   */
+  _recordShapeResult(shape, isCorrect) {
+    if (!this.playerPerformanceByShape[shape.id]) {
+      this.playerPerformanceByShape[shape.id] = {
+        name: shape.name,
+        correct: 0,
+        total: 0,
+        rate: 0
+      };
+    }
+
+    const performance = this.playerPerformanceByShape[shape.id];
+    performance.total++;
+    if (isCorrect) {
+      performance.correct++;
+    }
+    performance.rate = performance.correct / performance.total;
+  }
+
+  /**
+   * Keep the grades of the player's recent rounds
+   * @param {Object} grade - Round grade from gradeRound
+   * @private
+   */
+  _recordGrade(grade) {
+    this.gradeHistory.push({ accuracy: grade.accuracy, sensitivity: grade.sensitivity });
+
+    if (this.gradeHistory.length > 20) {
+      this.gradeHistory.shift();
+    }
+  }
+
+  /**
+   * Calculate the player's average accuracy over the recent graded rounds
+   * @returns {number|null} - Average accuracy (0-1), or null without graded rounds
+   * @private
+   */
+  _calculateAverageAccuracy() {
+    if (this.gradeHistory.length === 0) {
+      return null;
+    }
+
+    const sum = this.gradeHistory.reduce((acc, grade) => acc + grade.accuracy, 0);
+    return sum / this.gradeHistory.length;
+  }
+
   /**
    * Record player mistakes for learning
    * @param {Array} pattern - The correct pattern
@@ -643,6 +715,7 @@ export class AIPlayer {
       successRate: this.totalAttempts > 0
         ? (this.correctAttempts / this.totalAttempts)
         : 0,
+      averageAccuracy: this._calculateAverageAccuracy(),
       learningProgress: this.learningProgress
     };
 
@@ -664,7 +737,8 @@ export class AIPlayer {
         : null,
       playerPerformance: {
         byGridSize: { ...this.playerPerformanceByGridSize },
-        byPatternLength: { ...this.playerPerformanceByPatternLength }
+        byPatternLength: { ...this.playerPerformanceByPatternLength },
+        byShape: { ...this.playerPerformanceByShape }
       },
       mistakeAnalysis: {
         commonMistakes: this._getTopMistakes(5),
@@ -865,7 +939,7 @@ export class AIPlayer {
 
     // Apply personality traits to pattern generation
     const riskFactor = this.personalityTraits.riskTaking;
-    const usePlayerMistakes = Math.random() < (0.7 + riskFactor);
+    const usePlayerMistakes = this.random() < (0.7 + riskFactor);
 
     // Determine pattern generation strategy based on type and personality
     if (patternType === 'adaptive' && usePlayerMistakes) {
@@ -899,12 +973,12 @@ export class AIPlayer {
 
         if (useSequential) {
           // Generate sequential pattern
-          const start = Math.floor(Math.random() * (totalTiles - remainingLength));
+          const start = randomInt(totalTiles - remainingLength, this.random);
           additionalTiles = Array.from({ length: remainingLength }, (_, i) => start + i);
         } else {
           // Generate clustered pattern around a center point
-          const centerRow = Math.floor(Math.random() * gridSize);
-          const centerCol = Math.floor(Math.random() * gridSize);
+          const centerRow = randomInt(gridSize, this.random);
+          const centerCol = randomInt(gridSize, this.random);
           const center = centerRow * gridSize + centerCol;
 
           // Generate tiles around the center
@@ -945,14 +1019,14 @@ export class AIPlayer {
       }
     } else if (patternType === 'sequential' || (patternType === 'adaptive' && this.adaptiveFactors.sequenceMemory > 1.2)) {
       // Generate sequential pattern
-      const start = Math.floor(Math.random() * (totalTiles - patternLength));
+      const start = randomInt(totalTiles - patternLength, this.random);
       for (let i = 0; i < patternLength; i++) {
         pattern.push(start + i);
       }
     } else if (patternType === 'shape' || (patternType === 'adaptive' && this.adaptiveFactors.spatialMemory > 1.2)) {
       // Generate shape pattern (simplified as a cluster)
-      const centerRow = Math.floor(Math.random() * gridSize);
-      const centerCol = Math.floor(Math.random() * gridSize);
+      const centerRow = randomInt(gridSize, this.random);
+      const centerCol = randomInt(gridSize, this.random);
       const center = centerRow * gridSize + centerCol;
 
       // Start with the center tile
@@ -985,7 +1059,7 @@ export class AIPlayer {
 
     // If we still don't have enough tiles, add random ones
     while (pattern.length < patternLength) {
-      const randomTile = Math.floor(Math.random() * totalTiles);
+      const randomTile = randomInt(totalTiles, this.random);
       if (!pattern.includes(randomTile)) {
         pattern.push(randomTile);
       }
@@ -995,8 +1069,8 @@ export class AIPlayer {
     if (difficulty > 0.5 && patternLength > 3) {
       const shuffleCount = Math.floor((difficulty - 0.5) * 4); // 0-2 shuffles based on difficulty
       for (let i = 0; i < shuffleCount; i++) {
-        const idx1 = Math.floor(Math.random() * patternLength);
-        const idx2 = Math.floor(Math.random() * patternLength);
+        const idx1 = randomInt(patternLength, this.random);
+        const idx2 = randomInt(patternLength, this.random);
         if (idx1 !== idx2) {
           [pattern[idx1], pattern[idx2]] = [pattern[idx2], pattern[idx1]];
         }
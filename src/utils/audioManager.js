@@ -26,6 +26,13 @@ const muted = {
   effects: false
 };
 
+// Pitches of the tone stimuli (Hz): a C major scale, so neighbouring tones are easy to tell apart
+export const TONE_FREQUENCIES = [261.63, 293.66, 329.63, 349.23, 392.0, 440.0, 493.88, 523.25];
+
+// Length of a tone, and of the fade at each end that keeps it from clicking (s)
+const TONE_DURATION = 0.4;
+const TONE_FADE = 0.02;
+
 /**
  * Initialize the audio system
  * @returns {Promise} - Promise that resolves when audio is initialized
@@ -41,6 +48,8 @@ export const initAudio = async () => {
     if (audioContext.state === 'suspended') {
       await audioContext.resume();
     }
+
+    synthesizeTones();
     
     // Load sound effects
     await Promise.all([
@@ -100,6 +109,78 @@ const loadSound = async (name, url) => {
   }
 };
 
+/**
+ * Get the sound name of a tone stimulus
+ * @param {number} index - Tone index in TONE_FREQUENCIES
+ * @returns {string} - Name to pass to playSound
+ */
+export const getToneName = (index) => `tone_${index}`;
+
+/**
+ * Render a tone as samples: a sine wave that fades in and out
+ * @param {number} frequency - Pitch in Hz
+ * @param {number} sampleRate - Samples per second
+ * @returns {Float32Array} - Samples from -1 to 1
+ */
+export const renderToneSamples = (frequency, sampleRate) => {
+  const length = Math.round(sampleRate * TONE_DURATION);
+  const fadeLength = Math.round(sampleRate * TONE_FADE);
+  const samples = new Float32Array(length);
+
+  for (let i = 0; i < length; i++) {
+    const envelope = Math.min(1, i / fadeLength, (length - 1 - i) / fadeLength);
+    samples[i] = 0.5 * envelope * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+  }
+  return samples;
+};
+
+/**
+ * Synthesise the tone stimuli into sound buffers. They are made in the
+ * browser rather than loaded, so they play offline.
+ */
+const synthesizeTones = () => {
+  TONE_FREQUENCIES.forEach((frequency, index) => {
+    const samples = renderToneSamples(frequency, audioContext.sampleRate);
+    const buffer = audioContext.createBuffer(1, samples.length, audioContext.sampleRate);
+    buffer.getChannelData(0).set(samples);
+    soundBuffers[getToneName(index)] = buffer;
+  });
+};
+
+/**
+ * Get the tone stimuli ready without loading the other sounds, e.g. when a
+ * game that needs them starts. Call it from a click, so browsers let the
+ * audio play.
+ * @returns {Promise<boolean>} - Whether the tones can be played
+ */
+export const initTones = async () => {
+  try {
+    if (!audioContext) {
+      audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    if (audioContext.state === 'suspended') {
+      await audioContext.resume();
+    }
+    if (!soundBuffers[getToneName(0)]) {
+      synthesizeTones();
+    }
+    return canPlaySound(getToneName(0));
+  } catch (error) {
+    console.warn('Error preparing tones:', error);
+    return false;
+  }
+};
+
+/**
+ * Check whether a sound would be heard: audio is set up, the sound is loaded
+ * and sound effects aren't muted
+ * @param {string} name - Name of the sound
+ * @returns {boolean} - Whether playSound would play it
+ */
+export const canPlaySound = (name) => {
+  return Boolean(audioContext && !muted.master && !muted.effects && soundBuffers[name]);
+};
+
 /**
  * Play a sound effect
  * @param {string} name - Name of the sound to play
@@ -0,0 +1,293 @@
+/**
+ * Board geometry. A board is a grid of rows × cols tiles, numbered row by row
+ * from 0, with optional holes: tiles that are not part of the board, such as
+ * the middle of a ring. Everything that used to take a grid size can take a
+ * board instead; a grid size n is the square n×n board without holes.
+ *
+ * Hex boards use the same numbering with hexagonal tiles: every odd row is
+ * shifted half a tile to the right, so each tile has six neighbours.
+ */
+
+// Tile shapes a board can have
+export const BOARD_TYPES = {
+  SQUARE: 'square',
+  HEX: 'hex'
+};
+
+// Named layouts that cut holes out of a rows × cols board
+export const BOARD_LAYOUTS = {
+  FULL: 'full',
+  RING: 'ring',
+  CROSS: 'cross'
+};
+
+// Whether the tile at a row and column is a hole, by layout
+const LAYOUT_HOLES = {
+  [BOARD_LAYOUTS.FULL]: () => false,
+  // Only the outer edge is left
+  [BOARD_LAYOUTS.RING]: (row, col, rows, cols) => row > 0 && row < rows - 1 && col > 0 && col < cols - 1,
+  // The corners are cut away, leaving a plus-shaped board
+  [BOARD_LAYOUTS.CROSS]: (row, col, rows, cols) => {
+    const cornerRows = Math.floor(rows / 3);
+    const cornerCols = Math.floor(cols / 3);
+    return (row < cornerRows || row >= rows - cornerRows) && (col < cornerCols || col >= cols - cornerCols);
+  }
+};
+
+export const MIN_BOARD_SIZE = 2;
+export const MAX_BOARD_SIZE = 10;
+
+// Arrow key directions for moving around a square board
+export const BOARD_DIRECTIONS = {
+  ArrowUp: { row: -1, col: 0 },
+  ArrowRight: { row: 0, col: 1 },
+  ArrowDown: { row: 1, col: 0 },
+  ArrowLeft: { row: 0, col: -1 }
+};
+
+// The six directions of a hex board. Odd rows are shifted to the right, so
+// the column step of a diagonal depends on the row (oddCol on odd rows).
+export const HEX_DIRECTIONS = {
+  NORTH_WEST: { row: -1, col: -1, oddCol: 0 },
+  NORTH_EAST: { row: -1, col: 0, oddCol: 1 },
+  EAST: { row: 0, col: 1 },
+  SOUTH_EAST: { row: 1, col: 0, oddCol: 1 },
+  SOUTH_WEST: { row: 1, col: -1, oddCol: 0 },
+  WEST: { row: 0, col: -1 }
+};
+
+// Keys for moving around a hex board: the arrows move sideways and along one
+// diagonal, Q/E/Z/C (and A/D) reach every direction
+export const HEX_KEY_DIRECTIONS = {
+  ArrowLeft: HEX_DIRECTIONS.WEST,
+  ArrowRight: HEX_DIRECTIONS.EAST,
+  ArrowUp: HEX_DIRECTIONS.NORTH_EAST,
+  ArrowDown: HEX_DIRECTIONS.SOUTH_WEST,
+  q: HEX_DIRECTIONS.NORTH_WEST,
+  e: HEX_DIRECTIONS.NORTH_EAST,
+  a: HEX_DIRECTIONS.WEST,
+  d: HEX_DIRECTIONS.EAST,
+  z: HEX_DIRECTIONS.SOUTH_WEST,
+  c: HEX_DIRECTIONS.SOUTH_EAST
+};
+
+/**
+ * Create a board
+ * @param {number|Object} spec - Grid size of a square board, or a board spec
+ * @param {number} spec.rows - Number of rows (defaults to the grid size)
+ * @param {number} spec.cols - Number of columns (defaults to the grid size)
+ * @param {string} spec.type - Tile shape (see BOARD_TYPES)
+ * @param {string} spec.layout - Layout that cuts holes out of the board (see BOARD_LAYOUTS)
+ * @param {Array} spec.holes - Indices of extra holes
+ * @param {number} gridSize - Grid size used for missing rows and columns
+ * @returns {Object} - Board with type, rows, cols, layout, holes and the playable tiles
+ * @throws {Error} - If the board is too small, too large, of an unknown type or has no playable tiles
+ */
+export const createBoard = (spec = null, gridSize = 3) => {
+  const { type = BOARD_TYPES.SQUARE, rows = gridSize, cols = gridSize, layout = BOARD_LAYOUTS.FULL, holes = [] } =
+    typeof spec === 'number' ? { rows: spec, cols: spec } : (spec || {});
+
+  if (!Object.values(BOARD_TYPES).includes(type)) {
+    throw new Error(`Unknown board type "${type}"`);
+  }
+
+  [rows, cols].forEach(size => {
+    if (!Number.isInteger(size) || size < MIN_BOARD_SIZE || size > MAX_BOARD_SIZE) {
+      throw new Error(`Board rows and columns must be whole numbers from ${MIN_BOARD_SIZE} to ${MAX_BOARD_SIZE}`);
+    }
+  });
+
+  const isLayoutHole = LAYOUT_HOLES[layout];
+  if (!isLayoutHole) {
+    throw new Error(`Unknown board layout "${layout}"`);
+  }
+
+  const holeSet = new Set(holes);
+  const tiles = [];
+  for (let index = 0; index < rows * cols; index++) {
+    const row = Math.floor(index / cols);
+    const col = index % cols;
+    if (isLayoutHole(row, col, rows, cols)) {
+      holeSet.add(index);
+    } else if (!holeSet.has(index)) {
+      tiles.push(index);
+    }
+  }
+
+  if (tiles.length === 0) {
+    throw new Error('A board needs at least one tile');
+  }
+
+  return {
+    type,
+    rows,
+    cols,
+    layout,
+    holes: [...holeSet].filter(index => index >= 0 && index < rows * cols).sort((a, b) => a - b),
+    tiles
+  };
+};
+
+/**
+ * Turn a grid size or a board into a board
+ * @param {number|Object} board - Grid size or board
+ * @returns {Object} - Board
+ */
+export const toBoard = (board) => {
+  return typeof board === 'number' ? createBoard(board) : board;
+};
+
+/**
+ * Check whether a board is a square grid without holes
+ * @param {Object} board - Board
+ * @returns {boolean} - Whether the board is square and full
+ */
+export const isSquareBoard = (board) => {
+  return !isHexBoard(board) && board.rows === board.cols && board.holes.length === 0;
+};
+
+/**
+ * Check whether a board has hexagonal tiles
+ * @param {Object} board - Board
+ * @returns {boolean} - Whether the board is a hex board
+ */
+export const isHexBoard = (board) => {
+  return board.type === BOARD_TYPES.HEX;
+};
+
+/**
+ * Get the row and column of a tile
+ * @param {Object} board - Board
+ * @param {number} index - Tile index
+ * @returns {Object} - { row, col }
+ */
+export const getTileCell = (board, index) => ({
+  row: Math.floor(index / board.cols),
+  col: index % board.cols
+});
+
+/**
+ * Get the centre of a tile, in tile widths, for measuring distances and symmetry
+ * @param {Object} board - Board
+ * @param {number} index - Tile index
+ * @returns {Object} - { x, y }
+ */
+export const getTilePosition = (board, index) => {
+  const { row, col } = getTileCell(board, index);
+
+  if (isHexBoard(board)) {
+    return { x: col + (row % 2) / 2, y: row * Math.sqrt(3) / 2 };
+  }
+  return { x: col, y: row };
+};
+
+/**
+ * Take one step from a cell in a direction
+ * @param {Object} cell - { row, col }
+ * @param {Object} direction - Direction (see BOARD_DIRECTIONS and HEX_DIRECTIONS)
+ * @returns {Object} - The next { row, col }, which may be outside the board
+ */
+const stepFrom = ({ row, col }, direction) => ({
+  row: row + direction.row,
+  col: col + (row % 2 === 1 && direction.oddCol !== undefined ? direction.oddCol : direction.col)
+});
+
+/**
+ * Get the tile at a row and column
+ * @param {Object} board - Board
+ * @param {number} row - Row
+ * @param {number} col - Column
+ * @returns {number} - Tile index, or -1 outside the board or on a hole
+ */
+export const getTileIndex = (board, row, col) => {
+  if (row < 0 || row >= board.rows || col < 0 || col >= board.cols) return -1;
+
+  const index = row * board.cols + col;
+  return board.holes.includes(index) ? -1 : index;
+};
+
+/**
+ * Check whether a tile is on the board and not a hole
+ * @param {Object} board - Board
+ * @param {number} index - Tile index
+ * @returns {boolean} - Whether the tile can be part of a pattern
+ */
+export const isPlayableTile = (board, index) => {
+  return Number.isInteger(index) && index >= 0 && index < board.rows * board.cols && !board.holes.includes(index);
+};
+
+/**
+ * Get the playable tiles that share an edge with a tile
+ * @param {Object} board - Board
+ * @param {number} index - Tile index
+ * @returns {Array} - Neighbouring tile indices (up, right, down, left; clockwise from north-west on hex boards)
+ */
+export const getNeighbours = (board, index) => {
+  const cell = getTileCell(board, index);
+  const directions = isHexBoard(board) ? HEX_DIRECTIONS : BOARD_DIRECTIONS;
+
+  return Object.values(directions)
+    .map(direction => {
+      const { row, col } = stepFrom(cell, direction);
+      return getTileIndex(board, row, col);
+    })
+    .filter(neighbour => neighbour !== -1);
+};
+
+/**
+ * Get the direction a key moves in on a board
+ * @param {Object} board - Board
+ * @param {string} key - KeyboardEvent key
+ * @returns {Object|null} - Direction, or null if the key doesn't move
+ */
+export const getKeyDirection = (board, key) => {
+  const directions = isHexBoard(board) ? HEX_KEY_DIRECTIONS : BOARD_DIRECTIONS;
+  return directions[key] || directions[key.toLowerCase()] || null;
+};
+
+/**
+ * Move from a tile in a direction, jumping over holes
+ * @param {Object} board - Board
+ * @param {number} index - Tile index to move from
+ * @param {Object} direction - Direction (see BOARD_DIRECTIONS and HEX_DIRECTIONS)
+ * @returns {number} - The next playable tile in that direction, or the same tile at the edge of the board
+ */
+export const moveOnBoard = (board, index, direction) => {
+  let cell = getTileCell(board, index);
+
+  while (true) {
+    cell = stepFrom(cell, direction);
+
+    if (cell.row < 0 || cell.row >= board.rows || cell.col < 0 || cell.col >= board.cols) {
+      return index;
+    }
+
+    const next = getTileIndex(board, cell.row, cell.col);
+    if (next !== -1) {
+      return next;
+    }
+  }
+};
+
+/**
+ * Get the size of the square board with as many tiles, which boards are scored as
+ * @param {Object} board - Board
+ * @returns {number} - Equivalent grid size
+ */
+export const getEquivalentGridSize = (board) => {
+  return Math.sqrt(board.tiles.length);
+};
+
+/**
+ * Describe a board for the player, e.g. "4x4", "3x5", "5x5 ring" or "4x4 hex"
+ * @param {Object} board - Board
+ * @returns {string} - Description
+ */
+export const describeBoard = (board) => {
+  const size = `${board.rows}x${board.cols}${isHexBoard(board) ? ' hex' : ''}`;
+
+  if (board.layout !== BOARD_LAYOUTS.FULL) {
+    return `${size} ${board.layout}`;
+  }
+  return board.holes.length > 0 ? `${size} with ${board.holes.length} holes` : size;
+};
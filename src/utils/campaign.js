@@ -0,0 +1,161 @@
+/**
+ * Campaign: worlds of stages played in order. Each stage has fixed settings
+ * and a goal of clearing its rounds, e.g. "Clear 5 rounds on 5x5 with a 600ms
+ * flash". Clearing a stage earns its first star and unlocks the next stage;
+ * reaching its two score thresholds earns the second and third stars. The
+ * stages are listed in src/data/campaign.json.
+ */
+import { createBoard, describeBoard } from './board';
+import campaignData from '../data/campaign.json';
+
+export const CAMPAIGN_WORLDS = campaignData.worlds;
+
+// Game mode ids of stages start with this, so they never clash with other modes
+export const STAGE_MODE_PREFIX = 'campaign:';
+
+export const MAX_STAGE_STARS = 3;
+
+// Settings of stages that don't set their own
+const STAGE_DEFAULTS = {
+  board: null,
+  patternType: 'random',
+  retentionTime: 500,
+  lives: 3
+};
+
+/**
+ * Get every stage of the campaign in the order they are played
+ * @returns {Array} - Stages, with the default settings filled in
+ */
+export const getCampaignStages = () => {
+  return CAMPAIGN_WORLDS.flatMap(world => world.stages.map(stage => ({ ...STAGE_DEFAULTS, ...stage })));
+};
+
+/**
+ * Find a stage by id
+ * @param {string} stageId - Stage id, e.g. "2-3"
+ * @returns {Object|null} - Stage or null if it doesn't exist
+ */
+export const getCampaignStage = (stageId) => {
+  return getCampaignStages().find(stage => stage.id === stageId) || null;
+};
+
+/**
+ * Get the game mode id of a stage
+ * @param {string} stageId - Stage id
+ * @returns {string} - Game mode id
+ */
+export const getStageModeId = (stageId) => `${STAGE_MODE_PREFIX}${stageId}`;
+
+/**
+ * Check whether a game mode id belongs to a campaign stage
+ * @param {string} modeId - Game mode id
+ * @returns {boolean} - Whether the mode plays a stage
+ */
+export const isStageModeId = (modeId) => {
+  return typeof modeId === 'string' && modeId.startsWith(STAGE_MODE_PREFIX);
+};
+
+/**
+ * Describe the goal of a stage for the player
+ * @param {Object} stage - Stage
+ * @returns {string} - Goal, e.g. "Clear 5 rounds on 5x5 with a 600ms flash"
+ */
+export const describeStageGoal = (stage) => {
+  const board = describeBoard(createBoard(stage.board, stage.gridSize));
+  return `Clear ${stage.rounds} rounds on ${board} with a ${stage.displayTime}ms flash`;
+};
+
+/**
+ * Get the level rows a stage is played with: the same row for every round
+ * @param {Object} stage - Stage
+ * @returns {Array} - Level rows for createTableProgression
+ */
+export const getStageLevels = (stage) => {
+  const { gridSize, board, patternLength, patternType, displayTime, retentionTime, inputTimeLimit } = stage;
+  const row = { gridSize, board, patternLength, patternType, displayTime, retentionTime, inputTimeLimit };
+
+  return Array.from({ length: stage.rounds }, () => row);
+};
+
+/**
+ * Create the game mode that plays a stage
+ * @param {Object} stage - Stage
+ * @returns {Object} - Game mode definition (see GAME_MODES), with the stage and
+ *   maxLevel set to its number of rounds
+ */
+export const createStageMode = (stage) => {
+  return {
+    id: getStageModeId(stage.id),
+    name: `Stage ${stage.id}: ${stage.name}`,
+    description: describeStageGoal(stage),
+    initialGridSize: stage.gridSize,
+    initialPatternLength: stage.patternLength,
+    countdownSeconds: 3,
+    patternDisplayTime: stage.displayTime,
+    retentionTime: stage.retentionTime,
+    inputTimeLimit: stage.inputTimeLimit,
+    timeLimit: null,
+    lives: stage.lives,
+    board: stage.board,
+    maxLevel: stage.rounds,
+    stage
+  };
+};
+
+/**
+ * Count the stars a game of a stage earned
+ * @param {Object} stage - Stage
+ * @param {Object} result - Game over result of the engine ({ score, reason })
+ * @returns {number} - 0 if the goal was missed, else 1 to MAX_STAGE_STARS
+ */
+export const getStageStars = (stage, result) => {
+  if (result.reason !== 'complete') return 0;
+  return 1 + stage.starScores.filter(threshold => result.score >= threshold).length;
+};
+
+/**
+ * Add the result of a game to a player's campaign progress, keeping the best
+ * stars and score of each stage
+ * @param {Object} progress - Progress by stage id, as { stars, bestScore }
+ * @param {string} stageId - Stage played
+ * @param {number} stars - Stars earned
+ * @param {number} score - Score of the game
+ * @returns {Object} - Updated progress
+ */
+export const addStageResult = (progress, stageId, stars, score) => {
+  const previous = progress[stageId] || { stars: 0, bestScore: 0 };
+
+  return {
+    ...progress,
+    [stageId]: {
+      stars: Math.max(previous.stars, stars),
+      bestScore: Math.max(previous.bestScore, score)
+    }
+  };
+};
+
+/**
+ * Check whether a stage can be played: the first stage always can, and every
+ * other stage once the stage before it has a star
+ * @param {string} stageId - Stage id
+ * @param {Object} progress - Progress by stage id
+ * @returns {boolean} - Whether the stage is unlocked
+ */
+export const isStageUnlocked = (stageId, progress) => {
+  const stages = getCampaignStages();
+  const index = stages.findIndex(stage => stage.id === stageId);
+  if (index <= 0) return index === 0;
+
+  const previous = progress[stages[index - 1].id];
+  return Boolean(previous && previous.stars > 0);
+};
+
+/**
+ * Count the stars earned across the campaign
+ * @param {Object} progress - Progress by stage id
+ * @returns {number} - Total stars
+ */
+export const getTotalStars = (progress) => {
+  return Object.values(progress).reduce((total, stageProgress) => total + stageProgress.stars, 0);
+};
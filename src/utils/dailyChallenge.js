@@ -0,0 +1,96 @@
+/**
+ * Daily challenge: one fixed run of rounds per calendar day. The rounds come
+ * from a seed made from the date and a progression table of their own, so
+ * everyone playing on the same day gets the same patterns whatever their
+ * difficulty setting. Only the first attempt of a day is scored, and days
+ * played in a row count towards a streak.
+ */
+import { hashSeed } from './random';
+import { getDailyResult, saveDailyResult, getDailyStreak, saveDailyStreak } from './storage';
+import dailyTable from '../data/progressions/daily.json';
+
+// Level rows of every daily challenge
+export const DAILY_LEVELS = dailyTable.levels;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the date of the daily challenge being played at a moment. Days are UTC
+ * days, so players in every time zone share a challenge.
+ * @param {Date} now - Moment to get the date for
+ * @returns {string} - Date as YYYY-MM-DD
+ */
+export const getDailyDate = (now = new Date()) => {
+  return now.toISOString().slice(0, 10);
+};
+
+/**
+ * Get the date of the day before a date
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {string} - Previous date as YYYY-MM-DD
+ */
+const getPreviousDate = (date) => {
+  return getDailyDate(new Date(Date.parse(date) - DAY_MS));
+};
+
+/**
+ * Get the pattern seed of a day's challenge
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {number} - Seed for the game engine
+ */
+export const getDailySeed = (date) => {
+  return hashSeed(`daily:${date}`);
+};
+
+/**
+ * Add a day played to a streak
+ * @param {Object} streak - { current, best, lastDate }
+ * @param {string} date - Date played as YYYY-MM-DD
+ * @returns {Object} - Updated streak; the current streak restarts at 1 after a missed day
+ */
+export const addDayToStreak = (streak, date) => {
+  if (streak.lastDate === date) return streak;
+
+  const current = streak.lastDate === getPreviousDate(date) ? streak.current + 1 : 1;
+  return {
+    current,
+    best: Math.max(streak.best, current),
+    lastDate: date
+  };
+};
+
+/**
+ * Get the streak as it stands on a date. A streak is still alive on the day
+ * after it was last extended, until that day's challenge is played.
+ * @param {Object} streak - { current, best, lastDate }
+ * @param {string} today - Date as YYYY-MM-DD
+ * @returns {number} - Days played in a row, or 0 if a day was missed
+ */
+export const getCurrentStreak = (streak, today = getDailyDate()) => {
+  const isAlive = streak.lastDate === today || streak.lastDate === getPreviousDate(today);
+  return isAlive ? streak.current : 0;
+};
+
+/**
+ * Check whether a day's scored attempt has been used
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {boolean} - Whether the challenge was already started that day
+ */
+export const hasPlayedDaily = (date) => {
+  return getDailyResult(date) !== null;
+};
+
+/**
+ * Start a day's challenge. The first start of a day uses up its scored
+ * attempt right away, so leaving a bad run early doesn't earn another try, and
+ * counts the day towards the streak.
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {boolean} - Whether this attempt is scored
+ */
+export const startDailyChallenge = (date) => {
+  if (hasPlayedDaily(date)) return false;
+
+  saveDailyResult({ date, score: null, level: null });
+  saveDailyStreak(addDayToStreak(getDailyStreak(), date));
+  return true;
+};
@@ -0,0 +1,1137 @@
+/**
+ * Game engine that owns the round state machine shared by all game controllers.
+ * It has no React or DOM dependencies, so game rules can be tested without rendering.
+ */
+import {
+  generatePatternDetails,
+  generatePatternForDifficulty,
+  estimatePatternDifficulty,
+  createPlaybackSequence,
+  generateDistractors,
+  canTransformBoard,
+  transformPattern
+} from './patternGenerator';
+import { PatternConstraintError } from './patternConstraints';
+import { createRandom, generateSeed, randomInt } from './random';
+import { gradeRound } from './grading';
+import { createBoard, getEquivalentGridSize, isPlayableTile, isSquareBoard } from './board';
+import { generatePatternColors, normalizeColorCount } from './tileColors';
+import {
+  SCORING_RULES,
+  scoreRound,
+  calculatePartialScore,
+  calculateGridSize,
+  calculatePatternLength,
+  calculateRoundTimeline
+} from './scoreManager';
+
+/**
+ * States of the game state machine
+ */
+export const GAME_STATES = {
+  IDLE: 'idle',
+  COUNTDOWN: 'countdown',
+  PATTERN: 'pattern',
+  RETENTION: 'retention',
+  INPUT: 'input',
+  SUCCESS: 'success',
+  FAILURE: 'failure',
+  GAMEOVER: 'gameover'
+};
+
+/**
+ * Events emitted by the engine
+ */
+export const GAME_EVENTS = {
+  CHANGE: 'change',              // Any state change, receives the state snapshot
+  ROUND_START: 'roundStart',     // A round (new or retried pattern) begins its countdown
+  INPUT_START: 'inputStart',     // The player may start selecting tiles
+  ROUND_SUCCESS: 'roundSuccess', // The pattern was reproduced correctly
+  ROUND_FAILURE: 'roundFailure', // The pattern was wrong or the turn timer ran out
+  LEVEL_UP: 'levelUp',           // The level increased after a success
+  CONSTRAINTS_UNMET: 'constraintsUnmet', // The new pattern's constraints couldn't be met, receives { round, level, message, unmet }
+  PAUSE: 'pause',                // All timers were frozen
+  RESUME: 'resume',              // Timers continue with the time they had left
+  GAME_OVER: 'gameOver'          // No lives, rounds or game time left, or the last level passed
+};
+
+/**
+ * Achievements that can be unlocked during a game
+ */
+export const ACHIEVEMENTS = {
+  score_1000: 'Score Master: Reach 1,000 points',
+  score_5000: 'Score Legend: Reach 5,000 points',
+  combo_5: 'Combo Starter: 5 consecutive correct patterns',
+  combo_10: 'Combo Master: 10 consecutive correct patterns',
+  level_10: 'Level Master: Reach level 10',
+  level_20: 'Level Legend: Reach level 20'
+};
+
+/**
+ * Get the pattern type used at a given level
+ * @param {number} level - Current level
+ * @returns {string} - Pattern type ('random', 'sequential', 'shape')
+ */
+export const getPatternTypeForLevel = (level) => {
+  return level < 3 ? 'random' :
+         level < 6 ? 'sequential' : 'shape';
+};
+
+/**
+ * Default level progression based on the scoreManager formulas
+ * @param {number} level - Level that is about to be played
+ * @param {Object} state - Current engine state
+ * @param {Object} config - Engine configuration, whose timeline is scaled for the level
+ * @returns {Object} - Round parameters (gridSize, patternLength, patternType, targetDifficulty, displayTime, retentionTime, inputTimeLimit)
+ */
+export const defaultProgression = (level, state = {}, config = {}) => {
+  const gridSize = calculateGridSize(level);
+  const patternLength = calculatePatternLength(level, gridSize);
+  const { displayTime, retentionTime, inputTimeLimit } = calculateRoundTimeline(level, config);
+
+  // A target difficulty grows at the same rate as the pattern length
+  const targetDifficulty = config.targetDifficulty
+    ? Math.round(config.targetDifficulty * patternLength / calculatePatternLength(1, calculateGridSize(1)) * 100) / 100
+    : null;
+
+  return {
+    gridSize,
+    patternLength,
+    patternType: getPatternTypeForLevel(level),
+    targetDifficulty,
+    displayTime,
+    retentionTime,
+    inputTimeLimit
+  };
+};
+
+// Number of earlier patterns a new pattern's overlap is measured against
+const RECENT_PATTERN_COUNT = 3;
+
+// State fields saved by getProgress() and restored by start()
+const PROGRESS_FIELDS = [
+  'level',
+  'round',
+  'score',
+  'gridSize',
+  'board',
+  'patternLength',
+  'displayTime',
+  'retentionTime',
+  'inputTimeLimit',
+  'patternType',
+  'targetDifficulty',
+  'patternTiles',
+  'patternConstraints',
+  'remainingLives',
+  'consecutiveCorrect',
+  'comboMultiplier',
+  'achievements'
+];
+
+const DEFAULT_CONFIG = {
+  gridSize: 3,
+  board: null,                       // Board spec applied to every grid size, e.g. { layout: 'ring' } (see utils/board.js)
+  patternLength: 3,
+  displayTime: 1000,                 // Pattern flash duration in ms at level 1
+  retentionTime: 0,                  // Blank interval in ms between the flash and the input at level 1
+  countdownSeconds: 3,
+  showPatternDuringCountdown: false, // Show the pattern during the countdown instead of after it
+  inputTimeLimit: null,              // Time in ms for each turn at level 1 (null for no limit)
+  timeLimit: null,                   // Time in ms for the whole game (null for no limit)
+  lives: 3,                          // Infinity for unlimited
+  maxRounds: null,                   // Number of rounds before the game ends (null for no limit)
+  maxLevel: null,                    // Last level; the game is complete once it is passed (null for no limit)
+  autoAdvance: true,                 // Start the next round automatically after a result
+  retryOnFailure: true,              // Replay the same pattern after a failure
+  applyPenalty: true,                // Deduct points after a failure
+  scoring: SCORING_RULES.standard,   // Scoring rules (see SCORING_RULES in scoreManager)
+  partialCredit: false,              // Award points for the correct part of a failed pattern instead of a penalty
+  submitOnPatternLength: false,      // Evaluate as soon as enough tiles are selected
+  ordered: false,                    // Tiles light up one by one and must be repeated in order
+  colors: 0,                         // Number of tile colors in a pattern (0 for plain on/off tiles, see utils/tileColors.js)
+  stepGap: 250,                      // Time in ms between two tiles of an ordered pattern
+  distractors: 0,                    // Decoy tiles flashed with each pattern, which the player must ignore
+  transforms: null,                  // Transforms the pattern must be entered under, one picked per round (see PATTERN_TRANSFORMS; null for none)
+  resultDelay: 1500,                 // Time in ms the success/failure result is shown
+  patternType: null,                 // Fixed pattern type (null follows the progression)
+  initialPatternType: null,          // Pattern type at level 1 when it isn't fixed (null for getPatternTypeForLevel)
+  targetDifficulty: null,            // Pattern difficulty at level 1 (null generates patterns by length only)
+  initialPatternTiles: null,         // Authored pattern at level 1 (null generates one)
+  initialPatternConstraints: null,   // Constraints the pattern at level 1 must meet (see utils/patternConstraints.js)
+  seed: null,                        // Seed for patterns (null picks a new seed for every game)
+  progression: defaultProgression,   // (level, state, config) => round parameters for the next round
+  now: () => Date.now()
+};
+
+/**
+ * Game engine class implementing the idle → countdown → pattern → retention → input →
+ * success/failure → gameover state machine
+ */
+export class GameEngine {
+  /**
+   * @param {Object} options - Engine configuration (see DEFAULT_CONFIG)
+   */
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.listeners = {};
+    this.timers = {};
+    this.pausedTimers = [];
+    this.pauseStartTime = null;
+    this.inputStartTime = null;
+    this.roundStartProgress = null;
+    this.recentPatterns = [];
+    this.random = Math.random;
+    this.state = this._createInitialState();
+  }
+
+  /**
+   * Create the state for a fresh game
+   * @returns {Object} - Initial state
+   * @private
+   */
+  _createInitialState() {
+    const {
+      gridSize, board, patternLength, displayTime, retentionTime, inputTimeLimit, lives, timeLimit,
+      patternType, initialPatternType, targetDifficulty, initialPatternTiles, initialPatternConstraints
+    } = this.config;
+
+    return {
+      gameState: GAME_STATES.IDLE,
+      paused: false,
+      level: 1,
+      round: 1,
+      score: 0,
+      remainingLives: lives,
+      consecutiveCorrect: 0,
+      comboMultiplier: 1,
+      timeBonus: 0,
+      lastRoundScore: 0,
+      lastScoreBreakdown: null,
+      lastGrade: null,
+      responseTime: 0,
+      gridSize,
+      board: createBoard(board, gridSize),
+      patternLength,
+      displayTime,
+      retentionTime,
+      inputTimeLimit,
+      patternType: patternType || initialPatternType || getPatternTypeForLevel(1),
+      targetDifficulty,
+      patternTiles: initialPatternTiles,
+      patternConstraints: initialPatternConstraints,
+      seed: this.config.seed,
+      pattern: [],
+      transform: null,
+      expectedPattern: [],
+      distractorTiles: [],
+      patternColors: [],
+      patternShape: null,
+      patternDifficulty: null,
+      constraintError: null,
+      playback: null,
+      playbackStep: -1,
+      selections: [],
+      selectionColors: [],
+      countdown: this.config.countdownSeconds,
+      inputTimeRemaining: inputTimeLimit,
+      remainingTime: timeLimit,
+      achievements: []
+    };
+  }
+
+  /**
+   * Subscribe to an engine event
+   * @param {string} event - Event name (see GAME_EVENTS)
+   * @param {Function} listener - Callback receiving the event payload
+   * @returns {Function} - Function that removes the listener
+   */
+  on(event, listener) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(listener);
+
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Unsubscribe from an engine event
+   * @param {string} event - Event name
+   * @param {Function} listener - Callback to remove
+   */
+  off(event, listener) {
+    const listeners = this.listeners[event];
+    if (!listeners) return;
+
+    const index = listeners.indexOf(listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Emit an event to all its listeners
+   * @param {string} event - Event name
+   * @param {any} payload - Event payload
+   * @private
+   */
+  _emit(event, payload) {
+    (this.listeners[event] || []).slice().forEach(listener => listener(payload));
+  }
+
+  /**
+   * Get a snapshot of the current state. Arrays in the state are never
+   * mutated, so they keep their identity until they actually change.
+   * @returns {Object} - Current state
+   */
+  getState() {
+    return { ...this.state };
+  }
+
+  /**
+   * Merge changes into the state and notify listeners
+   * @param {Object} changes - State changes
+   * @private
+   */
+  _setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this._emit(GAME_EVENTS.CHANGE, this.getState());
+  }
+
+  /**
+   * Start a timer that is cleared when the engine stops
+   * @param {string} name - Timer name (replaces a running timer of the same name)
+   * @param {number} delay - Delay in ms
+   * @param {Function} callback - Callback to run
+   * @private
+   */
+  _setTimer(name, delay, callback) {
+    this._clearTimer(name);
+    this.timers[name] = {
+      id: setTimeout(() => {
+        delete this.timers[name];
+        callback();
+      }, delay),
+      callback,
+      dueTime: this.config.now() + delay
+    };
+  }
+
+  /**
+   * Clear a named timer
+   * @param {string} name - Timer name
+   * @private
+   */
+  _clearTimer(name) {
+    if (this.timers[name]) {
+      clearTimeout(this.timers[name].id);
+      delete this.timers[name];
+    }
+  }
+
+  /**
+   * Clear all running timers
+   * @private
+   */
+  _clearAllTimers() {
+    Object.keys(this.timers).forEach(name => this._clearTimer(name));
+  }
+
+  /**
+   * Start a new game
+   * @param {Object} overrides - Configuration changes to apply before starting
+   * @param {Object} progress - Progress from getProgress() to continue a saved game
+   */
+  start(overrides = {}, progress = null) {
+    this._clearAllTimers();
+    this.pausedTimers = [];
+    this.config = { ...this.config, ...overrides };
+
+    // Every game is seeded so it can be reproduced later
+    const seed = this.config.seed !== null && this.config.seed !== undefined
+      ? this.config.seed
+      : generateSeed();
+    this.random = createRandom(seed);
+    this.recentPatterns = [];
+    this.state = { ...this._createInitialState(), seed };
+
+    if (progress) {
+      this.state = { ...this.state, ...this._restoreProgress(progress) };
+    }
+
+    if (this.config.timeLimit && this.state.remainingTime > 0) {
+      this._setTimer('game', Math.min(1000, this.state.remainingTime), () => this._tickGameTimer());
+    }
+
+    this._beginRound(true);
+  }
+
+  /**
+   * Get the progress of the game so it can be saved and continued later. The
+   * current round is saved as it was when it started, so a continued game
+   * replays it with a new pattern; the game timer is saved as it is now.
+   * The result only holds JSON-safe values (unlimited lives are saved as null).
+   * @returns {Object|null} - Progress, or null if no game has been started
+   */
+  getProgress() {
+    if (!this.roundStartProgress) return null;
+
+    const { remainingLives } = this.roundStartProgress;
+
+    return {
+      ...this.roundStartProgress,
+      achievements: [...this.roundStartProgress.achievements],
+      remainingLives: Number.isFinite(remainingLives) ? remainingLives : null,
+      remainingTime: this.state.remainingTime
+    };
+  }
+
+  /**
+   * Turn saved progress back into state fields
+   * @param {Object} progress - Progress from getProgress()
+   * @returns {Object} - State changes
+   * @private
+   */
+  _restoreProgress(progress) {
+    const changes = {};
+    PROGRESS_FIELDS.forEach(field => {
+      if (progress[field] !== undefined) {
+        changes[field] = progress[field];
+      }
+    });
+
+    if (progress.remainingLives === null) {
+      changes.remainingLives = Infinity;
+    }
+    // Progress saved before boards existed was always played on a square board
+    if (!progress.board && progress.gridSize) {
+      changes.board = createBoard(this.config.board, progress.gridSize);
+    }
+    if (this.config.timeLimit && typeof progress.remainingTime === 'number') {
+      changes.remainingTime = progress.remainingTime;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Stop all timers, e.g. when the view using the engine unmounts
+   */
+  destroy() {
+    this._clearAllTimers();
+    this.pausedTimers = [];
+  }
+
+  /**
+   * Pause the game, freezing every running timer with the time it has left
+   */
+  pause() {
+    const { gameState, paused } = this.state;
+    if (paused || gameState === GAME_STATES.IDLE || gameState === GAME_STATES.GAMEOVER) return;
+
+    const now = this.config.now();
+    this.pausedTimers = Object.keys(this.timers).map(name => ({
+      name,
+      callback: this.timers[name].callback,
+      remaining: Math.max(0, this.timers[name].dueTime - now)
+    }));
+    this._clearAllTimers();
+    this.pauseStartTime = now;
+
+    this._setState({ paused: true });
+    this._emit(GAME_EVENTS.PAUSE, { round: this.state.round, level: this.state.level });
+  }
+
+  /**
+   * Resume a paused game. Timers continue exactly where they were paused and
+   * the paused time doesn't count towards the response time.
+   */
+  resume() {
+    if (!this.state.paused) return;
+
+    const pausedFor = this.config.now() - this.pauseStartTime;
+    if (this.state.gameState === GAME_STATES.INPUT) {
+      this.inputStartTime += pausedFor;
+    }
+
+    this._setState({ paused: false });
+
+    const pausedTimers = this.pausedTimers;
+    this.pausedTimers = [];
+    pausedTimers.forEach(({ name, callback, remaining }) => this._setTimer(name, remaining, callback));
+
+    this._emit(GAME_EVENTS.RESUME, { round: this.state.round, level: this.state.level, pausedFor });
+  }
+
+  /**
+   * Begin a round with the countdown
+   * @param {boolean} newPattern - Whether to generate a new pattern
+   * @private
+   */
+  _beginRound(newPattern) {
+    const { pattern, shape, difficulty, constraintError = null } = newPattern
+      ? this._generatePattern()
+      : {
+        pattern: this.state.pattern,
+        shape: this.state.patternShape,
+        difficulty: this.state.patternDifficulty,
+        constraintError: this.state.constraintError
+      };
+
+    if (newPattern) {
+      this.recentPatterns = [...this.recentPatterns, pattern].slice(-RECENT_PATTERN_COUNT);
+    }
+
+    // A retried pattern keeps its colors, its transform and its decoys
+    const patternColors = newPattern
+      ? generatePatternColors(pattern.length, this.config.colors, this.random)
+      : this.state.patternColors;
+    const transform = newPattern ? this._pickTransform() : this.state.transform;
+    const expectedPattern = transform ? transformPattern(pattern, this.state.board, transform) : pattern;
+    const distractorTiles = newPattern ? this._pickDistractors([...pattern, ...expectedPattern]) : this.state.distractorTiles;
+
+    // Ordered patterns are played back one tile at a time, each lit for the display time
+    const playback = this.config.ordered
+      ? createPlaybackSequence(pattern, { stepTime: this.state.displayTime, gapTime: this.config.stepGap })
+      : null;
+
+    this._setState({
+      gameState: GAME_STATES.COUNTDOWN,
+      countdown: this.config.countdownSeconds,
+      pattern,
+      transform,
+      expectedPattern,
+      distractorTiles,
+      patternColors,
+      patternLength: pattern.length,
+      patternShape: shape,
+      patternDifficulty: difficulty,
+      constraintError,
+      playback,
+      playbackStep: -1,
+      selections: [],
+      selectionColors: [],
+      inputTimeRemaining: this.state.inputTimeLimit
+    });
+
+    this.roundStartProgress = PROGRESS_FIELDS.reduce((progress, field) => {
+      progress[field] = this.state[field];
+      return progress;
+    }, {});
+
+    this._emit(GAME_EVENTS.ROUND_START, {
+      round: this.state.round,
+      level: this.state.level,
+      pattern: [...pattern],
+      transform,
+      distractors: [...distractorTiles],
+      colors: [...patternColors],
+      shape,
+      difficulty,
+      retry: !newPattern
+    });
+
+    if (newPattern && constraintError) {
+      this._emit(GAME_EVENTS.CONSTRAINTS_UNMET, {
+        round: this.state.round,
+        level: this.state.level,
+        ...constraintError
+      });
+    }
+
+    if (this.config.countdownSeconds > 0) {
+      this._setTimer('phase', 1000, () => this._tickCountdown());
+    } else {
+      this._endCountdown();
+    }
+  }
+
+  /**
+   * Generate the pattern for the current round. An authored pattern (patternTiles)
+   * is played as it is; with a target difficulty the pattern length and type may
+   * differ from the progression's.
+   * @returns {Object} - { pattern, shape, difficulty } with the tile indices, the shape metadata
+   *   (null unless a shape pattern) and the estimated difficulty, plus constraintError when the
+   *   pattern's constraints couldn't be met (see _generateConstrainedPattern)
+   * @private
+   */
+  _generatePattern() {
+    const { board, patternLength, patternType, targetDifficulty, patternTiles, patternConstraints } = this.state;
+    const { ordered } = this.config;
+    // The new pattern is compared with the ones before it
+    const recentPatterns = this.recentPatterns;
+
+    if (patternTiles && patternTiles.length > 0) {
+      const pattern = patternTiles.filter(index => isPlayableTile(board, index));
+      const { difficulty } = estimatePatternDifficulty(pattern, board, { recentPatterns, ordered });
+      return { pattern, shape: null, difficulty };
+    }
+
+    if (patternConstraints) {
+      return this._generateConstrainedPattern(patternConstraints);
+    }
+
+    if (targetDifficulty) {
+      return generatePatternForDifficulty(board, targetDifficulty, {
+        random: this.random,
+        patternTypes: this.config.patternType ? [this.config.patternType] : undefined,
+        recentPatterns,
+        ordered
+      });
+    }
+
+    const details = generatePatternDetails(board, patternLength, patternType, { random: this.random });
+    const { difficulty } = estimatePatternDifficulty(details.pattern, board, { recentPatterns, ordered });
+    return { ...details, difficulty };
+  }
+
+  /**
+   * Generate a pattern that meets constraints. A recent constraint without its
+   * own patterns is checked against the patterns of this game, so it can fail
+   * in one game and not another. If the solver can't meet the constraints the
+   * round gets a plain pattern rather than none, and the failure is reported
+   * as constraintError in the round state and with CONSTRAINTS_UNMET.
+   * @param {Object} constraints - Constraints (see generatePatternDetails)
+   * @returns {Object} - { pattern, shape, difficulty, constraintError } where constraintError is
+   *   { message, unmet } with the names of the unmet constraints (null when they were met)
+   * @private
+   */
+  _generateConstrainedPattern(constraints) {
+    const { board, patternLength, patternType } = this.state;
+    const { ordered } = this.config;
+    const recentPatterns = this.recentPatterns;
+    const options = { random: this.random };
+
+    if (constraints.recent && !constraints.recent.patterns) {
+      options.constraints = { ...constraints, recent: { ...constraints.recent, patterns: recentPatterns } };
+    } else {
+      options.constraints = constraints;
+    }
+
+    let details;
+    let constraintError = null;
+    try {
+      details = generatePatternDetails(board, patternLength, patternType, options);
+    } catch (error) {
+      if (!(error instanceof PatternConstraintError)) throw error;
+      constraintError = { message: error.message, unmet: error.unmet };
+      details = generatePatternDetails(board, patternLength, patternType, { random: this.random });
+    }
+
+    const { difficulty } = estimatePatternDifficulty(details.pattern, board, { recentPatterns, ordered });
+    return { ...details, difficulty, constraintError };
+  }
+
+  /**
+   * Pick the transform the player must enter the next pattern under, among
+   * the configured ones that fit the board
+   * @returns {string|null} - Transform (see PATTERN_TRANSFORMS), or null to enter the pattern as shown
+   * @private
+   */
+  _pickTransform() {
+    const { transforms } = this.config;
+    if (!transforms || transforms.length === 0) return null;
+
+    const fitting = transforms.filter(transform => canTransformBoard(this.state.board, transform));
+    return fitting.length > 0 ? fitting[randomInt(fitting.length, this.random)] : null;
+  }
+
+  /**
+   * Pick the decoy tiles that flash with the next pattern
+   * @param {Array} answerTiles - Tiles of the pattern and of its transformed answer, which decoys must not use
+   * @returns {Array} - Decoy tile indices (empty unless distractors are configured)
+   * @private
+   */
+  _pickDistractors(answerTiles) {
+    const { distractors } = this.config;
+    if (!distractors) return [];
+
+    return generateDistractors(this.state.board, distractors, { exclude: answerTiles, random: this.random });
+  }
+
+  /**
+   * Advance the countdown by one second
+   * @private
+   */
+  _tickCountdown() {
+    const countdown = this.state.countdown - 1;
+
+    if (countdown > 0) {
+      this._setState({ countdown });
+      this._setTimer('phase', 1000, () => this._tickCountdown());
+    } else {
+      this._setState({ countdown: 0 });
+      this._endCountdown();
+    }
+  }
+
+  /**
+   * Move from the countdown to the pattern flash, or straight to input when
+   * the pattern was shown during the countdown
+   * @private
+   */
+  _endCountdown() {
+    if (this.config.showPatternDuringCountdown) {
+      this._beginInput();
+      return;
+    }
+
+    this._setState({ gameState: GAME_STATES.PATTERN });
+
+    if (this.state.playback) {
+      this._playStep(0);
+    } else {
+      this._setTimer('phase', this.state.displayTime, () => this._beginRetention());
+    }
+  }
+
+  /**
+   * Light one step of an ordered pattern, then the gap before the next step
+   * @param {number} step - Step of the playback to light
+   * @private
+   */
+  _playStep(step) {
+    const { steps } = this.state.playback;
+    if (step >= steps.length) {
+      this._setState({ playbackStep: -1 });
+      this._beginRetention();
+      return;
+    }
+
+    const { start, end } = steps[step];
+    const next = steps[step + 1];
+
+    this._setState({ playbackStep: step });
+    this._setTimer('phase', end - start, () => {
+      if (!next) {
+        this._playStep(step + 1);
+        return;
+      }
+
+      this._setState({ playbackStep: -1 });
+      this._setTimer('phase', next.start - end, () => this._playStep(step + 1));
+    });
+  }
+
+  /**
+   * Hide the pattern for the blank retention interval before the input
+   * @private
+   */
+  _beginRetention() {
+    if (!this.state.retentionTime) {
+      this._beginInput();
+      return;
+    }
+
+    this._setState({ gameState: GAME_STATES.RETENTION });
+    this._setTimer('phase', this.state.retentionTime, () => this._beginInput());
+  }
+
+  /**
+   * Start the input phase and the turn timer
+   * @private
+   */
+  _beginInput() {
+    this.inputStartTime = this.config.now();
+
+    this._setState({
+      gameState: GAME_STATES.INPUT,
+      selections: [],
+      selectionColors: [],
+      inputTimeRemaining: this.state.inputTimeLimit
+    });
+
+    this._emit(GAME_EVENTS.INPUT_START, { round: this.state.round, level: this.state.level });
+
+    if (this.state.inputTimeLimit) {
+      this._setTimer('turn', Math.min(1000, this.state.inputTimeLimit), () => this._tickTurnTimer());
+    }
+  }
+
+  /**
+   * Advance the turn timer by one second
+   * @private
+   */
+  _tickTurnTimer() {
+    const inputTimeRemaining = Math.max(0, this.state.inputTimeRemaining - 1000);
+    this._setState({ inputTimeRemaining });
+
+    if (inputTimeRemaining <= 0) {
+      this._handleFailure('timeout');
+    } else {
+      this._setTimer('turn', Math.min(1000, inputTimeRemaining), () => this._tickTurnTimer());
+    }
+  }
+
+  /**
+   * Advance the game timer by one second
+   * @private
+   */
+  _tickGameTimer() {
+    const remainingTime = Math.max(0, this.state.remainingTime - 1000);
+    this._setState({ remainingTime });
+
+    if (remainingTime <= 0) {
+      this._endGame('time');
+    } else {
+      this._setTimer('game', Math.min(1000, remainingTime), () => this._tickGameTimer());
+    }
+  }
+
+  /**
+   * Update the player's selections during the input phase
+   * @param {Array} selections - Currently selected tile indices
+   * @param {Array} colors - Color of each selection, in color patterns
+   */
+  selectTiles(selections, colors = []) {
+    if (this.state.gameState !== GAME_STATES.INPUT || this.state.paused) return;
+
+    // Holes in the board can't be selected
+    const playable = selections.map((index, position) => ({ index, color: colors[position] }))
+      .filter(({ index }) => isPlayableTile(this.state.board, index));
+    selections = playable.map(({ index }) => index);
+    const selectionColors = this._hasColors() ? playable.map(({ color }) => (color === undefined ? null : color)) : [];
+    this._setState({ selections, selectionColors });
+
+    if (this._isCorrect(selections, selectionColors)) {
+      this._handleSuccess();
+    } else if (this.config.ordered && !this._isCorrectSoFar(selections)) {
+      // Ordered patterns fail on the first wrong step
+      this._handleFailure('incorrect');
+    } else if (this.config.submitOnPatternLength && !this._hasColors() && selections.length >= this.state.expectedPattern.length) {
+      // Color patterns wait for a submit, since a tile takes several clicks to reach its color
+      this._handleFailure('incorrect');
+    }
+  }
+
+  /**
+   * Submit the current selections for evaluation
+   */
+  submit() {
+    if (this.state.gameState !== GAME_STATES.INPUT || this.state.paused) return;
+
+    if (this._isCorrect(this.state.selections, this.state.selectionColors)) {
+      this._handleSuccess();
+    } else {
+      this._handleFailure('incorrect');
+    }
+  }
+
+  /**
+   * Check whether the current pattern is a color pattern
+   * @returns {boolean} - Whether the pattern tiles have colors
+   * @private
+   */
+  _hasColors() {
+    return this.state.patternColors.length > 0;
+  }
+
+  /**
+   * Check whether selections contain every tile of the expected pattern (the
+   * pattern after its transform) and nothing else, in the same order for
+   * ordered patterns and in the same colors for color patterns
+   * @param {Array} selections - Selected tile indices
+   * @param {Array} selectionColors - Color of each selection
+   * @returns {boolean} - Whether the selections match the pattern
+   * @private
+   */
+  _isCorrect(selections, selectionColors = []) {
+    const { expectedPattern: pattern, patternColors } = this.state;
+    const colorsMatch = !this._hasColors() ||
+      selections.every((index, position) => selectionColors[position] === patternColors[pattern.indexOf(index)]);
+
+    if (this.config.ordered) {
+      return selections.length === pattern.length && this._isCorrectSoFar(selections) && colorsMatch;
+    }
+
+    const correctSelections = selections.filter(index => pattern.includes(index));
+
+    return correctSelections.length === pattern.length &&
+           correctSelections.length === selections.length &&
+           colorsMatch;
+  }
+
+  /**
+   * Check whether every selection so far matches the ordered pattern step
+   * @param {Array} selections - Selected tile indices in click order
+   * @returns {boolean} - Whether no step is wrong yet
+   * @private
+   */
+  _isCorrectSoFar(selections) {
+    const { expectedPattern: pattern } = this.state;
+    return selections.every((index, step) => index === pattern[step]);
+  }
+
+  /**
+   * Handle a correctly reproduced pattern
+   * @private
+   */
+  _handleSuccess() {
+    this._clearTimer('turn');
+
+    const { board, patternLength, displayTime, inputTimeLimit } = this.state;
+    const responseTime = this.config.now() - this.inputStartTime;
+    const { scoring } = this.config;
+
+    const consecutiveCorrect = this.state.consecutiveCorrect + 1;
+    const breakdown = scoreRound(scoring, {
+      gridSize: getEquivalentGridSize(board),
+      patternLength,
+      responseTime,
+      maxTime: inputTimeLimit || displayTime * 3,
+      consecutiveCorrect,
+      colors: this._hasColors() ? normalizeColorCount(this.config.colors) : 0
+    });
+    const { timeBonus, comboMultiplier, total: roundScore } = breakdown;
+    const score = this.state.score + roundScore;
+    const levelUp = scoring.levelUp({ level: this.state.level, score, consecutiveCorrect });
+    const level = levelUp ? this.state.level + 1 : this.state.level;
+
+    this._setState({
+      gameState: GAME_STATES.SUCCESS,
+      score,
+      consecutiveCorrect,
+      comboMultiplier,
+      timeBonus,
+      responseTime,
+      lastRoundScore: roundScore,
+      lastScoreBreakdown: breakdown,
+      lastGrade: this._gradeSelections(),
+      achievements: this._checkAchievements(score, consecutiveCorrect, level)
+    });
+
+    this._emit(GAME_EVENTS.ROUND_SUCCESS, {
+      ...this._getRoundSummary(),
+      roundScore,
+      timeBonus,
+      breakdown
+    });
+
+    if (levelUp) {
+      this._setState({ level });
+      this._emit(GAME_EVENTS.LEVEL_UP, { level });
+    }
+
+    this._finishRound();
+  }
+
+  /**
+   * Handle a wrong pattern or an expired turn timer
+   * @param {string} reason - 'incorrect' or 'timeout'
+   * @private
+   */
+  _handleFailure(reason) {
+    this._clearTimer('turn');
+
+    const { board, patternLength } = this.state;
+    const responseTime = this.config.now() - this.inputStartTime;
+    const grade = this._gradeSelections();
+
+    let roundScore = 0;
+    let score = this.state.score;
+    if (this.config.partialCredit) {
+      roundScore = calculatePartialScore(
+        getEquivalentGridSize(board), patternLength, grade.accuracy, this.config.scoring,
+        grade.colorAccuracy !== undefined ? grade.colorAccuracy : 1
+      );
+      score += roundScore;
+    } else if (this.config.applyPenalty) {
+      score = this.config.scoring.penalty(score);
+    }
+
+    this._setState({
+      gameState: GAME_STATES.FAILURE,
+      score,
+      consecutiveCorrect: 0,
+      comboMultiplier: 1,
+      timeBonus: 0,
+      responseTime,
+      lastRoundScore: roundScore,
+      lastScoreBreakdown: null,
+      lastGrade: grade,
+      remainingLives: this.state.remainingLives - 1
+    });
+
+    this._emit(GAME_EVENTS.ROUND_FAILURE, {
+      ...this._getRoundSummary(),
+      roundScore,
+      reason
+    });
+
+    this._finishRound();
+  }
+
+  /**
+   * Grade the current selections against the expected pattern
+   * @returns {Object} - Grade from gradeRound (hits, misses, false alarms, accuracy, sensitivity)
+   * @private
+   */
+  _gradeSelections() {
+    const { expectedPattern, distractorTiles, patternColors, selections, selectionColors, board } = this.state;
+    return gradeRound(expectedPattern, selections, {
+      tileCount: board.tiles.length,
+      ordered: this.config.ordered,
+      patternColors,
+      selectionColors,
+      distractors: distractorTiles
+    });
+  }
+
+  /**
+   * Describe the round that just ended
+   * @returns {Object} - Round summary
+   * @private
+   */
+  _getRoundSummary() {
+    const {
+      round, level, score, gridSize, board, patternLength, pattern, transform, expectedPattern, distractorTiles,
+      patternColors, patternShape, patternDifficulty, selections, selectionColors, responseTime, lastGrade
+    } = this.state;
+
+    return {
+      round,
+      level,
+      score,
+      gridSize,
+      board,
+      patternLength,
+      pattern: [...pattern],
+      transform,
+      expectedPattern: [...expectedPattern],
+      distractors: [...distractorTiles],
+      colors: [...patternColors],
+      shape: patternShape,
+      difficulty: patternDifficulty,
+      selections: [...selections],
+      selectionColors: [...selectionColors],
+      responseTime,
+      grade: lastGrade
+    };
+  }
+
+  /**
+   * Schedule whatever follows a round result
+   * @private
+   */
+  _finishRound() {
+    if (this.state.remainingLives <= 0) {
+      this._setTimer('phase', this.config.resultDelay, () => this._endGame('lives'));
+    } else if (this.config.autoAdvance) {
+      this._setTimer('phase', this.config.resultDelay, () => this.nextRound());
+    }
+  }
+
+  /**
+   * Continue after a round result. Called automatically unless autoAdvance is off.
+   */
+  nextRound() {
+    const { gameState, round, paused } = this.state;
+    if (paused || (gameState !== GAME_STATES.SUCCESS && gameState !== GAME_STATES.FAILURE)) return;
+
+    this._clearTimer('phase');
+
+    if (this.config.maxRounds && round >= this.config.maxRounds) {
+      this._endGame('rounds');
+      return;
+    }
+
+    // Passing the last level completes the game
+    if (this.config.maxLevel && this.state.level > this.config.maxLevel) {
+      this._endGame('complete');
+      return;
+    }
+
+    const retry = gameState === GAME_STATES.FAILURE && this.config.retryOnFailure;
+    this.state = { ...this.state, round: round + 1 };
+
+    if (!retry) {
+      this._applyProgression();
+    }
+
+    this._beginRound(!retry);
+  }
+
+  /**
+   * Update the round parameters from the progression
+   * @private
+   */
+  _applyProgression() {
+    const { progression, patternType } = this.config;
+    const params = progression ? progression(this.state.level, this.getState(), this.config) : {};
+    const gridSize = params.gridSize || this.state.gridSize;
+    const board = createBoard(params.board || this.config.board, gridSize);
+    let patternLength = params.patternLength || this.state.patternLength;
+
+    // Boards with holes have fewer tiles than the grid size suggests
+    if (!isSquareBoard(board)) {
+      patternLength = Math.min(patternLength, Math.max(1, Math.floor(board.tiles.length * 0.75)));
+    }
+
+    this.state = {
+      ...this.state,
+      ...params,
+      board,
+      patternLength,
+      patternType: patternType || params.patternType || this.state.patternType,
+      // Authored tiles and constraints belong to their own level
+      patternTiles: params.patternTiles || null,
+      patternConstraints: params.patternConstraints || null
+    };
+  }
+
+  /**
+   * End the game
+   * @param {string} reason - 'lives', 'time', 'rounds' or 'complete'
+   * @private
+   */
+  _endGame(reason) {
+    if (this.state.gameState === GAME_STATES.GAMEOVER) return;
+
+    this._clearAllTimers();
+
+    this._setState({ gameState: GAME_STATES.GAMEOVER });
+
+    const { score, level, round, gridSize, achievements, seed } = this.state;
+    this._emit(GAME_EVENTS.GAME_OVER, {
+      score,
+      level,
+      round,
+      gridSize,
+      seed,
+      achievements: [...achievements],
+      reason
+    });
+  }
+
+  /**
+   * Get the achievements unlocked by the current progress
+   * @param {number} score - Current score
+   * @param {number} consecutiveCorrect - Consecutive correct patterns
+   * @param {number} level - Current level
+   * @returns {Array} - All unlocked achievement ids
+   * @private
+   */
+  _checkAchievements(score, consecutiveCorrect, level) {
+    const achievements = [...this.state.achievements];
+    const unlock = (id, condition) => {
+      if (condition && !achievements.includes(id)) {
+        achievements.push(id);
+      }
+    };
+
+    // Score-based achievements
+    unlock('score_1000', score >= 1000);
+    unlock('score_5000', score >= 5000);
+
+    // Combo-based achievements
+    unlock('combo_5', consecutiveCorrect >= 5);
+    unlock('combo_10', consecutiveCorrect >= 10);
+
+    // Level-based achievements
+    unlock('level_10', level >= 10);
+    unlock('level_20', level >= 20);
+
+    return achievements;
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Round grading with signal detection measures. Every tile of the board is a
+ * trial: pattern tiles are signals, the other tiles are noise. In color
+ * patterns a tile in the right place counts as a hit whatever its color; color
+ * mistakes are counted separately. Decoys that flashed with the pattern are
+ * noise too, and the ones picked are also counted on their own.
+ */
+
+// Rates of exactly 0 or 1 have an infinite z-score, so counts get the
+// log-linear correction (add 0.5 to each count and 1 to each total)
+const RATE_CORRECTION = 0.5;
+
+/**
+ * Inverse of the standard normal cumulative distribution (Acklam's approximation)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} - z-score
+ */
+export const inverseNormal = (p) => {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (p > 1 - low) {
+    return -inverseNormal(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+/**
+ * Calculate the sensitivity index d′ (hit rate z-score minus false alarm rate z-score)
+ * @param {number} hits - Pattern tiles that were selected
+ * @param {number} misses - Pattern tiles that were not selected
+ * @param {number} falseAlarms - Other tiles that were selected
+ * @param {number} correctRejections - Other tiles that were not selected
+ * @returns {number} - d′, 0 when the player can't tell pattern tiles from the others
+ */
+export const calculateSensitivity = (hits, misses, falseAlarms, correctRejections) => {
+  const hitRate = (hits + RATE_CORRECTION) / (hits + misses + 2 * RATE_CORRECTION);
+  const falseAlarmRate = (falseAlarms + RATE_CORRECTION) / (falseAlarms + correctRejections + 2 * RATE_CORRECTION);
+
+  return inverseNormal(hitRate) - inverseNormal(falseAlarmRate);
+};
+
+/**
+ * Count the hits whose color doesn't match the pattern
+ * @param {Array} pattern - Pattern tile indices
+ * @param {Array} selections - Selected tile indices in click order
+ * @param {Array} patternColors - Color of each pattern tile
+ * @param {Array} selectionColors - Color of each selection
+ * @param {boolean} ordered - Whether the pattern had to be repeated in order
+ * @returns {number} - Hits with the wrong color
+ */
+const countColorErrors = (pattern, selections, patternColors, selectionColors, ordered) => {
+  if (ordered) {
+    return selections.filter((index, step) => {
+      return pattern[step] === index && selectionColors[step] !== patternColors[step];
+    }).length;
+  }
+
+  // A tile picked more than once keeps its last color
+  const colorOfTile = new Map(selections.map((index, position) => [index, selectionColors[position]]));
+  return pattern.filter((index, position) => {
+    return colorOfTile.has(index) && colorOfTile.get(index) !== patternColors[position];
+  }).length;
+};
+
+/**
+ * Grade a round. In ordered patterns a hit is a tile picked at its own step,
+ * and a tile picked at the wrong step counts as a false alarm.
+ * @param {Array} pattern - Pattern tile indices
+ * @param {Array} selections - Selected tile indices in click order
+ * @param {Object} options - Grading options
+ * @param {number} options.gridSize - Grid size, for the number of tiles outside the pattern
+ * @param {number} options.tileCount - Number of tiles on the board, for boards that aren't square (overrides gridSize)
+ * @param {boolean} options.ordered - Whether the pattern had to be repeated in order
+ * @param {Array} options.patternColors - Color of each pattern tile, for color patterns
+ * @param {Array} options.selectionColors - Color of each selection, for color patterns
+ * @param {Array} options.distractors - Decoy tiles that flashed with the pattern
+ * @returns {Object} - Grade with hits, misses, falseAlarms, correctRejections, accuracy (0-1) and
+ *   sensitivity (d′); color patterns add colorErrors and colorAccuracy (share of hits in the right color),
+ *   and rounds with decoys add distractorsSelected (decoys among the false alarms)
+ */
+export const gradeRound = (pattern, selections, options = {}) => {
+  const {
+    gridSize = 3,
+    tileCount = gridSize * gridSize,
+    ordered = false,
+    patternColors = [],
+    selectionColors = [],
+    distractors = []
+  } = options;
+  const picked = ordered ? selections : [...new Set(selections)];
+
+  const hits = ordered
+    ? picked.filter((index, step) => pattern[step] === index).length
+    : picked.filter(index => pattern.includes(index)).length;
+  const falseAlarms = picked.length - hits;
+  const misses = pattern.length - hits;
+  const noiseTiles = tileCount - pattern.length;
+  const correctRejections = Math.max(0, noiseTiles - falseAlarms);
+
+  const trials = hits + misses + falseAlarms;
+
+  const grade = {
+    hits,
+    misses,
+    falseAlarms,
+    correctRejections,
+    accuracy: trials > 0 ? hits / trials : 0,
+    sensitivity: calculateSensitivity(hits, misses, falseAlarms, correctRejections)
+  };
+
+  if (distractors.length > 0) {
+    grade.distractorsSelected = [...new Set(selections)].filter(index => distractors.includes(index)).length;
+  }
+
+  if (patternColors.length === 0) {
+    return grade;
+  }
+
+  const colorErrors = countColorErrors(pattern, selections, patternColors, selectionColors, ordered);
+  return {
+    ...grade,
+    colorErrors,
+    colorAccuracy: hits > 0 ? (hits - colorErrors) / hits : 0
+  };
+};
@@ -0,0 +1,224 @@
+/**
+ * N-back working-memory task. A stream of stimuli is shown one trial at a
+ * time, and from the (N+1)th trial on the player answers whether each one
+ * matches the stimulus N trials earlier. Trials are played in blocks, and N
+ * goes up or down after each block with the player's accuracy.
+ *
+ * Trials are graded like pattern tiles in grading.js: a match answered
+ * "match" is a hit, a match answered "no match" (or not at all) a miss, and a
+ * non-match answered "match" a false alarm.
+ *
+ * In dual n-back each trial carries a stimulus on two channels at once - a
+ * tile position and a tone - and each channel is scheduled, answered and
+ * graded on its own.
+ */
+import { generatePattern } from './patternGenerator';
+import { shuffle, randomInt } from './random';
+import { calculateSensitivity } from './grading';
+
+export const NBACK_DEFAULTS = {
+  startN: 2,            // N of the first block
+  minN: 1,
+  maxN: 9,
+  blocks: 5,            // Blocks in a game
+  trialsPerBlock: 20,   // Answered trials in a block, after the N lead-in trials
+  matchRate: 0.3,       // Share of the answered trials that are matches
+  trialTime: 2500,      // Time from the start of one trial to the next (ms)
+  channels: ['position'] // Stimulus channels of each trial (see NBACK_CHANNELS)
+};
+
+// Stimulus channels a trial can carry
+export const NBACK_CHANNELS = {
+  POSITION: 'position', // Pattern of tiles on the grid
+  SOUND: 'sound'        // Tone played through the audio manager
+};
+
+// Block accuracy at or above which N goes up, and below which it goes down
+export const NBACK_ADAPTATION = {
+  raiseAt: 0.8,
+  lowerBelow: 0.5
+};
+
+// Points per hit and per false alarm, multiplied by N
+const NBACK_POINTS = {
+  hit: 100,
+  falseAlarm: -50
+};
+
+// Tries to draw a non-match that differs from the stimulus N trials back
+const MAX_STIMULUS_ATTEMPTS = 100;
+
+/**
+ * Check whether two patterns light the same tiles
+ * @param {Array} a - Tile indices
+ * @param {Array} b - Tile indices
+ * @returns {boolean} - Whether the patterns are the same
+ */
+const isSamePattern = (a, b) => {
+  return a.length === b.length && a.every(index => b.includes(index));
+};
+
+/**
+ * Schedule the trials of a block. Exactly the target share of the answered
+ * trials repeat the stimulus N trials back, at random positions; every other
+ * trial is drawn so that it differs from it.
+ * @param {Object} options - Schedule options
+ * @param {number} options.count - Number of trials, including the N lead-in trials
+ * @param {number} options.n - How many trials back a match repeats
+ * @param {number} options.matchRate - Share of the answered trials that are matches (0-1)
+ * @param {Function} options.nextStimulus - Draws a new stimulus
+ * @param {Function} options.isSameStimulus - (a, b) => whether two stimuli are the same
+ * @param {Function} options.random - Random source for the match positions
+ * @returns {Array} - Trials as { stimulus, isMatch }
+ * @throws {Error} - If no stimulus different from the one N back can be drawn
+ */
+export const scheduleNBackTrials = ({ count, n, matchRate, nextStimulus, isSameStimulus, random = Math.random }) => {
+  const answered = Math.max(0, count - n);
+  const matchCount = Math.round(answered * matchRate);
+  const matchFlags = shuffle(Array.from({ length: answered }, (_, index) => index < matchCount), random);
+
+  const trials = [];
+  for (let index = 0; index < count; index++) {
+    const back = index >= n ? trials[index - n].stimulus : null;
+
+    if (back !== null && matchFlags[index - n]) {
+      trials.push({ stimulus: back, isMatch: true });
+      continue;
+    }
+
+    let stimulus = nextStimulus();
+    for (let attempt = 1; back !== null && isSameStimulus(stimulus, back); attempt++) {
+      if (attempt >= MAX_STIMULUS_ATTEMPTS) {
+        throw new Error(`Couldn't draw a stimulus different from the one ${n} trials back`);
+      }
+      stimulus = nextStimulus();
+    }
+    trials.push({ stimulus, isMatch: false });
+  }
+
+  return trials;
+};
+
+/**
+ * Schedule a block of pattern trials on a square grid
+ * @param {number} count - Number of trials, including the N lead-in trials
+ * @param {number} n - How many trials back a match repeats
+ * @param {Object} options - Schedule options
+ * @param {number} options.gridSize - Grid size
+ * @param {number} options.patternLength - Tiles in each pattern
+ * @param {number} options.matchRate - Share of the answered trials that are matches (0-1)
+ * @param {Function} options.random - Random source
+ * @returns {Array} - Trials as { stimulus, isMatch }, with patterns as stimuli
+ */
+export const schedulePatternTrials = (count, n, { gridSize, patternLength, matchRate = NBACK_DEFAULTS.matchRate, random = Math.random }) => {
+  return scheduleNBackTrials({
+    count,
+    n,
+    matchRate,
+    random,
+    nextStimulus: () => generatePattern(gridSize, patternLength, 'random', { random }),
+    isSameStimulus: isSamePattern
+  });
+};
+
+/**
+ * Schedule a block of tone trials
+ * @param {number} count - Number of trials, including the N lead-in trials
+ * @param {number} n - How many trials back a match repeats
+ * @param {Object} options - Schedule options
+ * @param {number} options.toneCount - Number of different tones to draw from
+ * @param {number} options.matchRate - Share of the answered trials that are matches (0-1)
+ * @param {Function} options.random - Random source
+ * @returns {Array} - Trials as { stimulus, isMatch }, with tone indices as stimuli
+ */
+export const scheduleToneTrials = (count, n, { toneCount, matchRate = NBACK_DEFAULTS.matchRate, random = Math.random }) => {
+  return scheduleNBackTrials({
+    count,
+    n,
+    matchRate,
+    random,
+    nextStimulus: () => randomInt(toneCount, random),
+    isSameStimulus: (a, b) => a === b
+  });
+};
+
+/**
+ * Grade a block of trials
+ * @param {Array} trials - Trials of the block (see scheduleNBackTrials)
+ * @param {Array} responses - Answer to each trial: true for "match", false for "no match", undefined for none
+ * @param {number} n - N of the block; the first n trials have no answer and aren't graded
+ * @returns {Object} - Grade with hits, misses, falseAlarms, correctRejections, accuracy (0-1, as in
+ *   gradeRound: hits out of hits, misses and false alarms) and sensitivity (d′)
+ */
+export const gradeNBackBlock = (trials, responses, n) => {
+  const grade = { hits: 0, misses: 0, falseAlarms: 0, correctRejections: 0 };
+
+  trials.slice(n).forEach((trial, index) => {
+    const answeredMatch = responses[index + n] === true;
+    if (trial.isMatch) {
+      grade[answeredMatch ? 'hits' : 'misses'] += 1;
+    } else {
+      grade[answeredMatch ? 'falseAlarms' : 'correctRejections'] += 1;
+    }
+  });
+
+  return summarizeGrade(grade);
+};
+
+/**
+ * Add accuracy and sensitivity to a count of answers
+ * @param {Object} counts - { hits, misses, falseAlarms, correctRejections }
+ * @returns {Object} - The counts with accuracy and sensitivity (see gradeNBackBlock)
+ */
+const summarizeGrade = ({ hits, misses, falseAlarms, correctRejections }) => {
+  const counted = hits + misses + falseAlarms;
+
+  return {
+    hits,
+    misses,
+    falseAlarms,
+    correctRejections,
+    accuracy: counted > 0 ? hits / counted : 1,
+    sensitivity: calculateSensitivity(hits, misses, falseAlarms, correctRejections)
+  };
+};
+
+/**
+ * Combine the grades of several blocks, e.g. for a channel's accuracy over a game
+ * @param {Array} grades - Block grades from gradeNBackBlock
+ * @returns {Object} - Grade of all their trials together
+ */
+export const combineNBackGrades = (grades) => {
+  const total = (key) => grades.reduce((sum, grade) => sum + grade[key], 0);
+
+  return summarizeGrade({
+    hits: total('hits'),
+    misses: total('misses'),
+    falseAlarms: total('falseAlarms'),
+    correctRejections: total('correctRejections')
+  });
+};
+
+/**
+ * Score a block: points for hits, minus points for false alarms, worth more at higher N
+ * @param {Object} grade - Block grade from gradeNBackBlock
+ * @param {number} n - N of the block
+ * @returns {number} - Points, never below 0
+ */
+export const scoreNBackBlock = (grade, n) => {
+  const points = grade.hits * NBACK_POINTS.hit + grade.falseAlarms * NBACK_POINTS.falseAlarm;
+  return Math.max(0, points * n);
+};
+
+/**
+ * Get N for the next block from the accuracy of the last one
+ * @param {number} n - N of the last block
+ * @param {number} accuracy - Accuracy of the last block (0-1)
+ * @param {Object} limits - { minN, maxN }
+ * @returns {number} - N one higher, one lower or unchanged
+ */
+export const getNextN = (n, accuracy, { minN = NBACK_DEFAULTS.minN, maxN = NBACK_DEFAULTS.maxN } = {}) => {
+  if (accuracy >= NBACK_ADAPTATION.raiseAt) return Math.min(n + 1, maxN);
+  if (accuracy < NBACK_ADAPTATION.lowerBelow) return Math.max(n - 1, minN);
+  return n;
+};
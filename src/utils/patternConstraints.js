@@ -0,0 +1,455 @@
+/**
+ * Constraint-based pattern generation. Constraints describe what a pattern must
+ * look like (tiles it must include, spacing, symmetry, ...) and the solver
+ * searches for a pattern of the requested type and length that meets all of
+ * them. Unlike the plain generators it never pads a pattern with random tiles:
+ * when no pattern fits it throws a PatternConstraintError naming the
+ * constraints that can't be met.
+ */
+import { shuffle } from './random';
+import { toBoard, getTilePosition, getNeighbours, isPlayableTile, isHexBoard } from './board';
+import { getFittingShapes, getShapePlacements } from './shapes';
+
+// Constraints the solver understands, in the order they are checked and reported
+export const PATTERN_CONSTRAINTS = {
+  INCLUDE: 'include',
+  MIN_SPACING: 'minSpacing',
+  QUADRANTS: 'quadrants',
+  SYMMETRY: 'symmetry',
+  RECENT: 'recent'
+};
+
+// Mirror images a symmetric pattern can be required to match
+export const SYMMETRY_TYPES = {
+  LEFT_RIGHT: 'left-right',
+  TOP_BOTTOM: 'top-bottom',
+  HALF_TURN: 'half-turn'
+};
+
+// Defaults of the recent constraint: compare with the last 3 patterns and
+// reject a pattern that shares more than half of its tiles with one of them
+const DEFAULT_RECENT_COUNT = 3;
+const DEFAULT_MAX_SIMILARITY = 0.5;
+
+// Search steps before the solver gives up on a set of constraints
+const DEFAULT_MAX_STEPS = 5000;
+
+// Tile centres are compared after rounding, so hex offsets match up
+const POSITION_PRECISION = 2;
+
+/**
+ * Error thrown when no pattern meets the constraints
+ */
+export class PatternConstraintError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Array} unmet - Names of the constraints that can't be met (see PATTERN_CONSTRAINTS)
+   */
+  constructor(message, unmet = []) {
+    super(message);
+    this.name = 'PatternConstraintError';
+    this.unmet = unmet;
+  }
+}
+
+/**
+ * Get the constraints that are set, in PATTERN_CONSTRAINTS order
+ * @param {Object} constraints - Constraints
+ * @returns {Array} - Constraint names
+ */
+const getActiveConstraints = (constraints) => {
+  return Object.values(PATTERN_CONSTRAINTS).filter(name => {
+    const value = constraints[name];
+    return value !== undefined && value !== null && value !== false;
+  });
+};
+
+/**
+ * Check that constraints are well formed and possible on a board
+ * @param {Object} board - Board
+ * @param {number} patternLength - Number of tiles in the pattern
+ * @param {Object} constraints - Constraints
+ * @throws {PatternConstraintError} - If a constraint is malformed or asks for the impossible
+ */
+const validateConstraints = (board, patternLength, constraints) => {
+  const known = Object.values(PATTERN_CONSTRAINTS);
+  Object.keys(constraints).forEach(name => {
+    if (!known.includes(name)) {
+      throw new PatternConstraintError(`Unknown pattern constraint "${name}"`, [name]);
+    }
+  });
+
+  const { include, minSpacing, symmetry, recent } = constraints;
+
+  if (include !== undefined && include !== null) {
+    if (!Array.isArray(include) || !include.every(index => isPlayableTile(board, index))) {
+      throw new PatternConstraintError('include must be a list of tiles on the board', [PATTERN_CONSTRAINTS.INCLUDE]);
+    }
+    if (new Set(include).size > patternLength) {
+      throw new PatternConstraintError(`include lists more tiles than the pattern has (${patternLength})`, [PATTERN_CONSTRAINTS.INCLUDE]);
+    }
+  }
+  if (minSpacing !== undefined && minSpacing !== null && (typeof minSpacing !== 'number' || minSpacing < 0)) {
+    throw new PatternConstraintError('minSpacing must be a distance in tile widths', [PATTERN_CONSTRAINTS.MIN_SPACING]);
+  }
+  if (symmetry && !Object.values(SYMMETRY_TYPES).includes(symmetry)) {
+    throw new PatternConstraintError(`symmetry must be one of ${Object.values(SYMMETRY_TYPES).join(', ')}`, [PATTERN_CONSTRAINTS.SYMMETRY]);
+  }
+  if (recent && !Array.isArray(recent.patterns)) {
+    throw new PatternConstraintError('recent must have the list of recent patterns', [PATTERN_CONSTRAINTS.RECENT]);
+  }
+};
+
+/**
+ * Precompute the board geometry the constraints are checked against
+ * @param {Object} board - Board
+ * @returns {Object} - Tile positions, the tile at each position and the board centre
+ */
+const getGeometry = (board) => {
+  const toKey = (x, y) => `${x.toFixed(POSITION_PRECISION)},${y.toFixed(POSITION_PRECISION)}`;
+  const positions = new Map();
+  const tilesByKey = new Map();
+
+  board.tiles.forEach(index => {
+    const position = getTilePosition(board, index);
+    positions.set(index, position);
+    tilesByKey.set(toKey(position.x, position.y), index);
+  });
+
+  // The centre of the whole rows × cols grid, so holes don't move the axes;
+  // shifted hex rows make the grid half a tile wider
+  const xSum = board.cols - 1 + (isHexBoard(board) && board.rows > 1 ? 0.5 : 0);
+  const ySum = getTilePosition(board, (board.rows - 1) * board.cols).y;
+
+  const geometry = { positions, tilesByKey, toKey, xSum, ySum, centre: { x: xSum / 2, y: ySum / 2 } };
+  // Most quadrants one tile can cover: 4 for the centre tile of an odd board
+  geometry.maxQuadrants = Math.max(...board.tiles.map(index => getTileQuadrants(geometry, index).length));
+  return geometry;
+};
+
+/**
+ * Get the mirror image of a tile
+ * @param {Object} geometry - Board geometry from getGeometry
+ * @param {number} index - Tile index
+ * @param {string} symmetry - Symmetry type (see SYMMETRY_TYPES)
+ * @returns {number} - Tile at the mirrored position, or -1 if there is no tile there
+ */
+const getMirrorTile = (geometry, index, symmetry) => {
+  const { positions, tilesByKey, toKey, xSum, ySum } = geometry;
+  const { x, y } = positions.get(index);
+  const mirrored = {
+    [SYMMETRY_TYPES.LEFT_RIGHT]: [xSum - x, y],
+    [SYMMETRY_TYPES.TOP_BOTTOM]: [x, ySum - y],
+    [SYMMETRY_TYPES.HALF_TURN]: [xSum - x, ySum - y]
+  }[symmetry];
+
+  const tile = tilesByKey.get(toKey(...mirrored));
+  return tile === undefined ? -1 : tile;
+};
+
+/**
+ * Get the quadrants a tile is in. Tiles on a centre line count for both sides.
+ * @param {Object} geometry - Board geometry from getGeometry
+ * @param {number} index - Tile index
+ * @returns {Array} - Quadrants as 'top-left', 'top-right', 'bottom-left' and 'bottom-right'
+ */
+const getTileQuadrants = (geometry, index) => {
+  const { x, y } = geometry.positions.get(index);
+  const { centre } = geometry;
+  const sides = (value, middle, before, after) => {
+    if (Math.abs(value - middle) < 1e-6) return [before, after];
+    return [value < middle ? before : after];
+  };
+
+  return sides(y, centre.y, 'top', 'bottom').flatMap(vertical => {
+    return sides(x, centre.x, 'left', 'right').map(horizontal => `${vertical}-${horizontal}`);
+  });
+};
+
+/**
+ * Measure the distance between two tile centres
+ * @param {Object} geometry - Board geometry from getGeometry
+ * @param {number} a - Tile index
+ * @param {number} b - Tile index
+ * @returns {number} - Distance in tile widths
+ */
+const getDistance = (geometry, a, b) => {
+  const positionA = geometry.positions.get(a);
+  const positionB = geometry.positions.get(b);
+  return Math.hypot(positionA.x - positionB.x, positionA.y - positionB.y);
+};
+
+/**
+ * Measure how similar a pattern is to another one
+ * @param {Array} pattern - Tile indices
+ * @param {Array} other - Tile indices
+ * @returns {number} - Share of the pattern's tiles that are also in the other pattern (0-1)
+ */
+export const measureSimilarity = (pattern, other) => {
+  if (pattern.length === 0) return 0;
+  return pattern.filter(index => other.includes(index)).length / pattern.length;
+};
+
+/**
+ * Check a single constraint
+ * @param {string} name - Constraint name (see PATTERN_CONSTRAINTS)
+ * @param {Array} pattern - Tile indices
+ * @param {Object} constraints - Constraints
+ * @param {Object} geometry - Board geometry from getGeometry
+ * @returns {boolean} - Whether the pattern meets the constraint
+ */
+const meetsConstraint = (name, pattern, constraints, geometry) => {
+  switch (name) {
+    case PATTERN_CONSTRAINTS.INCLUDE:
+      return constraints.include.every(index => pattern.includes(index));
+    case PATTERN_CONSTRAINTS.MIN_SPACING:
+      return pattern.every((index, i) => pattern.slice(i + 1).every(other => {
+        return getDistance(geometry, index, other) >= constraints.minSpacing - 1e-6;
+      }));
+    case PATTERN_CONSTRAINTS.QUADRANTS: {
+      const covered = new Set(pattern.flatMap(index => getTileQuadrants(geometry, index)));
+      return covered.size === 4;
+    }
+    case PATTERN_CONSTRAINTS.SYMMETRY:
+      return pattern.every(index => pattern.includes(getMirrorTile(geometry, index, constraints.symmetry)));
+    case PATTERN_CONSTRAINTS.RECENT: {
+      const { patterns, count = DEFAULT_RECENT_COUNT, maxSimilarity = DEFAULT_MAX_SIMILARITY } = constraints.recent;
+      return patterns.slice(-count).every(other => measureSimilarity(pattern, other) <= maxSimilarity);
+    }
+    default:
+      return true;
+  }
+};
+
+/**
+ * Check a pattern against constraints
+ * @param {Array} pattern - Tile indices
+ * @param {number|Object} gridSize - The size of the grid, or a board
+ * @param {Object} constraints - Constraints (see generatePatternDetails)
+ * @returns {Array} - Names of the constraints the pattern breaks (empty if it meets them all)
+ */
+export const checkPatternConstraints = (pattern, gridSize, constraints = {}) => {
+  const board = toBoard(gridSize);
+  const geometry = getGeometry(board);
+  const playable = pattern.filter(index => geometry.positions.has(index));
+
+  return getActiveConstraints(constraints).filter(name => !meetsConstraint(name, playable, constraints, geometry));
+};
+
+/**
+ * Check whether a partial pattern can still grow into one that meets the
+ * quadrants and recent constraints, so the search can skip it early
+ * @param {Array} pattern - Tile indices so far
+ * @param {Object} search - Search parameters (see runSearch)
+ * @returns {boolean} - Whether the pattern may still meet the constraints
+ */
+const canStillMeet = (pattern, { geometry, patternLength, constraints }) => {
+  const remaining = patternLength - pattern.length;
+
+  if (constraints.quadrants) {
+    const covered = new Set(pattern.flatMap(index => getTileQuadrants(geometry, index)));
+    if (4 - covered.size > remaining * geometry.maxQuadrants) return false;
+  }
+
+  if (constraints.recent) {
+    const { patterns, count = DEFAULT_RECENT_COUNT, maxSimilarity = DEFAULT_MAX_SIMILARITY } = constraints.recent;
+    const tooSimilar = patterns.slice(-count).some(other => {
+      return pattern.filter(index => other.includes(index)).length > maxSimilarity * patternLength;
+    });
+    if (tooSimilar) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Check a finished pattern against all the constraints of a search
+ * @param {Array} pattern - Tile indices
+ * @param {Object} search - Search parameters (see runSearch)
+ * @returns {boolean} - Whether the pattern meets them all
+ */
+const meetsAll = (pattern, { geometry, constraints }) => {
+  return getActiveConstraints(constraints).every(name => meetsConstraint(name, pattern, constraints, geometry));
+};
+
+/**
+ * Search for a set of tiles (a random pattern) that meets the constraints.
+ * Tiles are tried in a shuffled order and only ever added after the last one,
+ * so each set is visited once; symmetric patterns add a tile's mirror image
+ * together with the tile.
+ * @param {Object} search - Search parameters (see runSearch)
+ * @returns {Array|null} - Tile indices, or null if none was found
+ */
+const searchTileSet = (search) => {
+  const { board, geometry, patternLength, constraints, random, budget } = search;
+  const order = shuffle([...board.tiles], random);
+  const { symmetry, minSpacing } = constraints;
+
+  const addTile = (pattern, index) => {
+    const added = [index];
+    if (symmetry) {
+      const mirror = getMirrorTile(geometry, index, symmetry);
+      if (mirror === -1) return null;
+      if (mirror !== index && !pattern.includes(mirror)) added.push(mirror);
+    }
+
+    const next = [...pattern];
+    for (const tile of added) {
+      if (next.includes(tile)) continue;
+      if (minSpacing && next.some(other => getDistance(geometry, tile, other) < minSpacing - 1e-6)) return null;
+      next.push(tile);
+    }
+    return next.length <= patternLength ? next : null;
+  };
+
+  let start = [];
+  for (const index of constraints.include || []) {
+    start = addTile(start, index);
+    if (!start) return null;
+  }
+
+  const extend = (pattern, from) => {
+    if (budget.steps-- <= 0) return null;
+    if (pattern.length === patternLength) {
+      return meetsAll(pattern, search) ? pattern : null;
+    }
+    if (!canStillMeet(pattern, search)) return null;
+
+    for (let position = from; position < order.length; position++) {
+      if (pattern.includes(order[position])) continue;
+      const next = addTile(pattern, order[position]);
+      const found = next && extend(next, position + 1);
+      if (found) return found;
+      if (budget.steps <= 0) return null;
+    }
+    return null;
+  };
+
+  const found = extend(start, 0);
+  return found && shuffle(found, random);
+};
+
+/**
+ * Search for a path of neighbouring tiles (a sequential pattern) that meets the constraints
+ * @param {Object} search - Search parameters (see runSearch)
+ * @returns {Array|null} - Tile indices in path order, or null if none was found
+ */
+const searchPath = (search) => {
+  const { board, geometry, patternLength, constraints, random, budget } = search;
+  const { minSpacing } = constraints;
+
+  const extend = (path) => {
+    if (budget.steps-- <= 0) return null;
+    if (path.length === patternLength) {
+      return meetsAll(path, search) ? path : null;
+    }
+    if (!canStillMeet(path, search)) return null;
+
+    const candidates = shuffle(getNeighbours(board, path[path.length - 1]), random)
+      .filter(index => !path.includes(index))
+      .filter(index => !minSpacing || path.every(other => getDistance(geometry, index, other) >= minSpacing - 1e-6));
+
+    for (const index of candidates) {
+      const found = extend([...path, index]);
+      if (found) return found;
+      if (budget.steps <= 0) return null;
+    }
+    return null;
+  };
+
+  for (const start of shuffle([...board.tiles], random)) {
+    const found = extend([start]);
+    if (found) return found;
+    if (budget.steps <= 0) return null;
+  }
+  return null;
+};
+
+/**
+ * Search the placements of library shapes with exactly as many tiles as the
+ * pattern for one that meets the constraints
+ * @param {Object} search - Search parameters (see runSearch)
+ * @returns {Object|null} - { pattern, shape }, or null if none was found
+ */
+const searchShape = (search) => {
+  const { board, patternLength, random, budget } = search;
+  const placements = getFittingShapes(board)
+    .flatMap(shape => getShapePlacements(shape, board))
+    .filter(placement => placement.pattern.length === patternLength);
+
+  for (const placement of shuffle(placements, random)) {
+    if (budget.steps-- <= 0) return null;
+    if (meetsAll(placement.pattern, search)) {
+      return placement;
+    }
+  }
+  return null;
+};
+
+/**
+ * Run the search for a pattern type
+ * @param {string} patternType - 'random', 'sequential' or 'shape'
+ * @param {Object} search - Search parameters: board, geometry (from getGeometry),
+ *   patternLength, the constraints to meet, random source and a step budget ({ steps })
+ * @returns {Object|null} - { pattern, shape }, or null if no pattern was found
+ */
+const runSearch = (patternType, search) => {
+  switch (patternType) {
+    case 'sequential': {
+      const pattern = searchPath(search);
+      return pattern && { pattern, shape: null };
+    }
+    case 'shape':
+      return searchShape(search);
+    case 'random':
+    default: {
+      const pattern = searchTileSet(search);
+      return pattern && { pattern, shape: null };
+    }
+  }
+};
+
+/**
+ * Generate a pattern that meets a set of constraints
+ * @param {number|Object} gridSize - The size of the grid, or a board
+ * @param {number} patternLength - The number of tiles in the pattern
+ * @param {string} patternType - The type of pattern ('random', 'sequential', 'shape')
+ * @param {Object} constraints - Constraints (see generatePatternDetails)
+ * @param {Object} options - Solver options
+ * @param {Function} options.random - Random source returning [0, 1) (defaults to Math.random)
+ * @param {number} options.maxSteps - Search steps before giving up
+ * @returns {Object} - { pattern, shape }, like generatePatternDetails
+ * @throws {PatternConstraintError} - If the constraints are invalid or no pattern meets them all
+ */
+export const solvePatternConstraints = (gridSize, patternLength, patternType = 'random', constraints = {}, options = {}) => {
+  const { random = Math.random, maxSteps = DEFAULT_MAX_STEPS } = options;
+  const board = toBoard(gridSize);
+  validateConstraints(board, patternLength, constraints);
+
+  const geometry = getGeometry(board);
+  const solve = (names) => runSearch(patternType, {
+    board,
+    geometry,
+    patternLength,
+    constraints: Object.fromEntries(names.map(name => [name, constraints[name]])),
+    random,
+    budget: { steps: maxSteps }
+  });
+
+  const active = getActiveConstraints(constraints);
+  const solution = solve(active);
+  if (solution) {
+    return solution;
+  }
+
+  // Find out which constraints can't be met even on their own; if each one
+  // can, it's the combination that fails
+  const impossible = active.filter(name => !solve([name]));
+  const unmet = impossible.length > 0 ? impossible : active;
+  const what = `a ${patternType} pattern of ${patternLength} tiles`;
+  const message = active.length === 0
+    ? `Couldn't generate ${what} on this board`
+    : `Couldn't generate ${what} that meets ${impossible.length > 0 ? '' : 'all of '}${unmet.join(', ')}`;
+
+  throw new PatternConstraintError(message, unmet);
+};
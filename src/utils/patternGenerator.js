@@ -1,42 +1,75 @@
+import { randomInt, shuffle } from './random';
+import { getFittingShapes, getShapeCells, placeShape } from './shapes';
+import { toBoard, getTileCell, getTileIndex, getTilePosition, getNeighbours, isHexBoard } from './board';
+import { solvePatternConstraints } from './patternConstraints';
+
 /**
  * Generates a random pattern of tile indices
- * @param {number} gridSize - The size of the grid (e.g., 3 for a 3x3 grid)
+ * @param {number|Object} gridSize - The size of the grid (e.g., 3 for a 3x3 grid), or a board (see utils/board.js)
  * @param {number} patternLength - The number of tiles in the pattern
  * @param {string} patternType - The type of pattern to generate ('random', 'sequential', 'shape')
+ * @param {Object} options - Additional options
+ * @param {Function} options.random - Random source returning [0, 1) (defaults to Math.random)
+ * @param {Object} options.constraints - Constraints the pattern must meet (see generatePatternDetails)
  * @returns {Array} - Array of tile indices representing the pattern
+ * @throws {PatternConstraintError} - If no pattern meets the constraints
+ */
+export const generatePattern = (gridSize = 3, patternLength = 3, patternType = 'random', options = {}) => {
+  return generatePatternDetails(gridSize, patternLength, patternType, options).pattern;
+};
+
+/**
+ * Generates a pattern together with what it depicts
+ * @param {number|Object} gridSize - The size of the grid (e.g., 3 for a 3x3 grid), or a board (see utils/board.js)
+ * @param {number} patternLength - The number of tiles in the pattern
+ * @param {string} patternType - The type of pattern to generate ('random', 'sequential', 'shape')
+ * @param {Object} options - Additional options
+ * @param {Function} options.random - Random source returning [0, 1) (defaults to Math.random)
+ * @param {Object} options.constraints - Constraints the pattern must meet. With constraints the
+ *   pattern is solved for (see utils/patternConstraints.js) and never padded with random tiles.
+ * @param {Array} options.constraints.include - Tiles the pattern must include
+ * @param {number} options.constraints.minSpacing - Smallest distance between two tile centres, in tile widths
+ * @param {boolean} options.constraints.quadrants - Whether the pattern must touch every quadrant of the board
+ * @param {string} options.constraints.symmetry - Mirror image the pattern must match ('left-right', 'top-bottom', 'half-turn')
+ * @param {Object} options.constraints.recent - { patterns, count, maxSimilarity }: the pattern may share at
+ *   most maxSimilarity of its tiles with each of the last count patterns
+ * @returns {Object} - { pattern, shape }: the tile indices, and the shape metadata for shape patterns (null otherwise)
+ * @throws {PatternConstraintError} - If no pattern meets the constraints
  */
-export const generatePattern = (gridSize = 3, patternLength = 3, patternType = 'random') => {
-  const totalTiles = gridSize * gridSize;
+export const generatePatternDetails = (gridSize = 3, patternLength = 3, patternType = 'random', options = {}) => {
+  const { random = Math.random, constraints = null } = options;
+  const board = toBoard(gridSize);
   
-  // Ensure pattern length doesn't exceed total tiles
-  const safePatternLength = Math.min(patternLength, totalTiles);
+  // Ensure pattern length doesn't exceed the tiles of the board
+  const safePatternLength = Math.min(patternLength, board.tiles.length);
+
+  if (constraints) {
+    return solvePatternConstraints(board, safePatternLength, patternType, constraints, { random });
+  }
   
   switch (patternType) {
     case 'sequential':
-      return generateSequentialPattern(gridSize, safePatternLength);
+      return { pattern: generateSequentialPattern(board, safePatternLength, random), shape: null };
     case 'shape':
-      return generateShapePattern(gridSize, safePatternLength);
+      return generateShapePattern(board, safePatternLength, random);
     case 'random':
     default:
-      return generateRandomPattern(gridSize, safePatternLength);
+      return { pattern: generateRandomPattern(board, safePatternLength, random), shape: null };
   }
 };
 
 /**
  * Generates a random pattern
- * @param {number} gridSize - The size of the grid
+ * @param {Object} board - The board
  * @param {number} patternLength - The number of tiles in the pattern
+ * @param {Function} random - Random source
  * @returns {Array} - Array of tile indices
  */
-const generateRandomPattern = (gridSize, patternLength) => {
-  const totalTiles = gridSize * gridSize;
-  const allIndices = Array.from({ length: totalTiles }, (_, i) => i);
+const generateRandomPattern = (board, patternLength, random) => {
+  const allIndices = [...board.tiles];
   
   // Shuffle the array using Fisher-Yates algorithm
-  for (let i = allIndices.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [allIndices[i], allIndices[j]] = [allIndices[j], allIndices[i]];
-  }
+  shuffle(allIndices, random);
   
   // Return the first n elements
   return allIndices.slice(0, patternLength);
@@ -44,63 +77,36 @@ const generateRandomPattern = (gridSize, patternLength) => {
 
 /**
  * Generates a sequential pattern (adjacent tiles)
- * @param {number} gridSize - The size of the grid
+ * @param {Object} board - The board
  * @param {number} patternLength - The number of tiles in the pattern
+ * @param {Function} random - Random source
  * @returns {Array} - Array of tile indices
  */
-const generateSequentialPattern = (gridSize, patternLength) => {
-  const totalTiles = gridSize * gridSize;
-  
+const generateSequentialPattern = (board, patternLength, random) => {
   // Start from a random position
-  const startIndex = Math.floor(Math.random() * totalTiles);
+  const startIndex = board.tiles[randomInt(board.tiles.length, random)];
   const pattern = [startIndex];
   
-  // Get possible directions (up, right, down, left)
-  const directions = [
-    -gridSize, // up
-    1,         // right
-    gridSize,  // down
-    -1         // left
-  ];
-  
   let currentIndex = startIndex;
   
   // Add tiles in sequence until we reach the pattern length
   while (pattern.length < patternLength) {
-    // Shuffle directions
-    const shuffledDirections = [...directions].sort(() => Math.random() - 0.5);
-    
-    let foundNextTile = false;
-    
-    // Try each direction until we find a valid next tile
-    for (const direction of shuffledDirections) {
-      const nextIndex = currentIndex + direction;
-      
-      // Check if the next index is valid
-      if (
-        nextIndex >= 0 && 
-        nextIndex < totalTiles && 
-        !pattern.includes(nextIndex) &&
-        // Ensure we don't wrap around the grid edges
-        !(direction === 1 && currentIndex % gridSize === gridSize - 1) && // right edge
-        !(direction === -1 && currentIndex % gridSize === 0) // left edge
-      ) {
-        pattern.push(nextIndex);
-        currentIndex = nextIndex;
-        foundNextTile = true;
-        break;
-      }
-    }
+    // Neighbours (four on square boards, six on hex boards) without the grid edges and holes, in random order
+    const nextIndex = shuffle(getNeighbours(board, currentIndex), random)
+      .find(index => !pattern.includes(index));
     
     // If we can't find a valid next tile, break out of the loop
-    if (!foundNextTile) {
+    if (nextIndex === undefined) {
       break;
     }
+
+    pattern.push(nextIndex);
+    currentIndex = nextIndex;
   }
   
   // If we couldn't generate a full pattern, fill in with random tiles
   if (pattern.length < patternLength) {
-    const remainingTiles = generateRandomPattern(gridSize, patternLength - pattern.length)
+    const remainingTiles = generateRandomPattern(board, board.tiles.length, random)
       .filter(index => !pattern.includes(index));
     
     pattern.push(...remainingTiles.slice(0, patternLength - pattern.length));
@@ -110,102 +116,410 @@ const generateSequentialPattern = (gridSize, patternLength) => {
 };
 
 /**
- * Generates a shape pattern (geometric shapes like lines, squares, etc.)
- * @param {number} gridSize - The size of the grid
+ * Generates a shape pattern from the shape library, preferring shapes with
+ * as many tiles as the pattern needs. When no shape has exactly that many,
+ * the closest one is cut down or padded with random tiles, and the pattern
+ * no longer is that shape, so it has no shape metadata.
+ * @param {Object} board - The board
  * @param {number} patternLength - The number of tiles in the pattern
- * @returns {Array} - Array of tile indices
+ * @param {Function} random - Random source
+ * @returns {Object} - { pattern, shape } with the tile indices and the shape metadata
+ *   (null unless the pattern is exactly a library shape)
  */
-const generateShapePattern = (gridSize, patternLength) => {
-  // For small grids, default to random patterns
-  if (gridSize < 3) {
-    return generateRandomPattern(gridSize, patternLength);
+const generateShapePattern = (board, patternLength, random) => {
+  const candidates = getFittingShapes(board).map(shape => ({
+    shape,
+    distance: Math.abs(getShapeCells(shape, board).length - patternLength)
+  }));
+
+  // Boards too small for any shape get random tiles
+  if (candidates.length === 0) {
+    return { pattern: generateRandomPattern(board, patternLength, random), shape: null };
   }
-  
-  const shapes = [
-    () => generateLine(gridSize),
-    () => generateDiagonal(gridSize),
-    () => generateSquare(gridSize),
-    () => generateCross(gridSize)
-  ];
-  
-  // Select a random shape generator
-  const shapeGenerator = shapes[Math.floor(Math.random() * shapes.length)];
-  let pattern = shapeGenerator();
-  
+
+  const closest = Math.min(...candidates.map(candidate => candidate.distance));
+  const bestShapes = candidates.filter(candidate => candidate.distance === closest);
+  const { shape } = bestShapes[randomInt(bestShapes.length, random)];
+  const placed = placeShape(shape, board, random);
+  let pattern = placed.pattern;
+
+  if (pattern.length === patternLength) {
+    return placed;
+  }
+
   // If the pattern is too long, truncate it
   if (pattern.length > patternLength) {
     pattern = pattern.slice(0, patternLength);
   }
   // If the pattern is too short, add random tiles
   else if (pattern.length < patternLength) {
-    const additionalTiles = generateRandomPattern(gridSize, patternLength - pattern.length)
+    const additionalTiles = generateRandomPattern(board, board.tiles.length, random)
       .filter(index => !pattern.includes(index));
     
-    pattern.push(...additionalTiles.slice(0, patternLength - pattern.length));
+    pattern = [...pattern, ...additionalTiles.slice(0, patternLength - pattern.length)];
   }
   
-  return pattern;
+  return { pattern, shape: null };
 };
 
-// Shape generator functions
-const generateLine = (gridSize) => {
-  const isHorizontal = Math.random() > 0.5;
-  const lineIndex = Math.floor(Math.random() * gridSize);
-  
-  if (isHorizontal) {
-    // Horizontal line
-    return Array.from({ length: gridSize }, (_, i) => lineIndex * gridSize + i);
-  } else {
-    // Vertical line
-    return Array.from({ length: gridSize }, (_, i) => i * gridSize + lineIndex);
+/**
+ * Create the timed playback of an ordered pattern, whose tiles light up one
+ * after another and must be repeated in the same order
+ * @param {Array} pattern - Tile indices in playback order
+ * @param {Object} options - Playback timing
+ * @param {number} options.stepTime - Time in ms each tile stays lit
+ * @param {number} options.gapTime - Time in ms between two tiles
+ * @returns {Object} - Playback with steps ({ index, start, end } in ms) and total duration
+ */
+export const createPlaybackSequence = (pattern, options = {}) => {
+  const { stepTime = 600, gapTime = 250 } = options;
+
+  const steps = pattern.map((index, step) => {
+    const start = step * (stepTime + gapTime);
+    return { index, start, end: start + stepTime };
+  });
+
+  return {
+    steps,
+    duration: steps.length > 0 ? steps[steps.length - 1].end : 0
+  };
+};
+
+/**
+ * Pick decoy tiles to flash alongside a pattern, none of them part of it
+ * @param {number|Object} gridSize - The size of the grid, or a board (see utils/board.js)
+ * @param {number} count - Number of decoys (fewer if the board runs out of free tiles)
+ * @param {Object} options - Additional options
+ * @param {Array} options.exclude - Tiles the decoys must not use, e.g. the pattern and its transformed answer
+ * @param {Function} options.random - Random source returning [0, 1) (defaults to Math.random)
+ * @returns {Array} - Decoy tile indices
+ */
+export const generateDistractors = (gridSize, count, options = {}) => {
+  const { exclude = [], random = Math.random } = options;
+  const free = toBoard(gridSize).tiles.filter(index => !exclude.includes(index));
+
+  return shuffle(free, random).slice(0, Math.max(0, count));
+};
+
+// Ways a pattern can be turned before the player enters it
+export const PATTERN_TRANSFORMS = {
+  ROTATE_90: 'rotate90',                 // A quarter turn clockwise
+  ROTATE_180: 'rotate180',               // A half turn
+  MIRROR_HORIZONTAL: 'mirrorHorizontal', // Flipped left to right
+  MIRROR_VERTICAL: 'mirrorVertical'      // Flipped top to bottom
+};
+
+// Where each transform moves the cell at row, col of a rows × cols board
+const TRANSFORM_CELLS = {
+  [PATTERN_TRANSFORMS.ROTATE_90]: ({ row, col }, rows) => ({ row: col, col: rows - 1 - row }),
+  [PATTERN_TRANSFORMS.ROTATE_180]: ({ row, col }, rows, cols) => ({ row: rows - 1 - row, col: cols - 1 - col }),
+  [PATTERN_TRANSFORMS.MIRROR_HORIZONTAL]: ({ row, col }, rows, cols) => ({ row, col: cols - 1 - col }),
+  [PATTERN_TRANSFORMS.MIRROR_VERTICAL]: ({ row, col }, rows) => ({ row: rows - 1 - row, col })
+};
+
+// Instruction shown to the player for each transform
+const TRANSFORM_DESCRIPTIONS = {
+  [PATTERN_TRANSFORMS.ROTATE_90]: 'rotated 90° clockwise',
+  [PATTERN_TRANSFORMS.ROTATE_180]: 'rotated 180°',
+  [PATTERN_TRANSFORMS.MIRROR_HORIZONTAL]: 'mirrored left to right',
+  [PATTERN_TRANSFORMS.MIRROR_VERTICAL]: 'mirrored top to bottom'
+};
+
+/**
+ * Find where a tile ends up when the board is rotated or mirrored
+ * @param {Object} board - Board
+ * @param {number} index - Tile index
+ * @param {string} transform - Transform (see PATTERN_TRANSFORMS)
+ * @returns {number} - Index of the transformed tile, or -1 if it lands on a hole
+ */
+const transformTile = (board, index, transform) => {
+  const { row, col } = TRANSFORM_CELLS[transform](getTileCell(board, index), board.rows, board.cols);
+  return getTileIndex(board, row, col);
+};
+
+/**
+ * Check whether a transform maps a board onto itself. Quarter turns need a
+ * square board, every tile must land on a tile rather than a hole, and hex
+ * boards are never transformed since their offset rows don't line up when flipped.
+ * @param {number|Object} gridSize - The size of the grid, or a board (see utils/board.js)
+ * @param {string} transform - Transform (see PATTERN_TRANSFORMS)
+ * @returns {boolean} - Whether every pattern on the board can be transformed
+ */
+export const canTransformBoard = (gridSize, transform) => {
+  const board = toBoard(gridSize);
+  if (!TRANSFORM_CELLS[transform] || isHexBoard(board)) return false;
+  if (transform === PATTERN_TRANSFORMS.ROTATE_90 && board.rows !== board.cols) return false;
+
+  return board.tiles.every(index => transformTile(board, index, transform) !== -1);
+};
+
+/**
+ * Rotate or mirror a pattern, keeping the order of its tiles
+ * @param {Array} pattern - Tile indices
+ * @param {number|Object} gridSize - The size of the grid, or a board (see utils/board.js)
+ * @param {string} transform - Transform (see PATTERN_TRANSFORMS)
+ * @returns {Array} - Transformed tile indices, in the same order
+ * @throws {Error} - If the transform can't be applied to the board (see canTransformBoard)
+ */
+export const transformPattern = (pattern, gridSize, transform) => {
+  const board = toBoard(gridSize);
+  if (!canTransformBoard(board, transform)) {
+    throw new Error(`Can't apply the pattern transform "${transform}" to this board`);
   }
+
+  return pattern.map(index => transformTile(board, index, transform));
 };
 
-const generateDiagonal = (gridSize) => {
-  const isMainDiagonal = Math.random() > 0.5;
-  
-  if (isMainDiagonal) {
-    // Main diagonal (top-left to bottom-right)
-    return Array.from({ length: gridSize }, (_, i) => i * gridSize + i);
-  } else {
-    // Anti-diagonal (top-right to bottom-left)
-    return Array.from({ length: gridSize }, (_, i) => i * gridSize + (gridSize - 1 - i));
+/**
+ * Describe a transform as an instruction, e.g. "rotated 90° clockwise"
+ * @param {string} transform - Transform (see PATTERN_TRANSFORMS)
+ * @returns {string} - Description
+ */
+export const describeTransform = (transform) => {
+  return TRANSFORM_DESCRIPTIONS[transform] || '';
+};
+
+// Weights of the structure features in a pattern's complexity (they add up to 1)
+const COMPLEXITY_WEIGHTS = {
+  chunks: 0.3,
+  spread: 0.2,
+  adjacency: 0.25,
+  symmetry: 0.25
+};
+
+// How much more a pattern that fully overlaps a recent one counts
+const OVERLAP_WEIGHT = 0.5;
+
+// Most and least a tile can count towards the difficulty, before overlap
+const MIN_TILE_WEIGHT = 0.5;
+const MAX_TILE_WEIGHT = MIN_TILE_WEIGHT + 1;
+
+/**
+ * Check whether two tiles touch, including diagonally on square boards
+ * @param {number} a - Tile index
+ * @param {number} b - Tile index
+ * @param {number|Object} gridSize - The size of the grid, or a board
+ * @returns {boolean} - Whether the tiles are neighbours
+ */
+export const areTilesAdjacent = (a, b, gridSize) => {
+  const board = toBoard(gridSize);
+  if (isHexBoard(board)) {
+    return getNeighbours(board, a).includes(b);
   }
+
+  const cellA = getTileCell(board, a);
+  const cellB = getTileCell(board, b);
+  return a !== b && Math.abs(cellA.row - cellB.row) <= 1 && Math.abs(cellA.col - cellB.col) <= 1;
 };
 
-const generateSquare = (gridSize) => {
-  // Only works for grids 3x3 or larger
-  if (gridSize < 3) return generateRandomPattern(gridSize, gridSize * 2);
-  
-  // Generate a random position for the top-left corner of the square
-  const maxCorner = gridSize - 2; // Ensure the square fits within the grid
-  const row = Math.floor(Math.random() * maxCorner);
-  const col = Math.floor(Math.random() * maxCorner);
-  
-  // Create a 2x2 square
-  return [
-    row * gridSize + col,           // top-left
-    row * gridSize + col + 1,       // top-right
-    (row + 1) * gridSize + col,     // bottom-left
-    (row + 1) * gridSize + col + 1  // bottom-right
-  ];
+/**
+ * Share of the pattern that is made of neighbouring tiles. For ordered patterns
+ * this is the share of steps that move to a neighbour, like
+ * AIPlayer._isSequentialPattern but aware of the grid edges.
+ * @param {Array} pattern - Tile indices
+ * @param {Object} board - The board
+ * @param {boolean} ordered - Whether the pattern is played in order
+ * @returns {number} - Adjacency (0-1)
+ */
+const measureAdjacency = (pattern, board, ordered) => {
+  if (pattern.length < 2) return 1;
+
+  if (ordered) {
+    const adjacentSteps = pattern.slice(1).filter((index, step) => areTilesAdjacent(pattern[step], index, board));
+    return adjacentSteps.length / (pattern.length - 1);
+  }
+
+  const withNeighbour = pattern.filter(index => pattern.some(other => areTilesAdjacent(index, other, board)));
+  return withNeighbour.length / pattern.length;
 };
 
-const generateCross = (gridSize) => {
-  // Only works for odd-sized grids 3x3 or larger
-  if (gridSize < 3 || gridSize % 2 === 0) {
-    return generateRandomPattern(gridSize, gridSize * 2);
+/**
+ * Count the groups of touching tiles, which players tend to remember as one chunk each
+ * @param {Array} pattern - Tile indices
+ * @param {number|Object} gridSize - The size of the grid, or a board
+ * @returns {number} - Number of chunks
+ */
+export const countChunks = (pattern, gridSize) => {
+  const board = toBoard(gridSize);
+  const unvisited = new Set(pattern);
+  let chunks = 0;
+
+  while (unvisited.size > 0) {
+    const [first] = unvisited;
+    const stack = [first];
+    unvisited.delete(first);
+    chunks++;
+
+    while (stack.length > 0) {
+      const index = stack.pop();
+      [...unvisited].forEach(other => {
+        if (areTilesAdjacent(index, other, board)) {
+          unvisited.delete(other);
+          stack.push(other);
+        }
+      });
+    }
   }
-  
-  const center = Math.floor(gridSize / 2);
-  const centerIndex = center * gridSize + center;
-  
-  // Create a cross pattern
-  return [
-    centerIndex,                // center
-    centerIndex - gridSize,     // up
-    centerIndex + 1,            // right
-    centerIndex + gridSize,     // down
-    centerIndex - 1             // left
+
+  return chunks;
+};
+
+/**
+ * Measure how symmetric a pattern is within its bounding box, taking the best
+ * of the left-right mirror, the top-bottom mirror and a half turn
+ * @param {Array} pattern - Tile indices
+ * @param {Object} board - The board
+ * @returns {number} - Share of tiles whose mirror image is also lit (0-1)
+ */
+const measureSymmetry = (pattern, board) => {
+  if (pattern.length === 0) return 0;
+
+  // Tile centres rather than rows and columns, so hex rows line up with their offset
+  const positions = pattern.map(index => getTilePosition(board, index));
+  const toKey = (x, y) => `${x.toFixed(2)},${y.toFixed(2)}`;
+  const lit = new Set(positions.map(({ x, y }) => toKey(x, y)));
+  const xSum = Math.min(...positions.map(position => position.x)) + Math.max(...positions.map(position => position.x));
+  const ySum = Math.min(...positions.map(position => position.y)) + Math.max(...positions.map(position => position.y));
+
+  const images = [
+    ({ x, y }) => toKey(xSum - x, y),
+    ({ x, y }) => toKey(x, ySum - y),
+    ({ x, y }) => toKey(xSum - x, ySum - y)
   ];
+
+  return Math.max(...images.map(image => positions.filter(position => lit.has(image(position))).length / positions.length));
+};
+
+/**
+ * Measure how far apart the tiles are, like AIPlayer._isClusteredPattern but
+ * in grid distances rather than index differences
+ * @param {Array} pattern - Tile indices
+ * @param {Object} board - The board
+ * @returns {number} - Average distance between two tiles relative to the board diagonal (0-1)
+ */
+const measureSpread = (pattern, board) => {
+  // Shifted hex rows make the board half a tile wider
+  const width = board.cols - 1 + (isHexBoard(board) && board.rows > 1 ? 0.5 : 0);
+  const diagonal = Math.hypot(width, getTilePosition(board, (board.rows - 1) * board.cols).y);
+  if (pattern.length < 2 || diagonal === 0) return 0;
+
+  const positions = pattern.map(index => getTilePosition(board, index));
+  let totalDistance = 0;
+  let pairs = 0;
+
+  for (let i = 0; i < positions.length; i++) {
+    for (let j = i + 1; j < positions.length; j++) {
+      totalDistance += Math.hypot(positions[i].x - positions[j].x, positions[i].y - positions[j].y);
+      pairs++;
+    }
+  }
+
+  return totalDistance / pairs / diagonal;
+};
+
+/**
+ * Measure how much of a pattern was lit in a recent pattern, which makes the
+ * two easy to mix up
+ * @param {Array} pattern - Tile indices
+ * @param {Array} recentPatterns - Recently played patterns
+ * @returns {number} - Largest share of the pattern found in one recent pattern (0-1)
+ */
+const measureOverlap = (pattern, recentPatterns) => {
+  if (pattern.length === 0) return 0;
+
+  return recentPatterns.reduce((largest, recent) => {
+    const shared = pattern.filter(index => recent.includes(index)).length;
+    return Math.max(largest, shared / pattern.length);
+  }, 0);
+};
+
+/**
+ * Estimate how hard a pattern is to remember. Each tile counts between 0.5
+ * (a compact, symmetric single chunk such as a line) and 1.5 (scattered,
+ * asymmetric tiles), and overlap with recent patterns adds up to half again,
+ * so the difficulty reads as a number of "effective tiles".
+ * @param {Array} pattern - Tile indices
+ * @param {number|Object} gridSize - The size of the grid, or a board
+ * @param {Object} options - Estimation options
+ * @param {Array} options.recentPatterns - Recently played patterns
+ * @param {boolean} options.ordered - Whether the pattern is played in order
+ * @returns {Object} - { difficulty, features } with the features adjacency, chunks, symmetry, spread and overlap
+ */
+export const estimatePatternDifficulty = (pattern, gridSize, options = {}) => {
+  const { recentPatterns = [], ordered = false } = options;
+  const board = toBoard(gridSize);
+
+  const features = {
+    adjacency: measureAdjacency(pattern, board, ordered),
+    chunks: countChunks(pattern, board),
+    symmetry: measureSymmetry(pattern, board),
+    spread: measureSpread(pattern, board),
+    overlap: measureOverlap(pattern, recentPatterns)
+  };
+
+  const chunkRatio = pattern.length > 1 ? (features.chunks - 1) / (pattern.length - 1) : 0;
+  const complexity =
+    COMPLEXITY_WEIGHTS.chunks * chunkRatio +
+    COMPLEXITY_WEIGHTS.spread * features.spread +
+    COMPLEXITY_WEIGHTS.adjacency * (1 - features.adjacency) +
+    COMPLEXITY_WEIGHTS.symmetry * (1 - features.symmetry);
+
+  const difficulty = pattern.length * (MIN_TILE_WEIGHT + complexity) * (1 + OVERLAP_WEIGHT * features.overlap);
+
+  return {
+    difficulty: Math.round(difficulty * 100) / 100,
+    features
+  };
+};
+
+/**
+ * Generate a pattern whose estimated difficulty is as close as possible to a
+ * target, trying different pattern types and, unless it is fixed, lengths
+ * @param {number|Object} gridSize - The size of the grid, or a board
+ * @param {number} targetDifficulty - Target difficulty (see estimatePatternDifficulty)
+ * @param {Object} options - Generation options
+ * @param {Function} options.random - Random source returning [0, 1) (defaults to Math.random)
+ * @param {number} options.patternLength - Fixed pattern length (null lets the length vary)
+ * @param {Array} options.patternTypes - Pattern types to try
+ * @param {Array} options.recentPatterns - Recently played patterns
+ * @param {boolean} options.ordered - Whether the pattern is played in order
+ * @param {number} options.attempts - Number of candidate patterns to try
+ * @param {number} options.tolerance - Difference from the target that ends the search early
+ * @returns {Object} - { pattern, shape, patternType, difficulty, features } of the closest candidate
+ */
+export const generatePatternForDifficulty = (gridSize, targetDifficulty, options = {}) => {
+  const {
+    random = Math.random,
+    patternLength = null,
+    patternTypes = ['random', 'sequential', 'shape'],
+    recentPatterns = [],
+    ordered = false,
+    attempts = 40,
+    tolerance = 0.25
+  } = options;
+  const board = toBoard(gridSize);
+  const totalTiles = board.tiles.length;
+
+  // Lengths that can reach the target without counting on overlap
+  const minLength = patternLength || Math.min(totalTiles, Math.max(1, Math.floor(targetDifficulty / MAX_TILE_WEIGHT)));
+  const maxLength = patternLength || Math.min(totalTiles, Math.max(minLength, Math.ceil(targetDifficulty / MIN_TILE_WEIGHT)));
+
+  let best = null;
+
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const length = minLength + randomInt(maxLength - minLength + 1, random);
+    const patternType = patternTypes[randomInt(patternTypes.length, random)];
+    const { pattern, shape } = generatePatternDetails(board, length, patternType, { random });
+    const estimate = estimatePatternDifficulty(pattern, board, { recentPatterns, ordered });
+    const distance = Math.abs(estimate.difficulty - targetDifficulty);
+
+    if (!best || distance < best.distance) {
+      best = { pattern, shape, patternType, ...estimate, distance };
+    }
+
+    if (distance <= tolerance) break;
+  }
+
+  const { distance, ...result } = best;
+  return result;
 };
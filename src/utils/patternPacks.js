@@ -0,0 +1,344 @@
+/**
+ * Pattern packs: hand-authored sequences of rounds in a versioned JSON format.
+ * Each round sets its board, either the exact tiles of its pattern or a
+ * generator spec, and its timings; a pack can also override parts of the
+ * scoring. Packs are validated on load, played as their own game mode and
+ * shared as .json files.
+ *
+ *   {
+ *     "version": 1,
+ *     "id": "corners",
+ *     "title": "Corners",
+ *     "rounds": [
+ *       { "gridSize": 4, "pattern": [0, 3, 12, 15], "displayTime": 1200 },
+ *       { "gridSize": 5, "generator": { "type": "random", "length": 5, "constraints": { "quadrants": true } } }
+ *     ],
+ *     "scoring": { "pointsPerTile": 15, "penalty": false }
+ *   }
+ */
+import { validateProgressionRow } from './progression';
+import { solvePatternConstraints, PatternConstraintError } from './patternConstraints';
+import { createBoard, isPlayableTile } from './board';
+import { createRandom } from './random';
+import { SCORING_RULES, registerScoringRules } from './scoreManager';
+
+// Bump when the pack format changes in a way older games can't read
+export const PATTERN_PACK_VERSION = 1;
+
+// Game mode ids of packs start with this, so they never clash with built-in modes
+export const PACK_MODE_PREFIX = 'pack:';
+
+// Editor playtests of a pack use their own mode id, so a draft's scoring never replaces the saved pack's
+export const PLAYTEST_MODE_PREFIX = 'playtest:';
+
+// Timings of rounds that don't set their own (ms)
+export const DEFAULT_ROUND_TIMINGS = {
+  displayTime: 1000,
+  retentionTime: 500,
+  inputTimeLimit: 5000
+};
+
+const DEFAULT_PACK_LIVES = 3;
+
+const GENERATOR_TYPES = ['random', 'sequential', 'shape'];
+
+// Scoring a pack can override, with a check for each value
+const SCORING_OVERRIDES = {
+  pointsPerTile: value => typeof value === 'number' && value > 0,
+  timeBonusWeight: value => typeof value === 'number' && value >= 0,
+  maxCombo: value => typeof value === 'number' && value >= 1,
+  penalty: value => typeof value === 'boolean'
+};
+
+/**
+ * Get a timing of a round, or the default if the round doesn't set it
+ * @param {Object} round - Pack round
+ * @param {string} name - Timing name (displayTime, retentionTime or inputTimeLimit)
+ * @returns {number|null} - Time in ms (null for no input limit)
+ */
+const getRoundTiming = (round, name) => {
+  return round[name] !== undefined ? round[name] : DEFAULT_ROUND_TIMINGS[name];
+};
+
+/**
+ * Turn a pack round into a progression table row
+ * @param {Object} round - Pack round
+ * @returns {Object} - Level row (see utils/progression.js)
+ */
+const roundToRow = (round) => {
+  const { gridSize, board = null, pattern = null, generator = null } = round;
+
+  return {
+    gridSize,
+    board,
+    patternLength: pattern ? pattern.length : generator.length,
+    patternType: (generator && generator.type) || 'random',
+    displayTime: getRoundTiming(round, 'displayTime'),
+    retentionTime: getRoundTiming(round, 'retentionTime'),
+    inputTimeLimit: getRoundTiming(round, 'inputTimeLimit'),
+    ...(pattern ? { pattern } : {}),
+    ...(generator && generator.constraints ? { constraints: generator.constraints } : {})
+  };
+};
+
+/**
+ * Check one round of a pack
+ * @param {Object} round - Pack round
+ * @param {string} where - Position of the round, for error messages
+ * @throws {Error} - If the round is invalid
+ */
+const validateRound = (round, where) => {
+  if (!round || typeof round !== 'object') {
+    throw new Error(`${where} must be an object`);
+  }
+
+  const { pattern, generator } = round;
+  if ((pattern === undefined || pattern === null) === (generator === undefined || generator === null)) {
+    throw new Error(`${where} needs either a pattern or a generator`);
+  }
+  if (generator) {
+    if (!GENERATOR_TYPES.includes(generator.type)) {
+      throw new Error(`${where}: generator type must be one of ${GENERATOR_TYPES.join(', ')}`);
+    }
+    if (!Number.isInteger(generator.length) || generator.length < 1) {
+      throw new Error(`${where}: generator length must be a whole number of tiles`);
+    }
+  }
+
+  const row = roundToRow(round);
+  validateProgressionRow(row, where);
+
+  // Generators are tried once, so a pack that can never be played fails on load
+  if (row.constraints) {
+    try {
+      const constraints = row.constraints.recent
+        ? { ...row.constraints, recent: { ...row.constraints.recent, patterns: [] } }
+        : row.constraints;
+      solvePatternConstraints(createBoard(row.board, row.gridSize), row.patternLength, row.patternType, constraints, {
+        random: createRandom(row.gridSize)
+      });
+    } catch (error) {
+      if (!(error instanceof PatternConstraintError)) throw error;
+      throw new Error(`${where}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Check a pattern pack
+ * @param {Object} pack - Pattern pack
+ * @returns {Object} - The pack
+ * @throws {Error} - If the pack is invalid or from a newer version of the format
+ */
+export const validatePatternPack = (pack) => {
+  if (!pack || typeof pack !== 'object') {
+    throw new Error('A pattern pack must be an object');
+  }
+
+  const { version, id, title, description, lives, rounds, scoring } = pack;
+
+  if (version !== PATTERN_PACK_VERSION) {
+    throw new Error(typeof version === 'number' && version > PATTERN_PACK_VERSION
+      ? `This pattern pack needs a newer version of the game (pack version ${version})`
+      : `version must be ${PATTERN_PACK_VERSION}`);
+  }
+  if (typeof id !== 'string' || !/^[a-z0-9_-]+$/i.test(id)) {
+    throw new Error('id must be letters, digits, dashes and underscores');
+  }
+  if (typeof title !== 'string' || title.trim() === '') {
+    throw new Error('title must be a non-empty string');
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    throw new Error('description must be a string');
+  }
+  if (lives !== undefined && lives !== null && (!Number.isInteger(lives) || lives < 1)) {
+    throw new Error('lives must be a whole number of at least 1, or null for unlimited lives');
+  }
+  if (!Array.isArray(rounds) || rounds.length === 0) {
+    throw new Error('rounds must be a non-empty list of rounds');
+  }
+  rounds.forEach((round, index) => validateRound(round, `Round ${index + 1}`));
+
+  if (scoring !== undefined) {
+    if (!scoring || typeof scoring !== 'object') {
+      throw new Error('scoring must be an object');
+    }
+    Object.entries(scoring).forEach(([name, value]) => {
+      const isValid = SCORING_OVERRIDES[name];
+      if (!isValid) {
+        throw new Error(`Unknown scoring override "${name}"`);
+      }
+      if (!isValid(value)) {
+        throw new Error(`scoring.${name} has an invalid value`);
+      }
+    });
+  }
+
+  return pack;
+};
+
+/**
+ * Find what makes a round unplayable or unfair, for the level editor. Unlike
+ * validatePatternPack this doesn't throw, so a round can be checked on every
+ * edit and all of its problems listed at once.
+ * @param {Object} round - Pack round, possibly unfinished
+ * @returns {Array} - Warning messages (empty when the round looks playable)
+ */
+export const getRoundWarnings = (round) => {
+  let board;
+  try {
+    board = createBoard(round.board || null, round.gridSize);
+  } catch (error) {
+    return [error.message];
+  }
+
+  const warnings = [];
+  const tileCount = board.tiles.length;
+  const length = round.pattern ? round.pattern.length : (round.generator ? round.generator.length : 0);
+
+  if (!length) {
+    warnings.push('The pattern has no tiles');
+  } else if (length > tileCount) {
+    warnings.push(`The pattern has ${length} tiles but the board only has ${tileCount}`);
+  }
+
+  const offBoard = (round.pattern || []).filter(index => !isPlayableTile(board, index));
+  if (offBoard.length > 0) {
+    warnings.push(`Pattern tiles ${offBoard.join(', ')} are not on the board`);
+  }
+
+  const displayTime = getRoundTiming(round, 'displayTime');
+  const inputTimeLimit = getRoundTiming(round, 'inputTimeLimit');
+  if (inputTimeLimit !== null && inputTimeLimit < displayTime) {
+    warnings.push(`The input window (${inputTimeLimit} ms) is shorter than the flash (${displayTime} ms)`);
+  }
+
+  return warnings;
+};
+
+/**
+ * Parse a pattern pack from JSON, e.g. an imported file
+ * @param {string} json - Pack as JSON
+ * @returns {Object} - The pack
+ * @throws {Error} - If the JSON or the pack is invalid
+ */
+export const parsePatternPack = (json) => {
+  let pack;
+  try {
+    pack = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`The pattern pack is not valid JSON: ${error.message}`);
+  }
+
+  return validatePatternPack(pack);
+};
+
+/**
+ * Turn a pattern pack into JSON for sharing
+ * @param {Object} pack - Pattern pack
+ * @returns {string} - Pack as indented JSON
+ */
+export const serializePatternPack = (pack) => {
+  return JSON.stringify(pack, null, 2);
+};
+
+/**
+ * Get the level rows a pack is played with, one level per round
+ * @param {Object} pack - Pattern pack
+ * @returns {Array} - Level rows for createTableProgression
+ */
+export const getPackLevels = (pack) => {
+  return pack.rounds.map(roundToRow);
+};
+
+/**
+ * Get the game mode id of a pack
+ * @param {string} packId - Pack id
+ * @returns {string} - Game mode id
+ */
+export const getPackModeId = (packId) => `${PACK_MODE_PREFIX}${packId}`;
+
+/**
+ * Make an id for a new pack from its title, numbered so it doesn't replace a stored pack
+ * @param {string} title - Pack title
+ * @param {Array} takenIds - Ids of the stored packs
+ * @returns {string} - Pack id, e.g. "corner-drills" or "corner-drills-2"
+ */
+export const createPackId = (title, takenIds = []) => {
+  const base = title.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'pack';
+
+  let id = base;
+  for (let number = 2; takenIds.includes(id); number++) {
+    id = `${base}-${number}`;
+  }
+  return id;
+};
+
+/**
+ * Check whether a game mode id belongs to a pack
+ * @param {string} modeId - Game mode id
+ * @returns {boolean} - Whether the mode plays a pattern pack
+ */
+export const isPackModeId = (modeId) => {
+  return typeof modeId === 'string' && modeId.startsWith(PACK_MODE_PREFIX);
+};
+
+/**
+ * Build the scoring rules of a pack from the standard rules and its overrides.
+ * Like the standard rules they level up on every correct round, so each
+ * round of the pack is one level.
+ * @param {Object} pack - Pattern pack
+ * @param {string} modeId - Mode id to give the rules (the pack's mode id by default)
+ * @returns {Object} - Scoring rules (see SCORING_RULES)
+ */
+export const createPackScoringRules = (pack, modeId = getPackModeId(pack.id)) => {
+  const { pointsPerTile, timeBonusWeight, maxCombo, penalty } = pack.scoring || {};
+  const rules = { id: modeId };
+
+  if (pointsPerTile !== undefined) {
+    rules.basePoints = (gridSize, patternLength) => Math.pow(gridSize, 2) * patternLength * pointsPerTile;
+  }
+  if (timeBonusWeight !== undefined) {
+    rules.timeBonusWeight = timeBonusWeight;
+  }
+  if (maxCombo !== undefined) {
+    rules.comboMultiplier = (consecutiveCorrect) => Math.min(SCORING_RULES.standard.comboMultiplier(consecutiveCorrect), maxCombo);
+  }
+  if (penalty === false) {
+    rules.penalty = (score) => score;
+  }
+
+  return { ...SCORING_RULES.standard, ...rules };
+};
+
+/**
+ * Create the game mode that plays a pack, and register its scoring rules
+ * @param {Object} pack - Validated pattern pack
+ * @param {Object} options - Mode options
+ * @param {boolean} options.playtest - Whether the mode is an editor playtest of a draft, which
+ *   gets a playtest mode id (see PLAYTEST_MODE_PREFIX) and scoring rules of its own
+ * @returns {Object} - Game mode definition (see GAME_MODES), with the pack and
+ *   maxLevel set to the number of rounds
+ */
+export const createPackMode = (pack, { playtest = false } = {}) => {
+  const [first] = getPackLevels(pack);
+  const id = playtest ? `${PLAYTEST_MODE_PREFIX}${pack.id || 'new'}` : getPackModeId(pack.id);
+  registerScoringRules(createPackScoringRules(pack, id));
+
+  return {
+    id,
+    name: pack.title,
+    description: pack.description || `${pack.rounds.length} hand-made rounds.`,
+    initialGridSize: first.gridSize,
+    initialPatternLength: first.patternLength,
+    countdownSeconds: 3,
+    patternDisplayTime: first.displayTime,
+    retentionTime: first.retentionTime,
+    inputTimeLimit: first.inputTimeLimit,
+    timeLimit: null,
+    lives: pack.lives === null ? Infinity : (pack.lives || DEFAULT_PACK_LIVES),
+    board: first.board,
+    maxLevel: pack.rounds.length,
+    pack
+  };
+};
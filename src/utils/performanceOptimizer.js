@@ -21,10 +21,20 @@ let animationFrameId = null;
 // Callbacks for performance mode changes
 const modeChangeCallbacks = [];
 
+// Callbacks for page visibility changes
+const visibilityChangeCallbacks = [];
+
+// Whether performance monitoring was initialized
+let monitoringEnabled = false;
+
+// Whether the visibilitychange listener is registered
+let listeningForVisibility = false;
+
 /**
  * Initialize performance monitoring
  */
 export const initPerformanceMonitoring = () => {
+  monitoringEnabled = true;
   metrics.startTime = performance.now();
   metrics.lastUpdate = metrics.startTime;
   metrics.frameCount = 0;
@@ -36,7 +46,7 @@ export const initPerformanceMonitoring = () => {
   detectDeviceCapabilities();
   
   // Add event listeners for visibility changes
-  document.addEventListener('visibilitychange', handleVisibilityChange);
+  listenForVisibilityChanges();
   
   // Add event listener for online/offline status
   window.addEventListener('online', handleOnlineStatusChange);
@@ -142,10 +152,23 @@ const handleVisibilityChange = () => {
     }
   } else {
     // Page is visible again, resume operations
-    if (!animationFrameId) {
+    if (monitoringEnabled && !animationFrameId) {
       monitorPerformance();
     }
   }
+
+  visibilityChangeCallbacks.forEach(callback => callback(document.hidden));
+};
+
+/**
+ * Register the visibilitychange listener once
+ * @private
+ */
+const listenForVisibilityChanges = () => {
+  if (!listeningForVisibility) {
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    listeningForVisibility = true;
+  }
 };
 
 /**
@@ -217,6 +240,29 @@ export const offPerformanceModeChange = (callback) => {
   }
 };
 
+/**
+ * Register a callback for page visibility changes, e.g. to pause the game
+ * when the player switches tabs. Works without performance monitoring.
+ * @param {Function} callback - Callback receiving whether the page is hidden
+ */
+export const onVisibilityChange = (callback) => {
+  if (typeof callback === 'function' && !visibilityChangeCallbacks.includes(callback)) {
+    visibilityChangeCallbacks.push(callback);
+    listenForVisibilityChanges();
+  }
+};
+
+/**
+ * Unregister a callback for page visibility changes
+ * @param {Function} callback - Callback function to remove
+ */
+export const offVisibilityChange = (callback) => {
+  const index = visibilityChangeCallbacks.indexOf(callback);
+  if (index !== -1) {
+    visibilityChangeCallbacks.splice(index, 1);
+  }
+};
+
 /**
  * Optimize an image for the current performance mode
  * @param {string} url - Image URL
@@ -278,7 +324,13 @@ export const cleanupPerformanceMonitoring = () => {
     animationFrameId = null;
   }
   
-  document.removeEventListener('visibilitychange', handleVisibilityChange);
+  monitoringEnabled = false;
+
+  // Keep listening while the game still relies on visibility changes
+  if (visibilityChangeCallbacks.length === 0) {
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    listeningForVisibility = false;
+  }
   window.removeEventListener('online', handleOnlineStatusChange);
   window.removeEventListener('offline', handleOnlineStatusChange);
   
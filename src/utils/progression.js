@@ -0,0 +1,203 @@
+/**
+ * Declarative level progressions. A progression table is JSON with one row per
+ * level; each row sets the grid size, pattern length, pattern type, flash time
+ * and input time of that level. Levels past the last row repeat the last row.
+ * A row can also fix the exact tiles of its pattern, or constraints for it.
+ */
+import { calculateRetentionTime } from './scoreManager';
+import { createBoard, isPlayableTile } from './board';
+import easyTable from '../data/progressions/easy.json';
+import normalTable from '../data/progressions/normal.json';
+import hardTable from '../data/progressions/hard.json';
+
+// Difficulty presets offered in the settings
+export const DIFFICULTY_PRESETS = {
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard',
+  CUSTOM: 'custom'
+};
+
+// Built-in tables by difficulty preset
+export const PROGRESSION_TABLES = {
+  [DIFFICULTY_PRESETS.EASY]: easyTable,
+  [DIFFICULTY_PRESETS.NORMAL]: normalTable,
+  [DIFFICULTY_PRESETS.HARD]: hardTable
+};
+
+const PATTERN_TYPES = ['random', 'sequential', 'shape'];
+const MIN_GRID_SIZE = 2;
+const MAX_GRID_SIZE = 10;
+
+/**
+ * Check one row of a progression table
+ * @param {Object} row - Level row
+ * @param {string} where - Position of the row, for error messages
+ * @throws {Error} - If the row is invalid
+ */
+export const validateProgressionRow = (row, where) => {
+  if (!row || typeof row !== 'object') {
+    throw new Error(`${where} must be an object`);
+  }
+
+  const { gridSize, board, patternLength, patternType, displayTime, inputTimeLimit, retentionTime, targetDifficulty, pattern, constraints } = row;
+
+  if (!Number.isInteger(gridSize) || gridSize < MIN_GRID_SIZE || gridSize > MAX_GRID_SIZE) {
+    throw new Error(`${where}: gridSize must be a whole number from ${MIN_GRID_SIZE} to ${MAX_GRID_SIZE}`);
+  }
+  let levelBoard;
+  try {
+    levelBoard = createBoard(board === undefined ? null : board, gridSize);
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+  const tileCount = levelBoard.tiles.length;
+  if (!Number.isInteger(patternLength) || patternLength < 1 || patternLength > tileCount) {
+    throw new Error(`${where}: patternLength must be a whole number from 1 to the number of tiles`);
+  }
+  if (!PATTERN_TYPES.includes(patternType)) {
+    throw new Error(`${where}: patternType must be one of ${PATTERN_TYPES.join(', ')}`);
+  }
+  if (typeof displayTime !== 'number' || displayTime <= 0) {
+    throw new Error(`${where}: displayTime must be a positive number of ms`);
+  }
+  if (inputTimeLimit !== null && (typeof inputTimeLimit !== 'number' || inputTimeLimit <= 0)) {
+    throw new Error(`${where}: inputTimeLimit must be a positive number of ms or null`);
+  }
+  if (retentionTime !== undefined && (typeof retentionTime !== 'number' || retentionTime < 0)) {
+    throw new Error(`${where}: retentionTime must be a number of ms`);
+  }
+  if (targetDifficulty !== undefined && targetDifficulty !== null && (typeof targetDifficulty !== 'number' || targetDifficulty <= 0)) {
+    throw new Error(`${where}: targetDifficulty must be a positive number or null`);
+  }
+  if (pattern !== undefined && pattern !== null) {
+    if (!Array.isArray(pattern) || pattern.length !== patternLength || new Set(pattern).size !== pattern.length) {
+      throw new Error(`${where}: pattern must be a list of patternLength different tiles`);
+    }
+    const offBoard = pattern.find(index => !isPlayableTile(levelBoard, index));
+    if (offBoard !== undefined) {
+      throw new Error(`${where}: pattern tile ${offBoard} is not on the board`);
+    }
+  }
+  if (constraints !== undefined && constraints !== null && (typeof constraints !== 'object' || Array.isArray(constraints))) {
+    throw new Error(`${where}: constraints must be an object (see utils/patternConstraints.js)`);
+  }
+};
+
+/**
+ * Check the level rows of a table
+ * @param {Array} levels - Level rows
+ * @param {string} name - Name of the rows, for error messages
+ * @throws {Error} - If the rows are invalid
+ */
+const validateLevels = (levels, name) => {
+  if (!Array.isArray(levels) || levels.length === 0) {
+    throw new Error(`${name} must be a non-empty list of level rows`);
+  }
+
+  levels.forEach((row, index) => validateProgressionRow(row, `${name} level ${index + 1}`));
+};
+
+/**
+ * Check a progression table
+ * @param {Object} table - Progression table with levels and optional per-mode levels
+ * @returns {Object} - The table
+ * @throws {Error} - If the table is invalid
+ */
+export const validateProgressionTable = (table) => {
+  if (!table || typeof table !== 'object') {
+    throw new Error('A progression table must be an object');
+  }
+
+  validateLevels(table.levels, 'levels');
+
+  Object.entries(table.modes || {}).forEach(([modeId, levels]) => {
+    validateLevels(levels, `modes.${modeId}`);
+  });
+
+  return table;
+};
+
+/**
+ * Parse a progression table from JSON, e.g. a custom table from the settings
+ * @param {string} json - Table as JSON
+ * @returns {Object} - The table
+ * @throws {Error} - If the JSON or the table is invalid
+ */
+export const parseProgressionTable = (json) => {
+  let table;
+  try {
+    table = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`The progression table is not valid JSON: ${error.message}`);
+  }
+
+  return validateProgressionTable(table);
+};
+
+/**
+ * Get the level rows for a game mode and difficulty preset
+ * @param {string} modeId - Game mode id
+ * @param {string} difficulty - Difficulty preset (see DIFFICULTY_PRESETS)
+ * @param {Object} customTable - Table used for the custom preset
+ * @returns {Array} - Level rows, from the mode's own rows if the table has them
+ */
+export const getProgressionTable = (modeId, difficulty, customTable = null) => {
+  let table = PROGRESSION_TABLES[difficulty];
+
+  if (difficulty === DIFFICULTY_PRESETS.CUSTOM && customTable) {
+    try {
+      table = validateProgressionTable(customTable);
+    } catch (error) {
+      console.warn('Ignoring invalid custom progression table:', error.message);
+    }
+  }
+
+  // Unknown presets, or custom without a valid table, play the normal progression
+  if (!table) {
+    table = PROGRESSION_TABLES[DIFFICULTY_PRESETS.NORMAL];
+  }
+
+  return (table.modes && table.modes[modeId]) || table.levels;
+};
+
+/**
+ * Get the row for a level
+ * @param {Array} levels - Level rows
+ * @param {number} level - Level (1-based)
+ * @returns {Object} - Row of the level, or the last row past the end of the table
+ */
+export const getProgressionRow = (levels, level) => {
+  return levels[Math.min(Math.max(level, 1), levels.length) - 1];
+};
+
+/**
+ * Create an engine progression that advances through a table. Rows without a
+ * retention time scale the mode's retention time with the level; rows with a
+ * target difficulty generate patterns for it instead of for the pattern length,
+ * rows with a board spec (see utils/board.js) play on that board, and rows with
+ * a pattern play exactly those tiles.
+ * @param {Array} levels - Level rows
+ * @returns {Function} - (level, state, config) => round parameters
+ */
+export const createTableProgression = (levels) => {
+  return (level, state = {}, config = {}) => {
+    const {
+      gridSize, board, patternLength, patternType, displayTime, inputTimeLimit, retentionTime,
+      targetDifficulty = null, pattern = null, constraints = null
+    } = getProgressionRow(levels, level);
+
+    return {
+      gridSize,
+      board,
+      patternLength,
+      patternType,
+      targetDifficulty,
+      displayTime,
+      inputTimeLimit,
+      retentionTime: retentionTime !== undefined ? retentionTime : calculateRetentionTime(level, config.retentionTime),
+      ...(pattern ? { patternTiles: pattern } : {}),
+      ...(constraints ? { patternConstraints: constraints } : {})
+    };
+  };
+};
@@ -0,0 +1,86 @@
+/**
+ * Seedable random number utilities, so that a game started with the same seed
+ * produces the same patterns and AI behaviour
+ */
+
+/**
+ * Hash a seed value into an unsigned 32-bit integer
+ * @param {number|string} seed - Numeric or string seed
+ * @returns {number} - 32-bit seed
+ */
+export const hashSeed = (seed) => {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+
+  // FNV-1a hash for string seeds
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Generate a new random seed
+ * @returns {number} - 32-bit seed
+ */
+export const generateSeed = () => {
+  return Math.floor(Math.random() * 0x100000000);
+};
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number|string} seed - Numeric or string seed
+ * @returns {Function} - Function returning a float in [0, 1), like Math.random
+ */
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Pick a random integer in [0, max)
+ * @param {number} max - Exclusive upper bound
+ * @param {Function} random - Random source (defaults to Math.random)
+ * @returns {number} - Random integer
+ */
+export const randomInt = (max, random = Math.random) => {
+  return Math.floor(random() * max);
+};
+
+/**
+ * Shuffle an array in place using the Fisher-Yates algorithm
+ * @param {Array} array - Array to shuffle
+ * @param {Function} random - Random source (defaults to Math.random)
+ * @returns {Array} - The shuffled array
+ */
+export const shuffle = (array, random = Math.random) => {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1, random);
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+};
+
+/**
+ * Parse a user-supplied seed, e.g. from a URL parameter or bug report
+ * @param {string|number|null} value - Seed value
+ * @returns {number|null} - 32-bit seed, or null if no seed was given
+ */
+export const parseSeed = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  return /^\d+$/.test(String(value)) ? hashSeed(Number(value)) : hashSeed(value);
+};
@@ -0,0 +1,205 @@
+/**
+ * Game recording and replay utilities. A recorder listens to a GameEngine and
+ * keeps a timestamped log of everything that happens in a game, which can be
+ * stored and played back frame by frame.
+ */
+import { GAME_EVENTS } from './gameEngine';
+import { generateSeed } from './random';
+
+// Bump when the replay format changes in a way older viewers can't play
+export const REPLAY_VERSION = 1;
+
+// Replay event types
+export const REPLAY_EVENTS = {
+  STATE: 'state',
+  ROUND_START: 'roundStart',
+  ROUND_SUCCESS: 'roundSuccess',
+  ROUND_FAILURE: 'roundFailure',
+  GAME_OVER: 'gameOver'
+};
+
+// Engine state fields kept in a replay (tile clicks arrive as selection changes)
+const RECORDED_FIELDS = [
+  'gameState',
+  'paused',
+  'level',
+  'round',
+  'score',
+  'remainingLives',
+  'comboMultiplier',
+  'gridSize',
+  'board',
+  'pattern',
+  'transform',
+  'expectedPattern',
+  'distractorTiles',
+  'patternColors',
+  'patternShape',
+  'playbackStep',
+  'selections',
+  'selectionColors',
+  'countdown',
+  'inputTimeLimit',
+  'inputTimeRemaining',
+  'remainingTime'
+];
+
+// Engine settings kept in a replay so it can be displayed and audited
+const RECORDED_CONFIG = [
+  'gridSize',
+  'board',
+  'patternLength',
+  'displayTime',
+  'retentionTime',
+  'countdownSeconds',
+  'showPatternDuringCountdown',
+  'ordered',
+  'colors',
+  'distractors',
+  'transforms',
+  'stepGap',
+  'inputTimeLimit',
+  'timeLimit',
+  'lives',
+  'partialCredit'
+];
+
+/**
+ * Pick the given keys from an object
+ * @param {Object} source - Source object
+ * @param {Array} keys - Keys to pick
+ * @returns {Object} - Object with only the picked keys
+ */
+const pick = (source, keys) => {
+  return keys.reduce((result, key) => {
+    result[key] = source[key];
+    return result;
+  }, {});
+};
+
+/**
+ * Start recording a game. Create the recorder right before starting the
+ * engine, so that time 0 is the start of the game.
+ * @param {GameEngine} engine - Engine to record
+ * @param {Object} metadata - Extra information stored with the replay (player, mode, ...)
+ * @returns {Object} - Recorder with getReplay() and finish(result)
+ */
+export const createReplayRecorder = (engine, metadata = {}) => {
+  const now = engine.config.now;
+  const startTime = now();
+  const startedAt = new Date().toISOString();
+  const id = `replay_${Date.now().toString(36)}_${generateSeed().toString(36)}`;
+  const events = [];
+  let previous = null;
+  let result = null;
+
+  const record = (type, data) => {
+    events.push({ t: now() - startTime, type, ...data });
+  };
+
+  // Only the fields that changed are stored for each state update
+  const handleChange = (state) => {
+    const changes = {};
+    RECORDED_FIELDS.forEach(field => {
+      if (!previous || previous[field] !== state[field]) {
+        changes[field] = state[field];
+      }
+    });
+    previous = state;
+
+    if (Object.keys(changes).length > 0) {
+      record(REPLAY_EVENTS.STATE, { changes });
+    }
+  };
+
+  const unsubscribers = [
+    engine.on(GAME_EVENTS.CHANGE, handleChange),
+    engine.on(GAME_EVENTS.ROUND_START, ({ round, level, pattern, transform, distractors, colors, shape, retry }) => {
+      record(REPLAY_EVENTS.ROUND_START, { round, level, pattern, transform, distractors, colors, shape, retry });
+    }),
+    engine.on(GAME_EVENTS.ROUND_SUCCESS, ({ round, level, score, roundScore, responseTime, grade }) => {
+      record(REPLAY_EVENTS.ROUND_SUCCESS, { round, level, score, roundScore, responseTime, grade });
+    }),
+    engine.on(GAME_EVENTS.ROUND_FAILURE, ({ round, level, score, roundScore, reason, selections, grade }) => {
+      record(REPLAY_EVENTS.ROUND_FAILURE, { round, level, score, roundScore, reason, selections, grade });
+    })
+  ];
+
+  const stop = () => {
+    unsubscribers.splice(0).forEach(unsubscribe => unsubscribe());
+  };
+
+  const getReplay = () => {
+    const lastEvent = events[events.length - 1];
+
+    return {
+      version: REPLAY_VERSION,
+      id,
+      startedAt,
+      seed: engine.getState().seed,
+      config: pick(engine.config, RECORDED_CONFIG),
+      metadata: { ...metadata },
+      result,
+      duration: lastEvent ? lastEvent.t : 0,
+      events: [...events]
+    };
+  };
+
+  return {
+    getReplay,
+
+    /**
+     * Stop recording at the end of the game
+     * @param {Object} gameResult - GAME_OVER payload from the engine
+     * @returns {Object} - The finished replay
+     */
+    finish: (gameResult) => {
+      if (!result && gameResult) {
+        const { score, level, round, reason } = gameResult;
+        result = { score, level, round, reason };
+        record(REPLAY_EVENTS.GAME_OVER, result);
+      }
+      stop();
+      return getReplay();
+    },
+
+    stop
+  };
+};
+
+/**
+ * Check whether a replay can be played by this version of the game
+ * @param {Object} replay - Replay object
+ * @returns {boolean} - Whether the replay is supported
+ */
+export const isReplaySupported = (replay) => {
+  return Boolean(replay) && replay.version === REPLAY_VERSION && Array.isArray(replay.events);
+};
+
+/**
+ * Rebuild what the game looked like at a point in a replay
+ * @param {Object} replay - Replay object
+ * @param {number} time - Time in ms from the start of the replay
+ * @returns {Object} - Frame with the game state and the latest game event at that time
+ */
+export const getReplayFrame = (replay, time) => {
+  const state = {
+    gameState: 'idle',
+    pattern: [],
+    selections: [],
+    gridSize: replay.config.gridSize
+  };
+  let lastEvent = null;
+
+  for (const event of replay.events) {
+    if (event.t > time) break;
+
+    if (event.type === REPLAY_EVENTS.STATE) {
+      Object.assign(state, event.changes);
+    } else {
+      lastEvent = event;
+    }
+  }
+
+  return { time, state, lastEvent };
+};
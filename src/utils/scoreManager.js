@@ -48,6 +48,35 @@ export const calculateComboMultiplier = (consecutiveCorrect) => {
   return multiplier;
 };
 
+// Share of a tile's partial credit that depends on its color in color patterns
+const COLOR_CREDIT_SHARE = 0.5;
+
+/**
+ * Calculate the points for a partly correct pattern, in modes that give partial credit
+ * @param {number} gridSize - Size of the grid
+ * @param {number} patternLength - Number of tiles in the pattern
+ * @param {number} accuracy - Round accuracy from gradeRound (0-1)
+ * @param {Object} rules - Scoring rules of the mode (see SCORING_RULES)
+ * @param {number} colorAccuracy - Share of the right tiles that also had the right color (1 without colors)
+ * @returns {number} - Share of the base points, without time bonus or combo
+ */
+export const calculatePartialScore = (gridSize, patternLength, accuracy, rules = SCORING_RULES.standard, colorAccuracy = 1) => {
+  const clamp = (value) => Math.max(0, Math.min(1, value));
+  // A tile in the right place with the wrong color keeps its position credit
+  const colorFactor = 1 - COLOR_CREDIT_SHARE * (1 - clamp(colorAccuracy));
+
+  return Math.round(rules.basePoints(gridSize, patternLength) * clamp(accuracy) * colorFactor);
+};
+
+/**
+ * Calculate the bonus for remembering the colors of a color pattern
+ * @param {number} colorCount - Number of colors in play (0 without colors)
+ * @returns {number} - Share of the base points added, 0.25 per color beyond the first
+ */
+export const calculateColorBonus = (colorCount) => {
+  return colorCount > 1 ? (colorCount - 1) * 0.25 : 0;
+};
+
 /**
  * Calculate penalty for incorrect pattern
  * @param {number} currentScore - Current score
@@ -107,10 +136,218 @@ export const calculatePatternLength = (level, gridSize) => {
 /**
  * Calculate appropriate pattern display time based on level
  * @param {number} level - Current level
+ * @param {number} baseTime - Display time at level 1 in milliseconds
  * @returns {number} - Pattern display time in milliseconds
  */
-export const calculatePatternDisplayTime = (level) => {
-  // Start with 1000ms, decrease by 50ms per level, minimum 300ms
-  const time = 1000 - ((level - 1) * 50);
-  return Math.max(time, 300);
+export const calculatePatternDisplayTime = (level, baseTime = 1000) => {
+  // Start with the base time, decrease by 50ms per level, minimum 300ms
+  const time = baseTime - ((level - 1) * 50);
+  return Math.max(time, Math.min(baseTime, 300));
+};
+
+/**
+ * Calculate the blank retention interval between the pattern and the input
+ * @param {number} level - Current level
+ * @param {number} baseTime - Retention interval at level 1 in milliseconds
+ * @returns {number} - Retention interval in milliseconds
+ */
+export const calculateRetentionTime = (level, baseTime = 0) => {
+  // Grow by 10% of the base time per level, up to twice the base time
+  const time = baseTime * (1 + (level - 1) * 0.1);
+  return Math.round(Math.min(time, baseTime * 2));
+};
+
+/**
+ * Calculate the time allowed to reproduce the pattern
+ * @param {number} level - Current level
+ * @param {number|null} baseTime - Input time limit at level 1 in milliseconds (null for no limit)
+ * @returns {number|null} - Input time limit in milliseconds, or null for no limit
+ */
+export const calculateInputTimeLimit = (level, baseTime = 5000) => {
+  if (!baseTime) return null;
+
+  // Longer patterns at higher levels need more time: 250ms more per level, up to twice the base time
+  const time = baseTime + ((level - 1) * 250);
+  return Math.min(time, baseTime * 2);
+};
+
+/**
+ * Calculate the timeline of a round: get-ready countdown, pattern flash,
+ * blank retention interval and input window
+ * @param {number} level - Current level
+ * @param {Object} timeline - Timeline at level 1
+ * @param {number} timeline.countdownSeconds - Get-ready countdown in seconds
+ * @param {number} timeline.displayTime - Pattern flash duration in milliseconds
+ * @param {number} timeline.retentionTime - Blank retention interval in milliseconds
+ * @param {number|null} timeline.inputTimeLimit - Input window in milliseconds (null for no limit)
+ * @returns {Object} - Timeline for the level
+ */
+export const calculateRoundTimeline = (level, timeline) => {
+  const { countdownSeconds = 3, displayTime = 1000, retentionTime = 0, inputTimeLimit = null } = timeline;
+
+  return {
+    // The get-ready countdown doesn't change with the level
+    countdownSeconds,
+    displayTime: calculatePatternDisplayTime(level, displayTime),
+    retentionTime: calculateRetentionTime(level, retentionTime),
+    inputTimeLimit: calculateInputTimeLimit(level, inputTimeLimit)
+  };
+};
+
+/**
+ * Level up after every correct pattern
+ * @returns {boolean} - Always true
+ */
+const levelUpEverySuccess = () => true;
+
+/**
+ * Scoring rules per game mode. Each rule set defines:
+ * - basePoints(gridSize, patternLength): points for a correct pattern
+ * - timeBonus(responseTime, maxTime): time bonus curve (0-1)
+ * - timeBonusWeight: share of the base points the full time bonus is worth
+ * - colorBonus(colorCount): share of the base points added for the colors of a color pattern
+ * - comboMultiplier(consecutiveCorrect): combo curve
+ * - penalty(score): score after a failed pattern
+ * - levelUp({ level, score, consecutiveCorrect }): whether a correct pattern raises the level
+ */
+export const SCORING_RULES = {
+  standard: {
+    id: 'standard',
+    basePoints: (gridSize, patternLength) => Math.pow(gridSize, 2) * patternLength * 10,
+    timeBonus: calculateTimeBonus,
+    timeBonusWeight: 0.5,
+    colorBonus: calculateColorBonus,
+    comboMultiplier: calculateComboMultiplier,
+    penalty: calculatePenalty,
+    levelUp: levelUpEverySuccess
+  },
+  practice: {
+    id: 'practice',
+    basePoints: (gridSize, patternLength) => Math.pow(gridSize, 2) * patternLength * 10,
+    timeBonus: calculateTimeBonus,
+    timeBonusWeight: 0.5,
+    colorBonus: calculateColorBonus,
+    comboMultiplier: calculateComboMultiplier,
+    // No pressure: mistakes cost nothing
+    penalty: (score) => score,
+    levelUp: levelUpEverySuccess
+  },
+  time_attack: {
+    id: 'time_attack',
+    basePoints: (gridSize, patternLength) => Math.pow(gridSize, 2) * patternLength * 10,
+    // Speed is what counts: a quick answer can double the points, and
+    // mistakes already cost time, so there is no penalty
+    timeBonus: (responseTime, maxTime) => Math.pow(calculateTimeBonus(responseTime, maxTime), 0.5),
+    timeBonusWeight: 1,
+    colorBonus: calculateColorBonus,
+    comboMultiplier: calculateComboMultiplier,
+    penalty: (score) => score,
+    levelUp: levelUpEverySuccess
+  },
+  endless: {
+    id: 'endless',
+    basePoints: (gridSize, patternLength) => Math.pow(gridSize, 2) * patternLength * 10,
+    timeBonus: calculateTimeBonus,
+    timeBonusWeight: 0.5,
+    colorBonus: calculateColorBonus,
+    // Long streaks are the point of the mode, so the combo goes up to x3
+    comboMultiplier: (consecutiveCorrect) => 1 + Math.min(consecutiveCorrect, 20) * 0.1,
+    penalty: calculatePenalty,
+    levelUp: levelUpEverySuccess
+  },
+  sequence: {
+    id: 'sequence',
+    // The order has to be remembered too, so every tile is worth more
+    basePoints: (gridSize, patternLength) => Math.pow(gridSize, 2) * patternLength * 15,
+    timeBonus: calculateTimeBonus,
+    timeBonusWeight: 0.5,
+    colorBonus: calculateColorBonus,
+    comboMultiplier: calculateComboMultiplier,
+    penalty: calculatePenalty,
+    levelUp: levelUpEverySuccess
+  }
+};
+
+/**
+ * Add or replace the scoring rules of a game mode. Missing parts are taken
+ * from the standard rules.
+ * @param {Object} rules - Scoring rules with an id (see SCORING_RULES)
+ * @returns {Object} - The registered rules
+ */
+export const registerScoringRules = (rules) => {
+  if (!rules || !rules.id) {
+    throw new Error('Scoring rules need an id');
+  }
+
+  SCORING_RULES[rules.id] = { ...SCORING_RULES.standard, ...rules };
+  return SCORING_RULES[rules.id];
+};
+
+/**
+ * Get the scoring rules of a game mode
+ * @param {string} modeId - Game mode id
+ * @returns {Object} - Scoring rules, the standard rules for modes without their own
+ */
+export const getScoringRules = (modeId) => {
+  return SCORING_RULES[modeId] || SCORING_RULES.standard;
+};
+
+/**
+ * Score a correct pattern and explain how the points were calculated
+ * @param {Object} rules - Scoring rules (see SCORING_RULES)
+ * @param {Object} round - Round result
+ * @param {number} round.gridSize - Size of the grid (see getEquivalentGridSize for other boards)
+ * @param {number} round.patternLength - Number of tiles in the pattern
+ * @param {number} round.responseTime - Time taken to respond in milliseconds
+ * @param {number} round.maxTime - Time the response time is measured against in milliseconds
+ * @param {number} round.consecutiveCorrect - Consecutive correct patterns, including this one
+ * @param {number} round.colors - Number of colors in a color pattern (0 without colors)
+ * @returns {Object} - Breakdown with basePoints, timeBonus, timeBonusPoints, colorPoints, comboMultiplier, comboPoints and total
+ */
+export const scoreRound = (rules, round) => {
+  const { gridSize, patternLength, responseTime, maxTime, consecutiveCorrect = 0, colors = 0 } = round;
+
+  // Boards that aren't square are scored with a fractional grid size
+  const basePoints = Math.round(rules.basePoints(gridSize, patternLength));
+  const timeBonus = rules.timeBonus(responseTime, maxTime);
+  const timeBonusPoints = Math.round(basePoints * timeBonus * rules.timeBonusWeight);
+  const colorPoints = Math.round(basePoints * rules.colorBonus(colors));
+  const comboMultiplier = rules.comboMultiplier(consecutiveCorrect);
+  const total = Math.round((basePoints + timeBonusPoints + colorPoints) * comboMultiplier);
+
+  return {
+    basePoints,
+    timeBonus,
+    timeBonusPoints,
+    colorPoints,
+    comboMultiplier,
+    comboPoints: total - basePoints - timeBonusPoints - colorPoints,
+    total
+  };
+};
+
+/**
+ * Describe how the points of a round were calculated
+ * @param {Object} breakdown - Breakdown from scoreRound
+ * @returns {string} - Calculation, e.g. "(270 base + 54 time bonus) × 1.1 combo = 356"
+ */
+export const describeScoreBreakdown = (breakdown) => {
+  const { basePoints, timeBonusPoints, colorPoints = 0, comboMultiplier, total } = breakdown;
+
+  const terms = [`${basePoints} base`];
+  if (timeBonusPoints > 0) {
+    terms.push(`${timeBonusPoints} time bonus`);
+  }
+  if (colorPoints > 0) {
+    terms.push(`${colorPoints} color bonus`);
+  }
+
+  let description = terms.join(' + ');
+  // The combo multiplies the whole sum, so the sum goes in brackets
+  if (comboMultiplier > 1) {
+    description = terms.length > 1 ? `(${description})` : description;
+    description += ` × ${comboMultiplier.toFixed(1)} combo`;
+  }
+
+  return `${description} = ${total}`;
 };
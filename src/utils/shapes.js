@@ -0,0 +1,396 @@
+/**
+ * Library of named shapes for shape patterns. Shapes are drawn as rows of
+ * '#' (lit) and '.' (dark) and can be rotated, reflected and moved anywhere
+ * on a board they fit on, without covering its holes. Hex boards have their
+ * own shapes, listed as axial coordinates and rotated in sixths of a turn.
+ */
+import { randomInt } from './random';
+import { toBoard, isPlayableTile, isHexBoard, getTileIndex } from './board';
+
+/**
+ * Shape definitions. Shapes with `build` depend on the grid size; letters and
+ * digits keep their orientation so they stay readable.
+ */
+export const SHAPES = [
+  { id: 'line', name: 'Line', category: 'shape', build: (gridSize) => ['#'.repeat(gridSize)] },
+  {
+    id: 'diagonal',
+    name: 'Diagonal',
+    category: 'shape',
+    build: (gridSize) => Array.from({ length: gridSize }, (_, i) => '.'.repeat(i) + '#' + '.'.repeat(gridSize - i - 1))
+  },
+  { id: 'square', name: 'Square', category: 'shape', rows: ['##', '##'] },
+  { id: 'plus', name: 'Plus', category: 'shape', rows: ['.#.', '###', '.#.'] },
+  { id: 'l', name: 'L', category: 'shape', rows: ['#.', '#.', '##'] },
+  { id: 't', name: 'T', category: 'shape', rows: ['###', '.#.', '.#.'] },
+  { id: 'z', name: 'Z', category: 'shape', rows: ['##.', '.#.', '.##'] },
+  { id: 'ring', name: 'Ring', category: 'shape', rows: ['###', '#.#', '###'] },
+  { id: 'zigzag', name: 'Zig-zag', category: 'shape', rows: ['#.#.', '.#.#'] },
+  { id: 'stairs', name: 'Stairs', category: 'shape', rows: ['#..', '##.', '.##'] },
+  { id: 'checker', name: 'Checkerboard', category: 'shape', rows: ['#.#', '.#.', '#.#'] },
+  { id: 'letter_c', name: 'Letter C', category: 'letter', fixed: true, rows: ['###', '#..', '###'] },
+  { id: 'letter_h', name: 'Letter H', category: 'letter', fixed: true, rows: ['#.#', '###', '#.#'] },
+  { id: 'letter_u', name: 'Letter U', category: 'letter', fixed: true, rows: ['#.#', '#.#', '###'] },
+  { id: 'letter_e', name: 'Letter E', category: 'letter', fixed: true, rows: ['###', '#..', '##.', '#..', '###'] },
+  { id: 'letter_f', name: 'Letter F', category: 'letter', fixed: true, rows: ['###', '#..', '##.', '#..', '#..'] },
+  { id: 'letter_p', name: 'Letter P', category: 'letter', fixed: true, rows: ['###', '#.#', '###', '#..', '#..'] },
+  { id: 'digit_0', name: 'Digit 0', category: 'digit', fixed: true, rows: ['###', '#.#', '#.#', '#.#', '###'] },
+  { id: 'digit_1', name: 'Digit 1', category: 'digit', fixed: true, rows: ['.#.', '##.', '.#.', '.#.', '###'] },
+  { id: 'digit_2', name: 'Digit 2', category: 'digit', fixed: true, rows: ['###', '..#', '###', '#..', '###'] },
+  { id: 'digit_3', name: 'Digit 3', category: 'digit', fixed: true, rows: ['###', '..#', '.##', '..#', '###'] },
+  { id: 'digit_4', name: 'Digit 4', category: 'digit', fixed: true, rows: ['#.#', '#.#', '###', '..#', '..#'] },
+  { id: 'digit_5', name: 'Digit 5', category: 'digit', fixed: true, rows: ['###', '#..', '###', '..#', '###'] },
+  { id: 'digit_6', name: 'Digit 6', category: 'digit', fixed: true, rows: ['###', '#..', '###', '#.#', '###'] },
+  { id: 'digit_7', name: 'Digit 7', category: 'digit', fixed: true, rows: ['###', '..#', '..#', '..#', '..#'] },
+  { id: 'digit_8', name: 'Digit 8', category: 'digit', fixed: true, rows: ['###', '#.#', '###', '#.#', '###'] },
+  { id: 'digit_9', name: 'Digit 9', category: 'digit', fixed: true, rows: ['###', '#.#', '###', '..#', '###'] }
+];
+
+/**
+ * Shapes for hex boards. Cells are axial coordinates: q runs along a row and
+ * r down the board, so (q, r + 1) is the south-east neighbour of (q, r).
+ */
+export const HEX_SHAPES = [
+  { id: 'hex_triangle', name: 'Triangle', category: 'hex', cells: [{ q: 0, r: 0 }, { q: 1, r: 0 }, { q: 0, r: 1 }] },
+  { id: 'hex_line', name: 'Line', category: 'hex', cells: [{ q: 0, r: 0 }, { q: 1, r: 0 }, { q: 2, r: 0 }, { q: 3, r: 0 }] },
+  { id: 'hex_rhombus', name: 'Rhombus', category: 'hex', cells: [{ q: 0, r: 0 }, { q: 1, r: 0 }, { q: 0, r: 1 }, { q: 1, r: 1 }] },
+  {
+    id: 'hex_zigzag',
+    name: 'Zig-zag',
+    category: 'hex',
+    cells: [{ q: 0, r: 0 }, { q: 0, r: 1 }, { q: 1, r: 1 }, { q: 1, r: 2 }, { q: 2, r: 2 }]
+  },
+  {
+    id: 'hex_chevron',
+    name: 'Chevron',
+    category: 'hex',
+    cells: [{ q: 0, r: 0 }, { q: 1, r: 0 }, { q: 2, r: 0 }, { q: 0, r: 1 }, { q: 0, r: 2 }]
+  },
+  {
+    id: 'hex_large_triangle',
+    name: 'Large triangle',
+    category: 'hex',
+    cells: [{ q: 0, r: 0 }, { q: 1, r: 0 }, { q: 2, r: 0 }, { q: 0, r: 1 }, { q: 1, r: 1 }, { q: 0, r: 2 }]
+  },
+  {
+    id: 'hex_ring',
+    name: 'Ring',
+    category: 'hex',
+    cells: [{ q: 0, r: -1 }, { q: 1, r: -1 }, { q: 1, r: 0 }, { q: 0, r: 1 }, { q: -1, r: 1 }, { q: -1, r: 0 }]
+  },
+  {
+    id: 'hex_flower',
+    name: 'Flower',
+    category: 'hex',
+    cells: [{ q: 0, r: 0 }, { q: 0, r: -1 }, { q: 1, r: -1 }, { q: 1, r: 0 }, { q: 0, r: 1 }, { q: -1, r: 1 }, { q: -1, r: 0 }]
+  }
+];
+
+/**
+ * Find a shape definition by id
+ * @param {string} shapeId - Shape id
+ * @returns {Object|null} - Shape definition or null if it doesn't exist
+ */
+export const getShapeById = (shapeId) => {
+  return [...SHAPES, ...HEX_SHAPES].find(shape => shape.id === shapeId) || null;
+};
+
+/**
+ * Turn drawn rows into cell coordinates
+ * @param {Array} rows - Rows of '#' and '.'
+ * @returns {Array} - Cells as { row, col }, in reading order
+ */
+export const rowsToCells = (rows) => {
+  const cells = [];
+  rows.forEach((line, row) => {
+    [...line].forEach((char, col) => {
+      if (char === '#') {
+        cells.push({ row, col });
+      }
+    });
+  });
+  return cells;
+};
+
+/**
+ * Move cells so the shape starts at row 0 and column 0, in reading order
+ * @param {Array} cells - Cells as { row, col }
+ * @returns {Array} - Normalized cells
+ */
+const normalizeCells = (cells) => {
+  const minRow = Math.min(...cells.map(cell => cell.row));
+  const minCol = Math.min(...cells.map(cell => cell.col));
+
+  return cells
+    .map(({ row, col }) => ({ row: row - minRow, col: col - minCol }))
+    .sort((a, b) => a.row - b.row || a.col - b.col);
+};
+
+/**
+ * Rotate cells clockwise by quarter turns
+ * @param {Array} cells - Cells as { row, col }
+ * @param {number} quarterTurns - Number of quarter turns (0-3)
+ * @returns {Array} - Rotated, normalized cells
+ */
+export const rotateCells = (cells, quarterTurns) => {
+  let rotated = cells;
+  for (let i = 0; i < ((quarterTurns % 4) + 4) % 4; i++) {
+    rotated = rotated.map(({ row, col }) => ({ row: col, col: -row }));
+  }
+  return normalizeCells(rotated);
+};
+
+/**
+ * Reflect cells left to right
+ * @param {Array} cells - Cells as { row, col }
+ * @returns {Array} - Reflected, normalized cells
+ */
+export const reflectCells = (cells) => {
+  return normalizeCells(cells.map(({ row, col }) => ({ row, col: -col })));
+};
+
+/**
+ * Get the cells of a shape for a grid size, before any transformation
+ * @param {Object} shape - Shape definition
+ * @param {number|Object} gridSize - Grid size or board (shapes built for the board span its shorter side)
+ * @returns {Array} - Cells as { row, col }, or { q, r } for hex shapes
+ */
+export const getShapeCells = (shape, gridSize) => {
+  if (shape.cells) {
+    return shape.cells.map(cell => ({ ...cell }));
+  }
+
+  const size = typeof gridSize === 'number' ? gridSize : Math.min(gridSize.rows, gridSize.cols);
+  return normalizeCells(rowsToCells(shape.build ? shape.build(size) : shape.rows));
+};
+
+/**
+ * Get the size of the box around some cells
+ * @param {Array} cells - Normalized cells
+ * @returns {Object} - { height, width }
+ */
+const getBounds = (cells) => ({
+  height: Math.max(...cells.map(cell => cell.row)) + 1,
+  width: Math.max(...cells.map(cell => cell.col)) + 1
+});
+
+/**
+ * Rotate axial cells clockwise by sixths of a turn
+ * @param {Array} cells - Cells as { q, r }
+ * @param {number} turns - Number of 60° turns (0-5)
+ * @returns {Array} - Rotated cells
+ */
+export const rotateHexCells = (cells, turns) => {
+  let rotated = cells;
+  for (let i = 0; i < ((turns % 6) + 6) % 6; i++) {
+    rotated = rotated.map(({ q, r }) => ({ q: -r, r: q + r }));
+  }
+  return rotated;
+};
+
+/**
+ * Reflect axial cells across the line through the north-west and south-east corners
+ * @param {Array} cells - Cells as { q, r }
+ * @returns {Array} - Reflected cells
+ */
+export const reflectHexCells = (cells) => {
+  return cells.map(({ q, r }) => ({ q: r, r: q }));
+};
+
+/**
+ * Get every orientation a shape may be placed in
+ * @param {Object} shape - Shape definition
+ * @param {Object} board - Board
+ * @returns {Array} - Orientations as { cells, rotation, reflected }
+ */
+const getOrientations = (shape, board) => {
+  const cells = getShapeCells(shape, board);
+
+  if (shape.cells) {
+    const orientations = [];
+    for (let turns = 0; turns < 6; turns++) {
+      const rotated = rotateHexCells(cells, turns);
+      orientations.push({ cells: rotated, rotation: turns * 60, reflected: false });
+      orientations.push({ cells: reflectHexCells(rotated), rotation: turns * 60, reflected: true });
+    }
+    return orientations;
+  }
+
+  if (shape.fixed) {
+    return [{ cells, rotation: 0, reflected: false }];
+  }
+
+  const orientations = [];
+  for (let quarterTurns = 0; quarterTurns < 4; quarterTurns++) {
+    const rotated = rotateCells(cells, quarterTurns);
+    orientations.push({ cells: rotated, rotation: quarterTurns * 90, reflected: false });
+    orientations.push({ cells: reflectCells(rotated), rotation: quarterTurns * 90, reflected: true });
+  }
+  return orientations;
+};
+
+/**
+ * Find the positions where cells fit on a board without covering a hole
+ * @param {Array} cells - Normalized cells
+ * @param {Object} board - Board
+ * @returns {Array} - Top-left positions as { row, col } with the covered tiles as pattern
+ */
+const findPlacements = (cells, board) => {
+  const { height, width } = getBounds(cells);
+  const placements = [];
+
+  for (let row = 0; row + height <= board.rows; row++) {
+    for (let col = 0; col + width <= board.cols; col++) {
+      const pattern = cells.map(cell => (cell.row + row) * board.cols + cell.col + col);
+      if (board.holes.length === 0 || pattern.every(index => isPlayableTile(board, index))) {
+        placements.push({ row, col, pattern });
+      }
+    }
+  }
+
+  return placements;
+};
+
+/**
+ * Find the positions where axial cells fit on a hex board without covering a hole
+ * @param {Array} cells - Cells as { q, r }
+ * @param {Object} board - Hex board
+ * @returns {Array} - Positions of the first cell as { row, col } with the covered tiles as pattern
+ */
+const findHexPlacements = (cells, board) => {
+  const placements = [];
+
+  board.tiles.forEach(anchor => {
+    const row = Math.floor(anchor / board.cols);
+    const col = anchor % board.cols;
+    // Axial coordinates of the anchor tile; odd rows are shifted right
+    const q = col - (row - (row & 1)) / 2;
+
+    const pattern = cells.map(cell => {
+      const r = row + cell.r - cells[0].r;
+      const cellQ = q + cell.q - cells[0].q;
+      return getTileIndex(board, r, cellQ + (r - (r & 1)) / 2);
+    });
+
+    if (!pattern.includes(-1)) {
+      placements.push({ row, col, pattern });
+    }
+  });
+
+  return placements;
+};
+
+/**
+ * Get the shapes a board draws from: hex shapes on hex boards, the square library otherwise
+ * @param {Object} board - Board
+ * @returns {Array} - Shape definitions
+ */
+const getShapeLibrary = (board) => {
+  return isHexBoard(board) ? HEX_SHAPES : SHAPES;
+};
+
+/**
+ * Find the positions where an orientation fits on a board
+ * @param {Array} cells - Cells of the orientation
+ * @param {Object} board - Board
+ * @returns {Array} - Placements as { row, col, pattern }
+ */
+const findBoardPlacements = (cells, board) => {
+  return isHexBoard(board) ? findHexPlacements(cells, board) : findPlacements(cells, board);
+};
+
+/**
+ * Get the shapes that fit on a board in at least one orientation
+ * @param {number|Object} gridSize - Grid size or board
+ * @returns {Array} - Shape definitions that fit
+ */
+export const getFittingShapes = (gridSize) => {
+  const board = toBoard(gridSize);
+
+  return getShapeLibrary(board).filter(shape => {
+    return getOrientations(shape, board).some(({ cells }) => findBoardPlacements(cells, board).length > 0);
+  });
+};
+
+/**
+ * Get every way a shape can be placed on a board
+ * @param {Object} shape - Shape definition
+ * @param {number|Object} gridSize - Grid size or board
+ * @returns {Array} - Placements as { pattern, shape }, like placeShape returns (empty if the shape doesn't fit)
+ */
+export const getShapePlacements = (shape, gridSize) => {
+  const board = toBoard(gridSize);
+  if (Boolean(shape.cells) !== isHexBoard(board)) {
+    return [];
+  }
+
+  return getOrientations(shape, board).flatMap(({ cells, rotation, reflected }) => {
+    return findBoardPlacements(cells, board).map(({ row, col, pattern }) => ({
+      pattern,
+      shape: describePlacement(shape, cells, rotation, reflected, row, col)
+    }));
+  });
+};
+
+/**
+ * Build the metadata of a placed shape
+ * @param {Object} shape - Shape definition
+ * @param {Array} cells - Cells of the placed orientation
+ * @param {number} rotation - Rotation in degrees
+ * @param {boolean} reflected - Whether the shape is mirrored
+ * @param {number} row - Row of the placement
+ * @param {number} col - Column of the placement
+ * @returns {Object} - { id, name, category, size, rotation, reflected, row, col }
+ */
+const describePlacement = (shape, cells, rotation, reflected, row, col) => ({
+  id: shape.id,
+  name: shape.name,
+  category: shape.category,
+  size: cells.length,
+  rotation,
+  reflected,
+  row,
+  col
+});
+
+/**
+ * Place a shape on a board with a random rotation, reflection and position
+ * @param {Object} shape - Shape definition
+ * @param {number|Object} gridSize - Grid size or board
+ * @param {Function} random - Random source (defaults to Math.random)
+ * @returns {Object|null} - { pattern, shape } with the tile indices and the shape
+ *   metadata (id, name, category, size, rotation, reflected, row, col), or null if it doesn't fit
+ */
+export const placeShape = (shape, gridSize, random = Math.random) => {
+  const board = toBoard(gridSize);
+  // Hex shapes only fit on hex boards and square shapes only on square ones
+  if (Boolean(shape.cells) !== isHexBoard(board)) {
+    return null;
+  }
+
+  const fitting = getOrientations(shape, board)
+    .map(orientation => ({ ...orientation, placements: findBoardPlacements(orientation.cells, board) }))
+    .filter(orientation => orientation.placements.length > 0);
+
+  if (fitting.length === 0) {
+    return null;
+  }
+
+  const { cells, rotation, reflected, placements } = fitting[randomInt(fitting.length, random)];
+  const { row, col, pattern } = placements[randomInt(placements.length, random)];
+
+  return { pattern, shape: describePlacement(shape, cells, rotation, reflected, row, col) };
+};
+
+/**
+ * Describe a placed shape for the player, e.g. "L (rotated 90°, mirrored)"
+ * @param {Object} shape - Shape metadata from placeShape
+ * @returns {string} - Description
+ */
+export const describeShape = (shape) => {
+  const details = [];
+  if (shape.rotation) details.push(`rotated ${shape.rotation}°`);
+  if (shape.reflected) details.push('mirrored');
+
+  return details.length > 0 ? `${shape.name} (${details.join(', ')})` : shape.name;
+};
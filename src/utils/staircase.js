@@ -0,0 +1,222 @@
+/**
+ * Adaptive staircase for pattern length, used by Zen mode. The pattern gets
+ * longer after a correct answer and shorter after a wrong one. The step down
+ * is bigger than the step up (a weighted up/down staircase), so the length
+ * settles where the player is right targetRate of the time, and the lengths
+ * at which it turns around estimate the player's memory span.
+ *
+ * Each board size has its own staircase, and the rounds take the sizes in turn.
+ */
+
+export const STAIRCASE_DEFAULTS = {
+  gridSizes: [3, 4, 5],   // Board sizes, played in turn
+  roundsPerSize: 12,      // Rounds on each board size
+  startLength: 3,         // Pattern length of the first round on every board size
+  targetRate: 0.75,       // Success rate the staircase settles at
+  stepUp: 0.5,            // Length added after a correct pattern; the step down follows from the target rate
+  discardReversals: 2     // Early turning points left out of the span estimate
+};
+
+// Turning points needed to estimate the span from them
+const MIN_REVERSALS = 2;
+
+// Span records kept in the player profile
+const MAX_SPAN_RECORDS = 100;
+
+/**
+ * Get the longest pattern a board size allows, leaving a quarter of the tiles unlit
+ * @param {number} gridSize - Grid size
+ * @returns {number} - Maximum pattern length
+ */
+const getMaxLength = (gridSize) => Math.max(1, Math.floor(gridSize * gridSize * 0.75));
+
+/**
+ * Round a span to one decimal place
+ * @param {number} span - Span in tiles
+ * @returns {number} - Rounded span
+ */
+const roundSpan = (span) => Math.round(span * 10) / 10;
+
+/**
+ * Average some numbers
+ * @param {Array} values - Numbers
+ * @returns {number} - Mean
+ */
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Get the steps of a staircase. At the target rate, the expected change in
+ * length after a round is zero: targetRate * up = (1 - targetRate) * down.
+ * @param {number} targetRate - Success rate to settle at (0-1)
+ * @param {number} stepUp - Length added after a correct pattern
+ * @returns {Object} - { up, down }
+ */
+export const getStaircaseSteps = (targetRate, stepUp) => ({
+  up: stepUp,
+  down: stepUp * targetRate / (1 - targetRate)
+});
+
+/**
+ * Create a staircase
+ * @param {number} startLength - Pattern length of its first round
+ * @returns {Object} - Staircase with its current length (value, may be fractional), the lengths played,
+ *   the played lengths at which it turned around (reversals) and the direction the played length last moved in
+ */
+export const createStaircase = (startLength) => ({
+  value: startLength,
+  lengths: [],
+  reversals: [],
+  direction: 0
+});
+
+/**
+ * Get the pattern length of a staircase's next round
+ * @param {Object} staircase - Staircase
+ * @param {number} gridSize - Grid size the staircase is played on
+ * @returns {number} - Whole pattern length
+ */
+export const getStaircaseLength = (staircase, gridSize) => {
+  return Math.min(Math.max(1, Math.round(staircase.value)), getMaxLength(gridSize));
+};
+
+/**
+ * Move a staircase after a round. Turning points are counted on the whole
+ * length played, not the fractional value: a step that leaves the played
+ * length where it was doesn't turn the staircase around.
+ * @param {Object} staircase - Staircase
+ * @param {boolean} correct - Whether the pattern was right
+ * @param {number} gridSize - Grid size the staircase is played on
+ * @param {Object} settings - Any of STAIRCASE_DEFAULTS (targetRate, stepUp)
+ * @returns {Object} - The moved staircase
+ */
+export const updateStaircase = (staircase, correct, gridSize, settings = {}) => {
+  const { targetRate, stepUp } = { ...STAIRCASE_DEFAULTS, ...settings };
+  const steps = getStaircaseSteps(targetRate, stepUp);
+  const value = Math.min(Math.max(1, staircase.value + (correct ? steps.up : -steps.down)), getMaxLength(gridSize));
+
+  const played = getStaircaseLength(staircase, gridSize);
+  const next = getStaircaseLength({ value }, gridSize);
+  const direction = Math.sign(next - played) || staircase.direction;
+  const isReversal = next !== played && staircase.direction !== 0 && direction !== staircase.direction;
+
+  return {
+    value,
+    lengths: [...staircase.lengths, played],
+    reversals: isReversal ? [...staircase.reversals, played] : staircase.reversals,
+    direction
+  };
+};
+
+/**
+ * Estimate the memory span from a staircase: the average of its turning points
+ * after the first few, or while it has too few of them, the average length of
+ * the later half of its rounds
+ * @param {Object} staircase - Staircase
+ * @param {Object} settings - Any of STAIRCASE_DEFAULTS (discardReversals)
+ * @returns {number|null} - Span in tiles, to one decimal place (null before any round)
+ */
+export const estimateSpan = (staircase, settings = {}) => {
+  const { discardReversals } = { ...STAIRCASE_DEFAULTS, ...settings };
+  const reversals = staircase.reversals.slice(discardReversals);
+  if (reversals.length >= MIN_REVERSALS) {
+    return roundSpan(mean(reversals));
+  }
+
+  const recent = staircase.lengths.slice(Math.floor(staircase.lengths.length / 2));
+  return recent.length > 0 ? roundSpan(mean(recent)) : null;
+};
+
+/**
+ * Create a staircase for each board size of a Zen game
+ * @param {Object} settings - Any of STAIRCASE_DEFAULTS (gridSizes, startLength)
+ * @returns {Object} - Staircases by grid size
+ */
+export const createStaircases = (settings = {}) => {
+  const { gridSizes, startLength } = { ...STAIRCASE_DEFAULTS, ...settings };
+  return Object.fromEntries(gridSizes.map(gridSize => [gridSize, createStaircase(startLength)]));
+};
+
+/**
+ * Get the number of rounds of a Zen game
+ * @param {Object} settings - Any of STAIRCASE_DEFAULTS (gridSizes, roundsPerSize)
+ * @returns {number} - Rounds
+ */
+export const getStaircaseRoundCount = (settings = {}) => {
+  const { gridSizes, roundsPerSize } = { ...STAIRCASE_DEFAULTS, ...settings };
+  return gridSizes.length * roundsPerSize;
+};
+
+/**
+ * Get the board size and pattern length of a round
+ * @param {Object} staircases - Staircases by grid size (see createStaircases)
+ * @param {number} round - Round number, from 1
+ * @param {Object} settings - Any of STAIRCASE_DEFAULTS (gridSizes)
+ * @returns {Object} - { gridSize, patternLength }
+ */
+export const getStaircaseRound = (staircases, round, settings = {}) => {
+  const { gridSizes } = { ...STAIRCASE_DEFAULTS, ...settings };
+  const gridSize = gridSizes[(round - 1) % gridSizes.length];
+
+  return { gridSize, patternLength: getStaircaseLength(staircases[gridSize], gridSize) };
+};
+
+/**
+ * Record the result of a round on its board size's staircase
+ * @param {Object} staircases - Staircases by grid size
+ * @param {number} gridSize - Grid size the round was played on
+ * @param {boolean} correct - Whether the pattern was right
+ * @param {Object} settings - Staircase settings (see STAIRCASE_DEFAULTS)
+ * @returns {Object} - Staircases with that one moved
+ */
+export const recordStaircaseResult = (staircases, gridSize, correct, settings = {}) => {
+  if (!staircases[gridSize]) return staircases;
+
+  return { ...staircases, [gridSize]: updateStaircase(staircases[gridSize], correct, gridSize, settings) };
+};
+
+/**
+ * Estimate the span on each board size played
+ * @param {Object} staircases - Staircases by grid size
+ * @param {Object} settings - Staircase settings (see STAIRCASE_DEFAULTS)
+ * @returns {Object} - Spans by grid size, leaving out sizes without rounds
+ */
+export const getSpanEstimates = (staircases, settings = {}) => {
+  return Object.fromEntries(Object.entries(staircases)
+    .map(([gridSize, staircase]) => [gridSize, estimateSpan(staircase, settings)])
+    .filter(([, span]) => span !== null));
+};
+
+/**
+ * Add a game's span estimates to a player's span history
+ * @param {Array} history - Earlier records as { date, spans }, oldest first (undefined for none)
+ * @param {Object} spans - Spans by grid size (see getSpanEstimates)
+ * @param {string} date - ISO date of the game
+ * @returns {Array} - History with the new record, keeping the latest MAX_SPAN_RECORDS
+ */
+export const addSpanRecord = (history = [], spans, date) => {
+  return [...history, { date, spans }].slice(-MAX_SPAN_RECORDS);
+};
+
+/**
+ * Summarize a span history for each board size, so progress over weeks shows
+ * @param {Array} history - Records as { date, spans }, oldest first
+ * @returns {Array} - { gridSize, latest, best, first, firstDate, games } by grid size, smallest first
+ */
+export const summarizeSpanHistory = (history = []) => {
+  const summaries = {};
+
+  history.forEach(({ date, spans }) => {
+    Object.entries(spans).forEach(([gridSize, span]) => {
+      const summary = summaries[gridSize];
+      if (!summary) {
+        summaries[gridSize] = { gridSize: Number(gridSize), latest: span, best: span, first: span, firstDate: date, games: 1 };
+        return;
+      }
+      summary.latest = span;
+      summary.best = Math.max(summary.best, span);
+      summary.games += 1;
+    });
+  });
+
+  return Object.values(summaries).sort((a, b) => a.gridSize - b.gridSize);
+};
@@ -6,9 +6,20 @@ const STORAGE_KEYS = {
   HIGH_SCORES: 'neuromatch_high_scores',
   SETTINGS: 'neuromatch_settings',
   PLAYER_PROFILE: 'neuromatch_player',
-  GAME_PROGRESS: 'neuromatch_progress'
+  GAME_PROGRESS: 'neuromatch_progress',
+  REPLAYS: 'neuromatch_replays',
+  PATTERN_PACKS: 'neuromatch_pattern_packs',
+  DAILY_RESULTS: 'neuromatch_daily_results',
+  DAILY_STREAK: 'neuromatch_daily_streak',
+  CAMPAIGN: 'neuromatch_campaign'
 };
 
+// Number of recent replays kept in addition to those of high scores
+const MAX_RECENT_REPLAYS = 5;
+
+// Number of days of daily challenge results kept
+const MAX_DAILY_RESULTS = 30;
+
 /**
  * Save data to local storage
  * @param {string} key - Storage key
@@ -136,3 +147,167 @@ export const saveGameProgress = (progressData) => {
 export const getGameProgress = () => {
   return loadFromStorage(STORAGE_KEYS.GAME_PROGRESS, null);
 };
+
+/**
+ * Clear the saved game progress, e.g. when the game is over
+ */
+export const clearGameProgress = () => {
+  saveToStorage(STORAGE_KEYS.GAME_PROGRESS, null);
+};
+
+/**
+ * Save a game replay to local storage. Replays linked from the high scores and
+ * daily challenge results are kept, plus the most recent games.
+ * @param {Object} replay - Replay object (see utils/replay.js)
+ * @returns {Array} - Stored replays
+ */
+export const saveReplay = (replay) => {
+  const replays = loadFromStorage(STORAGE_KEYS.REPLAYS, []).filter(saved => saved.id !== replay.id);
+  const highScoreReplayIds = [...getHighScores(), ...getDailyResults()].map(score => score.replayId);
+
+  // Newest first
+  replays.unshift(replay);
+
+  const keptReplays = replays.filter((saved, index) =>
+    index < MAX_RECENT_REPLAYS || highScoreReplayIds.includes(saved.id)
+  );
+
+  saveToStorage(STORAGE_KEYS.REPLAYS, keptReplays);
+  return keptReplays;
+};
+
+/**
+ * Get saved replays from local storage
+ * @returns {Array} - Array of replay objects, newest first
+ */
+export const getReplays = () => {
+  return loadFromStorage(STORAGE_KEYS.REPLAYS, []);
+};
+
+/**
+ * Get a saved replay by id
+ * @param {string} replayId - Replay id
+ * @returns {Object|null} - Replay or null if not found
+ */
+export const getReplay = (replayId) => {
+  return getReplays().find(replay => replay.id === replayId) || null;
+};
+
+/**
+ * Save a pattern pack to local storage, replacing a pack with the same id
+ * @param {Object} pack - Validated pattern pack (see utils/patternPacks.js)
+ * @returns {Array} - Stored packs
+ */
+export const savePatternPack = (pack) => {
+  const packs = getPatternPacks().filter(saved => saved.id !== pack.id);
+  packs.push(pack);
+
+  saveToStorage(STORAGE_KEYS.PATTERN_PACKS, packs);
+  return packs;
+};
+
+/**
+ * Get the pattern packs in local storage
+ * @returns {Array} - Pattern packs, in the order they were added
+ */
+export const getPatternPacks = () => {
+  return loadFromStorage(STORAGE_KEYS.PATTERN_PACKS, []);
+};
+
+/**
+ * Get a stored pattern pack by id
+ * @param {string} packId - Pack id
+ * @returns {Object|null} - Pattern pack or null if not found
+ */
+export const getPatternPack = (packId) => {
+  return getPatternPacks().find(pack => pack.id === packId) || null;
+};
+
+/**
+ * Remove a pattern pack from local storage
+ * @param {string} packId - Pack id
+ * @returns {Array} - Stored packs
+ */
+export const deletePatternPack = (packId) => {
+  const packs = getPatternPacks().filter(pack => pack.id !== packId);
+  saveToStorage(STORAGE_KEYS.PATTERN_PACKS, packs);
+  return packs;
+};
+
+/**
+ * Save the result of a daily challenge, replacing the result of the same day
+ * @param {Object} result - Daily result
+ * @param {string} result.date - Date of the challenge as YYYY-MM-DD
+ * @param {number|null} result.score - Score (null while the attempt is unfinished)
+ * @param {number|null} result.level - Level reached
+ * @param {string} result.playerName - Player name
+ * @param {string} result.replayId - Id of the replay of the attempt
+ * @returns {Array} - Stored results, newest day first (unchanged if the day already has a score,
+ *   since each day has one scored attempt)
+ */
+export const saveDailyResult = (result) => {
+  const stored = getDailyResults();
+  if (stored.some(saved => saved.date === result.date && saved.score !== null)) {
+    return stored;
+  }
+
+  const results = stored.filter(saved => saved.date !== result.date);
+  results.push(result);
+  results.sort((a, b) => b.date.localeCompare(a.date));
+
+  const keptResults = results.slice(0, MAX_DAILY_RESULTS);
+  saveToStorage(STORAGE_KEYS.DAILY_RESULTS, keptResults);
+  return keptResults;
+};
+
+/**
+ * Get the stored daily challenge results
+ * @returns {Array} - Daily results, newest day first
+ */
+export const getDailyResults = () => {
+  return loadFromStorage(STORAGE_KEYS.DAILY_RESULTS, []);
+};
+
+/**
+ * Get the daily challenge result of a day
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {Object|null} - Daily result or null if the day wasn't played
+ */
+export const getDailyResult = (date) => {
+  return getDailyResults().find(result => result.date === date) || null;
+};
+
+/**
+ * Save the streak of days the daily challenge was played in a row
+ * @param {Object} streak - { current, best, lastDate } (see utils/dailyChallenge.js)
+ */
+export const saveDailyStreak = (streak) => {
+  saveToStorage(STORAGE_KEYS.DAILY_STREAK, streak);
+};
+
+/**
+ * Get the daily challenge streak
+ * @returns {Object} - { current, best, lastDate }, with no days played by default
+ */
+export const getDailyStreak = () => {
+  return loadFromStorage(STORAGE_KEYS.DAILY_STREAK, { current: 0, best: 0, lastDate: null });
+};
+
+/**
+ * Save a player's campaign progress. Each player name has its own progress.
+ * @param {string} playerName - Player name from the profile
+ * @param {Object} progress - Progress by stage id, as { stars, bestScore } (see utils/campaign.js)
+ */
+export const saveCampaignProgress = (playerName, progress) => {
+  const campaigns = loadFromStorage(STORAGE_KEYS.CAMPAIGN, {});
+  saveToStorage(STORAGE_KEYS.CAMPAIGN, { ...campaigns, [playerName]: progress });
+};
+
+/**
+ * Get a player's campaign progress
+ * @param {string} playerName - Player name from the profile
+ * @returns {Object} - Progress by stage id (empty if the player hasn't played the campaign)
+ */
+export const getCampaignProgress = (playerName) => {
+  return loadFromStorage(STORAGE_KEYS.CAMPAIGN, {})[playerName] || {};
+};
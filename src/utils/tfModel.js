@@ -78,6 +78,7 @@ export const initializeModel = async () => {
  * @param {number} data.responseTime - Player's response time in ms
  * @param {number} data.level - Current game level
  * @param {boolean} data.success - Whether the player was successful
+ * @param {number} data.accuracy - Round accuracy (0-1) from gradeRound, used as the label when given
  */
 export const addTrainingData = (data) => {
   if (!data || typeof data.success !== 'boolean') {
@@ -94,7 +95,8 @@ export const addTrainingData = (data) => {
   
   // Add to training data
   trainingData.inputs.push(normalizedInput);
-  trainingData.outputs.push(data.success ? 1 : 0);
+  // Partly correct rounds give a soft label between failure and success
+  trainingData.outputs.push(typeof data.accuracy === 'number' ? data.accuracy : (data.success ? 1 : 0));
   
   // Limit the size of training data to prevent memory issues
   if (trainingData.inputs.length > 1000) {
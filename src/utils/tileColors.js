@@ -0,0 +1,61 @@
+/**
+ * Tile colors for color patterns. Every lit tile of a color pattern has one of
+ * the first N colors of the palette, and the player cycles a tile through
+ * those colors by clicking it. In high contrast mode each color also has its
+ * own symbol, so colors never have to be told apart by hue alone.
+ */
+import { randomInt } from './random';
+
+// Palette, in the order a tile cycles through it
+export const TILE_COLORS = [
+  { id: 'red', name: 'Red', value: '#e53935', symbol: 'circle' },
+  { id: 'blue', name: 'Blue', value: '#1e88e5', symbol: 'square' },
+  { id: 'yellow', name: 'Yellow', value: '#fdd835', symbol: 'triangle' },
+  { id: 'green', name: 'Green', value: '#43a047', symbol: 'diamond' }
+];
+
+export const MAX_TILE_COLORS = TILE_COLORS.length;
+
+/**
+ * Turn a configured number of colors into the number a pattern uses
+ * @param {number} colorCount - Configured number of colors
+ * @returns {number} - 0 for plain on/off tiles, otherwise 2 up to the size of the palette
+ */
+export const normalizeColorCount = (colorCount) => {
+  if (!Number.isInteger(colorCount) || colorCount < 2) return 0;
+  return Math.min(colorCount, MAX_TILE_COLORS);
+};
+
+/**
+ * Pick a color for every tile of a pattern
+ * @param {number} patternLength - Number of tiles in the pattern
+ * @param {number} colorCount - Number of colors to pick from
+ * @param {Function} random - Random source (defaults to Math.random)
+ * @returns {Array} - Palette indices, one per pattern tile (empty without colors)
+ */
+export const generatePatternColors = (patternLength, colorCount, random = Math.random) => {
+  const count = normalizeColorCount(colorCount);
+  if (count === 0) return [];
+
+  return Array.from({ length: patternLength }, () => randomInt(count, random));
+};
+
+/**
+ * Get the color a tile shows after one more click
+ * @param {number|null} color - Current palette index (null if the tile isn't selected)
+ * @param {number} colorCount - Number of colors in play
+ * @returns {number|null} - Next palette index, or null once the tile has shown every color
+ */
+export const getNextColor = (color, colorCount) => {
+  if (color === null || color === undefined) return 0;
+  return color + 1 < normalizeColorCount(colorCount) ? color + 1 : null;
+};
+
+/**
+ * Get a palette entry
+ * @param {number|null} color - Palette index
+ * @returns {Object|null} - Color with id, name, value and symbol, or null
+ */
+export const getTileColor = (color) => {
+  return color === null || color === undefined ? null : TILE_COLORS[color] || null;
+};